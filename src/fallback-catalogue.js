@@ -0,0 +1,1017 @@
+// Built-in databases used when Claude is unavailable. The Worker serves them from /generate-schema
+// and the static page loads this file as a module so src/script.js can fall back offline too.
+import { renderSchemaSQL } from './schema-sql.js';
+
+// Locales for the generation options; the names and cities fill the fallback databases
+export const GENERATION_LOCALES = {
+  'en-US': {
+    label: 'English (United States)',
+    firstNames: ['James', 'Mary', 'Robert', 'Patricia', 'Michael', 'Jennifer', 'David', 'Linda', 'Daniel', 'Emily'],
+    lastNames: ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Martinez', 'Wilson'],
+    cities: ['New York', 'Chicago', 'Austin', 'Seattle', 'Denver', 'Boston']
+  },
+  'en-GB': {
+    label: 'English (United Kingdom)',
+    firstNames: ['Oliver', 'Amelia', 'George', 'Isla', 'Harry', 'Ava', 'Jack', 'Freya', 'Charlie', 'Lily'],
+    lastNames: ['Smith', 'Jones', 'Taylor', 'Brown', 'Williams', 'Wilson', 'Evans', 'Thomas', 'Roberts', 'Walker'],
+    cities: ['London', 'Manchester', 'Bristol', 'Leeds', 'Glasgow', 'Cardiff']
+  },
+  'en-IN': {
+    label: 'English (India)',
+    firstNames: ['Aarav', 'Ananya', 'Vihaan', 'Diya', 'Arjun', 'Saanvi', 'Rohan', 'Priya', 'Kabir', 'Meera'],
+    lastNames: ['Sharma', 'Patel', 'Singh', 'Kumar', 'Gupta', 'Reddy', 'Iyer', 'Nair', 'Das', 'Mehta'],
+    cities: ['Mumbai', 'Delhi', 'Bengaluru', 'Chennai', 'Pune', 'Hyderabad']
+  },
+  'de-DE': {
+    label: 'German (Germany)',
+    firstNames: ['Lukas', 'Mia', 'Leon', 'Emma', 'Felix', 'Hannah', 'Jonas', 'Lea', 'Paul', 'Sophie'],
+    lastNames: ['Müller', 'Schmidt', 'Schneider', 'Fischer', 'Weber', 'Meyer', 'Wagner', 'Becker', 'Schulz', 'Hoffmann'],
+    cities: ['Berlin', 'Hamburg', 'München', 'Köln', 'Frankfurt', 'Leipzig']
+  },
+  'fr-FR': {
+    label: 'French (France)',
+    firstNames: ['Louis', 'Jade', 'Gabriel', 'Louise', 'Léo', 'Emma', 'Raphaël', 'Alice', 'Arthur', 'Chloé'],
+    lastNames: ['Martin', 'Bernard', 'Dubois', 'Thomas', 'Robert', 'Richard', 'Petit', 'Durand', 'Leroy', 'Moreau'],
+    cities: ['Paris', 'Lyon', 'Marseille', 'Toulouse', 'Lille', 'Nantes']
+  },
+  'es-ES': {
+    label: 'Spanish (Spain)',
+    firstNames: ['Hugo', 'Lucía', 'Martín', 'Sofía', 'Pablo', 'María', 'Daniel', 'Paula', 'Alejandro', 'Carmen'],
+    lastNames: ['García', 'Rodríguez', 'González', 'Fernández', 'López', 'Martínez', 'Sánchez', 'Pérez', 'Gómez', 'Ruiz'],
+    cities: ['Madrid', 'Barcelona', 'Valencia', 'Sevilla', 'Bilbao', 'Málaga']
+  },
+  'pt-BR': {
+    label: 'Portuguese (Brazil)',
+    firstNames: ['Miguel', 'Helena', 'Arthur', 'Alice', 'Heitor', 'Laura', 'Davi', 'Valentina', 'Bernardo', 'Beatriz'],
+    lastNames: ['Silva', 'Santos', 'Oliveira', 'Souza', 'Lima', 'Pereira', 'Ferreira', 'Costa', 'Rodrigues', 'Almeida'],
+    cities: ['São Paulo', 'Rio de Janeiro', 'Belo Horizonte', 'Salvador', 'Curitiba', 'Recife']
+  },
+  'ja-JP': {
+    label: 'Japanese (Japan)',
+    firstNames: ['Haruto', 'Yui', 'Sota', 'Hina', 'Ren', 'Sakura', 'Yuto', 'Mei', 'Riku', 'Aoi'],
+    lastNames: ['Sato', 'Suzuki', 'Takahashi', 'Tanaka', 'Watanabe', 'Ito', 'Yamamoto', 'Nakamura', 'Kobayashi', 'Kato'],
+    cities: ['Tokyo', 'Osaka', 'Yokohama', 'Nagoya', 'Sapporo', 'Fukuoka']
+  }
+};
+
+// Small seeded PRNG (mulberry32) so the same prompt and options always give the same fallback data
+function seededRandom(seedText) {
+  let seed = 0;
+  for (const char of seedText) seed = (Math.imul(seed, 31) + char.codePointAt(0)) | 0;
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const FALLBACK_DEFAULT_TABLE_COUNT = 4;
+const FALLBACK_DEFAULT_ROWS = 20;
+const FALLBACK_DEFAULT_DATE_RANGE = { start: '2023-01-01', end: '2024-12-31' };
+const FALLBACK_DEFAULT_DOMAIN = 'retail';
+
+const FALLBACK_ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+const FALLBACK_CATEGORIES = ['Electronics', 'Books', 'Home & Kitchen', 'Toys', 'Sports', 'Beauty', 'Garden', 'Clothing', 'Grocery', 'Music', 'Office', 'Pet Supplies'];
+const FALLBACK_PRODUCT_WORDS = [['Classic', 'Smart', 'Compact', 'Deluxe', 'Eco', 'Travel', 'Pro', 'Mini'], ['Lamp', 'Backpack', 'Kettle', 'Headphones', 'Notebook', 'Blender', 'Jacket', 'Speaker', 'Mug', 'Puzzle']];
+const FALLBACK_DEPARTMENTS = [
+  ['Computer Science', 'CS'], ['Mathematics', 'MATH'], ['Physics', 'PHYS'], ['History', 'HIST'], ['Biology', 'BIO'],
+  ['Economics', 'ECON'], ['English', 'ENG'], ['Chemistry', 'CHEM'], ['Psychology', 'PSY'], ['Philosophy', 'PHIL'],
+  ['Sociology', 'SOC'], ['Political Science', 'POL'], ['Linguistics', 'LING'], ['Geography', 'GEOG'], ['Music', 'MUS'],
+  ['Art History', 'ARTH'], ['Statistics', 'STAT'], ['Mechanical Engineering', 'MECH'], ['Civil Engineering', 'CIVE'], ['Nursing', 'NURS']
+];
+const FALLBACK_COURSE_PREFIXES = ['Introduction to', 'Foundations of', 'Topics in', 'Applied', 'Advanced'];
+// Terms back to 2018, so every cohort of students (enrolled 2019-2024) has terms to take
+const FALLBACK_TERMS = [
+  'Summer 2018', 'Fall 2018', 'Spring 2019', 'Summer 2019', 'Fall 2019',
+  'Spring 2020', 'Summer 2020', 'Fall 2020', 'Spring 2021', 'Summer 2021',
+  'Fall 2021', 'Spring 2022', 'Summer 2022', 'Fall 2022', 'Spring 2023',
+  'Summer 2023', 'Fall 2023', 'Spring 2024', 'Summer 2024', 'Fall 2024'
+];
+const FALLBACK_GRADES = ['A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'D', 'F'];
+const FALLBACK_GENRES = ['Fiction', 'Mystery', 'Science Fiction', 'Biography', 'History', 'Fantasy', 'Poetry', 'Children', 'Romance', 'Science',
+  'Thriller', 'Horror', 'Travel', 'Cookery', 'Philosophy', 'Graphic Novels', 'Young Adult', 'Drama', 'Self-Help', 'Art'];
+const FALLBACK_BOOK_WORDS = [['The Silent', 'A Distant', 'The Last', 'Hidden', 'Beyond the', 'The Lost', 'Winter', 'The Secret'], ['River', 'Garden', 'Empire', 'Letters', 'Voyage', 'Orchard', 'Kingdom', 'Harbour', 'Clockmaker', 'Atlas']];
+const FALLBACK_HASHTAGS = ['#sql', '#travel', '#food', '#coding', '#music', '#fitness', '#books', '#photography', '#gaming', '#nature',
+  '#art', '#movies', '#science', '#pets', '#fashion', '#startup', '#running', '#cooking', '#design', '#weekend'];
+const FALLBACK_POST_TEXT = ['Just finished my first marathon!', 'Trying a new recipe tonight', 'Anyone else watching the game?', 'Look at this sunset', 'Shipped a side project today', 'Coffee first, questions later', 'Reading recommendations please', 'Weekend hike with friends'];
+const FALLBACK_COMMENT_TEXT = ['Love this!', 'Congrats!', 'So jealous', 'Where is this?', 'Great tip, thanks', 'Haha same', 'Looks amazing'];
+const FALLBACK_HR_DEPARTMENTS = ['Engineering', 'Sales', 'Marketing', 'Finance', 'Human Resources', 'Operations', 'Support', 'Legal', 'Product', 'Design',
+  'Data', 'Security', 'IT', 'Procurement', 'Facilities', 'Research', 'Quality Assurance', 'Customer Success', 'Communications', 'Partnerships'];
+const FALLBACK_JOB_TITLES = ['Software Engineer', 'Account Executive', 'Marketing Specialist', 'Accountant', 'HR Generalist', 'Operations Analyst', 'Support Agent', 'Legal Counsel', 'Team Lead', 'Director',
+  'Product Manager', 'UX Designer', 'Data Analyst', 'Security Engineer', 'IT Technician', 'Buyer', 'Office Manager', 'Research Scientist', 'QA Engineer', 'Recruiter'];
+const FALLBACK_SPECIALTIES = ['Cardiology', 'Dermatology', 'Neurology', 'Pediatrics', 'Orthopedics', 'General Practice', 'Oncology', 'Psychiatry', 'Radiology', 'Endocrinology',
+  'Gastroenterology', 'Ophthalmology', 'Urology', 'Nephrology', 'Rheumatology', 'Pulmonology', 'Obstetrics', 'Anesthesiology', 'Emergency Medicine', 'Geriatrics'];
+const FALLBACK_MEDICATIONS = ['Amoxicillin', 'Ibuprofen', 'Metformin', 'Lisinopril', 'Atorvastatin', 'Omeprazole', 'Salbutamol', 'Sertraline', 'Paracetamol', 'Levothyroxine',
+  'Amlodipine', 'Cetirizine', 'Prednisolone', 'Warfarin', 'Insulin glargine', 'Fluoxetine', 'Doxycycline', 'Losartan', 'Gabapentin', 'Simvastatin'];
+const FALLBACK_VISIT_REASONS = ['Check-up', 'Follow-up', 'Headache', 'Back pain', 'Vaccination', 'Rash', 'Chest pain', 'Consultation'];
+const FALLBACK_AIRPORTS = [
+  ['JFK', 'John F. Kennedy International', 'New York', 'United States'],
+  ['LHR', 'Heathrow', 'London', 'United Kingdom'],
+  ['CDG', 'Charles de Gaulle', 'Paris', 'France'],
+  ['FRA', 'Frankfurt Airport', 'Frankfurt', 'Germany'],
+  ['MAD', 'Adolfo Suárez Madrid-Barajas', 'Madrid', 'Spain'],
+  ['GRU', 'São Paulo/Guarulhos', 'São Paulo', 'Brazil'],
+  ['HND', 'Haneda', 'Tokyo', 'Japan'],
+  ['DEL', 'Indira Gandhi International', 'Delhi', 'India'],
+  ['DXB', 'Dubai International', 'Dubai', 'United Arab Emirates'],
+  ['SIN', 'Changi', 'Singapore', 'Singapore'],
+  ['SYD', 'Sydney Kingsford Smith', 'Sydney', 'Australia'],
+  ['ORD', "O'Hare International", 'Chicago', 'United States'],
+  ['LAX', 'Los Angeles International', 'Los Angeles', 'United States'],
+  ['YYZ', 'Toronto Pearson', 'Toronto', 'Canada'],
+  ['MEX', 'Mexico City International', 'Mexico City', 'Mexico'],
+  ['AMS', 'Amsterdam Schiphol', 'Amsterdam', 'Netherlands'],
+  ['FCO', 'Leonardo da Vinci-Fiumicino', 'Rome', 'Italy'],
+  ['IST', 'Istanbul Airport', 'Istanbul', 'Turkey'],
+  ['JNB', 'O. R. Tambo International', 'Johannesburg', 'South Africa'],
+  ['ICN', 'Incheon International', 'Seoul', 'South Korea'],
+  ['BKK', 'Suvarnabhumi', 'Bangkok', 'Thailand'],
+  ['AKL', 'Auckland Airport', 'Auckland', 'New Zealand']
+];
+const FALLBACK_AIRLINES = [
+  ['SkyWays', 'SW'], ['Northern Air', 'NA'], ['Atlantic Connect', 'AC'], ['Pacific Blue', 'PB'], ['Sunline', 'SL'],
+  ['EuroJet', 'EJ'], ['Coastal Wings', 'CW'], ['Alpine Airlines', 'AA'], ['Desert Star', 'DS'], ['Island Hopper', 'IH'],
+  ['Polar Express Air', 'PX'], ['Meridian Airways', 'MA'], ['Redwood Air', 'RA'], ['Harbour Air', 'HA'], ['Silk Route Airlines', 'SR'],
+  ['Southern Cross', 'SC'], ['Tradewind', 'TW'], ['Canyon Air', 'CA'], ['Lakeside Airlines', 'LA'], ['Evergreen Skies', 'ES']
+];
+const FALLBACK_AIRCRAFT = [
+  ['Airbus A320', 180], ['Airbus A350', 325], ['Boeing 737-800', 189], ['Boeing 787-9', 296], ['Embraer E190', 100],
+  ['ATR 72', 70], ['Airbus A319', 144], ['Airbus A321neo', 220], ['Airbus A330-300', 295], ['Airbus A380', 525],
+  ['Airbus A220-300', 145], ['Boeing 737 MAX 8', 178], ['Boeing 747-8', 410], ['Boeing 767-300ER', 218], ['Boeing 777-300ER', 396],
+  ['Boeing 757-200', 200], ['Embraer E175', 76], ['Embraer E195-E2', 132], ['Bombardier CRJ900', 90], ['De Havilland Dash 8-400', 78]
+];
+const FALLBACK_ACCOUNT_TYPES = ['checking', 'savings', 'credit', 'business'];
+const FALLBACK_TRANSACTION_TEXT = ['Salary', 'Rent', 'Groceries', 'Utilities', 'ATM withdrawal', 'Online transfer', 'Monthly fee', 'Restaurant'];
+
+// The fallback catalogue: one small, FK-consistent database per domain. The domain whose keywords
+// best match the prompt is used (retail when nothing matches). Each domain lists its tables in
+// creation order; `ranks` orders them by how early they are included for a given table count
+// (falling back to the `normalized` order), and a column that references a table left out of the
+// database becomes plain text instead. Fallback-only table and column fields:
+//   lookup           - fixed list of rows for lookup tables (the row count ignores rowsPerTable). Lookups
+//                      have 20 rows like the other tables, except order statuses and account types:
+//                      those are closed sets, and padding them would invent states that do not exist
+//   duplicates       - repeat some rows under new ids when the "duplicates" quirk is on
+//   value(ctx, row)  - the value for this row (row.id is already set)
+//   nullable         - may be NULL when the "nulls" quirk is on
+//   dirty            - 'text' | 'email' | 'status' | 'date' mess to apply with the "dirty" quirk
+const FALLBACK_CATALOGUE = {
+  retail: {
+    name: 'Retail store',
+    description: 'Customers, products and orders for a small shop',
+    keywords: ['retail', 'store', 'shop', 'ecommerce', 'e-commerce', 'product', 'order', 'inventory', 'sale', 'cart', 'supplier', 'warehouse', 'merchandise'],
+    tables: [
+      {
+        name: 'order_statuses',
+        description: 'Lookup table of order states',
+        lookup: FALLBACK_ORDER_STATUSES,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_ORDER_STATUSES[row.id - 1] }
+        ]
+      },
+      {
+        name: 'categories',
+        description: 'Product categories',
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, value: (ctx, row) => ctx.numbered(FALLBACK_CATEGORIES, row.id), dirty: 'text' }
+        ]
+      },
+      {
+        name: 'suppliers',
+        description: 'Companies that supply products',
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'company_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.lastNames) + ' ' + ctx.pick(['Trading', 'Supply Co', 'Goods', 'Wholesale']), dirty: 'text' },
+          { name: 'city', type: 'TEXT', value: (ctx) => ctx.pick(ctx.locale.cities), nullable: true, dirty: 'text' }
+        ]
+      },
+      {
+        name: 'customers',
+        description: 'People who shop at the store',
+        duplicates: true,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'first_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.firstNames), dirty: 'text' },
+          { name: 'last_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.lastNames), dirty: 'text' },
+          { name: 'email', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => ctx.email(row.first_name, row.last_name, row.id), dirty: 'email' },
+          { name: 'city', type: 'TEXT', value: (ctx) => ctx.pick(ctx.locale.cities), nullable: true, dirty: 'text' },
+          { name: 'joined_on', type: 'DATE', notNull: true, value: (ctx) => ctx.date(), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'employees',
+        description: 'Store staff; manager_id points at another employee',
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'full_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.person(), dirty: 'text' },
+          { name: 'role', type: 'TEXT', notNull: true, value: (ctx, row) => (row.id === 1 ? 'Store Manager' : ctx.pick(['Sales Associate', 'Cashier', 'Stock Clerk', 'Supervisor'])) },
+          { name: 'manager_id', type: 'INTEGER', references: { table: 'employees', column: 'id' }, value: (ctx, row) => (row.id === 1 ? null : ctx.int(1, Math.max(1, Math.min(row.id - 1, 3)))) },
+          { name: 'salary', type: 'REAL', value: (ctx) => ctx.money(28000, 90000), nullable: true }
+        ]
+      },
+      {
+        name: 'products',
+        description: 'Items for sale',
+        duplicates: true,
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, value: (c) => c.pick(FALLBACK_PRODUCT_WORDS[0]) + ' ' + c.pick(FALLBACK_PRODUCT_WORDS[1]), dirty: 'text' },
+          ctx.reference('category', 'categories', (c) => c.pick(FALLBACK_CATEGORIES), { labelName: 'category' }),
+          ctx.reference('supplier', 'suppliers', null, { notNull: false, nullable: true }),
+          { name: 'price', type: 'REAL', notNull: true, value: (c) => c.money(3, 400) },
+          { name: 'stock', type: 'INTEGER', notNull: true, default: 0, value: (c) => c.int(0, 250) }
+        ]
+      },
+      {
+        name: 'orders',
+        description: 'Customer orders',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('customer', 'customers', (c) => c.person()),
+          ctx.reference('employee', 'employees', null, { notNull: false, nullable: true }),
+          { name: 'order_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          ctx.has('order_statuses')
+            ? { name: 'status_id', type: 'INTEGER', notNull: true, references: { table: 'order_statuses', column: 'id' }, value: (c) => c.int(1, FALLBACK_ORDER_STATUSES.length) }
+            : { name: 'status', type: 'TEXT', notNull: true, default: 'pending', value: (c) => c.pick(FALLBACK_ORDER_STATUSES), dirty: 'status' },
+          { name: 'total', type: 'REAL', notNull: true, value: (c) => c.money(5, 900) }
+        ]
+      },
+      {
+        name: 'order_items',
+        description: 'Products on each order',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('order', 'orders', null),
+          ctx.reference('product', 'products', (c) => c.pick(FALLBACK_PRODUCT_WORDS[1])),
+          { name: 'quantity', type: 'INTEGER', notNull: true, value: (c) => c.int(1, 5) },
+          { name: 'unit_price', type: 'REAL', notNull: true, value: (c) => c.money(3, 400) }
+        ]
+      },
+      {
+        name: 'payments',
+        description: 'Payments received for orders',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('order', 'orders', null),
+          { name: 'method', type: 'TEXT', notNull: true, value: (c) => c.pick(['card', 'cash', 'paypal', 'gift card']), dirty: 'status' },
+          { name: 'amount', type: 'REAL', notNull: true, value: (c) => c.money(5, 900) },
+          { name: 'paid_on', type: 'DATE', value: (c) => c.date(), nullable: true, dirty: 'date' }
+        ]
+      },
+      {
+        name: 'reviews',
+        description: 'Product ratings left by customers',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('product', 'products', null),
+          ctx.reference('customer', 'customers', null),
+          { name: 'rating', type: 'INTEGER', notNull: true, value: (c) => c.int(1, 5) },
+          { name: 'comment', type: 'TEXT', value: (c) => c.pick(['Great value', 'Arrived late', 'Exactly as described', 'Would buy again', 'Poor quality']), nullable: true, dirty: 'text' }
+        ]
+      }
+    ],
+    ranks: {
+      denormalized: ['customers', 'orders', 'products', 'order_items', 'payments', 'employees', 'reviews', 'suppliers', 'categories', 'order_statuses'],
+      normalized: ['customers', 'orders', 'products', 'order_items', 'categories', 'suppliers', 'payments', 'employees', 'reviews', 'order_statuses'],
+      highly_normalized: ['customers', 'orders', 'order_statuses', 'products', 'categories', 'order_items', 'suppliers', 'payments', 'employees', 'reviews']
+    }
+  },
+  university: {
+    name: 'University',
+    description: 'Students, courses and enrollments at a university',
+    keywords: ['university', 'universities', 'college', 'school', 'student', 'course', 'enrollment', 'enrolment', 'professor', 'lecturer', 'teacher', 'grade', 'class', 'campus', 'semester', 'faculty', 'academic'],
+    tables: [
+      {
+        name: 'departments',
+        description: 'Academic departments',
+        lookup: FALLBACK_DEPARTMENTS,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_DEPARTMENTS[row.id - 1][0] },
+          { name: 'building', type: 'TEXT', value: (ctx) => ctx.pick(['North Hall', 'Science Centre', 'Old Library', 'Innovation Hub', 'West Wing']), nullable: true }
+        ]
+      },
+      {
+        name: 'terms',
+        description: 'Lookup table of academic terms',
+        lookup: FALLBACK_TERMS,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_TERMS[row.id - 1] }
+        ]
+      },
+      {
+        name: 'instructors',
+        description: 'Teaching staff',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'first_name', type: 'TEXT', notNull: true, value: (c) => c.pick(c.locale.firstNames), dirty: 'text' },
+          { name: 'last_name', type: 'TEXT', notNull: true, value: (c) => c.pick(c.locale.lastNames), dirty: 'text' },
+          { name: 'email', type: 'TEXT', notNull: true, unique: true, value: (c, row) => c.email(row.first_name, row.last_name, row.id), dirty: 'email' },
+          ctx.reference('department', 'departments', (c) => c.pick(FALLBACK_DEPARTMENTS)[0]),
+          { name: 'hire_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'salary', type: 'REAL', value: (c) => c.money(45000, 130000), nullable: true }
+        ]
+      },
+      {
+        name: 'students',
+        description: 'Enrolled students; major_id is their home department',
+        duplicates: true,
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'first_name', type: 'TEXT', notNull: true, value: (c) => c.pick(c.locale.firstNames), dirty: 'text' },
+          { name: 'last_name', type: 'TEXT', notNull: true, value: (c) => c.pick(c.locale.lastNames), dirty: 'text' },
+          { name: 'email', type: 'TEXT', notNull: true, unique: true, value: (c, row) => c.email(row.first_name, row.last_name, row.id), dirty: 'email' },
+          { name: 'enrollment_year', type: 'INTEGER', notNull: true, value: (c) => c.int(2019, 2024) },
+          ctx.reference('major', 'departments', (c) => c.pick(FALLBACK_DEPARTMENTS)[0], { labelName: 'major', notNull: false, nullable: true })
+        ]
+      },
+      {
+        name: 'courses',
+        description: 'Courses offered each term',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('department', 'departments', (c) => c.pick(FALLBACK_DEPARTMENTS)[0]),
+          { name: 'code', type: 'TEXT', notNull: true, unique: true, value: (c, row) => fallbackDepartment(c, row)[1] + (100 + row.id) },
+          { name: 'title', type: 'TEXT', notNull: true, value: (c, row) => c.pick(FALLBACK_COURSE_PREFIXES) + ' ' + fallbackDepartment(c, row)[0], dirty: 'text' },
+          ctx.reference('instructor', 'instructors', (c) => c.person(), { notNull: false, nullable: true }),
+          { name: 'credits', type: 'INTEGER', notNull: true, default: 3, value: (c) => c.pick([2, 3, 3, 4]) }
+        ]
+      },
+      {
+        name: 'enrollments',
+        description: 'Which students take which courses, with their grade',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('student', 'students', (c) => c.person()),
+          ctx.reference('course', 'courses', (c) => c.pick(FALLBACK_COURSE_PREFIXES) + ' ' + c.pick(FALLBACK_DEPARTMENTS)[0]),
+          ctx.reference('term', 'terms', (c) => c.pick(FALLBACK_TERMS), { labelName: 'term' }),
+          { name: 'grade', type: 'TEXT', value: (c) => c.pick(FALLBACK_GRADES), nullable: true, dirty: 'status' }
+        ]
+      }
+    ],
+    ranks: {
+      normalized: ['students', 'courses', 'enrollments', 'instructors', 'departments', 'terms'],
+      highly_normalized: ['students', 'courses', 'enrollments', 'terms', 'departments', 'instructors']
+    }
+  },
+  library: {
+    name: 'Library',
+    description: 'Books, members and loans for a public library',
+    keywords: ['library', 'libraries', 'book', 'author', 'borrow', 'loan', 'librarian', 'publisher', 'isbn', 'reader', 'reading', 'novel'],
+    tables: [
+      {
+        name: 'genres',
+        description: 'Lookup table of book genres',
+        lookup: FALLBACK_GENRES,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_GENRES[row.id - 1] }
+        ]
+      },
+      {
+        name: 'publishers',
+        description: 'Publishing houses',
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.lastNames) + ' ' + ctx.pick(['Press', 'Books', 'Publishing', 'House']), dirty: 'text' },
+          { name: 'city', type: 'TEXT', value: (ctx) => ctx.pick(ctx.locale.cities), nullable: true, dirty: 'text' }
+        ]
+      },
+      {
+        name: 'authors',
+        description: 'People who wrote the books',
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'full_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.person(), dirty: 'text' },
+          { name: 'birth_year', type: 'INTEGER', value: (ctx) => ctx.int(1930, 1995), nullable: true }
+        ]
+      },
+      {
+        name: 'members',
+        description: 'Library card holders',
+        duplicates: true,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'first_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.firstNames), dirty: 'text' },
+          { name: 'last_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.lastNames), dirty: 'text' },
+          { name: 'email', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => ctx.email(row.first_name, row.last_name, row.id), dirty: 'email' },
+          { name: 'city', type: 'TEXT', value: (ctx) => ctx.pick(ctx.locale.cities), nullable: true, dirty: 'text' },
+          { name: 'joined_on', type: 'DATE', notNull: true, value: (ctx) => ctx.date(), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'books',
+        description: 'Titles in the collection',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'title', type: 'TEXT', notNull: true, value: (c) => c.pick(FALLBACK_BOOK_WORDS[0]) + ' ' + c.pick(FALLBACK_BOOK_WORDS[1]), dirty: 'text' },
+          ctx.reference('author', 'authors', (c) => c.person()),
+          ctx.reference('publisher', 'publishers', null, { notNull: false, nullable: true }),
+          ctx.reference('genre', 'genres', (c) => c.pick(FALLBACK_GENRES), { labelName: 'genre' }),
+          { name: 'isbn', type: 'TEXT', notNull: true, unique: true, value: (c, row) => '978' + String(100000000 + row.id * 7919).padStart(10, '0') },
+          { name: 'published_year', type: 'INTEGER', value: (c) => c.int(1950, 2024), nullable: true }
+        ]
+      },
+      {
+        name: 'loans',
+        description: 'Books borrowed by members; returned_on is NULL while a book is still out',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('book', 'books', (c) => c.pick(FALLBACK_BOOK_WORDS[0]) + ' ' + c.pick(FALLBACK_BOOK_WORDS[1])),
+          ctx.reference('member', 'members', (c) => c.person()),
+          { name: 'loaned_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'due_on', type: 'DATE', notNull: true, value: (c, row) => c.addDays(row.loaned_on, 21) },
+          { name: 'returned_on', type: 'DATE', value: (c, row) => (c.int(1, 5) === 1 ? null : c.addDays(row.loaned_on, c.int(2, 30))), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'reservations',
+        description: 'Holds placed on books that are out on loan',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('book', 'books', null),
+          ctx.reference('member', 'members', null),
+          { name: 'reserved_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'status', type: 'TEXT', notNull: true, default: 'waiting', value: (c) => c.pick(['waiting', 'ready', 'collected', 'expired']), dirty: 'status' }
+        ]
+      }
+    ],
+    ranks: {
+      denormalized: ['members', 'books', 'loans', 'authors', 'reservations', 'publishers', 'genres'],
+      normalized: ['members', 'books', 'loans', 'authors', 'publishers', 'genres', 'reservations'],
+      highly_normalized: ['members', 'books', 'loans', 'genres', 'authors', 'publishers', 'reservations']
+    }
+  },
+  social: {
+    name: 'Social network',
+    description: 'Users, posts, comments, likes and follows for a social media app',
+    keywords: ['social', 'social media', 'post', 'follower', 'follow', 'like', 'comment', 'tweet', 'twitter', 'instagram', 'facebook', 'feed', 'hashtag', 'friend', 'influencer', 'network'],
+    tables: [
+      {
+        name: 'users',
+        description: 'Accounts on the network',
+        duplicates: true,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'display_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.person(), dirty: 'text' },
+          { name: 'username', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => ctx.slug(row.display_name) + row.id },
+          { name: 'email', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => `${row.username}@example.com`, dirty: 'email' },
+          { name: 'city', type: 'TEXT', value: (ctx) => ctx.pick(ctx.locale.cities), nullable: true, dirty: 'text' },
+          { name: 'joined_on', type: 'DATE', notNull: true, value: (ctx) => ctx.date(), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'hashtags',
+        description: 'Lookup table of hashtags',
+        lookup: FALLBACK_HASHTAGS,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_HASHTAGS[row.id - 1] }
+        ]
+      },
+      {
+        name: 'posts',
+        description: 'Status updates written by users',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('user', 'users', (c) => c.person()),
+          { name: 'content', type: 'TEXT', notNull: true, value: (c) => c.pick(FALLBACK_POST_TEXT) },
+          { name: 'visibility', type: 'TEXT', notNull: true, default: 'public', value: (c) => c.pick(['public', 'public', 'friends', 'private']), dirty: 'status' },
+          { name: 'created_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'comments',
+        description: 'Replies to posts',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('post', 'posts', null),
+          ctx.reference('user', 'users', (c) => c.person()),
+          { name: 'body', type: 'TEXT', notNull: true, value: (c) => c.pick(FALLBACK_COMMENT_TEXT), dirty: 'text' },
+          { name: 'created_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'likes',
+        description: 'Users liking posts',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('post', 'posts', null),
+          ctx.reference('user', 'users', (c) => c.person()),
+          { name: 'liked_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'follows',
+        description: 'Who follows whom; both columns point at users',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('follower', 'users', (c) => c.person()),
+          ctx.reference('followee', 'users', (c) => c.person(), { value: (c, row) => c.otherId('users', row.follower_id) }),
+          { name: 'followed_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'post_hashtags',
+        description: 'Hashtags used on each post',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('post', 'posts', null),
+          ctx.reference('hashtag', 'hashtags', (c) => c.pick(FALLBACK_HASHTAGS), { labelName: 'hashtag' })
+        ]
+      }
+    ],
+    ranks: {
+      denormalized: ['users', 'posts', 'comments', 'likes', 'follows', 'post_hashtags', 'hashtags'],
+      normalized: ['users', 'posts', 'comments', 'likes', 'follows', 'hashtags', 'post_hashtags'],
+      highly_normalized: ['users', 'posts', 'hashtags', 'post_hashtags', 'comments', 'likes', 'follows']
+    }
+  },
+  hr: {
+    name: 'Company HR',
+    description: 'Employees, departments, payroll and leave for a company HR team',
+    keywords: ['hr', 'human resources', 'employee', 'staff', 'payroll', 'salary', 'salaries', 'hiring', 'recruitment', 'workforce', 'leave', 'personnel', 'manager', 'job'],
+    tables: [
+      {
+        name: 'departments',
+        description: 'Company departments',
+        lookup: FALLBACK_HR_DEPARTMENTS,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_HR_DEPARTMENTS[row.id - 1] },
+          { name: 'location', type: 'TEXT', value: (ctx) => ctx.pick(ctx.locale.cities), nullable: true, dirty: 'text' }
+        ]
+      },
+      {
+        name: 'jobs',
+        description: 'Job titles with their salary band',
+        lookup: FALLBACK_JOB_TITLES,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'title', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_JOB_TITLES[row.id - 1] },
+          { name: 'min_salary', type: 'REAL', notNull: true, value: (ctx) => ctx.int(30, 70) * 1000 },
+          { name: 'max_salary', type: 'REAL', notNull: true, value: (ctx, row) => row.min_salary + ctx.int(10, 50) * 1000 }
+        ]
+      },
+      {
+        name: 'employees',
+        description: 'Everyone on the payroll; manager_id points at another employee',
+        duplicates: true,
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'first_name', type: 'TEXT', notNull: true, value: (c) => c.pick(c.locale.firstNames), dirty: 'text' },
+          { name: 'last_name', type: 'TEXT', notNull: true, value: (c) => c.pick(c.locale.lastNames), dirty: 'text' },
+          { name: 'email', type: 'TEXT', notNull: true, unique: true, value: (c, row) => c.email(row.first_name, row.last_name, row.id), dirty: 'email' },
+          ctx.reference('department', 'departments', (c) => c.pick(FALLBACK_HR_DEPARTMENTS), { labelName: 'department' }),
+          ctx.reference('job', 'jobs', (c) => c.pick(FALLBACK_JOB_TITLES), { labelName: 'job_title' }),
+          { name: 'manager_id', type: 'INTEGER', references: { table: 'employees', column: 'id' }, value: (c, row) => (row.id === 1 ? null : c.int(1, Math.max(1, Math.min(row.id - 1, 4)))) },
+          { name: 'hire_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'salary', type: 'REAL', value: (c) => c.money(32000, 140000), nullable: true }
+        ]
+      },
+      {
+        name: 'payroll',
+        description: 'Monthly pay slips',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('employee', 'employees', (c) => c.person()),
+          { name: 'pay_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'gross_amount', type: 'REAL', notNull: true, value: (c) => c.money(2500, 9000) },
+          { name: 'net_amount', type: 'REAL', notNull: true, value: (c, row) => Math.round(row.gross_amount * 72) / 100 }
+        ]
+      },
+      {
+        name: 'leave_requests',
+        description: 'Time off requested by employees',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('employee', 'employees', (c) => c.person()),
+          { name: 'leave_type', type: 'TEXT', notNull: true, value: (c) => c.pick(['vacation', 'sick', 'parental', 'unpaid']), dirty: 'status' },
+          { name: 'start_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'days', type: 'INTEGER', notNull: true, value: (c) => c.int(1, 10) },
+          { name: 'status', type: 'TEXT', notNull: true, default: 'pending', value: (c) => c.pick(['approved', 'approved', 'pending', 'rejected']), dirty: 'status' }
+        ]
+      },
+      {
+        name: 'performance_reviews',
+        description: 'Yearly reviews; reviewer_id is the employee who wrote the review',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('employee', 'employees', null),
+          ctx.reference('reviewer', 'employees', (c) => c.person(), { notNull: false, nullable: true, value: (c, row) => c.otherId('employees', row.employee_id) }),
+          { name: 'review_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'rating', type: 'INTEGER', notNull: true, value: (c) => c.int(1, 5) },
+          { name: 'summary', type: 'TEXT', value: (c) => c.pick(['Exceeds expectations', 'Solid year', 'Needs support', 'Ready for promotion', 'Meets expectations']), nullable: true, dirty: 'text' }
+        ]
+      }
+    ],
+    ranks: {
+      denormalized: ['employees', 'payroll', 'leave_requests', 'performance_reviews', 'departments', 'jobs'],
+      normalized: ['employees', 'departments', 'jobs', 'payroll', 'leave_requests', 'performance_reviews']
+    }
+  },
+  healthcare: {
+    name: 'Clinic',
+    description: 'Patients, doctors, appointments and prescriptions at a clinic',
+    keywords: ['hospital', 'clinic', 'patient', 'doctor', 'medical', 'health', 'healthcare', 'appointment', 'nurse', 'prescription', 'diagnosis', 'medicine', 'medication', 'pharmacy'],
+    tables: [
+      {
+        name: 'specialties',
+        description: 'Lookup table of medical specialties',
+        lookup: FALLBACK_SPECIALTIES,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_SPECIALTIES[row.id - 1] }
+        ]
+      },
+      {
+        name: 'medications',
+        description: 'Medicines the clinic can prescribe',
+        lookup: FALLBACK_MEDICATIONS,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_MEDICATIONS[row.id - 1] },
+          { name: 'unit_price', type: 'REAL', notNull: true, value: (ctx) => ctx.money(2, 60) }
+        ]
+      },
+      {
+        name: 'doctors',
+        description: 'Physicians working at the clinic',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'full_name', type: 'TEXT', notNull: true, value: (c) => 'Dr. ' + c.person(), dirty: 'text' },
+          ctx.reference('specialty', 'specialties', (c) => c.pick(FALLBACK_SPECIALTIES), { labelName: 'specialty' }),
+          { name: 'hired_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' }
+        ]
+      },
+      {
+        name: 'patients',
+        description: 'People registered with the clinic',
+        duplicates: true,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'first_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.firstNames), dirty: 'text' },
+          { name: 'last_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.lastNames), dirty: 'text' },
+          { name: 'date_of_birth', type: 'DATE', notNull: true, value: (ctx) => ctx.birthDate(1940, 2020), dirty: 'date' },
+          { name: 'sex', type: 'TEXT', value: (ctx) => ctx.pick(['F', 'M']), nullable: true },
+          { name: 'email', type: 'TEXT', value: (ctx, row) => ctx.email(row.first_name, row.last_name, row.id), nullable: true, dirty: 'email' },
+          { name: 'city', type: 'TEXT', value: (ctx) => ctx.pick(ctx.locale.cities), nullable: true, dirty: 'text' }
+        ]
+      },
+      {
+        name: 'appointments',
+        description: 'Patient visits booked with a doctor',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('patient', 'patients', (c) => c.person()),
+          ctx.reference('doctor', 'doctors', (c) => 'Dr. ' + c.person()),
+          { name: 'scheduled_for', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'status', type: 'TEXT', notNull: true, default: 'scheduled', value: (c) => c.pick(['completed', 'completed', 'scheduled', 'cancelled', 'no-show']), dirty: 'status' },
+          { name: 'reason', type: 'TEXT', value: (c) => c.pick(FALLBACK_VISIT_REASONS), nullable: true, dirty: 'text' }
+        ]
+      },
+      {
+        name: 'prescriptions',
+        description: 'Medicines prescribed during an appointment',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('appointment', 'appointments', null),
+          ctx.reference('medication', 'medications', (c) => c.pick(FALLBACK_MEDICATIONS), { labelName: 'medication' }),
+          { name: 'dosage', type: 'TEXT', notNull: true, value: (c) => c.pick(['1 tablet daily', '2 tablets daily', '1 tablet twice daily', '5 ml three times daily']) },
+          { name: 'days', type: 'INTEGER', notNull: true, value: (c) => c.int(3, 30) }
+        ]
+      }
+    ],
+    ranks: {
+      normalized: ['patients', 'doctors', 'appointments', 'prescriptions', 'medications', 'specialties'],
+      highly_normalized: ['patients', 'doctors', 'appointments', 'specialties', 'medications', 'prescriptions']
+    }
+  },
+  flights: {
+    name: 'Airline bookings',
+    description: 'Airports, flights, passengers and bookings for an airline',
+    keywords: ['flight', 'airline', 'airport', 'airplane', 'aircraft', 'booking', 'passenger', 'travel', 'aviation', 'ticket', 'pilot', 'trip', 'departure'],
+    tables: [
+      {
+        name: 'airports',
+        description: 'Airports served by the network',
+        lookup: FALLBACK_AIRPORTS,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'code', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_AIRPORTS[row.id - 1][0] },
+          { name: 'name', type: 'TEXT', notNull: true, value: (ctx, row) => FALLBACK_AIRPORTS[row.id - 1][1] },
+          { name: 'city', type: 'TEXT', notNull: true, value: (ctx, row) => FALLBACK_AIRPORTS[row.id - 1][2] },
+          { name: 'country', type: 'TEXT', notNull: true, value: (ctx, row) => FALLBACK_AIRPORTS[row.id - 1][3] }
+        ]
+      },
+      {
+        name: 'airlines',
+        description: 'Carriers operating the flights',
+        lookup: FALLBACK_AIRLINES,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_AIRLINES[row.id - 1][0] },
+          { name: 'iata_code', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_AIRLINES[row.id - 1][1] }
+        ]
+      },
+      {
+        name: 'aircraft',
+        description: 'Aircraft models in the fleet',
+        lookup: FALLBACK_AIRCRAFT,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'model', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_AIRCRAFT[row.id - 1][0] },
+          { name: 'seats', type: 'INTEGER', notNull: true, value: (ctx, row) => FALLBACK_AIRCRAFT[row.id - 1][1] }
+        ]
+      },
+      {
+        name: 'passengers',
+        description: 'People who have booked a seat',
+        duplicates: true,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'first_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.firstNames), dirty: 'text' },
+          { name: 'last_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.lastNames), dirty: 'text' },
+          { name: 'email', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => ctx.email(row.first_name, row.last_name, row.id), dirty: 'email' },
+          { name: 'passport_number', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => 'P' + (10000000 + row.id * 7331) },
+          { name: 'nationality', type: 'TEXT', value: (ctx) => ctx.pick(FALLBACK_AIRPORTS)[3], nullable: true, dirty: 'text' }
+        ]
+      },
+      {
+        name: 'flights',
+        description: 'Scheduled flights between two airports',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('airline', 'airlines', (c) => c.pick(FALLBACK_AIRLINES)[0], { labelName: 'airline' }),
+          { name: 'flight_number', type: 'TEXT', notNull: true, unique: true, value: (c, row) => FALLBACK_AIRLINES.find(([name]) => name === (row.airline || c.label('airlines', row.airline_id)))[1] + (100 + row.id) },
+          ctx.reference('origin_airport', 'airports', (c) => c.pick(FALLBACK_AIRPORTS)[1], { labelName: 'origin_airport' }),
+          ctx.reference('destination_airport', 'airports', (c, row) => c.pick(FALLBACK_AIRPORTS.filter(airport => airport[1] !== row.origin_airport))[1], {
+            labelName: 'destination_airport',
+            value: (c, row) => c.otherId('airports', row.origin_airport_id)
+          }),
+          ctx.reference('aircraft', 'aircraft', (c) => c.pick(FALLBACK_AIRCRAFT)[0], { labelName: 'aircraft_model', notNull: false, nullable: true }),
+          { name: 'departure_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'status', type: 'TEXT', notNull: true, default: 'scheduled', value: (c) => c.pick(['scheduled', 'on time', 'delayed', 'cancelled']), dirty: 'status' }
+        ]
+      },
+      {
+        name: 'bookings',
+        description: 'Seats booked by passengers on flights',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('flight', 'flights', null),
+          ctx.reference('passenger', 'passengers', (c) => c.person()),
+          { name: 'seat', type: 'TEXT', value: (c) => c.int(1, 40) + c.pick(['A', 'B', 'C', 'D', 'E', 'F']), nullable: true },
+          { name: 'travel_class', type: 'TEXT', notNull: true, default: 'economy', value: (c) => c.pick(['economy', 'economy', 'economy', 'premium', 'business', 'first']), dirty: 'status' },
+          { name: 'fare', type: 'REAL', notNull: true, value: (c) => c.money(60, 1800) },
+          { name: 'booked_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' }
+        ]
+      }
+    ],
+    ranks: {
+      denormalized: ['flights', 'passengers', 'bookings', 'airports', 'airlines', 'aircraft'],
+      normalized: ['flights', 'airports', 'passengers', 'bookings', 'airlines', 'aircraft'],
+      highly_normalized: ['flights', 'airports', 'airlines', 'passengers', 'bookings', 'aircraft']
+    }
+  },
+  finance: {
+    name: 'Bank',
+    description: 'Customers, accounts, transactions and loans for a retail bank',
+    keywords: ['bank', 'banking', 'finance', 'financial', 'account', 'transaction', 'loan', 'credit', 'payment', 'investment', 'budget', 'card', 'deposit', 'fintech', 'mortgage'],
+    tables: [
+      {
+        name: 'branches',
+        description: 'Bank branches',
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'city', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.cities), dirty: 'text' },
+          { name: 'name', type: 'TEXT', notNull: true, value: (ctx, row) => `${row.city} ${ctx.pick(['Central', 'North', 'Harbour', 'Main Street', 'Riverside'])}` }
+        ]
+      },
+      {
+        name: 'account_types',
+        description: 'Lookup table of account types',
+        lookup: FALLBACK_ACCOUNT_TYPES,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'name', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => FALLBACK_ACCOUNT_TYPES[row.id - 1] }
+        ]
+      },
+      {
+        name: 'customers',
+        description: 'Bank customers',
+        duplicates: true,
+        columns: () => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          { name: 'first_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.firstNames), dirty: 'text' },
+          { name: 'last_name', type: 'TEXT', notNull: true, value: (ctx) => ctx.pick(ctx.locale.lastNames), dirty: 'text' },
+          { name: 'email', type: 'TEXT', notNull: true, unique: true, value: (ctx, row) => ctx.email(row.first_name, row.last_name, row.id), dirty: 'email' },
+          { name: 'date_of_birth', type: 'DATE', notNull: true, value: (ctx) => ctx.birthDate(1945, 2005), dirty: 'date' },
+          { name: 'city', type: 'TEXT', value: (ctx) => ctx.pick(ctx.locale.cities), nullable: true, dirty: 'text' }
+        ]
+      },
+      {
+        name: 'accounts',
+        description: 'Accounts held by customers at a branch',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('customer', 'customers', (c) => c.person()),
+          ctx.reference('branch', 'branches', null, { notNull: false, nullable: true }),
+          ctx.reference('account_type', 'account_types', (c) => c.pick(FALLBACK_ACCOUNT_TYPES), { labelName: 'account_type' }),
+          { name: 'account_number', type: 'TEXT', notNull: true, unique: true, value: (c, row) => 'AC' + String(row.id * 104729).padStart(8, '0') },
+          { name: 'opened_on', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'balance', type: 'REAL', notNull: true, default: 0, value: (c) => c.money(-500, 25000) }
+        ]
+      },
+      {
+        name: 'transactions',
+        description: 'Money moving in (positive amount) or out (negative amount) of an account',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('account', 'accounts', null),
+          { name: 'transaction_type', type: 'TEXT', notNull: true, value: (c) => c.pick(['deposit', 'withdrawal', 'withdrawal', 'transfer', 'fee', 'interest']), dirty: 'status' },
+          { name: 'amount', type: 'REAL', notNull: true, value: (c, row) => {
+            const sign = { deposit: 1, interest: 1, withdrawal: -1, fee: -1 }[row.transaction_type] || c.pick([1, -1]);
+            return sign * (row.transaction_type === 'fee' || row.transaction_type === 'interest' ? c.money(1, 25) : c.money(5, 2000));
+          } },
+          { name: 'transaction_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'description', type: 'TEXT', value: (c) => c.pick(FALLBACK_TRANSACTION_TEXT), nullable: true, dirty: 'text' }
+        ]
+      },
+      {
+        name: 'loans',
+        description: 'Loans taken out by customers',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('customer', 'customers', (c) => c.person()),
+          { name: 'principal', type: 'REAL', notNull: true, value: (c) => c.int(10, 500) * 100 },
+          { name: 'interest_rate', type: 'REAL', notNull: true, value: (c) => c.money(2, 12) },
+          { name: 'start_date', type: 'DATE', notNull: true, value: (c) => c.date(), dirty: 'date' },
+          { name: 'status', type: 'TEXT', notNull: true, default: 'active', value: (c) => c.pick(['active', 'active', 'paid off', 'defaulted']), dirty: 'status' }
+        ]
+      },
+      {
+        name: 'cards',
+        description: 'Debit and credit cards linked to accounts',
+        columns: (ctx) => [
+          { name: 'id', type: 'INTEGER', primaryKey: true, autoIncrement: true },
+          ctx.reference('account', 'accounts', null),
+          { name: 'last_four', type: 'TEXT', notNull: true, value: (c) => String(c.int(0, 9999)).padStart(4, '0') },
+          { name: 'expires_on', type: 'DATE', notNull: true, value: (c) => c.addDays(c.date(), 3 * 365) },
+          { name: 'is_active', type: 'BOOLEAN', notNull: true, default: 1, value: (c) => (c.int(1, 6) === 1 ? 0 : 1) }
+        ]
+      }
+    ],
+    ranks: {
+      denormalized: ['customers', 'accounts', 'transactions', 'loans', 'cards', 'branches', 'account_types'],
+      normalized: ['customers', 'accounts', 'transactions', 'branches', 'loans', 'cards', 'account_types'],
+      highly_normalized: ['customers', 'accounts', 'account_types', 'transactions', 'branches', 'loans', 'cards']
+    }
+  }
+};
+
+// University department row (name and course-code prefix) a course belongs to
+function fallbackDepartment(ctx, row) {
+  const name = row.department_name || ctx.label('departments', row.department_id);
+  return FALLBACK_DEPARTMENTS.find(([departmentName]) => departmentName === name);
+}
+
+// Catalogue domain whose keywords best match the prompt (whole words, plurals allowed).
+// Ties go to the domain listed first; no match at all gives the retail database.
+export function matchFallbackDomain(prompt) {
+  const text = String(prompt || '').toLowerCase();
+  let best = FALLBACK_DEFAULT_DOMAIN;
+  let bestScore = 0;
+  Object.entries(FALLBACK_CATALOGUE).forEach(([domain, entry]) => {
+    const score = entry.keywords.filter(keyword => new RegExp(`\\b${keyword}(s|es)?\\b`).test(text)).length;
+    if (score > bestScore) {
+      best = domain;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function dirtyValue(kind, value, random) {
+  if (value === null || value === undefined) return value;
+  const text = String(value);
+  const roll = random();
+  if (kind === 'date') {
+    const [year, month, day] = text.split('-');
+    return roll < 0.5 ? `${month}/${day}/${year}` : `${day}.${month}.${year}`;
+  }
+  if (kind === 'email') return roll < 0.5 ? text.toUpperCase() : ` ${text}`;
+  if (roll < 0.35) return `${text} `;
+  if (roll < 0.7) return text.toUpperCase();
+  return text.toLowerCase();
+}
+
+// Deterministic stand-in database used when Claude is unavailable, picked from the catalogue by the
+// prompt and shaped by the same generation options (table count, rows, normalization, data quirks,
+// dates and locale) as the AI prompt. Options may be omitted, as they are on the static page.
+export function generateFallbackSchema(prompt, options = {}) {
+  const domain = FALLBACK_CATALOGUE[matchFallbackDomain(prompt)];
+  const normalization = options.normalization || 'normalized';
+  const random = seededRandom(`${prompt}\n${JSON.stringify(options)}`);
+  const tableCount = options.tableCount || FALLBACK_DEFAULT_TABLE_COUNT;
+  const rowCount = options.rowsPerTable || FALLBACK_DEFAULT_ROWS;
+  const quirks = new Set(options.quirks || []);
+  const range = options.dateRange || FALLBACK_DEFAULT_DATE_RANGE;
+  const rangeStart = Date.parse(range.start + 'T00:00:00Z');
+  const rangeDays = Math.round((Date.parse(range.end + 'T00:00:00Z') - rangeStart) / 86400000);
+  const included = new Set((domain.ranks[normalization] || domain.ranks.normalized).slice(0, tableCount));
+  const generated = {};
+
+  const ctx = {
+    locale: GENERATION_LOCALES[options.locale] || GENERATION_LOCALES['en-US'],
+    int: (min, max) => min + Math.floor(random() * (max - min + 1)),
+    pick: (list) => list[Math.floor(random() * list.length)],
+    money: (min, max) => Math.round((min + random() * (max - min)) * 100) / 100,
+    date: () => new Date(rangeStart + Math.floor(random() * (rangeDays + 1)) * 86400000).toISOString().slice(0, 10),
+    addDays: (date, days) => new Date(Date.parse(date + 'T00:00:00Z') + days * 86400000).toISOString().slice(0, 10),
+    birthDate: (fromYear, toYear) => `${ctx.int(fromYear, toYear)}-${String(ctx.int(1, 12)).padStart(2, '0')}-${String(ctx.int(1, 28)).padStart(2, '0')}`,
+    person: () => ctx.pick(ctx.locale.firstNames) + ' ' + ctx.pick(ctx.locale.lastNames),
+    numbered: (list, id) => (id <= list.length ? list[id - 1] : `${list[(id - 1) % list.length]} ${Math.ceil(id / list.length)}`),
+    slug: (text) => text.toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, ''),
+    email: (first, last, id) => `${first}.${last}${id}@example.com`.toLowerCase().normalize('NFD').replace(/[^a-z0-9.@]/g, ''),
+    has: (table) => included.has(table),
+    count: (table) => (generated[table] ? generated[table].length : rowCount),
+    // Random id in `table` other than `avoid` (for pairs such as follower/followee)
+    otherId: (table, avoid) => {
+      const count = ctx.count(table);
+      if (!avoid || count < 2) return ctx.int(1, count);
+      const id = ctx.int(1, count - 1);
+      return id >= avoid ? id + 1 : id;
+    },
+    label: (table, id) => {
+      const row = generated[table] && generated[table][id - 1];
+      if (!row) return null;
+      return row.name || row.title || row.model || row.company_name || row.full_name || row.display_name || `${row.first_name} ${row.last_name}`;
+    },
+    // A foreign key to `table` when it is part of the database, otherwise a text column made by
+    // `label(ctx, row)`. Denormalized databases keep both, copying the parent's label onto every
+    // child row. `key` overrides fields of the key column (value, notNull, nullable).
+    reference: (prefix, table, label, { labelName = `${prefix}_name`, ...key } = {}) => {
+      const keyName = `${prefix}_id`;
+      const keyColumn = { name: keyName, type: 'INTEGER', notNull: true, references: { table, column: 'id' }, value: (c) => c.int(1, c.count(table)), ...key };
+      if (!included.has(table)) {
+        return label && { name: labelName, type: 'TEXT', notNull: keyColumn.notNull, value: label, nullable: keyColumn.nullable, dirty: 'text' };
+      }
+      if (normalization !== 'denormalized' || !label) return keyColumn;
+      return [keyColumn, { name: labelName, type: 'TEXT', value: (c, row) => (row[keyName] ? c.label(table, row[keyName]) : null), dirty: 'text' }];
+    }
+  };
+
+  const tables = [];
+  const designNotes = [];
+  const duplicated = [];
+  domain.tables.filter(table => included.has(table.name)).forEach(table => {
+    const columns = table.columns(ctx).flat().filter(Boolean);
+    const count = table.lookup ? table.lookup.length : rowCount;
+    const rows = [];
+    for (let id = 1; id <= count; id++) {
+      const row = { id };
+      columns.slice(1).forEach(col => {
+        row[col.name] = col.value(ctx, row);
+      });
+      rows.push(row);
+    }
+    generated[table.name] = rows;
+
+    // Quirks are applied after all values exist so labels copied into child tables stay clean
+    const finalRows = rows.map(row => ({ ...row }));
+    if (quirks.has('duplicates') && table.duplicates) {
+      const copies = Math.max(1, Math.floor(count / 10));
+      for (let i = count - copies; i < count; i++) {
+        finalRows[i] = { ...finalRows[ctx.int(0, count - copies - 1)], id: i + 1 };
+      }
+      columns.forEach(col => { col.unique = false; });
+      duplicated.push(table.name);
+    }
+    finalRows.forEach(row => {
+      columns.forEach(col => {
+        if (quirks.has('nulls') && col.nullable && random() < 0.15) row[col.name] = null;
+        else if (quirks.has('dirty') && col.dirty && random() < 0.15) row[col.name] = dirtyValue(col.dirty, row[col.name], random);
+      });
+    });
+
+    tables.push({
+      name: table.name,
+      description: table.description,
+      columns: columns.map(({ value, nullable, dirty, ...col }) => col),
+      rows: finalRows.map(row => columns.map(col => (row[col.name] === undefined ? null : row[col.name])))
+    });
+  });
+
+  if (normalization === 'denormalized') designNotes.push('Names are repeated next to their ids, so there is redundancy to normalize away');
+  if (quirks.has('nulls')) designNotes.push('Some optional columns are NULL');
+  if (duplicated.length > 0) designNotes.push(`The last rows of ${duplicated.join(' and ')} repeat earlier rows under new ids`);
+  if (quirks.has('dirty')) designNotes.push('Some text has stray spaces or odd capitalisation, and some dates use other formats');
+
+  const spec = { name: domain.name, description: `${domain.description} - a built-in sample used while the AI service is unavailable`, tables, designNotes };
+  return renderSchemaSQL(spec, `Fallback SQL Database for: ${prompt}`);
+}
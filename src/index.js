@@ -1,33 +1,12 @@
-function generateFallbackSchema(prompt) {
-  // Simple fallback database for when the API is unavailable
-  return `-- Fallback SQL Database for: ${prompt} --
-Note: This is a simplified database created when the AI service is unavailable
-CREATE TABLE customers (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  name TEXT NOT NULL,
-  email TEXT UNIQUE NOT NULL,
-  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-);
-CREATE TABLE orders (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  customer_id INTEGER NOT NULL,
-  total DECIMAL(10,2) NOT NULL,
-  status TEXT DEFAULT 'pending',
-  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (customer_id) REFERENCES customers(id)
-);
--- Sample data
-INSERT INTO customers (id, name, email) VALUES
-  (1, 'John Smith', 'john@example.com'),
-  (2, 'Emma Johnson', 'emma@example.com'),
-  (3, 'Michael Brown', 'michael@example.com');
-INSERT INTO orders (id, customer_id, total, status) VALUES
-  (1001, 1, 129.99, 'completed'),
-  (1002, 1, 249.95, 'completed'),
-  (1003, 2, 67.50, 'processing'),
-  (1004, 3, 89.99, 'processing'),
-  (1005, 2, 67.50, 'completed');`;
-}
+import initSqlJs from 'sql.js/dist/sql-wasm.js';
+import sqlWasmModule from 'sql.js/dist/sql-wasm.wasm';
+import { renderCreateTableSQL, renderInsertSQL, renderSchemaSQL } from './schema-sql.js';
+import { dryRunAndRepair } from './schema-dry-run.js';
+import { GENERATION_LOCALES, generateFallbackSchema } from './fallback-catalogue.js';
+import { createSQLGrammar, splitSQLStatements } from './sql-grammar.js';
+import { createSQLDialects } from './sql-dialects.js';
+import { createTableCards } from './table-cards.js';
+import { createKVRateLimitStore, createMemoryRateLimitStore, createRateLimiter, getRateLimitConfig, positiveNumber, spendDailyBudget } from './rate-limit.js';
 
 function fallbackCoach({ schema, query, error }) {
   return {
@@ -40,1698 +19,7501 @@ function fallbackCoach({ schema, query, error }) {
   };
 }
 
-export default {
-  async fetch(request, env, ctx) {
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization",
-      "Access-Control-Max-Age": "86400"
-    };
+const CLAUDE_MODEL = 'claude-3-5-sonnet-20241022';
+
+// Send a prompt to Claude and return { text, stopReason } for the first content block. prompt is a
+// single user message, or a [{ role, content }] conversation; options.system sets the system prompt.
+async function callClaudeMessage(apiKey, prompt, maxTokens, { system } = {}) {
+  const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model: CLAUDE_MODEL,
+      max_tokens: maxTokens,
+      ...(system ? { system } : {}),
+      messages: typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt
+    })
+  });
 
-    if (request.method === "OPTIONS") {
-      return new Response(null, { headers: corsHeaders });
+  if (!claudeResponse.ok) {
+    throw new Error(`Claude API error: ${claudeResponse.status}`);
+  }
+  const claudeData = await claudeResponse.json();
+
+  if (!claudeData.content || !claudeData.content[0] || !claudeData.content[0].text) {
+    throw new Error("Invalid response structure from Claude API");
+  }
+  return { text: claudeData.content[0].text, stopReason: claudeData.stop_reason };
+}
+
+// Streaming variant of callClaudeMessage: passes each text delta to onText as it arrives and
+// resolves with the same { text, stopReason }. Aborting `signal` cancels the upstream request.
+async function callClaudeMessageStream(apiKey, prompt, maxTokens, { signal, onText } = {}) {
+  const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model: CLAUDE_MODEL,
+      max_tokens: maxTokens,
+      stream: true,
+      messages: [{ role: 'user', content: prompt }]
+    }),
+    signal
+  });
+
+  if (!claudeResponse.ok || !claudeResponse.body) {
+    throw new Error(`Claude API error: ${claudeResponse.status}`);
+  }
+
+  const reader = claudeResponse.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let stopReason = null;
+
+  const handleEvent = (rawEvent) => {
+    const data = rawEvent.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+    if (!data) return;
+    const event = JSON.parse(data);
+    if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+      text += event.delta.text;
+      if (onText) onText(event.delta.text);
+    } else if (event.type === 'message_delta' && event.delta) {
+      stopReason = event.delta.stop_reason || stopReason;
+    } else if (event.type === 'error') {
+      throw new Error(`Claude API error: ${event.error ? event.error.message : 'stream failed'}`);
     }
+  };
 
-    const url = new URL(request.url);
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) handleEvent(buffer);
 
-    // Endpoint: /generate-schema
-    if (request.method === "POST" && url.pathname === "/generate-schema") {
-      let data;
-      try {
-        data = await request.json();
-      } catch (e) {
-        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
-          status: 400,
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
-      }
-      const { prompt } = data;
-      if (!prompt) {
-        return new Response(JSON.stringify({ error: "Prompt is required" }), {
-          status: 400,
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
-      }
+  if (!text) {
+    throw new Error("Invalid response structure from Claude API");
+  }
+  return { text, stopReason };
+}
 
-      if (!env["claude-sql-api-2"]) {
-        return new Response(JSON.stringify({
-          error: "Claude API key not configured",
-          database: generateFallbackSchema(prompt),
-          source: 'fallback'
-        }), {
-          status: 200,
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
+async function callClaude(apiKey, prompt, maxTokens, options) {
+  const { text } = await callClaudeMessage(apiKey, prompt, maxTokens, options);
+  return text;
+}
+
+// Pull the first JSON object out of a model reply, tolerating ```json fences and surrounding prose
+function parseClaudeJSON(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Remove a surrounding ```sql ... ``` fence from a model-provided snippet
+function stripCodeFence(text) {
+  return text.replace(/^```[a-z]*\s*/i, '').replace(/```\s*$/, '').trim();
+}
+
+// Render the { table: [{ name, type, notNull, defaultValue, primaryKey }] } map
+// that the page builds from PRAGMA table_info as compact DDL-like text
+function describeSchemaForPrompt(schema) {
+  if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) {
+    return '(no tables are currently loaded)';
+  }
+  return Object.entries(schema).map(([tableName, columns]) => {
+    const columnLines = (Array.isArray(columns) ? columns : []).map(col => {
+      let line = `  ${col.name} ${col.type || ''}`.trimEnd();
+      if (col.primaryKey) line += ' PRIMARY KEY';
+      if (col.notNull) line += ' NOT NULL';
+      if (col.defaultValue !== null && col.defaultValue !== undefined) line += ` DEFAULT ${col.defaultValue}`;
+      return line;
+    });
+    return `${tableName} (\n${columnLines.join(',\n')}\n)`;
+  }).join('\n');
+}
+
+// Small edit distance helper used to suggest the table/column the user probably meant
+function closestName(target, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  const a = target.toLowerCase();
+  for (const candidate of candidates) {
+    const b = candidate.toLowerCase();
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+        prev = current;
       }
+    }
+    if (row[b.length] < bestDistance) {
+      bestDistance = row[b.length];
+      best = candidate;
+    }
+  }
+  // Only suggest names that are plausibly a typo of the target
+  return best !== null && bestDistance <= Math.max(2, Math.floor(a.length / 3)) ? best : null;
+}
 
-      const schemaPrompt = `Generate a complete SQL database based on this description: "${prompt}".
-Please include:
-1. CREATE TABLE statements with appropriate data types (use SQLite syntax - INTEGER, TEXT, REAL, BLOB)
-2. Primary keys using INTEGER PRIMARY KEY AUTOINCREMENT
-3. Foreign keys and constraints where appropriate
-4. Sample INSERT statements with realistic data (MINIMUM 20 rows per table - this is required!)
-5. Comments explaining the database design
-IMPORTANT: Each table MUST have at least 20 rows of sample data. This is critical for meaningful SQL practice.
-Use varied, realistic data that represents different scenarios and edge cases.
-Make sure the database is production-ready with proper normalization and relationships.
-Format output as clean, executable SQLite SQL compatible with sql.js.`;
+// Schema-aware fallback used by /api/coaching-response when Claude is unavailable
+function fallbackCoachingResponse({ query, errorMessage, schema, queryAnalysis }) {
+  const base = fallbackCoach({ schema, query, error: errorMessage });
+  const tables = schema && typeof schema === 'object' ? Object.keys(schema) : [];
+  let explanation = base.explanation;
+  let suggestedFix = '';
+  const tips = [...base.hints];
+
+  const missingTable = errorMessage.match(/no such table: ([\w.]+)/i);
+  const missingColumn = errorMessage.match(/no such column: ([\w.]+)/i);
+  const nearToken = errorMessage.match(/near "([^"]+)": syntax error/i);
+
+  if (missingTable) {
+    const tableName = missingTable[1];
+    const suggestion = closestName(tableName, tables);
+    explanation = `The table "${tableName}" does not exist in the current database.`;
+    if (suggestion) {
+      explanation += ` Did you mean "${suggestion}"?`;
+      suggestedFix = query.replace(new RegExp(`\\b${tableName.replace(/\./g, '\\.')}\\b`, 'g'), suggestion);
+    }
+    if (tables.length > 0) {
+      tips.unshift(`Available tables: ${tables.join(', ')}`);
+    }
+  } else if (missingColumn) {
+    const columnRef = missingColumn[1];
+    const columnName = columnRef.split('.').pop();
+    const allColumns = tables.flatMap(t => (schema[t] || []).map(col => col.name));
+    const suggestion = closestName(columnName, [...new Set(allColumns)]);
+    explanation = `The column "${columnRef}" does not exist in the tables your query uses.`;
+    if (suggestion) {
+      explanation += ` Did you mean "${suggestion}"?`;
+      suggestedFix = query.replace(new RegExp(`\\b${columnName}\\b`, 'g'), suggestion);
+    }
+    const referencedTables = queryAnalysis && Array.isArray(queryAnalysis.tables)
+      ? tables.filter(t => queryAnalysis.tables.some(ref => ref.toLowerCase() === t.toLowerCase()))
+      : [];
+    (referencedTables.length > 0 ? referencedTables : tables).forEach(t => {
+      tips.push(`${t} columns: ${(schema[t] || []).map(col => col.name).join(', ')}`);
+    });
+  } else if (nearToken) {
+    explanation = `SQLite could not parse your query near "${nearToken[1]}". Something just before or at that word is out of place.`;
+    tips.unshift('Check for missing commas between columns, unbalanced parentheses and misspelled keywords.');
+  }
 
-      try {
-        const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': env["claude-sql-api-2"],
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: 'claude-3-5-sonnet-20241022',
-            max_tokens: 5000,
-            messages: [{ role: 'user', content: schemaPrompt }]
-          })
-        });
+  return { explanation, suggestedFix, tips };
+}
 
-        if (!claudeResponse.ok) {
-          throw new Error(`Claude API error: ${claudeResponse.status}`);
-        }
-        const claudeData = await claudeResponse.json();
+// Column types accepted in generated schemas, plus the synonyms models like to use instead
+const SCHEMA_COLUMN_TYPES = ['INTEGER', 'TEXT', 'REAL', 'NUMERIC', 'BLOB', 'DATE', 'DATETIME', 'BOOLEAN'];
+const SCHEMA_TYPE_SYNONYMS = {
+  INT: 'INTEGER', BIGINT: 'INTEGER', SMALLINT: 'INTEGER', TINYINT: 'INTEGER', MEDIUMINT: 'INTEGER',
+  VARCHAR: 'TEXT', CHAR: 'TEXT', NVARCHAR: 'TEXT', NCHAR: 'TEXT', CLOB: 'TEXT', STRING: 'TEXT', UUID: 'TEXT',
+  FLOAT: 'REAL', DOUBLE: 'REAL', DECIMAL: 'NUMERIC', MONEY: 'NUMERIC', TIMESTAMP: 'DATETIME', BOOL: 'BOOLEAN'
+};
+function normalizeColumnType(rawType) {
+  const base = String(rawType || '').trim().toUpperCase().replace(/\s*\(.*\)$/, '');
+  if (SCHEMA_COLUMN_TYPES.includes(base)) return base;
+  return SCHEMA_TYPE_SYNONYMS[base] || null;
+}
 
-        if (!claudeData.content || !claudeData.content[0] || !claudeData.content[0].text) {
-          throw new Error("Invalid response structure from Claude API");
-        }
-        const generatedDatabase = claudeData.content[0].text;
+// Validate a model-produced schema object and normalize it into the canonical shape
+// renderSchemaSQL() expects. Returns { spec, errors } - spec is only usable when errors is empty.
+function validateSchemaSpec(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.tables) || raw.tables.length === 0) {
+    return { spec: null, errors: ['Response must be an object with a non-empty "tables" array'] };
+  }
 
-        return new Response(JSON.stringify({
-          database: generatedDatabase,
-          source: 'claude-api'
-        }), {
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
-      } catch (apiError) {
-        return new Response(JSON.stringify({
-          database: generateFallbackSchema(prompt),
-          source: 'fallback',
-          error: `API call failed: ${apiError.message}`
-        }), {
-          status: 200,
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
-      }
+  const identifierPattern = /^[A-Za-z_][A-Za-z0-9_]*$/;
+  const tables = [];
+  const seenTables = new Set();
+
+  raw.tables.forEach((rawTable, tableIndex) => {
+    const tableName = rawTable && typeof rawTable.name === 'string' ? rawTable.name.trim() : '';
+    if (!identifierPattern.test(tableName)) {
+      errors.push(`Table #${tableIndex + 1} has an invalid name "${tableName}"`);
+      return;
+    }
+    if (seenTables.has(tableName.toLowerCase())) {
+      errors.push(`Table "${tableName}" is defined more than once`);
+      return;
     }
+    seenTables.add(tableName.toLowerCase());
 
-    // Endpoint: /explain-sql-error
-    if (request.method === "POST" && url.pathname === "/explain-sql-error") {
-      let data;
-      try {
-        data = await request.json();
-      } catch (e) {
-        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
-          status: 400,
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
+    if (!Array.isArray(rawTable.columns) || rawTable.columns.length === 0) {
+      errors.push(`Table "${tableName}" has no columns`);
+      return;
+    }
+
+    const columns = [];
+    const seenColumns = new Set();
+    rawTable.columns.forEach((rawColumn, columnIndex) => {
+      const columnName = rawColumn && typeof rawColumn.name === 'string' ? rawColumn.name.trim() : '';
+      if (!identifierPattern.test(columnName)) {
+        errors.push(`Column #${columnIndex + 1} of "${tableName}" has an invalid name "${columnName}"`);
+        return;
       }
-      const { schema, query, error } = data;
-      if (!schema || !query || !error) {
-        return new Response(JSON.stringify({ error: "Missing required fields: schema, query, error" }), {
-          status: 400,
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
+      if (seenColumns.has(columnName.toLowerCase())) {
+        errors.push(`Column "${tableName}.${columnName}" is defined more than once`);
+        return;
       }
+      seenColumns.add(columnName.toLowerCase());
 
-      if (!env["claude-sql-api-2"]) {
-        return new Response(JSON.stringify({
-          error: "Claude API key not configured",
-          coaching: fallbackCoach({ schema, query, error }),
-          source: 'fallback'
-        }), {
-          status: 200,
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
+      const type = normalizeColumnType(rawColumn.type);
+      if (!type) {
+        errors.push(`Column "${tableName}.${columnName}" has unsupported type "${rawColumn.type}"`);
+        return;
       }
 
-      const coachPrompt = `You are an expert SQL tutor.
-Given:
-1. The database schema:
-${schema}
-2. The user's SQL query:
-${query}
-3. The error message:
-${error}
-Please:
-- Explain the root cause in plain English.
-- Suggest specific fixes and/or beginner-friendly hints.
-Format your answer as JSON with fields:
-{
-  "explanation": "...",
-  "suggested_fix": "...",
-  "hints": ["...", "..."]
-}`;
+      const column = {
+        name: columnName,
+        type,
+        primaryKey: Boolean(rawColumn.primaryKey),
+        autoIncrement: Boolean(rawColumn.autoIncrement),
+        notNull: Boolean(rawColumn.notNull),
+        unique: Boolean(rawColumn.unique)
+      };
+      if (rawColumn.default !== undefined && (rawColumn.default === null || typeof rawColumn.default !== 'object')) {
+        column.default = rawColumn.default;
+      }
+      if (typeof rawColumn.check === 'string' && rawColumn.check.trim() !== '') {
+        if (rawColumn.check.includes(';')) {
+          errors.push(`Column "${tableName}.${columnName}" has a CHECK expression containing ";"`);
+        } else {
+          column.check = rawColumn.check.trim();
+        }
+      }
+      if (rawColumn.references && typeof rawColumn.references === 'object') {
+        column.references = {
+          table: String(rawColumn.references.table || ''),
+          column: String(rawColumn.references.column || '')
+        };
+      }
+      columns.push(column);
+    });
 
-      try {
-        const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': env["claude-sql-api-2"],
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: 'claude-3-5-sonnet-20241022',
-            max_tokens: 1500,
-            messages: [{ role: 'user', content: coachPrompt }]
-          })
-        });
+    const primaryKeys = columns.filter(col => col.primaryKey);
+    columns.forEach(col => {
+      if (col.autoIncrement && (primaryKeys.length !== 1 || !col.primaryKey || col.type !== 'INTEGER')) {
+        col.autoIncrement = false;
+      }
+    });
 
-        if (!claudeResponse.ok) {
-          throw new Error(`Claude API error: ${claudeResponse.status}`);
+    // Rows may come back as arrays in column order or as objects keyed by column name
+    const rows = [];
+    (Array.isArray(rawTable.rows) ? rawTable.rows : []).forEach((rawRow, rowIndex) => {
+      let values = rawRow;
+      if (rawRow && typeof rawRow === 'object' && !Array.isArray(rawRow)) {
+        values = columns.map(col => (col.name in rawRow ? rawRow[col.name] : null));
+      }
+      if (!Array.isArray(values) || values.length !== columns.length) {
+        errors.push(`Row #${rowIndex + 1} of "${tableName}" has ${Array.isArray(values) ? values.length : 0} values but the table has ${columns.length} columns`);
+        return;
+      }
+      if (values.some(value => value !== null && typeof value === 'object')) {
+        errors.push(`Row #${rowIndex + 1} of "${tableName}" contains a nested object or array value`);
+        return;
+      }
+      rows.push(values);
+    });
+    if (rows.length === 0) {
+      errors.push(`Table "${tableName}" has no sample rows`);
+    }
+
+    tables.push({
+      name: tableName,
+      description: typeof rawTable.description === 'string' ? rawTable.description : '',
+      columns,
+      rows
+    });
+  });
+
+  // Foreign keys must point at a declared table and column
+  const tableByName = new Map(tables.map(table => [table.name.toLowerCase(), table]));
+  tables.forEach(table => {
+    table.columns.forEach(col => {
+      if (!col.references) return;
+      const target = tableByName.get(col.references.table.toLowerCase());
+      if (!target) {
+        errors.push(`"${table.name}.${col.name}" references unknown table "${col.references.table}"`);
+      } else if (!target.columns.some(c => c.name.toLowerCase() === col.references.column.toLowerCase())) {
+        errors.push(`"${table.name}.${col.name}" references unknown column "${col.references.table}.${col.references.column}"`);
+      } else {
+        // SQLite only enforces foreign keys that point at the parent's primary key or a UNIQUE column
+        const parentColumn = target.columns.find(c => c.name.toLowerCase() === col.references.column.toLowerCase());
+        const soleKey = parentColumn.primaryKey && target.columns.filter(c => c.primaryKey).length === 1;
+        if (!soleKey && !parentColumn.unique) {
+          errors.push(`"${table.name}.${col.name}" references "${col.references.table}.${col.references.column}", which is neither the primary key nor UNIQUE`);
         }
-        const claudeData = await claudeResponse.json();
+      }
+    });
+  });
 
-        const rawResponse = claudeData.content[0]?.text || "";
+  if (errors.length > 0) {
+    return { spec: null, errors };
+  }
 
-        let coaching;
+  // Order tables so that every referenced table is created (and filled) before the tables pointing at it
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (table) => {
+    if (ordered.includes(table) || visiting.has(table)) return;
+    visiting.add(table);
+    table.columns.forEach(col => {
+      if (col.references) visit(tableByName.get(col.references.table.toLowerCase()));
+    });
+    visiting.delete(table);
+    ordered.push(table);
+  };
+  tables.forEach(visit);
+
+  return {
+    spec: {
+      name: typeof raw.name === 'string' ? raw.name : '',
+      description: typeof raw.description === 'string' ? raw.description : '',
+      tables: ordered,
+      designNotes: Array.isArray(raw.designNotes) ? raw.designNotes.filter(note => typeof note === 'string') : []
+    },
+    errors: []
+  };
+}
+
+// Salvage a JSON object whose text was cut off (max_tokens) by trimming back to the
+// last complete array element and closing every container that is still open
+function repairTruncatedJSON(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  let safeEnd = -1;
+  let safeClosers = null;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      closers.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      closers.pop();
+      if (closers.length === 0) {
         try {
-          if (rawResponse.trim().startsWith("{")) {
-            coaching = JSON.parse(rawResponse);
-          } else {
-            coaching = {
-              explanation: rawResponse,
-              suggested_fix: "",
-              hints: []
-            };
-          }
-        } catch (parseError) {
-          coaching = {
-            explanation: rawResponse,
-            suggested_fix: "",
-            hints: []
-          };
+          return JSON.parse(text.slice(start, i + 1));
+        } catch (e) {
+          return null;
         }
-
-        return new Response(JSON.stringify({ coaching, source: 'claude-api' }), {
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
-      } catch (err) {
-        return new Response(JSON.stringify({
-          error: err.message,
-          coaching: fallbackCoach({ schema, query, error }),
-          source: 'fallback'
-        }), {
-          status: 200,
-          headers: { "Content-Type": "application/json", ...corsHeaders }
-        });
+      }
+      if (closers[closers.length - 1] === ']') {
+        safeEnd = i + 1;
+        safeClosers = closers.slice();
       }
     }
+  }
 
+  if (safeEnd === -1) return null;
+  try {
+    return JSON.parse(text.slice(start, safeEnd) + safeClosers.reverse().join(''));
+  } catch (e) {
+    return null;
+  }
+}
 
-    // Serve index.html for root path
-    if (url.pathname === "/" || url.pathname === "") {
-      const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>AI SQL Playground</title>
-  <script src="https://cdn.tailwindcss.com"></script>
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" />
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/codemirror.min.css" />
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/theme/monokai.min.css" />
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/codemirror.min.js"></script>
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/mode/sql/sql.min.js"></script>
-  <!-- SQL.js Library for in-browser SQLite -->
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/sql-wasm.js"></script>
-  <style>
-    .schema-panel {
-      transition: all 0.3s ease;
-    }
-    .schema-panel.collapsed {
-      transform: translateX(-100%);
-      opacity: 0;
-    }
-    .CodeMirror {
-      height: 300px;
-      border: 1px solid #d1d5db;
-      border-radius: 0.375rem;
-      font-size: 14px;
-    }
-    .schema-display {
-      background: #f8fafc;
-      border: 1px solid #e2e8f0;
-      border-radius: 0.375rem;
-      padding: 1rem;
-      font-family: 'Courier New', monospace;
-      font-size: 12px;
-      line-height: 1.5;
-      max-height: 400px;
-      overflow-y: auto;
-      white-space: pre-wrap;
-      word-wrap: break-word;
+// sql.js for the dry run, set up once per isolate. Workers cannot compile WebAssembly at runtime,
+// so the module Wrangler bundles from the .wasm import is instantiated directly.
+let sqlEnginePromise = null;
+
+function loadSQLEngine() {
+  if (!sqlEnginePromise) {
+    sqlEnginePromise = initSqlJs({
+      instantiateWasm(imports, receiveInstance) {
+        WebAssembly.instantiate(sqlWasmModule, imports).then(instance => receiveInstance(instance));
+        return {};
+      }
+    }).catch(error => {
+      sqlEnginePromise = null;
+      throw error;
+    });
+  }
+  return sqlEnginePromise;
+}
+
+// Ask Claude to correct the rows the dry run flagged. Returns [{ table, row, values }].
+async function requestRowFixes(apiKey, spec, report) {
+  const problems = [];
+  report.failures.filter(failure => failure.row).slice(0, 40).forEach(failure => {
+    problems.push(`- ${failure.table} row ${failure.row} ${JSON.stringify(failure.values)}: ${failure.error}`);
+  });
+  report.foreignKeyViolations.slice(0, 40).forEach(violation => {
+    const table = spec.tables.find(t => t.name === violation.table);
+    problems.push(`- ${violation.table} row ${violation.row} ${JSON.stringify(table.rows[violation.row - 1])}: ${violation.column} = ${JSON.stringify(violation.value)} has no matching ${violation.references}`);
+  });
+
+  const involvedTables = new Set([
+    ...report.failures.filter(f => f.table).map(f => f.table),
+    ...report.foreignKeyViolations.flatMap(v => [v.table, v.references.split('.')[0]])
+  ]);
+  const tableNotes = spec.tables.filter(table => involvedTables.has(table.name)).map(table => {
+    const columns = table.columns.map(col => {
+      const flags = [col.type];
+      if (col.primaryKey) flags.push('PRIMARY KEY');
+      if (col.notNull) flags.push('NOT NULL');
+      if (col.unique) flags.push('UNIQUE');
+      if (col.references) flags.push(`REFERENCES ${col.references.table}(${col.references.column})`);
+      return `${col.name} ${flags.join(' ')}`;
+    });
+    const primaryKeyIndex = table.columns.findIndex(col => col.primaryKey);
+    const existingKeys = primaryKeyIndex === -1 ? '' : `\n  existing ${table.columns[primaryKeyIndex].name} values: ${table.rows.slice(0, 60).map(row => JSON.stringify(row[primaryKeyIndex])).join(', ')}`;
+    return `${table.name}(${columns.join(', ')})${existingKeys}`;
+  });
+
+  const fixPrompt = `Some sample rows of a SQLite practice database fail to load or break foreign keys.
+Tables involved (columns in order):
+${tableNotes.join('\n')}
+
+Problems (row numbers are 1-based positions in each table's rows):
+${problems.join('\n')}
+
+Return corrected values for every listed row, keeping the data realistic and consistent with the other rows.
+Respond with JSON only, in exactly this shape:
+{ "fixes": [ { "table": "table_name", "row": 1, "values": ["every", "column", "in", "order"] } ] }`;
+
+  const parsed = parseClaudeJSON(await callClaude(apiKey, fixPrompt, 3000));
+  return parsed && Array.isArray(parsed.fixes) ? parsed.fixes : [];
+}
+
+// Incremental scanner for the schema JSON while it streams in. Calls onColumns(rawTable, index)
+// as soon as a table's "columns" array closes (rows not yet received) and onTable(rawTable, index)
+// once the whole table object closes. Anything it cannot parse is left to the final validation.
+function createSchemaStreamParser({ onColumns, onTable }) {
+  let text = '';
+  let position = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastString = null;
+  let pendingKey = null;
+  let tableCount = 0;
+  const stack = []; // open containers: { type: '{' | '[', key, start }
+
+  const isTablesArray = (entry) => entry && entry.type === '[' && entry.key === 'tables' && stack.indexOf(entry) === 1;
+
+  function safeParse(json) {
+    try {
+      return JSON.parse(json);
+    } catch (e) {
+      return null;
     }
-    .schema-display .sql-keyword {
-      color: #1e40af; 
-      font-weight: bold;
+  }
+
+  function push(chunk) {
+    text += chunk;
+    for (; position < text.length; position++) {
+      const char = text[position];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          lastString = text.slice(stringStart + 1, position);
+        }
+        continue;
+      }
+      if (char === '"') {
+        inString = true;
+        stringStart = position;
+      } else if (char === ':') {
+        pendingKey = lastString;
+      } else if (char === ',') {
+        pendingKey = null;
+      } else if (char === '{' || char === '[') {
+        const parent = stack[stack.length - 1];
+        stack.push({ type: char, key: parent && parent.type === '{' ? pendingKey : null, start: position });
+        pendingKey = null;
+      } else if (char === '}' || char === ']') {
+        const closed = stack.pop();
+        if (!closed) continue;
+        const table = stack[stack.length - 1];
+        if (closed.type === '[' && closed.key === 'columns' && table && table.type === '{' && isTablesArray(stack[stack.length - 2])) {
+          const rawTable = safeParse(text.slice(table.start, position + 1) + '}');
+          if (rawTable && onColumns) onColumns(rawTable, tableCount);
+        } else if (closed.type === '{' && isTablesArray(table)) {
+          const rawTable = safeParse(text.slice(closed.start, position + 1));
+          if (rawTable && onTable) onTable(rawTable, tableCount);
+          tableCount++;
+        }
+      }
     }
-    .schema-display .sql-comment {
-      color: #6b7280;
-      font-style: italic;
+  }
+
+  return { push };
+}
+
+// Generation options accepted by /generate-schema. null means "let the generator decide".
+const NORMALIZATION_LEVELS = {
+  denormalized: 'Denormalized: a few wide tables that repeat descriptive values (customer names on orders, product names on order lines) so students can practise spotting redundancy.',
+  normalized: 'Normalized to third normal form: every fact is stored once and related tables are joined through foreign keys.',
+  highly_normalized: 'Highly normalized: move repeated text values such as statuses, categories and types into lookup tables referenced by id, and use junction tables for many-to-many relationships.'
+};
+const DATA_QUIRKS = {
+  nulls: 'Leave roughly 10-15% of the values in optional (nullable) columns NULL so students can practise IS NULL and COALESCE.',
+  duplicates: 'Include a few duplicate records (the same data stored again under a different id) so students can practise finding duplicates with GROUP BY ... HAVING. Never put UNIQUE on a column that holds duplicated values.',
+  dirty: 'Include dirty values for data-cleaning exercises: stray leading/trailing spaces, inconsistent capitalisation, mixed date formats in text columns and misspelled category values. Dirty values must still satisfy every column constraint.'
+};
+const GENERATION_OPTION_DEFAULTS = {
+  tableCount: null,
+  rowsPerTable: null,
+  normalization: 'normalized',
+  quirks: [],
+  dateRange: null,
+  locale: 'en-US'
+};
+const GENERATION_LIMITS = { minTables: 2, maxTables: 10, minRows: 5, maxRows: 60, maxTotalRows: 300 };
+
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(value + 'T00:00:00Z');
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Checks the optional `options` of a /generate-schema request. Returns { options } with every
+// field present (defaults filled in, quirks sorted) so equal requests share a cache key, or { error }.
+function validateGenerationOptions(raw) {
+  if (raw === undefined || raw === null) raw = {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'options must be an object' };
+  }
+  const unknown = Object.keys(raw).find(key => !(key in GENERATION_OPTION_DEFAULTS));
+  if (unknown) {
+    return { error: `Unknown generation option "${unknown}"` };
+  }
+  const options = { ...GENERATION_OPTION_DEFAULTS, ...raw };
+  const { minTables, maxTables, minRows, maxRows, maxTotalRows } = GENERATION_LIMITS;
+
+  if (options.tableCount !== null && !(Number.isInteger(options.tableCount) && options.tableCount >= minTables && options.tableCount <= maxTables)) {
+    return { error: `tableCount must be a whole number from ${minTables} to ${maxTables}` };
+  }
+  if (options.rowsPerTable !== null && !(Number.isInteger(options.rowsPerTable) && options.rowsPerTable >= minRows && options.rowsPerTable <= maxRows)) {
+    return { error: `rowsPerTable must be a whole number from ${minRows} to ${maxRows}` };
+  }
+  // Everything has to fit in one model response, so cap the total as well as each dimension
+  const totalRows = (options.tableCount || 4) * (options.rowsPerTable || 20);
+  if (totalRows > maxTotalRows) {
+    return { error: `${options.tableCount || 4} tables of ${options.rowsPerTable || 20} rows is too much data for one generation (limit ${maxTotalRows} rows in total)` };
+  }
+  if (!(options.normalization in NORMALIZATION_LEVELS)) {
+    return { error: `normalization must be one of: ${Object.keys(NORMALIZATION_LEVELS).join(', ')}` };
+  }
+  if (!Array.isArray(options.quirks) || options.quirks.some(quirk => !(quirk in DATA_QUIRKS))) {
+    return { error: `quirks must be a list containing only: ${Object.keys(DATA_QUIRKS).join(', ')}` };
+  }
+  options.quirks = [...new Set(options.quirks)].sort();
+  if (options.dateRange !== null) {
+    const { start, end } = options.dateRange || {};
+    if (!isIsoDate(start) || !isIsoDate(end)) {
+      return { error: 'dateRange needs start and end dates in YYYY-MM-DD format' };
     }
-    .schema-display .sql-string {
-      color: #78bf4d;
+    if (start > end) {
+      return { error: 'dateRange start must not be after its end' };
     }
-    .table-container {
-      max-height: 400px;
-      overflow-y: auto;
+    options.dateRange = { start, end };
+  }
+  if (!(options.locale in GENERATION_LOCALES)) {
+    return { error: `locale must be one of: ${Object.keys(GENERATION_LOCALES).join(', ')}` };
+  }
+  return { options };
+}
+
+// Extra prompt rules for the chosen options (the defaults add only the locale rule)
+function describeGenerationOptions(options) {
+  const rules = [];
+  if (options.tableCount) {
+    rules.push(`- Create exactly ${options.tableCount} tables.`);
+  }
+  if (options.normalization !== GENERATION_OPTION_DEFAULTS.normalization) {
+    rules.push(`- Design style: ${NORMALIZATION_LEVELS[options.normalization]}`);
+  }
+  options.quirks.forEach(quirk => rules.push(`- ${DATA_QUIRKS[quirk]}`));
+  if (options.dateRange) {
+    rules.push(`- Every date and timestamp falls between ${options.dateRange.start} and ${options.dateRange.end}.`);
+  }
+  rules.push(`- Names, addresses, phone numbers and prices should look realistic for the ${GENERATION_LOCALES[options.locale].label} locale (${options.locale}); keep table and column names in English.`);
+  return rules;
+}
+
+function buildSchemaPrompt(prompt, options = GENERATION_OPTION_DEFAULTS) {
+  return `Design a realistic SQLite practice database for this description: "${prompt}".
+Respond with a single JSON object and nothing else (no markdown, no commentary), in exactly this shape:
+{
+  "name": "short database name",
+  "description": "one sentence describing the database",
+  "tables": [
+    {
+      "name": "snake_case_table_name",
+      "description": "what the table stores",
+      "columns": [
+        { "name": "id", "type": "INTEGER", "primaryKey": true, "autoIncrement": true },
+        { "name": "email", "type": "TEXT", "notNull": true, "unique": true },
+        { "name": "customer_id", "type": "INTEGER", "notNull": true, "references": { "table": "customers", "column": "id" } },
+        { "name": "status", "type": "TEXT", "default": "active", "check": "status IN ('active', 'closed')" }
+      ],
+      "rows": [
+        [1, "ana@example.com", 3, "active"]
+      ]
     }
-    .error-panel {
-      transition: all 0.3s ease;
-      max-height: 0;
-      overflow: hidden;
+  ],
+  "designNotes": ["why the tables and relationships look the way they do"]
+}
+Rules:
+- Column types must be one of: ${SCHEMA_COLUMN_TYPES.join(', ')}.
+- Every table has exactly one INTEGER primary key column named "id" unless it is a pure junction table.
+- Each row is an array of values in the same order as the table's columns; use null for missing values.
+- ${options.rowsPerTable
+    ? `Every table MUST have exactly ${options.rowsPerTable} rows`
+    : 'Every table MUST have at least 20 rows'} of varied, realistic data including a few edge cases.
+- "check" is optional: a SQLite expression over the table's columns (ranges, allowed values) that every row satisfies.
+- Foreign key values must match ids that exist in the referenced table.
+- List parent tables before the tables that reference them.
+${describeGenerationOptions(options).join('\n')}`;
+}
+
+// Ask Claude for a structured schema, repairing truncated output and retrying once with the
+// validation errors before giving up. Returns { spec, attempts, repaired }.
+// With onText the reply is streamed; onAttempt(attempt, previousErrors) runs before each request.
+// beforeRetry() is awaited before the second request, and a throw from it ends the generation.
+async function generateSchemaSpec(apiKey, prompt, options = GENERATION_OPTION_DEFAULTS, { signal, onText, onAttempt, beforeRetry } = {}) {
+  const basePrompt = buildSchemaPrompt(prompt, options);
+  let currentPrompt = basePrompt;
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    if (attempt > 1 && beforeRetry) await beforeRetry();
+    if (onAttempt) onAttempt(attempt, lastErrors);
+    const { text, stopReason } = onText
+      ? await callClaudeMessageStream(apiKey, currentPrompt, 8000, { signal, onText })
+      : await callClaudeMessage(apiKey, currentPrompt, 8000);
+
+    let raw = parseClaudeJSON(text);
+    let repaired = false;
+    if (!raw && stopReason === 'max_tokens') {
+      raw = repairTruncatedJSON(text);
+      repaired = Boolean(raw);
+      if (raw && Array.isArray(raw.tables)) {
+        // The last table was most likely cut off mid-way; drop anything that lost its rows
+        raw.tables = raw.tables.filter(table => table && Array.isArray(table.rows) && table.rows.length > 0);
+      }
     }
-    .error-panel.show {
-      max-height: 200px;
+
+    if (raw) {
+      const { spec, errors } = validateSchemaSpec(raw);
+      // A wrong table count is worth one retry, but not worth falling back over
+      if (errors.length === 0 && options.tableCount && spec.tables.length !== options.tableCount && attempt === 1) {
+        errors.push(`Expected exactly ${options.tableCount} tables but got ${spec.tables.length}`);
+      }
+      if (errors.length === 0) {
+        return { spec, attempts: attempt, repaired };
+      }
+      lastErrors = errors;
+    } else {
+      lastErrors = [stopReason === 'max_tokens'
+        ? 'The response was cut off before the JSON was complete'
+        : 'The response was not a valid JSON object'];
     }
-    .debug-panel {
-      transition: all 0.3s ease;
-      max-height: 0;
-      overflow: hidden;
+
+    currentPrompt = `${basePrompt}
+
+Your previous answer could not be used because of these problems:
+${lastErrors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+Return the complete corrected JSON object. Keep it compact: short descriptions and no more than ${options.rowsPerTable || 25} rows per table.`;
+  }
+
+  throw new Error(`Schema validation failed: ${lastErrors.slice(0, 3).join('; ')}`);
+}
+
+// Dry-run and render a generated spec into the /generate-schema response body (minus source/cached).
+// beforeFixes() is awaited before asking Claude for row fixes; if it throws, failing rows are dropped.
+async function finishGeneratedDatabase(apiKey, prompt, generated, beforeFixes) {
+  const { spec, validation } = await dryRunAndRepair(await loadSQLEngine(), generated.spec,
+    apiKey ? async report => {
+      await beforeFixes();
+      return requestRowFixes(apiKey, generated.spec, report);
+    } : null);
+  return {
+    database: renderSchemaSQL(spec, `${spec.name || 'Generated database'} - ${prompt}`),
+    schema: spec,
+    validation,
+    attempts: generated.attempts,
+    repaired: generated.repaired,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// generateSchemaSpec hooks for the streaming mode of /generate-schema. Each table is reported to
+// `emit` twice: as 'table' with its CREATE TABLE once the columns are complete, then as 'rows'
+// with its INSERT block once the table's rows are. A table whose foreign keys point at a table
+// that has not streamed yet waits until that parent has been reported. A retry starts the tables
+// over. Table events carry the number of characters received so far, which the page turns into progress.
+function schemaStreamHooks(emit, signal) {
+  let parser = null;
+  let completed = [];
+  let created = new Set();
+  let waiting = []; // [{ rawTable, index }] complete tables that did not validate yet
+  let characters = 0;
+  let reported = 0;
+
+  // Validate against the tables completed so far so foreign keys to earlier tables resolve
+  const validateStreamed = (rawTable) => {
+    const { spec } = validateSchemaSpec({ tables: [...completed, rawTable] });
+    return spec ? spec.tables.find(table => table.name === String(rawTable.name).trim()) : null;
+  };
+  const emitCreate = (table, index) => {
+    created.add(table.name);
+    emit('table', { index, name: table.name, columns: table.columns.length, sql: renderCreateTableSQL(table), characters });
+  };
+
+  const callbacks = {
+    onColumns(rawTable, index) {
+      // A placeholder row keeps the "no sample rows" check quiet until the rows arrive
+      const columns = Array.isArray(rawTable.columns) ? rawTable.columns : [];
+      const table = validateStreamed({ ...rawTable, rows: [columns.map(() => null)] });
+      if (table) emitCreate(table, index);
+    },
+    onTable(rawTable, index) {
+      waiting.push({ rawTable, index });
+      // Every table that validates can let a waiting child through, so repeat until nothing changes
+      let progressed = true;
+      while (progressed) {
+        progressed = false;
+        waiting = waiting.filter(entry => {
+          const table = validateStreamed(entry.rawTable);
+          if (!table) return true;
+          completed.push(entry.rawTable);
+          if (!created.has(table.name)) emitCreate(table, entry.index);
+          emit('rows', { index: entry.index, name: table.name, rows: table.rows.length, sql: renderInsertSQL(table), characters });
+          progressed = true;
+          return false;
+        });
+      }
     }
-    .debug-panel.show {
-      max-height: 300px;
+  };
+
+  return {
+    signal,
+    onAttempt(attempt, previousErrors) {
+      parser = createSchemaStreamParser(callbacks);
+      completed = [];
+      created = new Set();
+      waiting = [];
+      characters = 0;
+      reported = 0;
+      emit('attempt', { attempt, errors: previousErrors.slice(0, 5) });
+    },
+    onText(chunk) {
+      characters += chunk.length;
+      parser.push(chunk);
+      if (characters - reported >= 2000) {
+        reported = characters;
+        emit('progress', { characters });
+      }
     }
-    .results-panel {
-      transition: all 0.3s ease;
-      max-height: 0;
-      overflow: hidden;
+  };
+}
+
+const EXERCISE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+function describeForeignKeysForPrompt(foreignKeys) {
+  if (!Array.isArray(foreignKeys) || foreignKeys.length === 0) {
+    return '(none declared)';
+  }
+  return foreignKeys.map(fk => `${fk.table}.${fk.column} -> ${fk.references}`).join('\n');
+}
+
+// Normalize model- or fallback-produced exercises: single SELECT solutions, easy -> hard order
+function normalizeExercises(rawExercises) {
+  const exercises = [];
+  (Array.isArray(rawExercises) ? rawExercises : []).forEach(raw => {
+    if (!raw || typeof raw.question !== 'string' || typeof raw.solution !== 'string') return;
+    const solution = stripCodeFence(raw.solution).replace(/;\s*$/, '');
+    // One read-only statement: the page runs it against the user's database to grade answers, and
+    // WITH ... DELETE or a second statement after a semicolon would change the data
+    const statements = splitSQLStatements(solution);
+    if (statements.length !== 1 || statements[0].kind !== 'SELECT') return;
+    const difficulty = EXERCISE_DIFFICULTIES.includes(String(raw.difficulty).toLowerCase())
+      ? String(raw.difficulty).toLowerCase()
+      : 'medium';
+    exercises.push({
+      id: `ex-${exercises.length + 1}`,
+      title: typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : `Exercise ${exercises.length + 1}`,
+      difficulty,
+      question: raw.question.trim(),
+      hint: typeof raw.hint === 'string' ? raw.hint.trim() : '',
+      solution,
+      orderSensitive: typeof raw.orderSensitive === 'boolean' ? raw.orderSensitive : /\bORDER\s+BY\b/i.test(solution)
+    });
+  });
+  exercises.sort((a, b) => EXERCISE_DIFFICULTIES.indexOf(a.difficulty) - EXERCISE_DIFFICULTIES.indexOf(b.difficulty));
+  exercises.forEach((exercise, index) => { exercise.id = `ex-${index + 1}`; });
+  return exercises;
+}
+
+// Schema-driven exercises used when Claude is unavailable
+function generateFallbackExercises(schema, foreignKeys) {
+  const tables = Object.keys(schema);
+  const exercises = [];
+  const columnsOf = (table) => schema[table] || [];
+  // Keys identify rows rather than describe them, so averaging or grouping by them makes no exercise
+  const foreignKeyColumns = new Set((Array.isArray(foreignKeys) ? foreignKeys : []).map(fk => `${fk.table}.${fk.column}`.toLowerCase()));
+  const isKeyColumn = (table, col) => Boolean(col.primaryKey) || /^id$|_id$/i.test(col.name) || /[a-z]Id$/.test(col.name) ||
+    foreignKeyColumns.has(`${table}.${col.name}`.toLowerCase());
+  const textColumns = (table) => columnsOf(table).filter(col => /CHAR|TEXT|CLOB/i.test(col.type || '') && !isKeyColumn(table, col));
+  const textColumn = (table) => textColumns(table)[0];
+  // Prefer low-cardinality looking columns for GROUP BY questions
+  const categoryColumn = (table) => textColumns(table).find(col => /status|type|category|city|country|state|region|department|genre|role|level|method/i.test(col.name)) || textColumn(table);
+  const numericColumn = (table) => columnsOf(table).find(col => /INT|REAL|NUM|DEC|FLOA|DOUB/i.test(col.type || '') && !isKeyColumn(table, col));
+
+  tables.forEach(table => {
+    exercises.push({
+      title: `Count ${table}`,
+      difficulty: 'easy',
+      question: `How many rows are in the ${table} table? Return a single column.`,
+      hint: 'COUNT(*) counts every row.',
+      solution: `SELECT COUNT(*) FROM ${table}`
+    });
+  });
+
+  tables.slice(0, 2).forEach(table => {
+    const columns = columnsOf(table).slice(0, 3).map(col => col.name);
+    const orderColumn = (columnsOf(table).find(col => col.primaryKey) || columnsOf(table)[0]).name;
+    exercises.push({
+      title: `First five ${table}`,
+      difficulty: 'easy',
+      question: `List ${columns.join(', ')} for the first 5 rows of ${table}, ordered by ${orderColumn}.`,
+      hint: 'Combine ORDER BY with LIMIT.',
+      solution: `SELECT ${columns.join(', ')} FROM ${table} ORDER BY ${orderColumn} LIMIT 5`,
+      orderSensitive: true
+    });
+  });
+
+  tables.forEach(table => {
+    const group = categoryColumn(table);
+    if (!group) return;
+    exercises.push({
+      title: `${table} by ${group.name}`,
+      difficulty: 'medium',
+      question: `For each distinct ${group.name} in ${table}, show the ${group.name} and how many rows have it.`,
+      hint: 'GROUP BY the column you want one row per value of.',
+      solution: `SELECT ${group.name}, COUNT(*) FROM ${table} GROUP BY ${group.name}`
+    });
+    const measure = numericColumn(table);
+    if (measure) {
+      exercises.push({
+        title: `Average ${measure.name} per ${group.name}`,
+        difficulty: 'medium',
+        question: `Show each ${group.name} in ${table} with the average ${measure.name}, highest average first.`,
+        hint: 'Aggregate with AVG() and sort on the aggregate.',
+        solution: `SELECT ${group.name}, AVG(${measure.name}) AS avg_${measure.name} FROM ${table} GROUP BY ${group.name} ORDER BY avg_${measure.name} DESC`,
+        orderSensitive: true
+      });
     }
-    .results-panel.show {
-      max-height: 600px;
+  });
+
+  (Array.isArray(foreignKeys) ? foreignKeys : []).slice(0, 2).forEach(fk => {
+    const [parentTable, parentColumn] = String(fk.references).split('.');
+    if (!schema[parentTable] || !schema[fk.table]) return;
+    const label = textColumn(parentTable);
+    const labelColumn = label ? label.name : parentColumn;
+    exercises.push({
+      title: `${fk.table} per ${parentTable}`,
+      difficulty: 'hard',
+      question: `For every row in ${parentTable}, show its ${labelColumn} and how many ${fk.table} rows reference it, including ${parentTable} with none.`,
+      hint: `A LEFT JOIN keeps ${parentTable} rows without matches; COUNT a column from ${fk.table}.`,
+      solution: `SELECT p.${labelColumn}, COUNT(c.${fk.column}) AS ${fk.table}_count FROM ${parentTable} p LEFT JOIN ${fk.table} c ON c.${fk.column} = p.${parentColumn} GROUP BY p.${parentColumn}, p.${labelColumn}`
+    });
+  });
+
+  return normalizeExercises(exercises).slice(0, 8);
+}
+
+// Keyword fallback for /nl-to-sql: find the table the question is about and give a starter query
+function fallbackNaturalLanguageQuery(question, schema) {
+  const lowerQuestion = question.toLowerCase();
+  const tables = Object.keys(schema);
+  const table = tables.find(name => lowerQuestion.includes(name.toLowerCase()))
+    || tables.find(name => lowerQuestion.includes(name.toLowerCase().replace(/s$/, '')));
+
+  if (!table) {
+    return {
+      sql: '',
+      explanation: `I could not tell which table the question is about. Available tables: ${tables.join(', ')}.`,
+      confidence: 0
+    };
+  }
+  if (/\b(how many|count|number of)\b/.test(lowerQuestion)) {
+    return {
+      sql: `SELECT COUNT(*) AS ${table}_count FROM ${table};`,
+      explanation: `Counts the rows in ${table}. This is a basic keyword match because the AI service is unavailable.`,
+      confidence: 0.3
+    };
+  }
+  return {
+    sql: `SELECT * FROM ${table} LIMIT 10;`,
+    explanation: `Shows a sample of ${table}. This is a basic keyword match because the AI service is unavailable - refine the query to answer your question.`,
+    confidence: 0.1
+  };
+}
+
+// Query reviews: how much of the result and plan the page sends is passed on to Claude
+const REVIEW_SAMPLE_ROWS = 10;
+const REVIEW_MAX_CELL_LENGTH = 80;
+const REVIEW_MAX_PLAN_LINES = 40;
+const REVIEW_AGGREGATE_PATTERN = /\b(COUNT|SUM|AVG|MIN|MAX|TOTAL|GROUP_CONCAT|STRING_AGG)\s*\(/i;
+
+// Keep the review payload small and well-formed whatever the page sends
+function normalizeReviewInput({ resultSample, plan }) {
+  const sample = resultSample && Array.isArray(resultSample.columns) && Array.isArray(resultSample.rows)
+    ? {
+        columns: resultSample.columns.map(String),
+        rows: resultSample.rows.slice(0, REVIEW_SAMPLE_ROWS).map(row => (Array.isArray(row) ? row : []).map(value => (
+          value === null || value === undefined ? null : String(value).slice(0, REVIEW_MAX_CELL_LENGTH)
+        ))),
+        rowCount: Number.isFinite(Number(resultSample.rowCount)) ? Number(resultSample.rowCount) : resultSample.rows.length
+      }
+    : null;
+  const planLines = Array.isArray(plan) ? plan.slice(0, REVIEW_MAX_PLAN_LINES).map(String) : [];
+  return { sample, planLines };
+}
+
+function describeResultSampleForPrompt(sample) {
+  if (!sample) return '(not run: the query changes data, so only its plan was checked)';
+  if (sample.rows.length === 0) return `Columns: ${sample.columns.join(', ') || '(none)'}\n(no rows returned)`;
+  const lines = sample.rows.map(row => row.map(value => (value === null ? 'NULL' : value)).join(' | '));
+  return `${sample.rowCount} row(s) in total; first ${sample.rows.length}:\n${sample.columns.join(' | ')}\n${lines.join('\n')}`;
+}
+
+// Split on commas that are not inside parentheses or quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
     }
-    .loading-popup {
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background: rgba(0, 0, 0, 0.5);
-      z-index: 1000;
-      display: none;
-      align-items: center;
-      justify-content: center;
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// Rule-based review used by /api/query-review when Claude is unavailable
+function fallbackQueryReview({ query, resultSample, plan }) {
+  const { sample, planLines } = normalizeReviewInput({ resultSample, plan });
+  const code = String(query).replace(/'(?:[^']|'')*'/g, "''").replace(/--[^\n]*/g, '').replace(/\s+/g, ' ').trim();
+  const correctness = [];
+  const performance = [];
+  const style = [];
+
+  const joins = (code.match(/\bJOIN\b/gi) || []).length - (code.match(/\b(CROSS|NATURAL)\s+JOIN\b/gi) || []).length;
+  const joinConditions = (code.match(/\b(ON|USING)\b/gi) || []).length;
+  if (joins > joinConditions) {
+    correctness.push('A JOIN has no ON or USING condition, so every row is paired with every row of the other table (a cartesian product).');
+  }
+  const commaJoin = /\bFROM\s+[\w."]+(?:\s+(?:AS\s+)?\w+)?\s*,\s*[\w."]+/i.test(code);
+  if (commaJoin && !/\bWHERE\b/i.test(code)) {
+    correctness.push('Tables listed with commas in FROM but no WHERE condition produce every combination of rows (a cartesian product).');
+  } else if (commaJoin) {
+    style.push('Prefer explicit JOIN ... ON over comma-separated tables; the join condition then sits next to the table it belongs to.');
+  }
+
+  const select = /^\s*SELECT\s+(DISTINCT\s+)?(.+?)\s+FROM\b/i.exec(code);
+  const groupBy = /\bGROUP BY\s+(.+?)(?:\s+HAVING\b|\s+ORDER BY\b|\s+LIMIT\b|\s+WINDOW\b|;|$)/i.exec(code);
+  if (select) {
+    const items = splitTopLevel(select[2]);
+    const plainItems = items.filter(item => item !== '*' && !REVIEW_AGGREGATE_PATTERN.test(item) && !/^('.*'|\d+(\.\d+)?|NULL)(\s+AS\s+\w+)?$/i.test(item));
+    if (groupBy) {
+      const grouped = splitTopLevel(groupBy[1]).map(item => item.toLowerCase());
+      const ungrouped = plainItems.filter(item => {
+        const [expression, alias] = item.split(/\s+AS\s+/i).map(part => part.trim().toLowerCase());
+        const bare = expression.split('.').pop();
+        return !grouped.some(group => group === expression || group === alias || group.split('.').pop() === bare || /^\d+$/.test(group));
+      });
+      if (ungrouped.length > 0) {
+        correctness.push(`${ungrouped.join(', ')} ${ungrouped.length === 1 ? 'is' : 'are'} selected but neither grouped nor aggregated; SQLite returns a value from an arbitrary row of each group (other databases reject the query).`);
+      }
+    } else if (plainItems.length > 0 && items.some(item => REVIEW_AGGREGATE_PATTERN.test(item)) && !/\bOVER\s*\(/i.test(code)) {
+      correctness.push(`The query mixes aggregates with ${plainItems.join(', ')} but has no GROUP BY, so it collapses everything into one row.`);
     }
-    .loading-popup.show {
-      display: flex;
+    if (items.includes('*') || items.some(item => /\.\*$/.test(item))) {
+      style.push('SELECT * returns every column; list the columns you need so the result stays stable when the table changes.');
     }
-    .loading-content {
-      background: white;
-      padding: 2rem;
-      border-radius: 0.75rem;
-      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
-      text-align: center;
-      max-width: 400px;
-      margin: 1rem;
+    if (!select[1] && sample && sample.rows.length > 1) {
+      const seen = new Set(sample.rows.map(row => JSON.stringify(row)));
+      if (seen.size < sample.rows.length) {
+        correctness.push('The result contains duplicate rows. If each row should appear once, use DISTINCT or check the joins for unintended matches.');
+      }
     }
-    .loading-spinner {
-      width: 3rem;
-      height: 3rem;
-      border: 3px solid #e5e7eb;
-      border-top: 3px solid #3b82f6;
-      border-radius: 50%;
-      animation: spin 1s linear infinite;
-      margin: 0 auto 1rem;
+  }
+  if (/\bLIMIT\b/i.test(code) && !/\bORDER BY\b/i.test(code)) {
+    correctness.push('LIMIT without ORDER BY returns whichever rows SQLite reads first; add ORDER BY to make the result predictable.');
+  }
+
+  planLines.forEach(line => {
+    const scan = /^\s*SCAN (\S+)$/.exec(line);
+    if (scan && /\bWHERE\b/i.test(code)) {
+      performance.push(`The plan reads every row of ${scan[1]} even though the query filters rows; an index on the filtered columns may help (try Explain).`);
     }
-    @keyframes spin {
-      0% { transform: rotate(0deg); }
-      100% { transform: rotate(360deg); }
+    if (/USE TEMP B-TREE FOR ORDER BY/.test(line)) {
+      performance.push('Sorting needs a temporary B-tree; an index matching the ORDER BY columns lets SQLite read rows already in order.');
     }
-    .db-status {
-      display: inline-flex;
-      align-items: center;
-      gap: 0.5rem;
-      padding: 0.25rem 0.75rem;
-      border-radius: 0.375rem;
-      font-size: 0.875rem;
-      font-weight: 500;
+  });
+  if (/\bWHERE\b[^;]*\b(LOWER|UPPER|SUBSTR|strftime|date)\s*\(\s*[\w.]+/i.test(code)) {
+    performance.push('Wrapping a column in a function inside WHERE stops SQLite from using an index on that column.');
+  }
+  if (/\bLIKE\s+'%/i.test(String(query))) {
+    performance.push("A LIKE pattern that starts with % cannot use an index, so every row has to be checked.");
+  }
+
+  const issues = correctness.length + performance.length;
+  return {
+    summary: issues === 0
+      ? 'No common problems found by the basic checks. The AI reviewer is unavailable, so logic errors specific to your question are not covered.'
+      : `Basic checks found ${issues} thing${issues === 1 ? '' : 's'} worth a look. The AI reviewer is unavailable, so this is not a full review.`,
+    correctness,
+    performance: [...new Set(performance)],
+    style,
+    suggestedQuery: ''
+  };
+}
+
+// Coaching chat: the page sends the whole thread; only the most recent turns that fit are passed on
+const COACHING_CHAT_MAX_TURNS = 12;
+const COACHING_CHAT_MAX_MESSAGE_LENGTH = 2000;
+const COACHING_CHAT_MAX_HISTORY_LENGTH = 12000;
+
+// Returns { messages, trimmed }: alternating user/assistant turns that open and close with the user
+function trimChatHistory(messages) {
+  const alternating = [];
+  (Array.isArray(messages) ? messages : []).forEach(message => {
+    if (!message || (message.role !== 'user' && message.role !== 'assistant') || typeof message.content !== 'string' || !message.content.trim()) {
+      return;
     }
-    .db-status.connected {
-      background-color: #dcfce7;
-      color: #166534;
+    const content = message.content.length > COACHING_CHAT_MAX_MESSAGE_LENGTH
+      ? message.content.slice(0, COACHING_CHAT_MAX_MESSAGE_LENGTH) + ' [...]'
+      : message.content;
+    const last = alternating[alternating.length - 1];
+    if (last && last.role === message.role) {
+      last.content += '\n\n' + content;
+    } else {
+      alternating.push({ role: message.role, content });
     }
-    .db-status.disconnected {
-      background-color: #fee2e2;
-      color: #991b1b;
+  });
+
+  const kept = [];
+  let length = 0;
+  for (let i = alternating.length - 1; i >= 0 && kept.length < COACHING_CHAT_MAX_TURNS; i--) {
+    length += alternating[i].content.length;
+    if (length > COACHING_CHAT_MAX_HISTORY_LENGTH && kept.length > 0) break;
+    kept.unshift(alternating[i]);
+  }
+  while (kept.length > 0 && kept[0].role !== 'user') kept.shift();
+  return { messages: kept, trimmed: alternating.length - kept.length };
+}
+
+function describeChatContext(context) {
+  const lines = [`The student's query:\n${context.query}`];
+  if (context.errorMessage) {
+    let location = '';
+    if (context.location && (context.location.line || context.location.column)) {
+      location = ` (line ${context.location.line || '?'}, column ${context.location.column || '?'})`;
     }
-    .table-info {
-      background: #f0f9ff;
-      border: 1px solid #0ea5e9;
-      border-radius: 0.375rem;
-      padding: 0.75rem;
+    lines.push(`SQLite error${location}: ${context.errorMessage}`);
+  } else {
+    lines.push('The query runs without errors.');
+  }
+  if (context.previousAnswer) {
+    lines.push(`Your first answer to the student was:\n${String(context.previousAnswer).slice(0, COACHING_CHAT_MAX_MESSAGE_LENGTH)}`);
+  }
+  return lines.join('\n\n');
+}
+
+const FALLBACK_CHAT_TOPICS = [
+  [/\bleft\s+(outer\s+)?join\b/i, 'A LEFT JOIN keeps every row of the left table, even when nothing matches on the right; the right-hand columns are NULL for those rows. An INNER JOIN drops rows without a match, which is why switching to LEFT JOIN brings missing rows back.'],
+  [/\bhaving\b/i, 'WHERE filters rows before they are grouped; HAVING filters groups after aggregation. Conditions on COUNT(*), SUM(...) and other aggregates belong in HAVING.'],
+  [/\bgroup\s+by\b|\baggregat/i, 'Every column in SELECT has to be in GROUP BY or inside an aggregate such as COUNT, SUM or MAX. GROUP BY produces one row per distinct combination of the grouped columns.'],
+  [/\bnull\b/i, 'NULL means "unknown", so a comparison such as = NULL is never true. Use IS NULL or IS NOT NULL, and COALESCE(column, fallback) to replace NULLs.'],
+  [/\bdistinct\b|\bduplicat/i, 'Duplicate rows usually come from a join that matches several rows on the other side. Check the join condition first; DISTINCT hides duplicates but can also hide a wrong join.'],
+  [/\bindex|\bslow|\bperformance|\bfaster/i, 'An index lets SQLite find matching rows without reading the whole table. Columns used in WHERE, JOIN ... ON and ORDER BY are the usual candidates; the Explain button shows whether a query uses one.'],
+  [/\bsubquer|\bcte\b|\bwith\b/i, 'A subquery or a WITH (CTE) block computes an intermediate result you can select from or compare against. CTEs name that step, which makes long queries easier to read.']
+];
+
+// Rule-based reply used by /api/coaching-chat when Claude is unavailable
+function fallbackCoachingChat({ context, messages, hintOnly }) {
+  const question = messages[messages.length - 1].content;
+  const topic = FALLBACK_CHAT_TOPICS.find(([pattern]) => pattern.test(question));
+  let reply = topic
+    ? topic[1]
+    : 'I can only answer common questions (joins, GROUP BY, HAVING, NULL, duplicates, indexes, subqueries) while the AI coach is unavailable.';
+  if (!topic && context.errorMessage) {
+    reply += ` For this error, re-read the message "${context.errorMessage}" and check the part of the query it points to.`;
+  }
+  if (hintOnly) {
+    reply += ' Try applying that to your query before looking for a full answer.';
+  }
+  return { reply };
+}
+
+// Request rates are limited per Worker instance; the daily AI budget lives in the AI_BUDGET KV
+// namespace so every instance draws from the same one (in memory without it, for local development)
+const rateLimiter = createRateLimiter(createMemoryRateLimitStore());
+const memoryBudgetStore = createMemoryRateLimitStore();
+
+function getBudgetStore(env) {
+  return env.AI_BUDGET ? createKVRateLimitStore(env.AI_BUDGET) : memoryBudgetStore;
+}
+
+// Characters a schema (string or JSON) adds to a prompt, checked against maxSchemaLength
+function schemaPayloadLength(...parts) {
+  return parts.reduce((length, part) => {
+    if (part === undefined || part === null) return length;
+    return length + (typeof part === 'string' ? part.length : JSON.stringify(part).length);
+  }, 0);
+}
+
+// Schema generation cache: prompts that only differ in case, spacing or punctuation (with the
+// same options) reuse the validated database instead of calling Claude again. Production uses
+// the SCHEMA_CACHE KV namespace; without it entries live in this isolate's memory.
+const SCHEMA_CACHE_VERSION = 1; // bump when the prompt or response shape changes
+const DEFAULT_SCHEMA_CACHE_TTL_SECONDS = 24 * 60 * 60;
+const SCHEMA_CACHE_MEMORY_LIMIT = 100;
+const memorySchemaCache = new Map();
+
+function normalizeSchemaPrompt(prompt) {
+  return String(prompt).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// JSON with sorted object keys, so { a, b } and { b, a } produce the same cache key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+async function schemaCacheKey(prompt, options) {
+  const material = `${SCHEMA_CACHE_VERSION}\n${CLAUDE_MODEL}\n${normalizeSchemaPrompt(prompt)}\n${stableStringify(options || {})}`;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function getSchemaCache(env) {
+  const ttlSeconds = Math.max(60, positiveNumber(env.SCHEMA_CACHE_TTL_SECONDS, DEFAULT_SCHEMA_CACHE_TTL_SECONDS));
+  if (env.SCHEMA_CACHE) {
+    const kv = env.SCHEMA_CACHE;
+    return {
+      get: (key) => kv.get('schema:' + key, 'json'),
+      put: (key, entry) => kv.put('schema:' + key, JSON.stringify(entry), { expirationTtl: ttlSeconds })
+    };
+  }
+  return {
+    get: async (key) => {
+      const item = memorySchemaCache.get(key);
+      if (!item) return null;
+      if (item.expiresAt <= Date.now()) {
+        memorySchemaCache.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+    put: async (key, entry) => {
+      memorySchemaCache.delete(key);
+      memorySchemaCache.set(key, { entry, expiresAt: Date.now() + ttlSeconds * 1000 });
+      // Maps iterate in insertion order, so the first key is the oldest entry
+      while (memorySchemaCache.size > SCHEMA_CACHE_MEMORY_LIMIT) {
+        memorySchemaCache.delete(memorySchemaCache.keys().next().value);
+      }
+    }
+  };
+}
+
+// Shared database links: immutable snapshots (SQL dump + optional starter query) stored
+// under short random ids. Production uses the SHARED_DATABASES KV namespace; without it
+// (wrangler dev) shares are kept in this isolate's memory and vanish when it restarts.
+const SHARE_MAX_SQL_BYTES = 1024 * 1024;
+const SHARE_MAX_STARTER_QUERY_LENGTH = 10000;
+const SHARE_MAX_NAME_LENGTH = 100;
+const SHARE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const SHARE_ID_LENGTH = 10;
+const SHARE_ID_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+const memoryShareStore = new Map();
+
+function getShareStore(env) {
+  if (env.SHARED_DATABASES) {
+    const kv = env.SHARED_DATABASES;
+    return {
+      get: (id) => kv.get('share:' + id, 'json'),
+      put: (id, record) => kv.put('share:' + id, JSON.stringify(record), { expirationTtl: SHARE_TTL_SECONDS })
+    };
+  }
+  return {
+    get: async (id) => memoryShareStore.get(id) || null,
+    put: async (id, record) => {
+      // Drop expired entries so a long-running dev server does not grow without bound
+      for (const [key, entry] of memoryShareStore) {
+        if (Date.parse(entry.expiresAt) <= Date.now()) memoryShareStore.delete(key);
+      }
+      memoryShareStore.set(id, record);
+    }
+  };
+}
+
+function generateShareId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(SHARE_ID_LENGTH));
+  return Array.from(bytes, byte => SHARE_ID_ALPHABET[byte % SHARE_ID_ALPHABET.length]).join('');
+}
+
+// Checks a POST /share body; returns { share } or { error, status }
+function validateShareRequest(data) {
+  const { name, sql, starterQuery } = data || {};
+  if (typeof sql !== 'string' || !sql.trim()) {
+    return { error: "Missing required field: sql", status: 400 };
+  }
+  const sqlBytes = new TextEncoder().encode(sql).length;
+  if (sqlBytes > SHARE_MAX_SQL_BYTES) {
+    return { error: `Database is too large to share (${Math.ceil(sqlBytes / 1024)} KB, limit ${SHARE_MAX_SQL_BYTES / 1024} KB)`, status: 413 };
+  }
+  if (starterQuery !== undefined && starterQuery !== null && typeof starterQuery !== 'string') {
+    return { error: "starterQuery must be a string", status: 400 };
+  }
+  if (starterQuery && starterQuery.length > SHARE_MAX_STARTER_QUERY_LENGTH) {
+    return { error: `Starter query is too long (limit ${SHARE_MAX_STARTER_QUERY_LENGTH} characters)`, status: 413 };
+  }
+  return {
+    share: {
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, SHARE_MAX_NAME_LENGTH) : 'Shared database',
+      sql,
+      starterQuery: starterQuery ? starterQuery : ''
+    }
+  };
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const corsHeaders = {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Session-Id",
+      "Access-Control-Expose-Headers": "Retry-After",
+      "Access-Control-Max-Age": "86400"
+    };
+
+    if (request.method === "OPTIONS") {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    const url = new URL(request.url);
+    const rateLimitConfig = getRateLimitConfig(env);
+
+    const rateLimitedResponse = (verdict) => new Response(JSON.stringify({ error: verdict.message, reason: verdict.reason, retryAfter: verdict.retryAfter }), {
+      status: 429,
+      headers: {
+        "Content-Type": "application/json",
+        "Retry-After": String(verdict.retryAfter),
+        ...corsHeaders
+      }
+    });
+    // A budget store failure lets the call through rather than failing the request
+    const chargeDailyBudget = async () => {
+      try {
+        return await spendDailyBudget(getBudgetStore(env), { route: url.pathname, config: rateLimitConfig });
+      } catch (budgetError) {
+        console.error('Daily budget check failed:', budgetError);
+        return { allowed: true };
+      }
+    };
+    // Called by each route right before its first call to Claude; returns the 429 response when
+    // the day's budget is spent
+    const overDailyBudget = async () => {
+      const verdict = await chargeDailyBudget();
+      return verdict.allowed ? null : rateLimitedResponse(verdict);
+    };
+    // Called before every further call to Claude in the same request (schema retries and row
+    // fixes); throws once the budget is spent, so the route handles it like a failed call
+    const chargeFollowUpCall = async () => {
+      const verdict = await chargeDailyBudget();
+      if (!verdict.allowed) throw new Error(verdict.message);
+    };
+    const schemaTooLarge = (...parts) => (schemaPayloadLength(...parts) > rateLimitConfig.maxSchemaLength
+      ? new Response(JSON.stringify({ error: `Schema is too large (limit ${rateLimitConfig.maxSchemaLength} characters)` }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        })
+      : null);
+
+    if (request.method === "POST" && rateLimitConfig.routes[url.pathname]) {
+      const sessionId = request.headers.get("X-Session-Id");
+      const verdict = await rateLimiter.check({
+        route: url.pathname,
+        ip: request.headers.get("CF-Connecting-IP") || "unknown",
+        sessionId: sessionId && /^[A-Za-z0-9-]{8,64}$/.test(sessionId) ? sessionId : null,
+        config: rateLimitConfig
+      });
+      if (!verdict.allowed) {
+        return rateLimitedResponse(verdict);
+      }
+    }
+
+    // Endpoint: /generate-schema
+    if (request.method === "POST" && url.pathname === "/generate-schema") {
+      let data;
+      try {
+        data = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { prompt, options, regenerate, stream } = data;
+      if (!prompt) {
+        return new Response(JSON.stringify({ error: "Prompt is required" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      if (String(prompt).length > rateLimitConfig.maxPromptLength) {
+        return new Response(JSON.stringify({ error: `Prompt is too long (limit ${rateLimitConfig.maxPromptLength} characters)` }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const { options: generationOptions, error: optionsError } = validateGenerationOptions(options);
+      if (optionsError) {
+        return new Response(JSON.stringify({ error: optionsError }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const apiKey = env["claude-sql-api-2"];
+      if (!apiKey) {
+        return new Response(JSON.stringify({
+          error: "Claude API key not configured",
+          database: generateFallbackSchema(prompt, generationOptions),
+          schema: null,
+          validation: null,
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      // A cache failure should never cost the user their database, so lookups and writes
+      // fall through to a normal generation
+      const schemaCache = getSchemaCache(env);
+      const cacheKey = await schemaCacheKey(prompt, generationOptions);
+      if (!regenerate) {
+        try {
+          const hit = await schemaCache.get(cacheKey);
+          if (hit) {
+            return new Response(JSON.stringify({ ...hit, source: 'claude-api', cached: true }), {
+              headers: { "Content-Type": "application/json", ...corsHeaders }
+            });
+          }
+        } catch (cacheError) {
+          console.error('Schema cache lookup failed:', cacheError);
+        }
+      }
+      // Only cache databases that load cleanly after repairs
+      const cacheResult = async (result) => {
+        if (!result.validation.ok) return;
+        try {
+          await schemaCache.put(cacheKey, result);
+        } catch (cacheError) {
+          console.error('Schema cache write failed:', cacheError);
+        }
+      };
+      const fallbackResult = (apiError) => ({
+        database: generateFallbackSchema(prompt, generationOptions),
+        schema: null,
+        validation: null,
+        source: 'fallback',
+        error: `API call failed: ${apiError.message}`
+      });
+
+      const overBudget = await overDailyBudget();
+      if (overBudget) return overBudget;
+
+      // Streaming mode: Server-Sent Events carrying Claude's progress, each table as it completes,
+      // and finally the same body as the JSON response in a 'done' event
+      if (stream) {
+        const { readable, writable } = new TransformStream();
+        const writer = writable.getWriter();
+        const encoder = new TextEncoder();
+        const upstream = new AbortController();
+        // A failed write means the browser cancelled or went away, so stop paying for tokens
+        const emit = (event, payload) => {
+          if (upstream.signal.aborted) return;
+          writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`)).catch(() => upstream.abort());
+        };
+        if (request.signal) {
+          request.signal.addEventListener('abort', () => upstream.abort());
+        }
+
+        const work = (async () => {
+          try {
+            emit('stage', { stage: 'generating', message: 'Claude is designing your tables...' });
+            const generated = await generateSchemaSpec(apiKey, prompt, generationOptions, {
+              ...schemaStreamHooks(emit, upstream.signal),
+              beforeRetry: chargeFollowUpCall
+            });
+            if (upstream.signal.aborted) return;
+            emit('stage', { stage: 'validating', message: 'Checking that every row loads...' });
+            const result = await finishGeneratedDatabase(apiKey, prompt, generated, chargeFollowUpCall);
+            await cacheResult(result);
+            emit('done', { ...result, source: 'claude-api', cached: false });
+          } catch (apiError) {
+            if (!upstream.signal.aborted) emit('done', fallbackResult(apiError));
+          } finally {
+            writer.close().catch(() => {});
+          }
+        })();
+        if (ctx && ctx.waitUntil) ctx.waitUntil(work);
+
+        return new Response(readable, {
+          headers: { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", ...corsHeaders }
+        });
+      }
+
+      try {
+        const generated = await generateSchemaSpec(apiKey, prompt, generationOptions, { beforeRetry: chargeFollowUpCall });
+        const result = await finishGeneratedDatabase(apiKey, prompt, generated, chargeFollowUpCall);
+        await cacheResult(result);
+
+        return new Response(JSON.stringify({ ...result, source: 'claude-api', cached: false }), {
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      } catch (apiError) {
+        return new Response(JSON.stringify(fallbackResult(apiError)), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+    }
+
+    // Endpoint: /generate-exercises
+    if (request.method === "POST" && url.pathname === "/generate-exercises") {
+      let data;
+      try {
+        data = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { schema, foreignKeys } = data || {};
+      if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) {
+        return new Response(JSON.stringify({ error: "Schema with at least one table is required" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const count = Math.min(10, Math.max(3, parseInt(data.count, 10) || 6));
+
+      const schemaError = schemaTooLarge(schema, foreignKeys);
+      if (schemaError) return schemaError;
+
+      if (!env["claude-sql-api-2"]) {
+        return new Response(JSON.stringify({
+          error: "Claude API key not configured",
+          exercises: generateFallbackExercises(schema, foreignKeys),
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const overBudget = await overDailyBudget();
+      if (overBudget) return overBudget;
+
+      const exercisePrompt = `You are writing SQL practice exercises for a student who is learning SQLite.
+Database schema:
+${describeSchemaForPrompt(schema)}
+
+Foreign keys:
+${describeForeignKeysForPrompt(foreignKeys)}
+
+Write ${count} exercises that progress from easy (single-table filters and sorting) through medium
+(aggregation, GROUP BY/HAVING, simple joins) to hard (multi-table joins, subqueries, CTEs, window functions).
+Only use tables and columns that exist above. Each exercise needs:
+- "title": a short name
+- "difficulty": "easy", "medium" or "hard"
+- "question": the task in plain English, naming the columns the answer should return
+- "hint": one nudge that does not give the answer away
+- "solution": ONE SQLite SELECT statement (no trailing semicolon) that answers the question exactly
+- "orderSensitive": true only when the question asks for a specific row order
+Respond with JSON only: { "exercises": [ ... ] }`;
+
+      try {
+        const parsed = parseClaudeJSON(await callClaude(env["claude-sql-api-2"], exercisePrompt, 3000));
+        const exercises = normalizeExercises(parsed && parsed.exercises);
+        if (exercises.length === 0) {
+          throw new Error("No usable exercises in Claude response");
+        }
+
+        return new Response(JSON.stringify({ exercises, source: 'claude-api' }), {
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      } catch (err) {
+        return new Response(JSON.stringify({
+          error: err.message,
+          exercises: generateFallbackExercises(schema, foreignKeys),
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+    }
+
+    // Endpoint: /nl-to-sql
+    if (request.method === "POST" && url.pathname === "/nl-to-sql") {
+      let data;
+      try {
+        data = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { question, schema, foreignKeys, previousAttempt } = data || {};
+      if (!question || !schema || typeof schema !== 'object' || Object.keys(schema).length === 0) {
+        return new Response(JSON.stringify({ error: "Missing required fields: question, schema" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      if (String(question).length > rateLimitConfig.maxPromptLength) {
+        return new Response(JSON.stringify({ error: `Question is too long (limit ${rateLimitConfig.maxPromptLength} characters)` }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const schemaError = schemaTooLarge(schema, foreignKeys);
+      if (schemaError) return schemaError;
+
+      if (!env["claude-sql-api-2"]) {
+        return new Response(JSON.stringify({
+          ...fallbackNaturalLanguageQuery(question, schema),
+          error: "Claude API key not configured",
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const overBudget = await overDailyBudget();
+      if (overBudget) return overBudget;
+
+      let retryNote = '';
+      if (previousAttempt && previousAttempt.sql && previousAttempt.error) {
+        retryNote = `
+Your previous answer was:
+${previousAttempt.sql}
+SQLite rejected it with: ${previousAttempt.error}
+Fix the problem in your new answer.
+`;
+      }
+
+      const nlPrompt = `You translate questions about a database into SQLite queries for a student learning SQL.
+Database schema:
+${describeSchemaForPrompt(schema)}
+
+Foreign keys:
+${describeForeignKeysForPrompt(foreignKeys)}
+
+Question: ${question}
+${retryNote}
+Write ONE SQLite query that answers the question using only the tables and columns above.
+Prefer readable SQL with meaningful column aliases. Respond with JSON only:
+{
+  "sql": "the query, no markdown",
+  "explanation": "how the query answers the question, in 1-3 sentences a beginner can follow",
+  "confidence": 0.0 to 1.0 (how sure you are that the query answers the question as asked)
+}`;
+
+      try {
+        const parsed = parseClaudeJSON(await callClaude(env["claude-sql-api-2"], nlPrompt, 1000));
+        if (!parsed || typeof parsed.sql !== 'string' || !parsed.sql.trim()) {
+          throw new Error("No SQL in Claude response");
+        }
+        const confidence = Number(parsed.confidence);
+
+        return new Response(JSON.stringify({
+          sql: stripCodeFence(parsed.sql),
+          explanation: typeof parsed.explanation === 'string' ? parsed.explanation : '',
+          confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5,
+          source: 'claude-api'
+        }), {
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      } catch (err) {
+        return new Response(JSON.stringify({
+          ...fallbackNaturalLanguageQuery(question, schema),
+          error: err.message,
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+    }
+
+    // Endpoint: /share (store an immutable snapshot and return its link)
+    if (request.method === "POST" && url.pathname === "/share") {
+      const declaredLength = Number(request.headers.get("Content-Length"));
+      if (declaredLength > SHARE_MAX_SQL_BYTES + SHARE_MAX_STARTER_QUERY_LENGTH * 4 + 4096) {
+        return new Response(JSON.stringify({ error: `Database is too large to share (limit ${SHARE_MAX_SQL_BYTES / 1024} KB)` }), {
+          status: 413,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      let data;
+      try {
+        data = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { share, error, status } = validateShareRequest(data);
+      if (error) {
+        return new Response(JSON.stringify({ error }), {
+          status,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      try {
+        const store = getShareStore(env);
+        // Ids are never reused, which is what keeps a shared link immutable
+        let id = null;
+        for (let attempt = 0; attempt < 5 && !id; attempt++) {
+          const candidate = generateShareId();
+          if (!(await store.get(candidate))) id = candidate;
+        }
+        if (!id) {
+          throw new Error("Could not allocate a share id");
+        }
+        const createdAt = new Date();
+        const record = {
+          id,
+          ...share,
+          createdAt: createdAt.toISOString(),
+          expiresAt: new Date(createdAt.getTime() + SHARE_TTL_SECONDS * 1000).toISOString()
+        };
+        await store.put(id, record);
+
+        return new Response(JSON.stringify({ id, url: `${url.origin}/?db=${id}`, expiresAt: record.expiresAt }), {
+          status: 201,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      } catch (err) {
+        return new Response(JSON.stringify({ error: "Could not save shared database: " + err.message }), {
+          status: 500,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+    }
+
+    // Endpoint: /share/<id> (read a shared snapshot)
+    if (request.method === "GET" && url.pathname.startsWith("/share/")) {
+      const id = url.pathname.slice("/share/".length);
+      let record;
+      try {
+        record = /^[A-Za-z0-9]{1,32}$/.test(id) ? await getShareStore(env).get(id) : null;
+      } catch (err) {
+        return new Response(JSON.stringify({ error: "Could not read shared database: " + err.message }), {
+          status: 500,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      if (!record || Date.parse(record.expiresAt) <= Date.now()) {
+        return new Response(JSON.stringify({ error: "This shared database does not exist or has expired" }), {
+          status: 404,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      return new Response(JSON.stringify(record), {
+        headers: {
+          "Content-Type": "application/json",
+          "Cache-Control": "public, max-age=300",
+          ...corsHeaders
+        }
+      });
+    }
+
+    // Endpoint: /explain-sql-error
+    if (request.method === "POST" && url.pathname === "/explain-sql-error") {
+      let data;
+      try {
+        data = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { schema, query, error } = data;
+      if (!schema || !query || !error) {
+        return new Response(JSON.stringify({ error: "Missing required fields: schema, query, error" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      if (String(query).length > rateLimitConfig.maxQueryLength) {
+        return new Response(JSON.stringify({ error: `Query is too long (limit ${rateLimitConfig.maxQueryLength} characters)` }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const schemaError = schemaTooLarge(schema);
+      if (schemaError) return schemaError;
+
+      if (!env["claude-sql-api-2"]) {
+        return new Response(JSON.stringify({
+          error: "Claude API key not configured",
+          coaching: fallbackCoach({ schema, query, error }),
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const overBudget = await overDailyBudget();
+      if (overBudget) return overBudget;
+
+      const coachPrompt = `You are an expert SQL tutor.
+Given:
+1. The database schema:
+${schema}
+2. The user's SQL query:
+${query}
+3. The error message:
+${error}
+Please:
+- Explain the root cause in plain English.
+- Suggest specific fixes and/or beginner-friendly hints.
+Format your answer as JSON with fields:
+{
+  "explanation": "...",
+  "suggested_fix": "...",
+  "hints": ["...", "..."]
+}`;
+
+      try {
+        const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': env["claude-sql-api-2"],
+            'anthropic-version': '2023-06-01'
+          },
+          body: JSON.stringify({
+            model: 'claude-3-5-sonnet-20241022',
+            max_tokens: 1500,
+            messages: [{ role: 'user', content: coachPrompt }]
+          })
+        });
+
+        if (!claudeResponse.ok) {
+          throw new Error(`Claude API error: ${claudeResponse.status}`);
+        }
+        const claudeData = await claudeResponse.json();
+
+        const rawResponse = claudeData.content[0]?.text || "";
+
+        let coaching;
+        try {
+          if (rawResponse.trim().startsWith("{")) {
+            coaching = JSON.parse(rawResponse);
+          } else {
+            coaching = {
+              explanation: rawResponse,
+              suggested_fix: "",
+              hints: []
+            };
+          }
+        } catch (parseError) {
+          coaching = {
+            explanation: rawResponse,
+            suggested_fix: "",
+            hints: []
+          };
+        }
+
+        return new Response(JSON.stringify({ coaching, source: 'claude-api' }), {
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      } catch (err) {
+        return new Response(JSON.stringify({
+          error: err.message,
+          coaching: fallbackCoach({ schema, query, error }),
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+    }
+
+
+    // Endpoint: /api/coaching-response (structured errorDetails from the playground page)
+    if (request.method === "POST" && url.pathname === "/api/coaching-response") {
+      let errorDetails;
+      try {
+        errorDetails = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { query, errorMessage, schema, location, queryAnalysis } = errorDetails || {};
+      if (!query || !errorMessage) {
+        return new Response(JSON.stringify({ error: "Missing required fields: query, errorMessage" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      if (String(query).length > rateLimitConfig.maxQueryLength) {
+        return new Response(JSON.stringify({ error: `Query is too long (limit ${rateLimitConfig.maxQueryLength} characters)` }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const schemaError = schemaTooLarge(schema);
+      if (schemaError) return schemaError;
+
+      if (!env["claude-sql-api-2"]) {
+        return new Response(JSON.stringify({
+          ...fallbackCoachingResponse({ query, errorMessage, schema, queryAnalysis }),
+          error: "Claude API key not configured",
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const overBudget = await overDailyBudget();
+      if (overBudget) return overBudget;
+
+      let locationText = 'Unknown';
+      if (location && (location.line || location.column)) {
+        locationText = `line ${location.line || '?'}, column ${location.column || '?'}`;
+        if (location.context) {
+          locationText += ` (near: ${location.context})`;
+        }
+      }
+
+      const coachPrompt = `You are an expert, encouraging SQL tutor helping a student who is practising SQLite queries.
+Database schema (from PRAGMA table_info):
+${describeSchemaForPrompt(schema)}
+
+The student's SQL query:
+${query}
+
+SQLite error message:
+${errorMessage}
+
+Error location: ${locationText}
+Tables referenced by the query: ${queryAnalysis && queryAnalysis.tables && queryAnalysis.tables.length ? queryAnalysis.tables.join(', ') : 'unknown'}
+
+Please:
+- Explain the root cause in plain, beginner-friendly English, referring to the actual tables and columns above.
+- Provide a corrected version of the complete query that runs against this schema.
+- Give 2-4 short tips that help the student avoid this mistake next time.
+Respond with JSON only, in exactly this shape:
+{
+  "explanation": "...",
+  "suggestedFix": "the full corrected SQL query, with no markdown",
+  "tips": ["...", "..."]
+}`;
+
+      try {
+        const rawResponse = await callClaude(env["claude-sql-api-2"], coachPrompt, 1500);
+        const parsed = parseClaudeJSON(rawResponse);
+
+        const coaching = parsed && typeof parsed.explanation === 'string'
+          ? {
+              explanation: parsed.explanation,
+              suggestedFix: typeof parsed.suggestedFix === 'string'
+                ? stripCodeFence(parsed.suggestedFix)
+                : '',
+              tips: Array.isArray(parsed.tips) ? parsed.tips.filter(tip => typeof tip === 'string') : []
+            }
+          : { explanation: rawResponse, suggestedFix: '', tips: [] };
+
+        return new Response(JSON.stringify({ ...coaching, source: 'claude-api' }), {
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      } catch (err) {
+        return new Response(JSON.stringify({
+          ...fallbackCoachingResponse({ query, errorMessage, schema, queryAnalysis }),
+          error: err.message,
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+    }
+
+
+    // Endpoint: /api/coaching-chat (follow-up questions about a coaching answer)
+    if (request.method === "POST" && url.pathname === "/api/coaching-chat") {
+      let data;
+      try {
+        data = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { context, hintOnly } = data || {};
+      if (!context || typeof context.query !== 'string' || !context.query) {
+        return new Response(JSON.stringify({ error: "Missing required field: context.query" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      if (context.query.length > rateLimitConfig.maxQueryLength) {
+        return new Response(JSON.stringify({ error: `Query is too long (limit ${rateLimitConfig.maxQueryLength} characters)` }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { messages, trimmed } = trimChatHistory(data.messages);
+      if (messages.length === 0 || messages[messages.length - 1].role !== 'user') {
+        return new Response(JSON.stringify({ error: "messages must end with a user message" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const schemaError = schemaTooLarge(context.schema);
+      if (schemaError) return schemaError;
+
+      if (!env["claude-sql-api-2"]) {
+        return new Response(JSON.stringify({
+          ...fallbackCoachingChat({ context, messages, hintOnly: Boolean(hintOnly) }),
+          trimmed,
+          error: "Claude API key not configured",
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const overBudget = await overDailyBudget();
+      if (overBudget) return overBudget;
+
+      const answerRule = hintOnly
+        ? `HINT-ONLY MODE: the student wants to solve it themselves. Never write the corrected query or any complete SQL statement that solves the problem. Explain concepts, point at the part of the query to look at and ask guiding questions; a keyword or a short fragment of syntax is the most you may show.`
+        : `You may show corrected SQL when it helps, but explain why it works.`;
+      const system = `You are an expert, encouraging SQL tutor in a chat with a student practising SQLite queries. Answer follow-up questions about their query in plain, beginner-friendly English, in a few short paragraphs at most, referring to the actual tables and columns.
+${answerRule}
+
+Database schema (from PRAGMA table_info):
+${describeSchemaForPrompt(context.schema)}
+
+${describeChatContext(context)}`;
+
+      try {
+        const reply = await callClaude(env["claude-sql-api-2"], messages, 1000, { system });
+        return new Response(JSON.stringify({ reply: reply.trim(), trimmed, source: 'claude-api' }), {
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      } catch (err) {
+        return new Response(JSON.stringify({
+          ...fallbackCoachingChat({ context, messages, hintOnly: Boolean(hintOnly) }),
+          trimmed,
+          error: err.message,
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+    }
+
+    // Endpoint: /api/query-review (feedback on a query that runs, from its result sample and plan)
+    if (request.method === "POST" && url.pathname === "/api/query-review") {
+      let data;
+      try {
+        data = await request.json();
+      } catch (e) {
+        return new Response(JSON.stringify({ error: "Invalid JSON" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      const { query, schema, resultSample, plan, dialect } = data || {};
+      if (!query || typeof query !== 'string') {
+        return new Response(JSON.stringify({ error: "Missing required field: query" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+      if (query.length > rateLimitConfig.maxQueryLength) {
+        return new Response(JSON.stringify({ error: `Query is too long (limit ${rateLimitConfig.maxQueryLength} characters)` }), {
+          status: 400,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const schemaError = schemaTooLarge(schema);
+      if (schemaError) return schemaError;
+
+      if (!env["claude-sql-api-2"]) {
+        return new Response(JSON.stringify({
+          ...fallbackQueryReview({ query, resultSample, plan }),
+          error: "Claude API key not configured",
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+
+      const overBudget = await overDailyBudget();
+      if (overBudget) return overBudget;
+
+      const { sample, planLines } = normalizeReviewInput({ resultSample, plan });
+      const dialectNote = typeof dialect === 'string' && dialect && dialect !== 'SQLite'
+        ? `\nThe student writes ${dialect}; the page translates it to SQLite to run it. Review it as ${dialect} and write any suggested query in ${dialect}.\n`
+        : '';
+      const reviewPrompt = `You are an expert, encouraging SQL tutor reviewing a query that a student has run successfully against SQLite.
+Database schema (from PRAGMA table_info):
+${describeSchemaForPrompt(schema)}
+${dialectNote}
+The student's query:
+${query}
+
+Result sample:
+${describeResultSampleForPrompt(sample)}
+
+EXPLAIN QUERY PLAN:
+${planLines.length > 0 ? planLines.join('\n') : '(no plan)'}
+
+Review the query. Look for logic errors that still run (cartesian joins, non-aggregated columns outside GROUP BY, missing DISTINCT, wrong join type, filters in the wrong place, NULL handling), performance problems visible in the plan, and readability.
+Only mention real problems; an empty list is fine. Respond with JSON only, in exactly this shape:
+{
+  "summary": "one or two sentences on whether the query does what it appears to intend",
+  "correctness": ["..."],
+  "performance": ["..."],
+  "style": ["..."],
+  "suggestedQuery": "an improved full query with no markdown, or an empty string if no change is needed"
+}`;
+
+      try {
+        const parsed = parseClaudeJSON(await callClaude(env["claude-sql-api-2"], reviewPrompt, 1500));
+        if (!parsed || typeof parsed.summary !== 'string') {
+          throw new Error("No review in Claude response");
+        }
+        const list = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : []);
+
+        return new Response(JSON.stringify({
+          summary: parsed.summary,
+          correctness: list(parsed.correctness),
+          performance: list(parsed.performance),
+          style: list(parsed.style),
+          suggestedQuery: typeof parsed.suggestedQuery === 'string' ? stripCodeFence(parsed.suggestedQuery) : '',
+          source: 'claude-api'
+        }), {
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      } catch (err) {
+        return new Response(JSON.stringify({
+          ...fallbackQueryReview({ query, resultSample, plan }),
+          error: err.message,
+          source: 'fallback'
+        }), {
+          status: 200,
+          headers: { "Content-Type": "application/json", ...corsHeaders }
+        });
+      }
+    }
+
+    // Serve index.html for root path
+    if (url.pathname === "/" || url.pathname === "") {
+      const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>AI SQL Playground</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" />
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/codemirror.min.css" />
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/theme/monokai.min.css" />
+  <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/codemirror.min.js"></script>
+  <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/mode/sql/sql.min.js"></script>
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/addon/hint/show-hint.min.css" />
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/addon/lint/lint.min.css" />
+  <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/addon/hint/show-hint.min.js"></script>
+  <script src="https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.65.2/addon/lint/lint.min.js"></script>
+  <!-- SQL.js Library for in-browser SQLite -->
+  <script src="https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/sql-wasm.js"></script>
+  <style>
+    .schema-panel {
+      transition: all 0.3s ease;
+    }
+    .schema-panel.collapsed {
+      transform: translateX(-100%);
+      opacity: 0;
+    }
+    .CodeMirror {
+      height: 300px;
+      border: 1px solid #d1d5db;
+      border-radius: 0.375rem;
+      font-size: 14px;
+    }
+    .schema-display {
+      background: #f8fafc;
+      border: 1px solid #e2e8f0;
+      border-radius: 0.375rem;
+      padding: 1rem;
+      font-family: 'Courier New', monospace;
+      font-size: 12px;
+      line-height: 1.5;
+      max-height: 400px;
+      overflow-y: auto;
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    }
+    .schema-display .sql-keyword {
+      color: #1e40af; 
+      font-weight: bold;
+    }
+    .schema-display .sql-comment {
+      color: #6b7280;
+      font-style: italic;
+    }
+    .schema-display .sql-string {
+      color: #78bf4d;
+    }
+    .table-container {
+      max-height: 400px;
+      overflow-y: auto;
+    }
+    .error-panel {
+      transition: all 0.3s ease;
+      max-height: 0;
+      overflow: hidden;
+    }
+    .error-panel.show {
+      max-height: 200px;
+    }
+    #coachingPanel.show {
+      max-height: 640px;
+      overflow-y: auto;
+    }
+    .debug-panel {
+      transition: all 0.3s ease;
+      max-height: 0;
+      overflow: hidden;
+    }
+    .debug-panel.show {
+      max-height: 300px;
+    }
+    .results-panel {
+      transition: all 0.3s ease;
+      max-height: 0;
+      overflow: hidden;
+    }
+    .results-panel.show {
+      max-height: 600px;
+    }
+    .loading-popup {
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.5);
+      z-index: 1000;
+      display: none;
+      align-items: center;
+      justify-content: center;
+    }
+    .loading-popup.show {
+      display: flex;
+    }
+    .import-dialog-content {
+      background: white;
+      padding: 1.5rem;
+      border-radius: 0.75rem;
+      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
+      width: 100%;
+      max-width: 720px;
+      max-height: 90vh;
+      overflow-y: auto;
+      margin: 1rem;
+    }
+    .drop-zone.dragover {
+      border-color: #3b82f6;
+      background-color: #eff6ff;
+    }
+    .loading-content {
+      background: white;
+      padding: 2rem;
+      border-radius: 0.75rem;
+      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
+      text-align: center;
+      max-width: 400px;
+      margin: 1rem;
+    }
+    .loading-spinner {
+      width: 3rem;
+      height: 3rem;
+      border: 3px solid #e5e7eb;
+      border-top: 3px solid #3b82f6;
+      border-radius: 50%;
+      animation: spin 1s linear infinite;
+      margin: 0 auto 1rem;
+    }
+    @keyframes spin {
+      0% { transform: rotate(0deg); }
+      100% { transform: rotate(360deg); }
+    }
+    .db-status {
+      display: inline-flex;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 0.25rem 0.75rem;
+      border-radius: 0.375rem;
+      font-size: 0.875rem;
+      font-weight: 500;
+    }
+    .db-status.connected {
+      background-color: #dcfce7;
+      color: #166534;
+    }
+    .db-status.disconnected {
+      background-color: #fee2e2;
+      color: #991b1b;
+    }
+    .table-info {
+      background: #f0f9ff;
+      border: 1px solid #0ea5e9;
+      border-radius: 0.375rem;
+      padding: 0.75rem;
       margin-bottom: 0.5rem;
       cursor: pointer;
       transition: all 0.2s ease;
     }
-    .table-info:hover {
-      background: #e0f2fe;
-      border-color: #0284c7;
+    .table-info:hover {
+      background: #e0f2fe;
+      border-color: #0284c7;
+    }
+    .table-info h4 {
+      color: #0c4a6e;
+      font-weight: 600;
+      margin-bottom: 0.5rem;
+      display: flex;
+      align-items: center;
+      justify-content: between;
+    }
+    .column-list {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.25rem;
+      margin-bottom: 0.5rem;
+    }
+    .column-tag {
+      background: #e0f2fe;
+      color: #0c4a6e;
+      padding: 0.125rem 0.5rem;
+      border-radius: 0.25rem;
+      font-size: 0.75rem;
+      font-family: monospace;
+    }
+    .row-count {
+      font-size: 0.75rem;
+      color: #6b7280;
+      font-style: italic;
+    }
+    .query-btn {
+      background: #3b82f6;
+      color: white;
+      padding: 0.25rem 0.5rem;
+      border-radius: 0.25rem;
+      font-size: 0.75rem;
+      border: none;
+      cursor: pointer;
+      transition: background 0.2s ease;
+    }
+    .query-btn:hover {
+      background: #2563eb;
+    }
+    .CodeMirror-hints {
+      font-size: 0.8rem;
+      z-index: 60;
+    }
+    .sql-hint-table { color: #2563eb; }
+    .sql-hint-column { color: #047857; }
+    .sql-executed-range { background: rgba(250, 204, 21, 0.3); }
+    .sql-hint-function { color: #7c3aed; }
+    .sql-hint-keyword { color: #6b7280; }
+  </style>
+</head>
+<body class="bg-gradient-to-br from-gray-50 to-gray-100 min-h-screen font-sans">
+  <!-- Header -->
+  <div class="bg-white shadow-sm border-b border-gray-200">
+    <div class="max-w-7xl mx-auto px-4 py-4">
+      <div class="flex items-center justify-between">
+        <div class="flex items-center space-x-3">
+          <div class="bg-blue-600 text-white rounded-lg p-2">
+            <i class="fas fa-database text-xl"></i>
+          </div>
+          <div>
+            <h1 class="text-2xl font-bold text-gray-900">AI SQL Playground</h1>
+            <p class="text-sm text-gray-600">Generate schemas with AI and test SQL queries</p>
+          </div>
+        </div>
+        <div class="flex items-center space-x-2">
+          <div id="dbStatus" class="db-status disconnected">
+            <i class="fas fa-circle"></i>
+            <span>Database: Initializing...</span>
+          </div>
+          <!-- Debug button hidden -->
+          <!--
+          <button id="showDebugBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-md transition-colors text-sm">
+            <i class="fas fa-bug"></i> Debug
+          </button>
+          -->
+          <button id="toggleSchema" class="lg:hidden bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-md transition-colors">
+            <i class="fas fa-bars"></i>
+          </button>
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <div class="max-w-7xl mx-auto px-4 py-6">
+    <div class="grid grid-cols-1 lg:grid-cols-4 gap-6">
+      <!-- Schema Panel -->
+      <div id="schemaPanel" class="lg:col-span-1 schema-panel">
+        <div class="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <!-- Schema Generation -->
+          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-blue-50 to-indigo-50">
+            <h3 class="font-semibold text-gray-900 mb-3 flex items-center">
+              <i class="fas fa-magic text-blue-600 mr-2"></i>
+              Generate SQL Database
+            </h3>
+            <div class="space-y-3">
+              <textarea
+                id="databasePrompt"
+                rows="3"
+                placeholder="Describe your database needs (e.g., 'Generate a database for a retail store with customers and orders')"
+                class="w-full border border-gray-300 rounded-md p-3 text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+              ></textarea>
+              <details id="generationOptions" class="text-sm text-gray-700">
+                <summary class="cursor-pointer text-xs font-medium text-blue-700 select-none">Advanced options</summary>
+                <div class="mt-2 grid grid-cols-2 gap-2">
+                  <label class="block text-xs">
+                    <span class="text-gray-600">Tables</span>
+                    <select id="optTableCount" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                      <option value="">Auto</option>
+                      <option value="2">2</option>
+                      <option value="3">3</option>
+                      <option value="4">4</option>
+                      <option value="5">5</option>
+                      <option value="6">6</option>
+                      <option value="7">7</option>
+                      <option value="8">8</option>
+                      <option value="9">9</option>
+                      <option value="10">10</option>
+                    </select>
+                  </label>
+                  <label class="block text-xs">
+                    <span class="text-gray-600">Rows per table</span>
+                    <input id="optRowsPerTable" type="number" min="5" max="60" placeholder="Auto (20+)" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm" />
+                  </label>
+                  <label class="block text-xs col-span-2">
+                    <span class="text-gray-600">Design</span>
+                    <select id="optNormalization" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                      <option value="denormalized">Denormalized (repeated data to clean up)</option>
+                      <option value="normalized" selected>Normalized (3NF)</option>
+                      <option value="highly_normalized">Highly normalized (lookup tables)</option>
+                    </select>
+                  </label>
+                  <div class="col-span-2 text-xs">
+                    <span class="text-gray-600">Messy data for cleaning practice</span>
+                    <div class="mt-1 flex flex-wrap gap-3">
+                      <label class="flex items-center"><input type="checkbox" class="generation-quirk mr-1" value="nulls" />NULLs</label>
+                      <label class="flex items-center"><input type="checkbox" class="generation-quirk mr-1" value="duplicates" />Duplicates</label>
+                      <label class="flex items-center"><input type="checkbox" class="generation-quirk mr-1" value="dirty" />Dirty values</label>
+                    </div>
+                  </div>
+                  <label class="block text-xs">
+                    <span class="text-gray-600">Dates from</span>
+                    <input id="optDateStart" type="date" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm" />
+                  </label>
+                  <label class="block text-xs">
+                    <span class="text-gray-600">Dates to</span>
+                    <input id="optDateEnd" type="date" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm" />
+                  </label>
+                  <label class="block text-xs col-span-2">
+                    <span class="text-gray-600">Locale for names and places</span>
+                    <select id="optLocale" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm">
+                      <option value="en-US" selected>English (United States)</option>
+                      <option value="en-GB">English (United Kingdom)</option>
+                      <option value="en-IN">English (India)</option>
+                      <option value="de-DE">German (Germany)</option>
+                      <option value="fr-FR">French (France)</option>
+                      <option value="es-ES">Spanish (Spain)</option>
+                      <option value="pt-BR">Portuguese (Brazil)</option>
+                      <option value="ja-JP">Japanese (Japan)</option>
+                    </select>
+                  </label>
+                </div>
+              </details>
+              <label class="flex items-center text-xs text-gray-600" title="Identical prompts reuse a recently generated database; tick this to ask the AI for a new one">
+                <input id="regenerateDatabase" type="checkbox" class="mr-2" />
+                Generate fresh (skip cached result)
+              </label>
+              <button
+                id="generateDatabaseBtn"
+                class="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2"
+              >
+                <i class="fas fa-database"></i>
+                <span>Generate & Load Database</span>
+              </button>
+            </div>
+          </div>
+
+          <!-- Data Import -->
+          <div class="p-4 border-b border-gray-200">
+            <h3 class="font-semibold text-gray-900 mb-3 flex items-center">
+              <i class="fas fa-file-import text-blue-600 mr-2"></i>
+              Import Data
+            </h3>
+            <label
+              id="importDropZone"
+              class="drop-zone block border-2 border-dashed border-gray-300 rounded-md p-4 text-center text-sm text-gray-500 cursor-pointer hover:border-blue-400 transition-colors"
+            >
+              <i class="fas fa-cloud-upload-alt text-2xl mb-1 block"></i>
+              Drop a CSV or .sqlite file here, or click to browse
+              <input id="importFileInput" type="file" accept=".csv,.tsv,.txt,.sqlite,.sqlite3,.db" class="hidden" />
+            </label>
+          </div>
+
+          <!-- Schema Overview -->
+          <div class="p-4">
+            <div class="flex items-center justify-between mb-3">
+              <h3 class="font-semibold text-gray-900 flex items-center">
+                <i class="fas fa-table text-green-600 mr-2"></i>
+                Database Overview
+              </h3>
+              <div class="flex items-center space-x-2">
+                <button id="copyDatabaseBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Copy database to clipboard" style="display: none;">
+                  <i class="fas fa-copy"></i>
+                </button>
+                <button id="loadToEditorBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Load database to editor" style="display: none;">
+                  <i class="fas fa-edit"></i>
+                </button>
+                <button id="downloadSqliteBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Download as .sqlite file" style="display: none;">
+                  <i class="fas fa-download"></i>
+                </button>
+                <button id="downloadDumpBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Download SQL dump" style="display: none;">
+                  <i class="fas fa-file-code"></i>
+                </button>
+                <button id="shareDatabaseBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Create a share link" style="display: none;">
+                  <i class="fas fa-share-alt"></i>
+                </button>
+                <button id="bulkDataBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Generate bulk rows for performance practice" style="display: none;">
+                  <i class="fas fa-layer-group"></i>
+                </button>
+                <button id="erDiagramBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Show ER diagram" style="display: none;">
+                  <i class="fas fa-project-diagram"></i>
+                </button>
+                <button id="collapseDatabase" class="text-gray-500 hover:text-gray-700">
+                  <i class="fas fa-chevron-up"></i>
+                </button>
+              </div>
+            </div>
+            
+            <div id="databaseContent" class="space-y-3">
+              <div class="text-sm text-gray-500 text-center py-4">
+                Generate a database to see tables here
+              </div>
+            </div>
+          </div>
+
+          <!-- Saved Databases -->
+          <div class="p-4 border-t border-gray-200">
+            <h3 class="font-semibold text-gray-900 flex items-center mb-3">
+              <i class="fas fa-box-archive text-indigo-600 mr-2"></i>
+              Saved Databases
+            </h3>
+            <div id="libraryContent" class="space-y-2 text-sm">
+              <div class="text-sm text-gray-500 text-center py-2">Generated databases are saved in this browser</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Main Content -->
+      <div class="lg:col-span-3 space-y-6">
+        <!-- Debug Panel HIDDEN -->
+        <!--
+        <div id="debugPanel" class="debug-panel bg-yellow-50 border border-yellow-200 rounded-lg overflow-hidden">
+          <div class="p-4">
+            <div class="flex items-start justify-between mb-2">
+              <div class="flex items-center space-x-2">
+                <i class="fas fa-bug text-yellow-600"></i>
+                <h4 class="font-medium text-yellow-800">Debug Information</h4>
+              </div>
+              <button id="hideDebugBtn" class="text-yellow-600 hover:text-yellow-800">
+                <i class="fas fa-times"></i>
+              </button>
+            </div>
+            <div id="debugContent" class="text-sm text-yellow-700 font-mono bg-yellow-100 p-3 rounded border overflow-auto max-h-48">
+              <div>Debug info will appear here...</div>
+            </div>
+          </div>
+        </div>
+        -->
+
+        <!-- Practice Exercises -->
+        <div id="practicePanel" class="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-amber-50 to-yellow-50">
+            <div class="flex items-center justify-between">
+              <h3 class="font-semibold text-gray-900 flex items-center">
+                <i class="fas fa-dumbbell text-amber-600 mr-2"></i>
+                Practice Exercises
+              </h3>
+              <button
+                id="generateExercisesBtn"
+                class="bg-amber-500 hover:bg-amber-600 text-white font-medium px-4 py-1 rounded-md transition-colors flex items-center space-x-2 text-sm"
+              >
+                <i class="fas fa-list-check"></i>
+                <span>Generate Exercises</span>
+              </button>
+            </div>
+          </div>
+          <div class="p-4 space-y-3">
+            <div id="activeExercise" style="display: none;"></div>
+            <div id="exerciseFeedback" style="display: none;"></div>
+            <div id="exerciseList" class="text-sm text-gray-500">
+              Load a database, then generate graded exercises that go from easy to hard.
+            </div>
+          </div>
+        </div>
+
+        <!-- SQL Query Editor -->
+        <div class="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-green-50 to-emerald-50">
+            <h3 class="font-semibold text-gray-900 flex items-center">
+              <i class="fas fa-code text-green-600 mr-2"></i>
+              SQL Query Editor
+            </h3>
+          </div>
+          <div class="p-4">
+            <!-- Ask in English -->
+            <div class="mb-4 border border-green-200 bg-green-50 rounded-md p-3">
+              <label for="nlQuestion" class="block text-sm font-medium text-green-900 mb-2">
+                <i class="fas fa-comment-dots mr-1"></i>Ask in English
+              </label>
+              <div class="flex flex-wrap gap-2 items-center">
+                <input
+                  id="nlQuestion"
+                  type="text"
+                  placeholder="e.g. Which 5 customers spent the most last month?"
+                  class="flex-1 min-w-0 border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+                <button
+                  id="nlToSqlBtn"
+                  class="bg-green-600 hover:bg-green-700 text-white font-medium px-4 py-2 rounded-md transition-colors flex items-center space-x-2 text-sm"
+                >
+                  <i class="fas fa-wand-magic-sparkles"></i>
+                  <span>Write SQL</span>
+                </button>
+                <label class="flex items-center space-x-1 text-sm text-green-900">
+                  <input id="nlAutoRun" type="checkbox" class="rounded" />
+                  <span>Run it</span>
+                </label>
+              </div>
+              <div id="nlResult" class="text-sm text-green-900 mt-2" style="display: none;"></div>
+            </div>
+
+            <textarea id="sqlEditor" class="hidden">-- Write your SQL queries here
+-- Example: SELECT * FROM customers LIMIT 5;
+
+SELECT * FROM customers LIMIT 5;</textarea>
+            
+            <div class="flex flex-wrap gap-3 mt-4">
+              <button
+                id="runQueryBtn"
+                class="bg-green-600 hover:bg-green-700 text-white font-medium px-6 py-2 rounded-md transition-colors flex items-center space-x-2"
+              >
+                <i class="fas fa-play"></i>
+                <span>Run Query</span>
+              </button>
+              <button
+                id="runSelectionBtn"
+                class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center space-x-2"
+                title="Run the selected text, or the statement at the cursor when nothing is selected (Ctrl-Enter)"
+              >
+                <i class="fas fa-i-cursor"></i>
+                <span>Run selection</span>
+              </button>
+              <button
+                id="runStatementBtn"
+                class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center space-x-2"
+                title="Run only the statement at the cursor (Ctrl-Shift-Enter)"
+              >
+                <i class="fas fa-step-forward"></i>
+                <span>Run statement</span>
+              </button>
+              <button
+                id="explainBtn"
+                class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center space-x-2"
+                title="Show the query plan, full table scans and index suggestions"
+              >
+                <i class="fas fa-sitemap"></i>
+                <span>Explain</span>
+              </button>
+              <button
+                id="reviewQueryBtn"
+                class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center space-x-2"
+                title="Get correctness, performance and style feedback on a query that runs"
+              >
+                <i class="fas fa-clipboard-check"></i>
+                <span>Review my query</span>
+              </button>
+              <div class="flex">
+                <button
+                  id="formatBtn"
+                  class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium pl-4 pr-3 py-2 rounded-l-md transition-colors flex items-center space-x-2"
+                  title="Format the editor, or just the selection (Shift-Alt-F)"
+                >
+                  <i class="fas fa-indent"></i>
+                  <span>Format SQL</span>
+                </button>
+                <button
+                  id="formatOptionsBtn"
+                  class="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-r-md border-l border-gray-300 transition-colors"
+                  title="Formatting style and presets"
+                >
+                  <i class="fas fa-sliders-h"></i>
+                </button>
+              </div>
+              <button
+                id="clearBtn"
+                class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center space-x-2"
+              >
+                <i class="fas fa-trash"></i>
+                <span>Clear</span>
+              </button>
+              <select
+                id="queryHistory"
+                class="border border-gray-300 rounded-md px-2 py-2 text-sm text-gray-700 max-w-xs"
+                title="Recent queries for this database"
+              >
+                <option value="">No query history yet</option>
+              </select>
+              <label class="flex items-center text-sm text-gray-700">
+                <span class="mr-2">Dialect</span>
+                <select
+                  id="queryDialect"
+                  class="border border-gray-300 rounded-md px-2 py-2 text-sm text-gray-700"
+                  title="Write queries in this dialect; they are translated to SQLite before running"
+                >
+                  <option value="sqlite">SQLite</option>
+                  <option value="postgresql">PostgreSQL</option>
+                  <option value="mysql">MySQL</option>
+                  <option value="sqlserver">SQL Server</option>
+                </select>
+              </label>
+              <button
+                id="showDialectBtn"
+                class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center space-x-2"
+                title="Show the query or schema in another SQL dialect"
+              >
+                <i class="fas fa-language"></i>
+                <span>Show in Dialect</span>
+              </button>
+            </div>
+            <div id="dialectNotice" class="text-sm mt-3" style="display: none;"></div>
+          </div>
+        </div>
+
+        <!-- Error Panel -->
+        <div id="errorPanel" class="error-panel bg-red-50 border border-red-200 rounded-lg overflow-hidden">
+          <div class="p-4">
+            <div class="flex items-start space-x-3">
+              <i class="fas fa-exclamation-triangle text-red-600 mt-1"></i>
+              <div class="flex-1">
+                <h4 class="font-medium text-red-800">Error</h4>
+                <p class="text-sm text-red-700 mt-1" id="errorMessage">
+                  <!-- Error message will be inserted here -->
+                </p>
+                <div class="mt-2">
+                  <button id="dismissError" class="text-sm text-red-600 hover:text-red-800 underline">
+                    Dismiss
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Coaching Panel -->
+        <div id="coachingPanel" class="error-panel bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200 rounded-lg overflow-hidden">
+          <div class="p-4">
+            <div class="flex items-start justify-between mb-3">
+              <div class="flex items-center space-x-2">
+                <i class="fas fa-graduation-cap text-blue-600"></i>
+                <h4 class="font-medium text-blue-800">SQL Coaching Assistant</h4>
+              </div>
+              <button id="dismissCoaching" class="text-blue-600 hover:text-blue-800">
+                <i class="fas fa-times"></i>
+              </button>
+            </div>
+            <div id="coachingContent" class="text-sm">
+              <!-- Coaching content will be inserted here -->
+            </div>
+            <div id="coachingChat" class="mt-4 border-t border-blue-200 pt-3" style="display: none;">
+              <div id="coachingChatMessages" class="space-y-2 text-sm"></div>
+              <div class="flex items-center gap-2 mt-2">
+                <input
+                  id="coachingChatInput"
+                  type="text"
+                  class="flex-1 border border-blue-200 rounded-md px-3 py-2 text-sm"
+                  placeholder="Ask a follow-up, e.g. why does a LEFT JOIN fix it?"
+                />
+                <button id="coachingChatSendBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-medium px-4 py-2 rounded-md text-sm transition-colors">
+                  Ask
+                </button>
+              </div>
+              <label class="flex items-center text-xs text-blue-800 mt-2">
+                <input id="coachingHintOnly" type="checkbox" class="mr-2" />
+                Hint only - don't give me the answer
+              </label>
+            </div>
+          </div>
+        </div>
+
+        <!-- Query Results Panel -->
+        <div id="resultsPanel" class="results-panel bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-purple-50 to-pink-50">
+            <div class="flex items-center justify-between">
+              <h3 class="font-semibold text-gray-900 flex items-center">
+                <i class="fas fa-chart-bar text-purple-600 mr-2"></i>
+                Query Results
+              </h3>
+              <div class="flex items-center space-x-4 text-sm text-gray-600">
+                <span id="rowCount">0 rows</span>
+                <span id="queryTime">0ms</span>
+                <div class="relative">
+                  <button
+                    id="exportResultsBtn"
+                    class="text-purple-700 hover:text-purple-900 items-center space-x-1"
+                    title="Export results"
+                    style="display: none;"
+                  >
+                    <i class="fas fa-download"></i>
+                    <span>Export</span>
+                  </button>
+                  <div id="exportMenu" class="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-md shadow-lg z-10" style="display: none;"></div>
+                </div>
+                <button id="hideResultsBtn" class="text-gray-500 hover:text-gray-700">
+                  <i class="fas fa-times"></i>
+                </button>
+              </div>
+            </div>
+          </div>
+          <div class="p-4">
+            <div id="resultTabs" class="flex flex-wrap gap-2 mb-3" style="display: none;"></div>
+            <div class="table-container">
+              <table id="resultsTable" class="min-w-full divide-y divide-gray-200 text-sm">
+                <thead class="bg-gray-50">
+                  <tr id="resultsHeader">
+                    <!-- Headers will be populated dynamically -->
+                  </tr>
+                </thead>
+                <tbody id="resultsBody" class="bg-white divide-y divide-gray-200">
+                  <!-- Results will be populated dynamically -->
+                </tbody>
+              </table>
+              <div id="emptyResults" class="text-center py-8 text-gray-500" style="display: none;">
+                <i class="fas fa-inbox text-3xl mb-2"></i>
+                <p>No results to display</p>
+                <p id="emptyResultsDetail" class="text-sm text-gray-400">Query executed successfully but returned no rows</p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Status/Info Panel -->
+        <div class="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-purple-50 to-pink-50">
+            <h3 class="font-semibold text-gray-900 flex items-center">
+              <i class="fas fa-info-circle text-purple-600 mr-2"></i>
+              Status
+            </h3>
+          </div>
+          <div class="p-4">
+            <div id="statusContent" class="text-sm text-gray-600">
+              Initializing SQL.js database... Please wait.
+            </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  <!-- Footer with Attribution -->
+    <footer class="bg-white border-t border-gray-200 mt-12">
+      <div class="max-w-7xl mx-auto px-4 py-6">
+        <div class="text-center text-sm text-gray-500">
+          <p>Built by <a href="https://himanshiiportfolio.netlify.app/" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-800 hover:underline transition-colors">Himanshi Sheth</a> for Break Into Tech</p>
+          <p class="mt-1">AI SQL Playground - Generate custom databases and practice SQL queries</p>
+        </div>
+      </div>
+    </footer>
+    
+    <!-- CSV Import Dialog -->
+    <div id="importDialog" class="loading-popup">
+      <div class="import-dialog-content">
+        <div id="importDialogBody"></div>
+      </div>
+    </div>
+
+    <!-- Bulk Data Dialog -->
+    <div id="bulkDataDialog" class="loading-popup">
+      <div class="import-dialog-content">
+        <div id="bulkDataDialogBody"></div>
+      </div>
+    </div>
+
+    <!-- Dialect Dialog -->
+    <div id="dialectDialog" class="loading-popup">
+      <div class="import-dialog-content">
+        <div id="dialectDialogBody"></div>
+      </div>
+    </div>
+
+    <!-- Query Plan Dialog -->
+    <div id="explainDialog" class="loading-popup">
+      <div class="import-dialog-content">
+        <div id="explainDialogBody"></div>
+      </div>
+    </div>
+
+    <!-- ER Diagram Dialog -->
+    <div id="erDiagramDialog" class="loading-popup">
+      <div class="import-dialog-content" style="max-width: 1100px;">
+        <div id="erDiagramDialogBody"></div>
+      </div>
+    </div>
+
+    <!-- Formatting Style Dialog -->
+    <div id="formatDialog" class="loading-popup">
+      <div class="import-dialog-content">
+        <div id="formatDialogBody"></div>
+      </div>
+    </div>
+
+    <!-- Loading Popup -->
+    <div id="loadingPopup" class="loading-popup">
+      <div class="loading-content">
+        <div class="loading-spinner"></div>
+        <h3 class="text-lg font-semibold text-gray-900 mb-2">Generating Database</h3>
+        <p class="text-gray-600" id="loadingMessage">One moment while I generate your custom SQL database...</p>
+        <div id="progressContainer" class="mt-4" style="display: none;">
+          <div class="w-full bg-gray-200 rounded-full h-3">
+            <div id="progressBar" class="bg-gradient-to-r from-blue-500 to-blue-600 h-3 rounded-full transition-all duration-500 ease-out" style="width: 0%"></div>
+          </div>
+          <p class="text-sm text-gray-600 mt-2 text-center font-medium" id="progressText">0%</p>
+        </div>
+        <button
+          id="cancelLoadingBtn"
+          class="mt-4 text-sm text-gray-600 hover:text-red-600 border border-gray-300 rounded-md px-3 py-1 transition-colors"
+          style="display: none;"
+        >
+          <i class="fas fa-times mr-1"></i>Cancel
+        </button>
+      </div>
+    </div>
+
+  <script>
+  // Tokenizer, statement splitter, CREATE TABLE parser, formatter and error locator (src/sql-grammar.js)
+  const SQLGrammar = (${createSQLGrammar})();
+
+  // Global variables
+  let sqlEditor;
+  let db = null; // SQLite database instance
+  let debugInfo = [];
+  let currentDatabase = null; // Store the current database
+  let currentSchemaSpec = null; // Structured schema (tables, columns, keys) returned by /generate-schema
+  let practiceExercises = []; // Exercises from /generate-exercises (solutions stay hidden)
+  let activeExercise = null; // Exercise the user's queries are currently graded against
+  let SQL = null; // sql.js module, kept to reopen saved database snapshots
+  let currentLibraryId = null; // Id of the saved library entry the loaded database belongs to
+  let queryHistory = []; // Recent successful queries for the loaded database, newest first
+  let loadingCancelHandler = null; // Called by the loading popup's Cancel button while set
+  let lastResultSets = []; // Result sets on screen ({label, columns, values}) for export
+
+  // Add missing functions
+  function addDebugInfo(message) {
+    const timestamp = new Date().toLocaleTimeString();
+    debugInfo.push('[' + timestamp + '] ' + message);
+    
+    const debugContent = document.getElementById('debugContent');
+    if (debugContent) {
+      debugContent.textContent = debugInfo.slice(-20).join('\\n'); // Show last 20 messages, as text since they can quote names from shared databases
+      debugContent.scrollTop = debugContent.scrollHeight;
+    }
+  }
+
+  function updateStatus(message) {
+    const statusContent = document.getElementById('statusContent');
+    if (statusContent) {
+      statusContent.textContent = message;
+    }
+  }
+
+  // Per-tab id the Worker uses for per-session rate limits
+  function getSessionId() {
+    try {
+      let sessionId = sessionStorage.getItem('sqlPlaygroundSessionId');
+      if (!sessionId) {
+        sessionId = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+        sessionStorage.setItem('sqlPlaygroundSessionId', sessionId);
+      }
+      return sessionId;
+    } catch (e) {
+      return ''; // Storage blocked: the Worker falls back to per-IP limits only
+    }
+  }
+
+  function apiHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    const sessionId = getSessionId();
+    if (sessionId) {
+      headers['X-Session-Id'] = sessionId;
+    }
+    return headers;
+  }
+
+  function formatWait(seconds) {
+    if (seconds < 90) return seconds + (seconds === 1 ? ' second' : ' seconds');
+    if (seconds < 90 * 60) return Math.round(seconds / 60) + ' minutes';
+    return Math.round(seconds / 3600) + ' hours';
+  }
+
+  // Friendly text for a 429 from the Worker, or null when the request was not rate limited.
+  // action completes "you are ... faster than the service allows".
+  async function rateLimitMessage(response, action) {
+    if (response.status !== 429) return null;
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (e) {
+      // Body is optional; Retry-After is enough
+    }
+    const seconds = Number(response.headers.get('Retry-After')) || Number(data.retryAfter) || 60;
+    if (data.reason === 'daily_budget') {
+      return 'The AI features have reached today\\'s usage limit and will be back in about ' + formatWait(seconds) + '. Everything else in the playground keeps working.';
+    }
+    return 'Slow down a little - you are ' + action + ' faster than the service allows. Please try again in ' + formatWait(seconds) + '.';
+  }
+
+  // Function to get coaching response for SQL errors
+  async function getCoachingResponse(errorDetails) {
+    try {
+      addDebugInfo('Requesting coaching response for error: ' + errorDetails.errorMessage);
+      
+      // Show that we're getting help
+      updateStatus('Getting help for your SQL error...');
+      
+      const response = await fetch('/api/coaching-response', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify(errorDetails)
+      });
+
+      const limitMessage = await rateLimitMessage(response, 'asking for coaching');
+      if (limitMessage) {
+        // The SQL error stays in the error panel; the limit notice goes to the status bar
+        updateStatus(limitMessage);
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('Coaching service unavailable (HTTP ' + response.status + ')');
+      }
+
+      const coachingData = await response.json();
+      addDebugInfo('Coaching response received: ' + coachingData.explanation?.substring(0, 100) + '...');
+      
+      if (coachingData.explanation) {
+        showCoachingResponse(coachingData, errorDetails);
+        updateStatus('Error analysis complete - check the coaching panel for help!');
+      } else {
+        addDebugInfo('No explanation provided in coaching response');
+        updateStatus('Query execution failed - coaching unavailable');
+      }
+      
+    } catch (coachingError) {
+      addDebugInfo('Error getting coaching response: ' + coachingError.message);
+      console.error('Coaching error:', coachingError);
+    }
+  }
+
+  // Function to display coaching response in UI
+  function showCoachingResponse(coachingData, errorDetails) {
+    const coachingPanel = document.getElementById('coachingPanel');
+    const coachingContent = document.getElementById('coachingContent');
+    
+    if (!coachingPanel || !coachingContent) {
+      addDebugInfo('Coaching panel elements not found in DOM');
+      return;
+    }
+    
+    // Build coaching content
+    let content = '<div class="space-y-4">';
+    
+    // Error summary
+    content += '<div class="bg-red-50 border border-red-200 rounded-lg p-3">';
+    content += '<h4 class="font-medium text-red-800 mb-2"><i class="fas fa-exclamation-triangle mr-2"></i>Error Details</h4>';
+    content += '<p class="text-sm text-red-700"><strong>Query:</strong> <code class="bg-red-100 px-1 rounded">' + escapeHtml(errorDetails.query) + '</code></p>';
+    content += '<p class="text-sm text-red-700 mt-1"><strong>Error:</strong> ' + escapeHtml(errorDetails.errorMessage) + '</p>';
+    
+    // Add location information if available
+    if (errorDetails.location && (errorDetails.location.line || errorDetails.location.column)) {
+      content += '<div class="mt-2 p-2 bg-red-100 rounded">';
+      content += '<p class="text-xs font-medium text-red-800"><i class="fas fa-map-marker-alt mr-1"></i>Error Location:</p>';
+      if (errorDetails.location.line) {
+        content += '<p class="text-xs text-red-700">Line: ' + errorDetails.location.line + '</p>';
+      }
+      if (errorDetails.location.column) {
+        content += '<p class="text-xs text-red-700">Column: ' + errorDetails.location.column + '</p>';
+      }
+      if (errorDetails.location.context) {
+        content += '<p class="text-xs text-red-700">Context: <code class="bg-red-200 px-1 rounded">' + escapeHtml(errorDetails.location.context) + '</code></p>';
+      }
+      content += '</div>';
+    }
+    
+    // Add query analysis if available
+    if (errorDetails.queryAnalysis) {
+      content += '<div class="mt-2 text-xs text-red-600">';
+      content += '<p>Query has ' + errorDetails.queryAnalysis.totalLines + ' lines, ' + errorDetails.queryAnalysis.totalCharacters + ' characters</p>';
+      if (errorDetails.queryAnalysis.keywords.length > 0) {
+        content += '<p>Keywords found: ' + errorDetails.queryAnalysis.keywords.join(', ') + '</p>';
+      }
+      if (errorDetails.queryAnalysis.tables.length > 0) {
+        content += '<p>Tables referenced: ' + errorDetails.queryAnalysis.tables.join(', ') + '</p>';
+      }
+      content += '</div>';
+    }
+    
+    content += '</div>';
+    
+    // Coaching explanation
+    content += '<div class="bg-blue-50 border border-blue-200 rounded-lg p-3">';
+    content += '<h4 class="font-medium text-blue-800 mb-2"><i class="fas fa-graduation-cap mr-2"></i>Explanation & Help</h4>';
+    content += '<div class="text-sm text-blue-700 whitespace-pre-wrap">' + escapeHtml(coachingData.explanation) + '</div>';
+    content += '</div>';
+    
+    // Suggested fix if provided
+    if (coachingData.suggestedFix) {
+      content += '<div class="bg-green-50 border border-green-200 rounded-lg p-3">';
+      content += '<h4 class="font-medium text-green-800 mb-2"><i class="fas fa-lightbulb mr-2"></i>Suggested Fix</h4>';
+      content += '<pre class="text-sm text-green-700 bg-green-100 p-2 rounded overflow-x-auto"><code>' + escapeHtml(coachingData.suggestedFix) + '</code></pre>';
+      
+      // Add button to apply suggested fix
+      content += '<button id="applySuggestedFix" class="mt-2 bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm">';
+      content += '<i class="fas fa-magic mr-1"></i>Apply This Fix';
+      content += '</button>';
+      content += '</div>';
+    }
+    
+    // Additional tips if provided
+    if (coachingData.tips && coachingData.tips.length > 0) {
+      content += '<div class="bg-yellow-50 border border-yellow-200 rounded-lg p-3">';
+      content += '<h4 class="font-medium text-yellow-800 mb-2"><i class="fas fa-star mr-2"></i>Tips for Next Time</h4>';
+      content += '<ul class="text-sm text-yellow-700 list-disc list-inside space-y-1">';
+      coachingData.tips.forEach(tip => {
+        content += '<li>' + escapeHtml(tip) + '</li>';
+      });
+      content += '</ul>';
+      content += '</div>';
+    }
+    
+    content += '</div>';
+    
+    coachingContent.innerHTML = content;
+    
+    // Add event listener for suggested fix button
+    if (coachingData.suggestedFix) {
+      const applyButton = document.getElementById('applySuggestedFix');
+      if (applyButton) {
+        applyButton.addEventListener('click', function() {
+          sqlEditor.setValue(coachingData.suggestedFix);
+          updateStatus('Suggested fix applied to editor - you can now run the corrected query!');
+          addDebugInfo('Applied suggested fix from coaching response');
+          
+          // Change button to show it was applied
+          this.innerHTML = '<i class="fas fa-check mr-1"></i>Fix Applied!';
+          this.className = 'mt-2 bg-green-500 text-white px-3 py-1 rounded text-sm cursor-default';
+          this.disabled = true;
+        });
+      }
+    }
+    
+    startCoachingThread({
+      query: errorDetails.query,
+      errorMessage: errorDetails.errorMessage,
+      location: errorDetails.location,
+      schema: errorDetails.schema,
+      previousAnswer: coachingAnswerText([
+        ['Explanation', coachingData.explanation],
+        ['Suggested fix', coachingData.suggestedFix],
+        ['Tips', coachingData.tips]
+      ])
+    });
+
+    // Show the coaching panel
+    coachingPanel.classList.add('show');
+    addDebugInfo('Coaching response displayed in UI');
+  }
+
+  // Follow-up chat under a coaching answer or query review. The thread keeps the query, error and
+  // first answer as context; the Worker trims long histories, so the page sends every turn.
+  let coachingThread = null;
+
+  function startCoachingThread(context) {
+    coachingThread = { context, messages: [] };
+    document.getElementById('coachingChatInput').value = '';
+    renderCoachingThread();
+    document.getElementById('coachingChat').style.display = 'block';
+  }
+
+  // Plain-text version of a one-shot answer, passed back as context for follow-ups
+  function coachingAnswerText(sections) {
+    return sections.filter(([, value]) => value && (!Array.isArray(value) || value.length > 0))
+      .map(([label, value]) => label + ': ' + (Array.isArray(value) ? value.join('; ') : value))
+      .join('\\n');
+  }
+
+  function renderCoachingThread() {
+    const container = document.getElementById('coachingChatMessages');
+    container.innerHTML = coachingThread.messages.map(message => {
+      if (message.role === 'user') {
+        return '<div class="flex justify-end"><div class="bg-blue-600 text-white rounded-lg px-3 py-2 max-w-xl whitespace-pre-wrap">' + escapeHtml(message.content) + '</div></div>';
+      }
+      return '<div class="flex"><div class="bg-white border border-blue-200 text-blue-900 rounded-lg px-3 py-2 max-w-xl whitespace-pre-wrap">' +
+        escapeHtml(message.content) + (message.fallback ? '<div class="text-xs text-blue-500 mt-1">Basic answer - the AI coach is unavailable right now.</div>' : '') + '</div></div>';
+    }).join('');
+  }
+
+  async function sendCoachingMessage() {
+    const input = document.getElementById('coachingChatInput');
+    const question = input.value.trim();
+    if (!question || !coachingThread) return;
+    const thread = coachingThread;
+    thread.messages.push({ role: 'user', content: question });
+    input.value = '';
+    renderCoachingThread();
+
+    const btn = document.getElementById('coachingChatSendBtn');
+    btn.disabled = true;
+    input.disabled = true;
+    try {
+      const response = await fetch('/api/coaching-chat', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          context: thread.context,
+          messages: thread.messages.map(message => ({ role: message.role, content: message.content })),
+          hintOnly: document.getElementById('coachingHintOnly').checked
+        })
+      });
+
+      const limitMessage = await rateLimitMessage(response, 'asking the coach');
+      if (limitMessage) {
+        thread.messages.pop();
+        input.value = question;
+        updateStatus(limitMessage);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error('Coaching service unavailable (HTTP ' + response.status + ')');
+      }
+
+      const data = await response.json();
+      thread.messages.push({ role: 'assistant', content: data.reply || '', fallback: data.source === 'fallback' });
+      if (data.trimmed > 0) {
+        addDebugInfo('Coaching chat: the Worker dropped ' + data.trimmed + ' older turns');
+      }
+    } catch (error) {
+      thread.messages.pop();
+      input.value = question;
+      showError('Could not reach the coach: ' + error.message);
+    } finally {
+      btn.disabled = false;
+      input.disabled = false;
+      // A new error or review may have started another thread while this one was waiting
+      if (thread === coachingThread) {
+        renderCoachingThread();
+        input.focus();
+      }
+    }
+  }
+
+  // Helper function to escape HTML
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
+  // Leave plain identifiers readable, double-quote anything else (spaces, punctuation)
+  function sqlIdentifier(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : '"' + String(name).replace(/"/g, '""') + '"';
+  }
+
+  function showError(message) {
+    const errorPanel = document.getElementById('errorPanel');
+    const errorMessage = document.getElementById('errorMessage');
+    
+    if (errorMessage) {
+      errorMessage.textContent = message;
+    }
+    if (errorPanel) {
+      errorPanel.classList.add('show');
+    }
+  }
+
+  function hideError() {
+    const errorPanel = document.getElementById('errorPanel');
+    if (errorPanel) {
+      errorPanel.classList.remove('show');
+    }
+  }
+
+  // Show the popup's Cancel button and call handler when it is clicked; null hides the button
+  function setLoadingCancelHandler(handler) {
+    loadingCancelHandler = handler;
+    const cancelBtn = document.getElementById('cancelLoadingBtn');
+    if (cancelBtn) {
+      cancelBtn.style.display = handler ? 'inline-block' : 'none';
+    }
+  }
+
+  function showLoadingPopup(message = 'One moment while I generate your custom SQL database...', showProgress = false, onCancel = null) {
+    setLoadingCancelHandler(onCancel);
+    const loadingPopup = document.getElementById('loadingPopup');
+    const loadingMessage = document.getElementById('loadingMessage');
+    const progressContainer = document.getElementById('progressContainer');
+    
+    if (loadingMessage) {
+      loadingMessage.textContent = message;
+    }
+    
+    if (progressContainer) {
+      progressContainer.style.display = showProgress ? 'block' : 'none';
+    }
+    
+    if (loadingPopup) {
+      loadingPopup.classList.add('show');
+    }
+  }
+
+  function updateLoadingProgress(percentage, text = '') {
+    const progressBar = document.getElementById('progressBar');
+    const progressText = document.getElementById('progressText');
+    
+    if (progressBar) {
+      progressBar.style.width = percentage + '%';
+    }
+    
+    if (progressText) {
+      progressText.textContent = text || percentage + '%';
+    }
+  }
+
+  function hideLoadingPopup() {
+    setLoadingCancelHandler(null);
+    const loadingPopup = document.getElementById('loadingPopup');
+    if (loadingPopup) {
+      loadingPopup.classList.remove('show');
+    }
+  }
+
+  function hideLoading() {
+    hideLoadingPopup();
+  }
+
+  // Enhanced error capture for coaching
+  function captureEnhancedErrorDetails(error, query) {
+    const errorLocation = SQLGrammar.locateSQLError(error.message, query);
+    
+    const errorDetails = {
+      query: query,
+      errorMessage: error.message,
+      errorType: error.name || 'SQLError',
+      timestamp: new Date().toISOString(),
+      location: {
+        line: errorLocation.line,
+        column: errorLocation.column,
+        context: errorLocation.context
+      }
+    };
+    
+    // Add query analysis
+    const queryLines = query.split('\\n');
+    errorDetails.queryAnalysis = {
+      totalLines: queryLines.length,
+      totalCharacters: query.length,
+      keywords: extractSQLKeywords(query),
+      tables: queryTableReferences(query)
+    };
+    
+    return errorDetails;
+  }
+  
+  // Helper function to extract SQL keywords
+  function extractSQLKeywords(query) {
+    const keywords = ['SELECT', 'FROM', 'WHERE', 'JOIN', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'ALTER', 'ORDER BY', 'GROUP BY', 'HAVING'];
+    const foundKeywords = [];
+    const upperQuery = query.toUpperCase();
+    
+    keywords.forEach(keyword => {
+      if (upperQuery.includes(keyword)) {
+        foundKeywords.push(keyword);
+      }
+    });
+    
+    return foundKeywords;
+  }
+  
+
+  // Build the { table: [{ name, type, notNull, defaultValue, primaryKey }] } map the Worker endpoints expect
+  function getDatabaseSchemaMap() {
+    let schemaInfo = null;
+    try {
+      const tablesResult = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name;");
+      if (tablesResult.length > 0) {
+        schemaInfo = {};
+        for (const tableRow of tablesResult[0].values) {
+          const tableName = tableRow[0];
+          try {
+            const schemaResult = db.exec("PRAGMA table_info(" + sqlIdentifier(tableName) + ");");
+            if (schemaResult.length > 0) {
+              schemaInfo[tableName] = schemaResult[0].values.map(col => ({
+                name: col[1],
+                type: col[2],
+                notNull: col[3],
+                defaultValue: col[4],
+                primaryKey: col[5]
+              }));
+            }
+          } catch (schemaError) {
+            addDebugInfo('Error getting schema for table ' + tableName + ': ' + schemaError.message);
+          }
+        }
+      }
+    } catch (schemaError) {
+      addDebugInfo('Error getting database schema: ' + schemaError.message);
+    }
+    return schemaInfo;
+  }
+
+  // List foreign keys as [{ table, column, references: 'parent.column' }]
+  function getForeignKeyList() {
+    const foreignKeys = [];
+    const schemaMap = getDatabaseSchemaMap() || {};
+    Object.keys(schemaMap).forEach(tableName => {
+      try {
+        const fkResult = db.exec("PRAGMA foreign_key_list(" + sqlIdentifier(tableName) + ");");
+        if (fkResult.length > 0) {
+          fkResult[0].values.forEach(fk => {
+            foreignKeys.push({ table: tableName, column: fk[3], references: fk[2] + '.' + fk[4] });
+          });
+        }
+      } catch (e) {
+        addDebugInfo('Error reading foreign keys for ' + tableName + ': ' + e.message);
+      }
+    });
+    return foreignKeys;
+  }
+
+  // Request a graded exercise set for the live schema
+  async function generateExercises() {
+    if (!db) {
+      showError('Database not initialized. Please refresh the page.');
+      return;
+    }
+    const schema = getDatabaseSchemaMap();
+    if (!schema || Object.keys(schema).length === 0) {
+      showError('Load or generate a database before generating exercises.');
+      return;
+    }
+
+    const btn = document.getElementById('generateExercisesBtn');
+    const originalHTML = btn.innerHTML;
+    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Generating...</span>';
+    btn.disabled = true;
+    updateStatus('Generating practice exercises for your database...');
+
+    try {
+      const response = await fetch('/generate-exercises', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ schema, foreignKeys: getForeignKeyList() })
+      });
+      const limitMessage = await rateLimitMessage(response, 'generating exercises');
+      if (limitMessage) {
+        showError(limitMessage);
+        updateStatus(limitMessage);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error('HTTP error! status: ' + response.status);
+      }
+      const data = await response.json();
+      if (data.error) {
+        addDebugInfo('Exercise generation note: ' + data.error);
+      }
+
+      // Keep only exercises whose reference solution actually runs against this database
+      practiceExercises = (data.exercises || []).filter(exercise => {
+        try {
+          db.exec(exercise.solution);
+          return true;
+        } catch (e) {
+          addDebugInfo('Dropping exercise "' + exercise.title + '": reference solution failed (' + e.message + ')');
+          return false;
+        }
+      });
+      practiceExercises.forEach(exercise => { exercise.attempts = 0; exercise.passed = false; });
+      clearActiveExercise();
+      renderExerciseList();
+      updateStatus('Generated ' + practiceExercises.length + ' practice exercises' + (data.source === 'fallback' ? ' (AI unavailable - using built-in exercises)' : '') + '. Pick one to start!');
+    } catch (error) {
+      addDebugInfo('Error generating exercises: ' + error.message);
+      showError('Failed to generate exercises: ' + error.message);
+    } finally {
+      btn.innerHTML = originalHTML;
+      btn.disabled = false;
+    }
+  }
+
+  function difficultyBadge(difficulty) {
+    const colors = {
+      easy: 'bg-green-100 text-green-800',
+      medium: 'bg-yellow-100 text-yellow-800',
+      hard: 'bg-red-100 text-red-800'
+    };
+    return '<span class="text-xs font-medium px-2 py-0.5 rounded ' + (colors[difficulty] || colors.medium) + '">' + escapeHtml(difficulty) + '</span>';
+  }
+
+  function renderExerciseList() {
+    const list = document.getElementById('exerciseList');
+    if (practiceExercises.length === 0) {
+      list.innerHTML = '<div class="text-sm text-gray-500">No exercises could be generated for this database.</div>';
+      return;
+    }
+
+    let html = '<div class="grid grid-cols-1 md:grid-cols-2 gap-2">';
+    practiceExercises.forEach(exercise => {
+      const isActive = activeExercise && activeExercise.id === exercise.id;
+      html += '<button class="exercise-item text-left border rounded-md p-2 hover:bg-amber-50 transition-colors ' + (isActive ? 'border-amber-500 bg-amber-50' : 'border-gray-200') + '" data-exercise-id="' + exercise.id + '">';
+      html += '<div class="flex items-center justify-between mb-1">';
+      html += '<span class="font-medium text-gray-800 text-sm">' + escapeHtml(exercise.title) + '</span>';
+      html += '<span class="flex items-center space-x-1">' + (exercise.passed ? '<i class="fas fa-check-circle text-green-600"></i>' : '') + difficultyBadge(exercise.difficulty) + '</span>';
+      html += '</div>';
+      html += '<p class="text-xs text-gray-600">' + escapeHtml(exercise.question) + '</p>';
+      html += '</button>';
+    });
+    html += '</div>';
+    list.innerHTML = html;
+
+    list.querySelectorAll('.exercise-item').forEach(item => {
+      item.addEventListener('click', function() {
+        selectExercise(this.getAttribute('data-exercise-id'));
+      });
+    });
+  }
+
+  function selectExercise(exerciseId) {
+    activeExercise = practiceExercises.find(exercise => exercise.id === exerciseId) || null;
+    const container = document.getElementById('activeExercise');
+    document.getElementById('exerciseFeedback').style.display = 'none';
+    if (!activeExercise) {
+      container.style.display = 'none';
+      return;
+    }
+
+    let html = '<div class="border border-amber-300 bg-amber-50 rounded-md p-3">';
+    html += '<div class="flex items-center justify-between mb-2">';
+    html += '<h4 class="font-medium text-amber-900">' + escapeHtml(activeExercise.title) + ' ' + difficultyBadge(activeExercise.difficulty) + '</h4>';
+    html += '<button id="stopExerciseBtn" class="text-amber-700 hover:text-amber-900 text-sm" title="Stop grading queries"><i class="fas fa-times"></i></button>';
+    html += '</div>';
+    html += '<p class="text-sm text-amber-900">' + escapeHtml(activeExercise.question) + '</p>';
+    html += '<p class="text-xs text-amber-700 mt-2">' + (activeExercise.orderSensitive ? 'Row order matters for this exercise.' : 'Row order does not matter.') + ' Column names do not need to match.</p>';
+    html += '<div class="flex space-x-3 mt-2">';
+    if (activeExercise.hint) {
+      html += '<button id="showHintBtn" class="text-xs text-amber-700 underline">Show hint</button>';
+    }
+    html += '<button id="showSolutionBtn" class="text-xs text-amber-700 underline" style="display: ' + (activeExercise.attempts > 0 ? 'inline' : 'none') + ';">Show reference solution</button>';
+    html += '</div>';
+    html += '<p id="exerciseHint" class="text-xs text-amber-800 mt-2" style="display: none;"><i class="fas fa-lightbulb mr-1"></i>' + escapeHtml(activeExercise.hint) + '</p>';
+    html += '</div>';
+    container.innerHTML = html;
+    container.style.display = 'block';
+
+    document.getElementById('stopExerciseBtn').addEventListener('click', clearActiveExercise);
+    const hintBtn = document.getElementById('showHintBtn');
+    if (hintBtn) {
+      hintBtn.addEventListener('click', function() {
+        document.getElementById('exerciseHint').style.display = 'block';
+      });
+    }
+    document.getElementById('showSolutionBtn').addEventListener('click', function() {
+      sqlEditor.setValue('-- Reference solution: ' + activeExercise.title + '\\n' + activeExercise.solution + ';');
+      updateStatus('Reference solution loaded into the editor');
+    });
+
+    renderExerciseList();
+    updateStatus('Exercise selected - write a query and press Run Query to have it graded.');
+  }
+
+  function clearActiveExercise() {
+    activeExercise = null;
+    document.getElementById('activeExercise').style.display = 'none';
+    document.getElementById('exerciseFeedback').style.display = 'none';
+    if (practiceExercises.length > 0) {
+      renderExerciseList();
+    }
+  }
+
+  // Canonical text for a result cell so equal values compare equal across queries
+  function normalizeGradeCell(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6);
+    }
+    if (ArrayBuffer.isView(value)) return 'BLOB:' + Array.from(value).join(',');
+    return 'T:' + String(value);
+  }
+
+  // Compare two sql.js result sets ({ columns, values } or null for "no rows").
+  // Column names are ignored unless they can be used to line up re-ordered columns.
+  function compareResultSets(expected, actual, orderSensitive) {
+    const expectedColumns = expected ? expected.columns : [];
+    const expectedRows = expected ? expected.values : [];
+    let actualRows = actual ? actual.values : [];
+    const actualColumns = actual ? actual.columns : [];
+
+    if (expected && actual && expectedColumns.length !== actualColumns.length) {
+      return {
+        passed: false,
+        message: 'Expected ' + expectedColumns.length + ' columns but your query returned ' + actualColumns.length + '.',
+        missing: [],
+        extra: []
+      };
+    }
+
+    const expectedNames = expectedColumns.map(name => name.toLowerCase());
+    const actualNames = actualColumns.map(name => name.toLowerCase());
+    const sameNames = expectedNames.every(name => actualNames.includes(name)) && new Set(actualNames).size === actualNames.length;
+    let order = null;
+    if (sameNames) {
+      order = expectedNames.map(name => actualNames.indexOf(name));
+    } else if (expected && actual) {
+      // Names differ (aliases): line columns up by their values instead
+      const signature = (rows, index) => rows.map(row => normalizeGradeCell(row[index])).sort().join('|');
+      const used = new Set();
+      order = expectedColumns.map((name, expectedIndex) => {
+        const expectedSignature = signature(expectedRows, expectedIndex);
+        const candidates = actualColumns.map((_, actualIndex) => actualIndex).filter(index => !used.has(index));
+        const match = candidates.includes(expectedIndex) && signature(actualRows, expectedIndex) === expectedSignature
+          ? expectedIndex
+          : candidates.find(index => signature(actualRows, index) === expectedSignature);
+        if (match === undefined) return -1;
+        used.add(match);
+        return match;
+      });
+      if (order.includes(-1)) order = null;
+    }
+    if (order && order.some((index, position) => index !== position)) {
+      actualRows = actualRows.map(row => order.map(index => row[index]));
+    }
+
+    const rowKey = row => JSON.stringify(row.map(normalizeGradeCell));
+    const expectedKeys = expectedRows.map(rowKey);
+    const actualKeys = actualRows.map(rowKey);
+
+    // Multiset difference in both directions
+    const remaining = new Map();
+    expectedKeys.forEach((key, index) => {
+      if (!remaining.has(key)) remaining.set(key, []);
+      remaining.get(key).push(index);
+    });
+    const extra = [];
+    actualKeys.forEach((key, index) => {
+      const matches = remaining.get(key);
+      if (matches && matches.length > 0) {
+        matches.shift();
+      } else {
+        extra.push(actualRows[index]);
+      }
+    });
+    const missing = [];
+    remaining.forEach(indexes => indexes.forEach(index => missing.push(expectedRows[index])));
+
+    if (missing.length > 0 || extra.length > 0) {
+      return {
+        passed: false,
+        message: 'Your result has ' + actualRows.length + ' rows; the expected result has ' + expectedRows.length + '.',
+        missing,
+        extra
+      };
+    }
+    if (orderSensitive && expectedKeys.join() !== actualKeys.join()) {
+      const firstMismatch = expectedKeys.findIndex((key, index) => key !== actualKeys[index]);
+      return {
+        passed: false,
+        message: 'You returned the right rows, but in the wrong order (first difference at row ' + (firstMismatch + 1) + ').',
+        missing: [],
+        extra: []
+      };
+    }
+    return { passed: true, message: 'Your result matches the expected ' + expectedRows.length + ' rows.', missing: [], extra: [] };
+  }
+
+  // Run the active exercise's reference solution. This happens before the user's query runs, so
+  // both see the same data even when the user's query changes it (solutions are read-only).
+  // Returns { expected } (the last result set, or null) or { error }.
+  function runReferenceSolution() {
+    try {
+      const referenceResults = db.exec(activeExercise.solution);
+      return { expected: referenceResults.length > 0 ? referenceResults[referenceResults.length - 1] : null };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  // Grade the last result set of the user's query against the reference run from runReferenceSolution()
+  function gradeActiveExercise(results, reference) {
+    if (!activeExercise || !reference) return;
+
+    if (reference.error) {
+      addDebugInfo('Reference solution failed to run: ' + reference.error);
+      showExerciseFeedback({ passed: false, message: 'The reference solution no longer runs against this database (' + reference.error + ').', missing: [], extra: [] }, null);
+      return;
+    }
+
+    const expected = reference.expected;
+    const actual = results.length > 0 ? results[results.length - 1] : null;
+    const grade = compareResultSets(expected, actual, activeExercise.orderSensitive);
+    activeExercise.attempts++;
+    if (grade.passed) {
+      activeExercise.passed = true;
+    }
+    addDebugInfo('Exercise "' + activeExercise.title + '" graded: ' + (grade.passed ? 'PASS' : 'FAIL') + ' - ' + grade.message);
+    showExerciseFeedback(grade, expected);
+    document.getElementById('showSolutionBtn').style.display = 'inline';
+    renderExerciseList();
+  }
+
+  function renderDiffRows(title, rows, columns, colorClass) {
+    if (rows.length === 0) return '';
+    let html = '<p class="text-xs font-medium mt-2 ' + colorClass + '">' + title + ' (' + rows.length + ')</p>';
+    html += '<div class="overflow-x-auto"><table class="text-xs mt-1 border border-gray-200">';
+    if (columns.length > 0) {
+      html += '<tr class="bg-gray-50">' + columns.map(col => '<th class="px-2 py-1 text-left">' + escapeHtml(col) + '</th>').join('') + '</tr>';
+    }
+    rows.slice(0, 10).forEach(row => {
+      html += '<tr>' + row.map(cell => '<td class="px-2 py-1 border-t border-gray-100">' + escapeHtml(cell === null ? 'NULL' : String(cell)) + '</td>').join('') + '</tr>';
+    });
+    html += '</table></div>';
+    if (rows.length > 10) {
+      html += '<p class="text-xs text-gray-500">...and ' + (rows.length - 10) + ' more</p>';
+    }
+    return html;
+  }
+
+  function showExerciseFeedback(grade, expected) {
+    const feedback = document.getElementById('exerciseFeedback');
+    const columns = expected ? expected.columns : [];
+    let html = '<div class="rounded-md p-3 border ' + (grade.passed ? 'bg-green-50 border-green-300' : 'bg-red-50 border-red-300') + '">';
+    html += '<p class="font-medium text-sm ' + (grade.passed ? 'text-green-800' : 'text-red-800') + '">';
+    html += grade.passed ? '<i class="fas fa-check-circle mr-1"></i>Correct!' : '<i class="fas fa-times-circle mr-1"></i>Not quite';
+    html += '</p>';
+    html += '<p class="text-sm ' + (grade.passed ? 'text-green-700' : 'text-red-700') + '">' + escapeHtml(grade.message) + '</p>';
+    html += renderDiffRows('Missing rows (expected but not returned)', grade.missing, columns, 'text-red-700');
+    html += renderDiffRows('Extra rows (returned but not expected)', grade.extra, columns, 'text-red-700');
+    html += '</div>';
+    feedback.innerHTML = html;
+    feedback.style.display = 'block';
+  }
+
+  // Ask the Worker to turn an English question into SQL. The query is compiled (not run) with
+  // db.prepare() first; compile errors are sent back once so the model can correct itself.
+  async function askInEnglish() {
+    const question = document.getElementById('nlQuestion').value.trim();
+    if (!question) {
+      showError('Type a question about your data first.');
+      return;
+    }
+    if (!db) {
+      showError('Database not initialized. Please refresh the page.');
+      return;
+    }
+    const schema = getDatabaseSchemaMap();
+    if (!schema || Object.keys(schema).length === 0) {
+      showError('Load or generate a database before asking questions about it.');
+      return;
+    }
+
+    const btn = document.getElementById('nlToSqlBtn');
+    const originalHTML = btn.innerHTML;
+    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Thinking...</span>';
+    btn.disabled = true;
+    hideError();
+    updateStatus('Translating your question into SQL...');
+
+    try {
+      const foreignKeys = getForeignKeyList();
+      let previousAttempt = null;
+      let data = null;
+      let compileError = null;
+
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        const response = await fetch('/nl-to-sql', {
+          method: 'POST',
+          headers: apiHeaders(),
+          body: JSON.stringify({ question, schema, foreignKeys, previousAttempt })
+        });
+        const limitMessage = await rateLimitMessage(response, 'asking questions');
+        if (limitMessage) {
+          showError(limitMessage);
+          updateStatus(limitMessage);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error('HTTP error! status: ' + response.status);
+        }
+        data = await response.json();
+        if (data.error) {
+          addDebugInfo('NL-to-SQL note: ' + data.error);
+        }
+        if (!data.sql) {
+          break;
+        }
+
+        compileError = null;
+        try {
+          db.prepare(data.sql).free();
+        } catch (e) {
+          compileError = e.message;
+        }
+        if (!compileError || data.source !== 'claude-api') {
+          break;
+        }
+        addDebugInfo('Generated query failed to compile (' + compileError + '), asking for a correction...');
+        previousAttempt = { sql: data.sql, error: compileError };
+      }
+
+      showNaturalLanguageResult(question, data, compileError);
+      if (!data.sql) {
+        updateStatus('Could not write a query for that question');
+        return;
+      }
+
+      sqlEditor.setValue('-- Q: ' + question.replace(/\\s+/g, ' ') + '\\n' + data.sql);
+      updateStatus('Query written from your question' + (compileError ? ' - but it still has an error: ' + compileError : ''));
+      if (document.getElementById('nlAutoRun').checked && !compileError) {
+        executeQuery();
+      }
+    } catch (error) {
+      addDebugInfo('NL-to-SQL error: ' + error.message);
+      showError('Failed to translate question: ' + error.message);
+    } finally {
+      btn.innerHTML = originalHTML;
+      btn.disabled = false;
+    }
+  }
+
+  function showNaturalLanguageResult(question, data, compileError) {
+    const container = document.getElementById('nlResult');
+    const confidence = Math.round((data.confidence || 0) * 100);
+    const confidenceClass = confidence >= 70 ? 'bg-green-200 text-green-900' : confidence >= 40 ? 'bg-yellow-200 text-yellow-900' : 'bg-red-200 text-red-900';
+
+    let html = '<div class="flex items-start space-x-2">';
+    html += '<span class="text-xs font-medium px-2 py-0.5 rounded whitespace-nowrap ' + confidenceClass + '">' + confidence + '% confident</span>';
+    html += '<p>' + escapeHtml(data.explanation || '') + '</p>';
+    html += '</div>';
+    if (compileError) {
+      html += '<p class="text-xs text-red-700 mt-1"><i class="fas fa-exclamation-triangle mr-1"></i>SQLite reports: ' + escapeHtml(compileError) + '</p>';
+    }
+    if (data.source === 'fallback') {
+      html += '<p class="text-xs text-green-700 mt-1">AI unavailable - this is a basic keyword match.</p>';
+    }
+    container.innerHTML = html;
+    container.style.display = 'block';
+  }
+
+  // Editor text to run as { text, from, to, whole } (from/to are editor offsets), or null when there is nothing to run.
+  // 'selection' runs the selected text, or the statement at the cursor when nothing is selected;
+  // 'statement' runs the statement at the cursor; anything else runs the whole editor.
+  function editorRunRange(scope) {
+    const value = sqlEditor.getValue();
+    let from = 0;
+    let to = value.length;
+    if (scope === 'selection' && sqlEditor.somethingSelected()) {
+      from = sqlEditor.indexFromPos(sqlEditor.getCursor('from'));
+      to = sqlEditor.indexFromPos(sqlEditor.getCursor('to'));
+    } else if (scope === 'selection' || scope === 'statement') {
+      const statement = statementAtCursor(value, sqlEditor.indexFromPos(sqlEditor.getCursor()));
+      if (!statement) return null;
+      from = statement.start;
+      to = statement.end;
+    }
+    const text = value.slice(from, to);
+    if (!text.trim()) return null;
+    // Trimmed, so the highlight and error positions start at the first character that runs
+    const start = from + text.length - text.trimStart().length;
+    return { text: text.trim(), from: start, to: start + text.trim().length, whole: from === 0 && to === value.length };
+  }
+
+  // The statement the cursor is in; between two statements, the one before the cursor
+  function statementAtCursor(sql, offset) {
+    const statements = SQLGrammar.splitSQLStatements(sql);
+    let match = statements[0] || null;
+    statements.forEach(statement => {
+      if (statement.start <= offset) match = statement;
+    });
+    return match;
+  }
+
+  let executedRangeMark = null;
+
+  // Briefly marks the part of the editor that just ran
+  function highlightExecutedRange(range) {
+    if (executedRangeMark) executedRangeMark.clear();
+    const mark = sqlEditor.markText(sqlEditor.posFromIndex(range.from), sqlEditor.posFromIndex(range.to), { className: 'sql-executed-range' });
+    executedRangeMark = mark;
+    setTimeout(() => {
+      mark.clear();
+      if (executedRangeMark === mark) executedRangeMark = null;
+    }, 1500);
+  }
+
+  // Error position in editor coordinates, when the range ran untranslated and the error was located
+  function editorErrorPosition(range, query, location) {
+    if (range.whole || query !== range.text || !location.line || !location.column) return null;
+    const start = sqlEditor.posFromIndex(range.from);
+    return {
+      line: start.line + location.line,
+      column: location.line === 1 ? start.ch + location.column : location.column
+    };
+  }
+
+  function executeQuery(scope) {
+    const range = editorRunRange(scope);
+    if (!range) {
+      showError(scope === 'selection' || scope === 'statement' ? 'There is no SQL statement at the cursor.' : 'Please enter a SQL query first.');
+      return;
+    }
+
+    if (!db) {
+      showError('Database not initialized. Please refresh the page.');
+      return;
+    }
+
+    const btn = document.getElementById('runQueryBtn');
+    const originalHTML = btn.innerHTML;
+    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Running...</span>';
+    btn.disabled = true;
+
+    hideError();
+    if (!range.whole) {
+      highlightExecutedRange(range);
+    }
+    const sourceQuery = range.text;
+    // Queries written in another dialect run as their SQLite translation
+    let query = sourceQuery;
+    if (queryDialect !== 'sqlite') {
+      const translation = translateSQL(sourceQuery, queryDialect, 'sqlite');
+      query = translation.sql;
+      showDialectNotice(translation);
+    }
+    const runs = [];
+    const reference = activeExercise ? runReferenceSolution() : null;
+    const startTime = performance.now();
+
+    try {
+      addDebugInfo('Executing query: ' + query);
+
+      // Statement by statement, so each one gets its own result tab
+      SQLGrammar.splitSQLStatements(query).forEach(statement => {
+        const statementResults = db.exec(statement.text);
+        const changes = ['INSERT', 'UPDATE', 'DELETE', 'REPLACE'].includes(statement.kind) ? db.getRowsModified() : null;
+        runs.push({ statement, results: statementResults, changes });
+      });
+      const results = [].concat(...runs.map(run => run.results));
+      const endTime = performance.now();
+      const executionTime = Math.round(endTime - startTime);
+
+      addDebugInfo('Query executed in ' + executionTime + 'ms');
+
+      if (runs.length > 1) {
+        addDebugInfo('Multiple statements executed (' + runs.length + ' statements)');
+        const totalRows = results.reduce((sum, result) => sum + result.values.length, 0);
+        displayStatementResults(runs, executionTime);
+        updateStatus('Executed ' + runs.length + ' statements in ' + executionTime + 'ms' + (totalRows > 0 ? ' (' + totalRows + ' rows returned in total)' : ''));
+      } else if (results.length === 1) {
+        addDebugInfo('Query returned ' + results[0].values.length + ' rows with columns: ' + results[0].columns.join(', '));
+        displayQueryResults(results[0], executionTime);
+      } else if (results.length > 1) {
+        // A single statement the splitter could not break up but SQLite ran as several
+        displayStatementResults(runs, executionTime);
+      } else {
+        displayEmptyResults(executionTime);
+        if (runs.length === 1 && runs[0].changes !== null) {
+          document.getElementById('emptyResultsDetail').textContent = runs[0].statement.kind + ' changed ' + runs[0].changes + ' rows';
+        }
+        updateStatus('Query executed successfully in ' + executionTime + 'ms (no results returned)');
+        addDebugInfo('Query executed successfully but returned no rows');
+      }
+
+      gradeActiveExercise(results, reference);
+      recordQueryHistory(sourceQuery);
+
+    } catch (error) {
+      console.error("SQL Query Error:", error);
+      addDebugInfo('Query error: ' + error.message);
+
+      // Statements before the failing one have run; keep their results on screen, and save the
+      // library snapshot if they changed anything, since those changes stay in the database
+      if (runs.length > 0) {
+        displayStatementResults(runs, Math.round(performance.now() - startTime));
+      }
+      if (runs.some(run => isModifyingQuery(run.statement.text))) {
+        scheduleSnapshot(true);
+      }
+
+      // Enhanced error capture for coaching
+      const errorDetails = captureEnhancedErrorDetails(error, query);
+      
+      // Get current database schema for context
+      errorDetails.schema = getDatabaseSchemaMap();
+      
+      // Create enhanced error message with location info (in editor lines when only part of it ran)
+      let enhancedErrorMessage = error.message;
+      const position = editorErrorPosition(range, query, errorDetails.location) || errorDetails.location;
+      if (position.line && position.column) {
+        enhancedErrorMessage += ' (Line ' + position.line + ', Column ' + position.column + ')';
+      }
+      if (errorDetails.location.context) {
+        enhancedErrorMessage += '\\nProblem near: ' + errorDetails.location.context;
+      }
+      
+      // Show enhanced error first
+      showError('SQL Error: ' + enhancedErrorMessage);
+      
+      // Try to get coaching response
+      getCoachingResponse(errorDetails);
+      
+      updateStatus('Query execution failed');
+    } finally {
+      btn.innerHTML = originalHTML;
+      btn.disabled = false;
+      // Tables created, dropped or altered by this query change completions, lint and the overview
+      if (/\\b(CREATE|DROP|ALTER)\\b/i.test(query)) {
+        refreshDatabaseOverview();
+      }
+    }
+  }
+
+  function displayQueryResults(result, executionTime) {
+    const resultsPanel = document.getElementById('resultsPanel');
+    const rowCount = document.getElementById('rowCount');
+    const queryTime = document.getElementById('queryTime');
+
+    addDebugInfo('displayQueryResults called with ' + result.values.length + ' rows and columns: ' + result.columns.join(', '));
+
+    document.getElementById('resultTabs').style.display = 'none';
+    fillResultsTable(result);
+
+    // Show panel
+    resultsPanel.classList.add('show');
+
+    // Update stats
+    rowCount.textContent = result.values.length + ' rows';
+    queryTime.textContent = executionTime + 'ms';
+    
+    lastResultSets = [{ label: 'Results', columns: result.columns, values: result.values }];
+    renderExportMenu();
+    
+    addDebugInfo('Results table displayed with ' + result.values.length + ' rows and ' + result.columns.length + ' columns');
+  }
+
+  function fillResultsTable(result) {
+    const resultsHeader = document.getElementById('resultsHeader');
+    const resultsBody = document.getElementById('resultsBody');
+    const emptyResults = document.getElementById('emptyResults');
+    const resultsTable = document.getElementById('resultsTable');
+
+    // Clear previous results
+    resultsHeader.innerHTML = '';
+    resultsBody.innerHTML = '';
+    emptyResults.style.display = 'none';
+    
+    // Make sure the table is visible (fix the main issue)
+    resultsTable.style.display = 'table';
+
+    addDebugInfo('Creating headers for columns: ' + result.columns.join(', '));
+
+    // Create headers
+    result.columns.forEach((column, index) => {
+      const th = document.createElement('th');
+      th.className = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+      th.textContent = column;
+      resultsHeader.appendChild(th);
+      addDebugInfo('Added header ' + (index + 1) + ': ' + column);
+    });
+
+    addDebugInfo('Headers created, now creating ' + result.values.length + ' data rows');
+
+    // Create rows
+    result.values.forEach((row, rowIndex) => {
+      const tr = document.createElement('tr');
+      row.forEach((cell, cellIndex) => {
+        const td = document.createElement('td');
+        td.className = 'px-6 py-4 whitespace-nowrap text-sm text-gray-900';
+        td.textContent = cell !== null ? cell : 'NULL';
+        tr.appendChild(td);
+      });
+      resultsBody.appendChild(tr);
+    });
+  }
+
+  // One tab per statement that ran, showing its rows or how many rows it changed
+  function displayStatementResults(runs, executionTime) {
+    const tabs = [];
+    runs.forEach((run, index) => {
+      const label = 'Statement ' + (index + 1);
+      if (run.results.length === 0) {
+        tabs.push({ label, kind: run.statement.kind, result: null, changes: run.changes });
+      }
+      run.results.forEach((result, resultIndex) => {
+        tabs.push({ label: label + (run.results.length > 1 ? '.' + (resultIndex + 1) : ''), kind: run.statement.kind, result });
+      });
+    });
+
+    addDebugInfo('displayStatementResults called with ' + tabs.length + ' statement results');
+    document.getElementById('resultsPanel').classList.add('show');
+    document.getElementById('queryTime').textContent = executionTime + 'ms';
+
+    const tabStrip = document.getElementById('resultTabs');
+    tabStrip.innerHTML = tabs.map((tab, index) => {
+      const summary = tab.result ? tab.result.values.length + ' rows' : (tab.changes !== null ? tab.changes + ' changed' : 'done');
+      return '<button data-result-tab="' + index + '" class="result-tab px-3 py-1 rounded-md border text-xs font-medium transition-colors" title="' + escapeAttribute(tab.kind) + '">' +
+        escapeHtml(tab.label) + ' <span class="opacity-75">' + escapeHtml(tab.kind.split(' ')[0]) + ' &middot; ' + summary + '</span></button>';
+    }).join('');
+    tabStrip.style.display = 'flex';
+    tabStrip.querySelectorAll('[data-result-tab]').forEach(button => {
+      button.addEventListener('click', () => showResultTab(tabs, Number(button.getAttribute('data-result-tab'))));
+    });
+
+    // Open on the last statement that returned rows, which is usually the one being worked on
+    let active = tabs.length - 1;
+    tabs.forEach((tab, index) => {
+      if (tab.result) active = index;
+    });
+    showResultTab(tabs, active);
+
+    lastResultSets = tabs.filter(tab => tab.result).map(tab => ({ label: tab.label, columns: tab.result.columns, values: tab.result.values }));
+    renderExportMenu();
+  }
+
+  function showResultTab(tabs, index) {
+    const tab = tabs[index];
+    document.querySelectorAll('#resultTabs [data-result-tab]').forEach(button => {
+      const selected = Number(button.getAttribute('data-result-tab')) === index;
+      button.className = 'result-tab px-3 py-1 rounded-md border text-xs font-medium transition-colors ' +
+        (selected ? 'bg-purple-600 border-purple-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100');
+    });
+
+    if (tab.result) {
+      document.getElementById('rowCount').textContent = tab.result.values.length + ' rows';
+      fillResultsTable(tab.result);
+      return;
+    }
+    document.getElementById('rowCount').textContent = tab.changes !== null ? tab.changes + ' rows changed' : '0 rows';
+    document.getElementById('resultsTable').style.display = 'none';
+    document.getElementById('emptyResults').style.display = 'block';
+    document.getElementById('emptyResultsDetail').textContent = tab.changes !== null
+      ? tab.kind + ' changed ' + tab.changes + ' rows'
+      : tab.kind + ' executed successfully and returned no rows';
+  }
+
+  function displayEmptyResults(executionTime) {
+    const resultsPanel = document.getElementById('resultsPanel');
+    const emptyResults = document.getElementById('emptyResults');
+    const rowCount = document.getElementById('rowCount');
+    const queryTime = document.getElementById('queryTime');
+    const resultsTable = document.getElementById('resultsTable');
+
+    // Show panel
+    resultsPanel.classList.add('show');
+    emptyResults.style.display = 'block';
+
+    // Update stats
+    rowCount.textContent = '0 rows';
+    queryTime.textContent = executionTime + 'ms';
+
+    // Hide table when no results
+    resultsTable.style.display = 'none';
+    document.getElementById('resultTabs').style.display = 'none';
+    document.getElementById('emptyResultsDetail').textContent = 'Query executed successfully but returned no rows';
+    lastResultSets = [];
+    renderExportMenu();
+    
+    addDebugInfo('Empty results displayed');
+  }
+
+  // ---- Result export (CSV, JSON, Markdown, XLSX) ----
+  const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+    xlsx: { label: 'XLSX', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+  };
+
+  // Text form of a cell for the text formats; null stays null so each format can mark it its own way
+  function exportCellText(value) {
+    if (value === null || value === undefined) return null;
+    if (ArrayBuffer.isView(value)) {
+      // BLOBs as SQLite hex literals so they survive a round trip
+      return "X'" + Array.from(value, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase() + "'";
+    }
+    // String() gives the shortest representation that reads back as the same double (no locale rounding)
+    return String(value);
+  }
+
+  function hasUnsafeIntegers(resultSets) {
+    return resultSets.some(resultSet => resultSet.values.some(row => row.some(value =>
+      typeof value === 'number' && Number.isInteger(value) && !Number.isSafeInteger(value))));
+  }
+
+  // JSON keys must be unique, so repeated column names (a.id, b.id) become id, id_2, ...
+  function uniqueColumnNames(columns) {
+    const seen = {};
+    return columns.map(column => {
+      seen[column] = (seen[column] || 0) + 1;
+      return seen[column] === 1 ? column : column + '_' + seen[column];
+    });
+  }
+
+  function csvField(value) {
+    const text = exportCellText(value);
+    if (text === null) return ''; // NULL is an empty field; an empty string is quoted ("")
+    return text === '' || /[",\\r\\n]|^\\s|\\s$/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function resultSetToCSV(resultSet) {
+    const lines = [resultSet.columns.map(csvField).join(',')];
+    resultSet.values.forEach(row => lines.push(row.map(csvField).join(',')));
+    return lines.join('\\r\\n') + '\\r\\n';
+  }
+
+  function resultSetToObjects(resultSet) {
+    const keys = uniqueColumnNames(resultSet.columns);
+    return resultSet.values.map(row => {
+      const record = {};
+      keys.forEach((key, index) => {
+        const value = row[index];
+        record[key] = ArrayBuffer.isView(value) ? exportCellText(value) : value;
+      });
+      return record;
+    });
+  }
+
+  function markdownCell(value) {
+    const text = exportCellText(value);
+    if (text === null) return '*NULL*';
+    return text.replace(/\\|/g, '\\\\|').replace(/\\r?\\n/g, '<br>');
+  }
+
+  function resultSetToMarkdown(resultSet) {
+    // Right-align columns that only hold numbers
+    const alignments = resultSet.columns.map((column, index) => {
+      const values = resultSet.values.map(row => row[index]).filter(value => value !== null);
+      return values.length > 0 && values.every(value => typeof value === 'number') ? '---:' : '---';
+    });
+    const lines = [
+      '| ' + resultSet.columns.map(markdownCell).join(' | ') + ' |',
+      '| ' + alignments.join(' | ') + ' |'
+    ];
+    resultSet.values.forEach(row => lines.push('| ' + row.map(markdownCell).join(' | ') + ' |'));
+    return lines.join('\\n') + '\\n';
+  }
+
+  let crc32Table = null;
+  function crc32(bytes) {
+    if (!crc32Table) {
+      crc32Table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crc32Table[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Minimal ZIP writer with uncompressed (stored) entries - all an .xlsx package needs
+  function zipStored(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.data);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed to extract
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(12, 0x21, true); // 1980-01-01
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      localParts.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(14, 0x21, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      output.set(part, position);
+      position += part.length;
+    });
+    return output;
+  }
+
+  function xmlEscape(text) {
+    return String(text)
+      .replace(/[\\x00-\\x08\\x0B\\x0C\\x0E-\\x1F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function spreadsheetColumn(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+  }
+
+  function xlsxCell(value, ref) {
+    if (value === null || value === undefined) return ''; // NULL is an empty cell
+    // Excel keeps 15 significant digits, so long integers such as IDs are written as text
+    if (typeof value === 'number' && Number.isFinite(value) && !(Number.isInteger(value) && Math.abs(value) >= 1e15)) {
+      return '<c r="' + ref + '"><v>' + value + '</v></c>';
+    }
+    return '<c r="' + ref + '" t="inlineStr"><is><t xml:space="preserve">' + xmlEscape(exportCellText(value)) + '</t></is></c>';
+  }
+
+  function resultSetToSheetXml(resultSet) {
+    const rows = [resultSet.columns].concat(resultSet.values);
+    let xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    xml += '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+    rows.forEach((row, rowIndex) => {
+      xml += '<row r="' + (rowIndex + 1) + '">';
+      row.forEach((value, columnIndex) => {
+        xml += xlsxCell(value, spreadsheetColumn(columnIndex) + (rowIndex + 1));
+      });
+      xml += '</row>';
+    });
+    return xml + '</sheetData></worksheet>';
+  }
+
+  // One worksheet per result set
+  function resultSetsToXlsx(resultSets) {
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const usedNames = new Set();
+    const sheetNames = resultSets.map((resultSet, index) => {
+      const base = (resultSet.label || 'Sheet ' + (index + 1)).replace(/[\\[\\]:*?\\/\\\\]/g, ' ').substring(0, 31);
+      let name = base;
+      for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+        name = base.substring(0, 28) + ' ' + n;
+      }
+      usedNames.add(name.toLowerCase());
+      return name;
+    });
+
+    let contentTypes = xmlHeader + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">';
+    contentTypes += '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>';
+    contentTypes += '<Default Extension="xml" ContentType="application/xml"/>';
+    contentTypes += '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>';
+    let workbook = xmlHeader + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>';
+    let workbookRels = xmlHeader + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">';
+    const sheetFiles = [];
+
+    resultSets.forEach((resultSet, index) => {
+      const sheetNumber = index + 1;
+      contentTypes += '<Override PartName="/xl/worksheets/sheet' + sheetNumber + '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>';
+      workbook += '<sheet name="' + xmlEscape(sheetNames[index]) + '" sheetId="' + sheetNumber + '" r:id="rId' + sheetNumber + '"/>';
+      workbookRels += '<Relationship Id="rId' + sheetNumber + '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet' + sheetNumber + '.xml"/>';
+      sheetFiles.push({ name: 'xl/worksheets/sheet' + sheetNumber + '.xml', data: resultSetToSheetXml(resultSet) });
+    });
+
+    return zipStored([
+      { name: '[Content_Types].xml', data: contentTypes + '</Types>' },
+      { name: '_rels/.rels', data: xmlHeader + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>' },
+      { name: 'xl/workbook.xml', data: workbook + '</sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', data: workbookRels + '</Relationships>' }
+    ].concat(sheetFiles));
+  }
+
+  function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // selection is an index into lastResultSets or 'all'
+  function exportResults(format, selection) {
+    const resultSets = selection === 'all' ? lastResultSets : [lastResultSets[Number(selection)]].filter(Boolean);
+    const exportFormat = EXPORT_FORMATS[format];
+    if (resultSets.length === 0 || !exportFormat) {
+      showError('Run a query that returns rows before exporting.');
+      return;
+    }
+
+    let content;
+    if (format === 'csv') {
+      content = '\\uFEFF' + resultSetToCSV(resultSets[0]); // BOM so spreadsheet apps read UTF-8
+    } else if (format === 'json') {
+      const data = selection === 'all'
+        ? resultSets.map(resultSet => ({ query: resultSet.label, rows: resultSetToObjects(resultSet) }))
+        : resultSetToObjects(resultSets[0]);
+      content = JSON.stringify(data, null, 2);
+    } else if (format === 'markdown') {
+      content = resultSets.map(resultSet => (resultSets.length > 1 ? '### ' + resultSet.label + '\\n\\n' : '') + resultSetToMarkdown(resultSet)).join('\\n');
+    } else {
+      content = resultSetsToXlsx(resultSets);
+    }
+
+    const suffix = selection === 'all' || lastResultSets.length === 1 ? '' : '-' + resultSets[0].label.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const filename = 'query-results' + suffix + '-' + stamp + '.' + exportFormat.extension;
+    downloadFile(filename, content, exportFormat.mimeType);
+    document.getElementById('exportMenu').style.display = 'none';
+
+    let message = 'Exported ' + resultSets.reduce((sum, resultSet) => sum + resultSet.values.length, 0) + ' rows to ' + filename;
+    if (hasUnsafeIntegers(resultSets)) {
+      message += ' (some integers are larger than 2^53 and were already rounded by the browser)';
+    }
+    updateStatus(message);
+    addDebugInfo(message);
+  }
+
+  // Rebuild the export menu for the result sets currently on screen
+  function renderExportMenu() {
+    const exportBtn = document.getElementById('exportResultsBtn');
+    const menu = document.getElementById('exportMenu');
+    if (!exportBtn || !menu) return;
+    menu.style.display = 'none';
+    if (lastResultSets.length === 0) {
+      exportBtn.style.display = 'none';
+      return;
+    }
+    exportBtn.style.display = 'inline-flex';
+
+    const formatButtons = (selection, formats) => formats.map(format =>
+      '<button class="export-option text-xs bg-gray-100 hover:bg-purple-100 text-gray-700 px-2 py-1 rounded" data-export-format="' + format + '" data-export-selection="' + selection + '">' + EXPORT_FORMATS[format].label + '</button>'
+    ).join('');
+
+    let html = '';
+    lastResultSets.forEach((resultSet, index) => {
+      html += '<div class="px-3 py-2 border-b border-gray-100">';
+      html += '<div class="text-xs font-medium text-gray-500 mb-1">' + escapeHtml(resultSet.label) + ' (' + resultSet.values.length + ' rows)</div>';
+      html += '<div class="flex space-x-1">' + formatButtons(index, Object.keys(EXPORT_FORMATS)) + '</div>';
+      html += '</div>';
+    });
+    if (lastResultSets.length > 1) {
+      // CSV has no notion of several tables in one file, so combined export skips it
+      html += '<div class="px-3 py-2">';
+      html += '<div class="text-xs font-medium text-gray-500 mb-1">All result sets</div>';
+      html += '<div class="flex space-x-1">' + formatButtons('all', ['json', 'markdown', 'xlsx']) + '</div>';
+      html += '</div>';
+    }
+    menu.innerHTML = html;
+
+    menu.querySelectorAll('.export-option').forEach(button => {
+      button.addEventListener('click', function(event) {
+        event.stopPropagation();
+        exportResults(this.getAttribute('data-export-format'), this.getAttribute('data-export-selection'));
+      });
+    });
+  }
+
+  // Formats the selection when there is one, otherwise the whole editor, in the chosen style
+  function formatSQL() {
+    if (!sqlEditor.somethingSelected()) {
+      sqlEditor.setValue(SQLGrammar.formatSQL(sqlEditor.getValue(), formatStyle));
+      return;
+    }
+    // Keep the whitespace around the selection, and indent later lines like the line it starts on
+    const selection = sqlEditor.getSelection();
+    const before = selection.match(/^\\s*/)[0];
+    const after = selection.slice(before.length).match(/\\s*$/)[0];
+    const indent = sqlEditor.getLine(sqlEditor.getCursor('from').line).match(/^\\s*/)[0];
+    const formatted = SQLGrammar.formatSQL(selection, formatStyle).split('\\n')
+      .map((line, index) => (index === 0 || !line ? line : indent + line))
+      .join('\\n');
+    sqlEditor.replaceSelection(before + formatted + after, 'around');
+  }
+
+  function clearEditor() {
+    sqlEditor.setValue('');
+  }
+
+  // Tables of a database script with "name (TYPE)" labels for their columns
+  function extractTableInfo(database) {
+    return SQLGrammar.extractSchemaTables(database).map(table => ({
+      name: table.name,
+      columns: table.columns.map(column => (column.type ? column.name + ' (' + column.type + ')' : column.name))
+    }));
+  }
+
+  // Function to refresh database overview from actual database state
+  // Table cards for the database panel (src/table-cards.js)
+  const { renderTableCard } = (${createTableCards})();
+
+  // The Query button sits inside the card, so one listener per card covers both
+  function attachTableCardListeners(container) {
+    container.querySelectorAll('.table-info[data-table]').forEach(card => {
+      card.addEventListener('click', () => selectTableForQuery(card.getAttribute('data-table')));
+    });
+  }
+
+  function refreshDatabaseOverview() {
+    refreshEditorSchema();
+    const databaseContent = document.getElementById('databaseContent');
+    const actionButtons = ['copyDatabaseBtn', 'loadToEditorBtn', 'downloadSqliteBtn', 'downloadDumpBtn', 'shareDatabaseBtn', 'bulkDataBtn', 'erDiagramBtn'].map(id => document.getElementById(id));
+    
+    if (!db) {
+      databaseContent.innerHTML = '<div class="text-sm text-gray-500 text-center py-4">Database not initialized</div>';
+      return;
+    }
+    
+    try {
+      // Get tables directly from the database
+      const result = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name;");
+      
+      if (result.length === 0 || result[0].values.length === 0) {
+        databaseContent.innerHTML = '<div class="text-sm text-gray-500 text-center py-4">No tables found in database</div>';
+        actionButtons.forEach(button => { button.style.display = 'none'; });
+        return;
+      }
+      
+      // Show action buttons
+      actionButtons.forEach(button => { button.style.display = 'inline-block'; });
+      
+      // Get detailed information for each table
+      const tables = [];
+      for (const tableRow of result[0].values) {
+        const tableName = tableRow[0];
+        
+        try {
+          // Get column information
+          const schemaResult = db.exec("PRAGMA table_info(" + sqlIdentifier(tableName) + ");");
+          const columns = [];
+          
+          if (schemaResult.length > 0) {
+            schemaResult[0].values.forEach(col => {
+              const columnName = col[1]; // column name
+              const columnType = col[2]; // column type
+              columns.push(columnName + ' (' + columnType + ')');
+            });
+          }
+          
+          // Get row count
+          let rowCount = 0;
+          try {
+            const countResult = db.exec("SELECT COUNT(*) as count FROM " + sqlIdentifier(tableName));
+            if (countResult.length > 0) {
+              rowCount = countResult[0].values[0][0];
+            }
+          } catch (e) {
+            addDebugInfo('Could not get row count for table ' + tableName + ': ' + e.message);
+          }
+          
+          tables.push({
+            name: tableName,
+            columns: columns,
+            rowCount: rowCount
+          });
+          
+        } catch (e) {
+          addDebugInfo('Error getting info for table ' + tableName + ': ' + e.message);
+          tables.push({
+            name: tableName,
+            columns: ['Error loading columns'],
+            rowCount: 0
+          });
+        }
+      }
+      
+      // Display table information
+      let html = '';
+      tables.forEach(table => {
+        html += renderTableCard(table.name, table.columns, table.rowCount);
+      });
+      
+      // Add refresh button and schema button
+      html += \`
+        <div class="mt-4 pt-4 border-t border-gray-200 space-y-2">
+          <button id="refreshOverviewBtn" class="w-full bg-blue-100 hover:bg-blue-200 text-blue-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2">
+            <i class="fas fa-sync-alt"></i>
+            <span>Refresh Database Overview</span>
+          </button>
+          <button id="showSchemaBtn" class="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2">
+            <i class="fas fa-code"></i>
+            <span>Show Schema Creation SQL</span>
+          </button>
+          <button id="diagnoseSchemaBtn" class="w-full bg-yellow-100 hover:bg-yellow-200 text-yellow-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2">
+            <i class="fas fa-search"></i>
+            <span>Diagnose Schema Issues</span>
+          </button>
+        </div>
+      \`;
+      
+      databaseContent.innerHTML = html;
+      attachTableCardListeners(databaseContent);
+      
+      // Add event listeners
+      document.getElementById('refreshOverviewBtn').addEventListener('click', function() {
+        addDebugInfo('Manually refreshing database overview...');
+        refreshDatabaseOverview();
+        updateStatus('Database overview refreshed!');
+        
+        // Temporarily change button to show action was performed
+        const originalHTML = this.innerHTML;
+        this.innerHTML = '<i class="fas fa-check"></i><span>Overview Refreshed!</span>';
+        this.classList.remove('bg-blue-100', 'hover:bg-blue-200', 'text-blue-700');
+        this.classList.add('bg-green-100', 'text-green-700');
+        
+        // Reset button back to original state after 2 seconds
+        setTimeout(() => {
+          this.innerHTML = originalHTML;
+          this.classList.remove('bg-green-100', 'text-green-700');
+          this.classList.add('bg-blue-100', 'hover:bg-blue-200', 'text-blue-700');
+        }, 2000);
+      });
+      
+      document.getElementById('showSchemaBtn').addEventListener('click', function() {
+        if (currentDatabase) {
+          sqlEditor.setValue(currentDatabase);
+          updateStatus('Schema creation SQL loaded to editor. You can see how the database was built!');
+          
+          // Temporarily change button text to show action was performed
+          const originalHTML = this.innerHTML;
+          this.innerHTML = '<i class="fas fa-check"></i><span>Schema SQL loaded to editor</span>';
+          this.classList.remove('bg-gray-100', 'hover:bg-gray-200');
+          this.classList.add('bg-green-100', 'text-green-700');
+          
+          // Reset button back to original state after 2 seconds
+          setTimeout(() => {
+            this.innerHTML = originalHTML;
+            this.classList.remove('bg-green-100', 'text-green-700');
+            this.classList.add('bg-gray-100', 'hover:bg-gray-200');
+          }, 2000);
+        } else {
+          // Fallback: Generate schema from current database state
+          try {
+            addDebugInfo('No stored schema SQL found, generating from current database state...');
+            const generatedSQL = generateSchemaFromDatabase();
+            if (generatedSQL) {
+              sqlEditor.setValue(generatedSQL);
+              updateStatus('Current database schema generated and loaded to editor!');
+              
+              // Temporarily change button text to show action was performed
+              const originalHTML = this.innerHTML;
+              this.innerHTML = '<i class="fas fa-check"></i><span>Current Schema Generated</span>';
+              this.classList.remove('bg-gray-100', 'hover:bg-gray-200');
+              this.classList.add('bg-green-100', 'text-green-700');
+              
+              // Reset button back to original state after 2 seconds
+              setTimeout(() => {
+                this.innerHTML = originalHTML;
+                this.classList.remove('bg-green-100', 'text-green-700');
+                this.classList.add('bg-gray-100', 'hover:bg-gray-200');
+              }, 2000);
+            } else {
+              showError('No database tables found to generate schema from.');
+            }
+          } catch (error) {
+            addDebugInfo('Error generating schema from database: ' + error.message);
+            showError('Could not generate schema: ' + error.message);
+          }
+        }
+      });
+      
+      document.getElementById('diagnoseSchemaBtn').addEventListener('click', function() {
+        addDebugInfo('Manual schema diagnosis requested...');
+        diagnoseSchemaIssues();
+        updateStatus('Schema diagnosis completed! Check the debug panel for details.');
+        
+        // Show the debug panel automatically
+        document.getElementById('debugPanel').classList.add('show');
+        
+        // Temporarily change button text to show action was performed
+        const originalHTML = this.innerHTML;
+        this.innerHTML = '<i class="fas fa-check"></i><span>Diagnosis Complete - Check Debug Panel</span>';
+        this.classList.remove('bg-yellow-100', 'hover:bg-yellow-200', 'text-yellow-700');
+        this.classList.add('bg-green-100', 'text-green-700');
+        
+        // Reset button back to original state after 3 seconds
+        setTimeout(() => {
+          this.innerHTML = originalHTML;
+          this.classList.remove('bg-green-100', 'text-green-700');
+          this.classList.add('bg-yellow-100', 'hover:bg-yellow-200', 'text-yellow-700');
+        }, 3000);
+      });
+      
+      addDebugInfo('Database overview refreshed with ' + tables.length + ' tables');
+      
+    } catch (error) {
+      addDebugInfo('Error refreshing database overview: ' + error.message);
+      databaseContent.innerHTML = '<div class="text-sm text-red-500 text-center py-4">Error loading database overview: ' + escapeHtml(error.message) + '</div>';
+    }
+  }
+
+  // Function to display database in the left panel
+  function displayDatabaseInPanel(database) {
+    const databaseContent = document.getElementById('databaseContent');
+    const copyBtn = document.getElementById('copyDatabaseBtn');
+    const loadBtn = document.getElementById('loadToEditorBtn');
+    
+    // Store the database globally
+    currentDatabase = database;
+    
+    // Show action buttons
+    copyBtn.style.display = 'inline-block';
+    loadBtn.style.display = 'inline-block';
+    
+    // Extract table information from database
+    const tables = extractTableInfo(database);
+    
+    if (tables.length === 0) {
+      databaseContent.innerHTML = '<div class="text-sm text-gray-500 text-center py-4">No tables found in database</div>';
+      return;
+    }
+    
+    // Display table information with row counts
+    let html = '';
+    tables.forEach(table => {
+      // Get row count from database if available
+      let rowCount = 'Unknown';
+      if (db) {
+        try {
+          const result = db.exec('SELECT COUNT(*) as count FROM ' + sqlIdentifier(table.name));
+          if (result.length > 0) {
+            rowCount = result[0].values[0][0];
+          }
+        } catch (e) {
+          rowCount = '0';
+        }
+      }
+      
+      html += renderTableCard(table.name, table.columns, rowCount);
+    });
+    
+    // Add a button to show the schema creation SQL (stretch goal implementation)
+    html += \`
+      <div class="mt-4 pt-4 border-t border-gray-200">
+        <button id="showSchemaBtn" class="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2">
+          <i class="fas fa-code"></i>
+          <span>Show me how this schema was created using SQL</span>
+        </button>
+      </div>
+    \`;
+    
+    databaseContent.innerHTML = html;
+    attachTableCardListeners(databaseContent);
+    
+    // Add event listener for the new button
+    document.getElementById('showSchemaBtn').addEventListener('click', function() {
+      if (currentDatabase) {
+        sqlEditor.setValue(currentDatabase);
+        updateStatus('Schema creation SQL loaded to editor. You can see how the database was built!');
+        
+        // Temporarily change button text to show action was performed
+        const originalHTML = this.innerHTML;
+        this.innerHTML = '<i class="fas fa-check"></i><span>Schema SQL loaded to editor</span>';
+        this.classList.remove('bg-gray-100', 'hover:bg-gray-200');
+        this.classList.add('bg-green-100', 'text-green-700');
+        
+        // Reset button back to original state after 2 seconds
+        setTimeout(() => {
+          this.innerHTML = originalHTML;
+          this.classList.remove('bg-green-100', 'text-green-700');
+          this.classList.add('bg-gray-100', 'hover:bg-gray-200');
+        }, 2000);
+      }
+    });
+  }
+
+  // ---- Saved database library (IndexedDB) ----
+  // Each record keeps a db.export() snapshot plus the SQL, structured schema,
+  // exercises and query history that belong to it, so a reload picks up where you left off.
+  const LIBRARY_DB_NAME = 'sql-practice-library';
+  const LIBRARY_DB_VERSION = 1;
+  const QUERY_HISTORY_LIMIT = 50;
+  const SNAPSHOT_DELAY_MS = 1000;
+  let libraryConnection = null;
+  let snapshotTimer = null;
+  let snapshotNeedsBytes = false;
+
+  function openLibrary() {
+    if (!window.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
     }
-    .table-info h4 {
-      color: #0c4a6e;
-      font-weight: 600;
-      margin-bottom: 0.5rem;
-      display: flex;
-      align-items: center;
-      justify-content: between;
+    if (!libraryConnection) {
+      libraryConnection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result;
+          if (!store.objectStoreNames.contains('databases')) {
+            store.createObjectStore('databases', { keyPath: 'id' });
+          }
+          if (!store.objectStoreNames.contains('settings')) {
+            store.createObjectStore('settings', { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      libraryConnection.catch(() => { libraryConnection = null; });
     }
-    .column-list {
-      display: flex;
-      flex-wrap: wrap;
-      gap: 0.25rem;
-      margin-bottom: 0.5rem;
+    return libraryConnection;
+  }
+
+  async function libraryRequest(storeName, mode, operation) {
+    const connection = await openLibrary();
+    return new Promise((resolve, reject) => {
+      const transaction = connection.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+  }
+
+  async function listSavedDatabases() {
+    const records = await libraryRequest('databases', 'readonly', store => store.getAll());
+    return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  function getSavedDatabase(id) {
+    return libraryRequest('databases', 'readonly', store => store.get(id));
+  }
+
+  async function getLibrarySetting(key) {
+    const entry = await libraryRequest('settings', 'readonly', store => store.get(key));
+    return entry ? entry.value : undefined;
+  }
+
+  function setLibrarySetting(key, value) {
+    return libraryRequest('settings', 'readwrite', store => store.put({ key, value }));
+  }
+
+  // Table names and row counts shown in the library list
+  function summarizeTables() {
+    const summary = [];
+    const result = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name;");
+    if (result.length === 0) return summary;
+    for (const row of result[0].values) {
+      let rowCount = 0;
+      try {
+        rowCount = db.exec('SELECT COUNT(*) FROM ' + sqlIdentifier(row[0]) + ';')[0].values[0][0];
+      } catch (e) {
+        addDebugInfo('Could not count rows in ' + row[0] + ': ' + e.message);
+      }
+      summary.push({ name: row[0], rowCount });
     }
-    .column-tag {
-      background: #e0f2fe;
-      color: #0c4a6e;
-      padding: 0.125rem 0.5rem;
-      border-radius: 0.25rem;
-      font-size: 0.75rem;
-      font-family: monospace;
+    return summary;
+  }
+
+  // Write the loaded database to the library. options.asNew starts a new entry;
+  // otherwise the current entry is updated (or created when nothing is saved yet).
+  async function saveCurrentDatabase(options = {}) {
+    if (!db) return null;
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+
+    const existing = !options.asNew && currentLibraryId ? await getSavedDatabase(currentLibraryId) : null;
+    const tables = summarizeTables();
+    if (!existing && tables.length === 0) {
+      return null; // Nothing worth keeping yet
     }
-    .row-count {
-      font-size: 0.75rem;
-      color: #6b7280;
-      font-style: italic;
+
+    const now = new Date().toISOString();
+    const needsBytes = !existing || options.asNew || snapshotNeedsBytes;
+    const record = {
+      id: existing ? existing.id : 'db-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8),
+      name: options.name || (existing ? existing.name : 'Scratch database'),
+      prompt: options.prompt !== undefined ? options.prompt : (existing ? existing.prompt : ''),
+      source: options.source || (existing ? existing.source : 'manual'),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      tables,
+      bytes: needsBytes ? db.export() : existing.bytes,
+      sql: currentDatabase,
+      schemaSpec: currentSchemaSpec,
+      exercises: practiceExercises,
+      history: queryHistory,
+      shareId: options.shareId || (existing ? existing.shareId : null)
+    };
+    snapshotNeedsBytes = false;
+
+    await libraryRequest('databases', 'readwrite', store => store.put(record));
+    currentLibraryId = record.id;
+    await setLibrarySetting('lastDatabaseId', record.id);
+    addDebugInfo('Saved database "' + record.name + '" to the browser library' + (needsBytes ? '' : ' (history only)'));
+    renderLibrary();
+    return record;
+  }
+
+  // Debounced save after queries; dataChanged forces a fresh db.export() snapshot
+  function scheduleSnapshot(dataChanged) {
+    if (dataChanged) snapshotNeedsBytes = true;
+    clearTimeout(snapshotTimer);
+    snapshotTimer = setTimeout(() => {
+      saveCurrentDatabase().catch(error => {
+        addDebugInfo('Could not save database to the browser library: ' + error.message);
+      });
+    }, SNAPSHOT_DELAY_MS);
+  }
+
+  async function flushPendingSnapshot() {
+    if (snapshotTimer) {
+      await saveCurrentDatabase();
     }
-    .query-btn {
-      background: #3b82f6;
-      color: white;
-      padding: 0.25rem 0.5rem;
-      border-radius: 0.25rem;
-      font-size: 0.75rem;
-      border: none;
-      cursor: pointer;
-      transition: background 0.2s ease;
+  }
+
+  // A snapshot still waiting on its timer is lost if the tab closes first, and mobile browsers may
+  // discard a hidden tab without another event, so save it as soon as the page is hidden
+  function saveBeforePageHides() {
+    flushPendingSnapshot().catch(error => {
+      addDebugInfo('Could not save database to the browser library: ' + error.message);
+    });
+  }
+
+  function isModifyingQuery(query) {
+    const withoutComments = query.replace(/--[^\\n]*/g, ' ').replace(/\\/\\*[\\s\\S]*?\\*\\//g, ' ');
+    return /\\b(INSERT|UPDATE|DELETE|REPLACE|CREATE|DROP|ALTER)\\b/i.test(withoutComments);
+  }
+
+  function recordQueryHistory(query) {
+    queryHistory = [{ query, ranAt: new Date().toISOString() }]
+      .concat(queryHistory.filter(entry => entry.query !== query))
+      .slice(0, QUERY_HISTORY_LIMIT);
+    renderQueryHistory();
+    scheduleSnapshot(isModifyingQuery(query));
+  }
+
+  function renderQueryHistory() {
+    const select = document.getElementById('queryHistory');
+    if (!select) return;
+    let html = '<option value="">' + (queryHistory.length > 0 ? 'Query history (' + queryHistory.length + ')' : 'No query history yet') + '</option>';
+    queryHistory.forEach((entry, index) => {
+      const label = entry.query.replace(/\\s+/g, ' ');
+      html += '<option value="' + index + '">' + escapeHtml(label.length > 60 ? label.substring(0, 60) + '...' : label) + '</option>';
+    });
+    select.innerHTML = html;
+  }
+
+  function loadHistoryEntry(index) {
+    const entry = queryHistory[Number(index)];
+    if (entry && sqlEditor) {
+      sqlEditor.setValue(entry.query);
+      sqlEditor.focus();
+      updateStatus('Loaded query from history');
     }
-    .query-btn:hover {
-      background: #2563eb;
+  }
+
+  // Swap the live sql.js database and everything that describes it.
+  // details is a library record, or {} for a database that is not saved yet.
+  function replaceLiveDatabase(nextDb, details) {
+    if (db) db.close();
+    db = nextDb;
+    currentLibraryId = details.id || null;
+    currentDatabase = details.sql || null;
+    currentSchemaSpec = details.schemaSpec || null;
+    queryHistory = details.history || [];
+    practiceExercises = details.exercises || [];
+    clearActiveExercise();
+    if (practiceExercises.length === 0) {
+      document.getElementById('exerciseList').innerHTML = 'Load a database, then generate graded exercises that go from easy to hard.';
     }
-  </style>
-</head>
-<body class="bg-gradient-to-br from-gray-50 to-gray-100 min-h-screen font-sans">
-  <!-- Header -->
-  <div class="bg-white shadow-sm border-b border-gray-200">
-    <div class="max-w-7xl mx-auto px-4 py-4">
-      <div class="flex items-center justify-between">
-        <div class="flex items-center space-x-3">
-          <div class="bg-blue-600 text-white rounded-lg p-2">
-            <i class="fas fa-database text-xl"></i>
-          </div>
-          <div>
-            <h1 class="text-2xl font-bold text-gray-900">AI SQL Playground</h1>
-            <p class="text-sm text-gray-600">Generate schemas with AI and test SQL queries</p>
-          </div>
-        </div>
-        <div class="flex items-center space-x-2">
-          <div id="dbStatus" class="db-status disconnected">
-            <i class="fas fa-circle"></i>
-            <span>Database: Initializing...</span>
-          </div>
-          <!-- Debug button hidden -->
-          <!--
-          <button id="showDebugBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-md transition-colors text-sm">
-            <i class="fas fa-bug"></i> Debug
-          </button>
-          -->
-          <button id="toggleSchema" class="lg:hidden bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-md transition-colors">
-            <i class="fas fa-bars"></i>
-          </button>
-        </div>
-      </div>
-    </div>
-  </div>
+    refreshDatabaseOverview();
+    renderQueryHistory();
+  }
 
-  <div class="max-w-7xl mx-auto px-4 py-6">
-    <div class="grid grid-cols-1 lg:grid-cols-4 gap-6">
-      <!-- Schema Panel -->
-      <div id="schemaPanel" class="lg:col-span-1 schema-panel">
-        <div class="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
-          <!-- Schema Generation -->
-          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-blue-50 to-indigo-50">
-            <h3 class="font-semibold text-gray-900 mb-3 flex items-center">
-              <i class="fas fa-magic text-blue-600 mr-2"></i>
-              Generate SQL Database
-            </h3>
-            <div class="space-y-3">
-              <textarea
-                id="databasePrompt"
-                rows="3"
-                placeholder="Describe your database needs (e.g., 'Generate a database for a retail store with customers and orders')"
-                class="w-full border border-gray-300 rounded-md p-3 text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-              ></textarea>
-              <button
-                id="generateDatabaseBtn"
-                class="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2"
-              >
-                <i class="fas fa-database"></i>
-                <span>Generate & Load Database</span>
-              </button>
-            </div>
-          </div>
+  function applySavedDatabase(record) {
+    replaceLiveDatabase(new SQL.Database(record.bytes), record);
+  }
 
-          <!-- Schema Overview -->
-          <div class="p-4">
-            <div class="flex items-center justify-between mb-3">
-              <h3 class="font-semibold text-gray-900 flex items-center">
-                <i class="fas fa-table text-green-600 mr-2"></i>
-                Database Overview
-              </h3>
-              <div class="flex items-center space-x-2">
-                <button id="copyDatabaseBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Copy database to clipboard" style="display: none;">
-                  <i class="fas fa-copy"></i>
-                </button>
-                <button id="loadToEditorBtn" class="text-gray-500 hover:text-gray-700 text-sm" title="Load database to editor" style="display: none;">
-                  <i class="fas fa-edit"></i>
-                </button>
-                <button id="collapseDatabase" class="text-gray-500 hover:text-gray-700">
-                  <i class="fas fa-chevron-up"></i>
-                </button>
-              </div>
-            </div>
-            
-            <div id="databaseContent" class="space-y-3">
-              <div class="text-sm text-gray-500 text-center py-4">
-                Generate a database to see tables here
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
+  async function restoreLastDatabase() {
+    try {
+      const lastId = await getLibrarySetting('lastDatabaseId');
+      const record = lastId ? await getSavedDatabase(lastId) : null;
+      if (record) {
+        applySavedDatabase(record);
+        updateStatus('Restored "' + record.name + '" from your saved databases.');
+        addDebugInfo('Restored saved database ' + record.id);
+      }
+    } catch (error) {
+      addDebugInfo('Could not restore saved database: ' + error.message);
+    }
+    renderLibrary();
+  }
+
+  async function openSavedDatabase(id) {
+    if (id === currentLibraryId) return;
+    try {
+      await flushPendingSnapshot();
+      const record = await getSavedDatabase(id);
+      if (!record) {
+        showError('That saved database no longer exists.');
+        renderLibrary();
+        return;
+      }
+      applySavedDatabase(record);
+      await setLibrarySetting('lastDatabaseId', record.id);
+      renderLibrary();
+      updateStatus('Switched to "' + record.name + '"');
+    } catch (error) {
+      showError('Failed to open saved database: ' + error.message);
+    }
+  }
+
+  async function renameSavedDatabase(id) {
+    try {
+      const record = await getSavedDatabase(id);
+      if (!record) return;
+      const name = (window.prompt('Rename database', record.name) || '').trim();
+      if (!name || name === record.name) return;
+      record.name = name.substring(0, 80);
+      record.updatedAt = new Date().toISOString();
+      await libraryRequest('databases', 'readwrite', store => store.put(record));
+      renderLibrary();
+      updateStatus('Renamed database to "' + record.name + '"');
+    } catch (error) {
+      showError('Failed to rename database: ' + error.message);
+    }
+  }
+
+  async function deleteSavedDatabase(id) {
+    try {
+      const record = await getSavedDatabase(id);
+      if (!record || !window.confirm('Delete "' + record.name + '" from this browser? This cannot be undone.')) return;
+      await libraryRequest('databases', 'readwrite', store => store.delete(id));
+      if (id === currentLibraryId) {
+        // The loaded copy stays usable but is no longer tied to a saved entry
+        clearTimeout(snapshotTimer);
+        snapshotTimer = null;
+        currentLibraryId = null;
+        await setLibrarySetting('lastDatabaseId', null);
+      }
+      renderLibrary();
+      updateStatus('Deleted "' + record.name + '"');
+    } catch (error) {
+      showError('Failed to delete database: ' + error.message);
+    }
+  }
+
+  async function renderLibrary() {
+    const container = document.getElementById('libraryContent');
+    if (!container) return;
+
+    let records;
+    try {
+      records = await listSavedDatabases();
+    } catch (error) {
+      container.innerHTML = '<div class="text-sm text-gray-500 text-center py-2">Saving is unavailable: ' + escapeHtml(error.message) + '</div>';
+      return;
+    }
+    if (records.length === 0) {
+      container.innerHTML = '<div class="text-sm text-gray-500 text-center py-2">Generated databases are saved in this browser</div>';
+      return;
+    }
 
-      <!-- Main Content -->
-      <div class="lg:col-span-3 space-y-6">
-        <!-- Debug Panel HIDDEN -->
-        <!--
-        <div id="debugPanel" class="debug-panel bg-yellow-50 border border-yellow-200 rounded-lg overflow-hidden">
-          <div class="p-4">
-            <div class="flex items-start justify-between mb-2">
-              <div class="flex items-center space-x-2">
-                <i class="fas fa-bug text-yellow-600"></i>
-                <h4 class="font-medium text-yellow-800">Debug Information</h4>
-              </div>
-              <button id="hideDebugBtn" class="text-yellow-600 hover:text-yellow-800">
-                <i class="fas fa-times"></i>
-              </button>
-            </div>
-            <div id="debugContent" class="text-sm text-yellow-700 font-mono bg-yellow-100 p-3 rounded border overflow-auto max-h-48">
-              <div>Debug info will appear here...</div>
-            </div>
-          </div>
-        </div>
-        -->
+    let html = '';
+    records.forEach(record => {
+      const isActive = record.id === currentLibraryId;
+      const rowTotal = record.tables.reduce((sum, table) => sum + table.rowCount, 0);
+      html += '<div class="library-item flex items-center justify-between border rounded-md p-2 ' + (isActive ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50') + '">';
+      html += '<button class="library-open text-left flex-1 min-w-0" data-library-id="' + record.id + '" title="' + escapeAttribute(record.prompt || record.name) + '">';
+      html += '<div class="font-medium text-gray-800 truncate">' + escapeHtml(record.name) + '</div>';
+      html += '<div class="text-xs text-gray-500">' + record.tables.length + (record.tables.length === 1 ? ' table' : ' tables') + ' &middot; ' + rowTotal + ' rows &middot; ' + new Date(record.createdAt).toLocaleDateString() + '</div>';
+      html += '</button>';
+      html += '<div class="flex items-center space-x-2 ml-2">';
+      html += '<button class="library-rename text-gray-400 hover:text-gray-700" data-library-id="' + record.id + '" title="Rename"><i class="fas fa-pen"></i></button>';
+      html += '<button class="library-delete text-gray-400 hover:text-red-600" data-library-id="' + record.id + '" title="Delete"><i class="fas fa-trash"></i></button>';
+      html += '</div>';
+      html += '</div>';
+    });
+    container.innerHTML = html;
 
-        <!-- SQL Query Editor -->
-        <div class="bg-white rounded-lg shadow-sm border border-gray-200">
-          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-green-50 to-emerald-50">
-            <h3 class="font-semibold text-gray-900 flex items-center">
-              <i class="fas fa-code text-green-600 mr-2"></i>
-              SQL Query Editor
-            </h3>
-          </div>
-          <div class="p-4">
-            <textarea id="sqlEditor" class="hidden">-- Write your SQL queries here
--- Example: SELECT * FROM customers LIMIT 5;
+    container.querySelectorAll('.library-open').forEach(button => {
+      button.addEventListener('click', function() {
+        openSavedDatabase(this.getAttribute('data-library-id'));
+      });
+    });
+    container.querySelectorAll('.library-rename').forEach(button => {
+      button.addEventListener('click', function() {
+        renameSavedDatabase(this.getAttribute('data-library-id'));
+      });
+    });
+    container.querySelectorAll('.library-delete').forEach(button => {
+      button.addEventListener('click', function() {
+        deleteSavedDatabase(this.getAttribute('data-library-id'));
+      });
+    });
+  }
 
-SELECT * FROM customers LIMIT 5;</textarea>
-            
-            <div class="flex flex-wrap gap-3 mt-4">
-              <button
-                id="runQueryBtn"
-                class="bg-green-600 hover:bg-green-700 text-white font-medium px-6 py-2 rounded-md transition-colors flex items-center space-x-2"
-              >
-                <i class="fas fa-play"></i>
-                <span>Run Query</span>
-              </button>
-              <button
-                id="clearBtn"
-                class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center space-x-2"
-              >
-                <i class="fas fa-trash"></i>
-                <span>Clear</span>
-              </button>
-            </div>
-          </div>
-        </div>
+  // ---- Data import (CSV files and SQLite databases) ----
+  const CSV_DELIMITERS = [',', ';', '\\t', '|'];
+  const CSV_DELIMITER_LABELS = { ',': 'Comma', ';': 'Semicolon', '\\t': 'Tab', '|': 'Pipe' };
+  const CSV_SAMPLE_ROWS = 50;
+  const IMPORT_PREVIEW_VALUES = 3;
+  let pendingCsvImport = null; // { fileName, text, delimiter, hasHeader, rows, columns } while the mapping dialog is open
+
+  function readFileAs(file, kind) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('Could not read ' + file.name));
+      if (kind === 'text') {
+        reader.readAsText(file);
+      } else {
+        reader.readAsArrayBuffer(file);
+      }
+    });
+  }
 
-        <!-- Error Panel -->
-        <div id="errorPanel" class="error-panel bg-red-50 border border-red-200 rounded-lg overflow-hidden">
-          <div class="p-4">
-            <div class="flex items-start space-x-3">
-              <i class="fas fa-exclamation-triangle text-red-600 mt-1"></i>
-              <div class="flex-1">
-                <h4 class="font-medium text-red-800">Error</h4>
-                <p class="text-sm text-red-700 mt-1" id="errorMessage">
-                  <!-- Error message will be inserted here -->
-                </p>
-                <div class="mt-2">
-                  <button id="dismissError" class="text-sm text-red-600 hover:text-red-800 underline">
-                    Dismiss
-                  </button>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
+  // RFC 4180: quoted fields may contain delimiters, doubled quotes and line breaks
+  function parseCSV(text, delimiter, maxRows) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char !== '"') {
+          field += char;
+        } else if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\\n' || char === '\\r') {
+        if (char === '\\r' && text[i + 1] === '\\n') i++;
+        row.push(field);
+        field = '';
+        if (row.length > 1 || row[0] !== '') {
+          rows.push(row); // blank lines are skipped
+        }
+        row = [];
+        if (maxRows && rows.length >= maxRows) return rows;
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
 
-        <!-- Coaching Panel -->
-        <div id="coachingPanel" class="error-panel bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200 rounded-lg overflow-hidden">
-          <div class="p-4">
-            <div class="flex items-start justify-between mb-3">
-              <div class="flex items-center space-x-2">
-                <i class="fas fa-graduation-cap text-blue-600"></i>
-                <h4 class="font-medium text-blue-800">SQL Coaching Assistant</h4>
-              </div>
-              <button id="dismissCoaching" class="text-blue-600 hover:text-blue-800">
-                <i class="fas fa-times"></i>
-              </button>
-            </div>
-            <div id="coachingContent" class="text-sm">
-              <!-- Coaching content will be inserted here -->
-            </div>
-          </div>
-        </div>
+  // Pick the delimiter that splits the first rows into the most consistent number of columns
+  function sniffDelimiter(text) {
+    const sample = text.substring(0, 20000);
+    let best = { delimiter: ',', score: -1 };
+    CSV_DELIMITERS.forEach(delimiter => {
+      const rows = parseCSV(sample, delimiter, 20);
+      if (rows.length === 0 || rows[0].length < 2) return;
+      const width = rows[0].length;
+      const consistency = rows.filter(row => row.length === width).length / rows.length;
+      const score = consistency * 100 + Math.min(width, 50);
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    });
+    return best.delimiter;
+  }
 
-        <!-- Query Results Panel -->
-        <div id="resultsPanel" class="results-panel bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
-          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-purple-50 to-pink-50">
-            <div class="flex items-center justify-between">
-              <h3 class="font-semibold text-gray-900 flex items-center">
-                <i class="fas fa-chart-bar text-purple-600 mr-2"></i>
-                Query Results
-              </h3>
-              <div class="flex items-center space-x-4 text-sm text-gray-600">
-                <span id="rowCount">0 rows</span>
-                <span id="queryTime">0ms</span>
-                <button id="hideResultsBtn" class="text-gray-500 hover:text-gray-700">
-                  <i class="fas fa-times"></i>
-                </button>
-              </div>
-            </div>
-          </div>
-          <div class="p-4">
-            <div class="table-container">
-              <table id="resultsTable" class="min-w-full divide-y divide-gray-200 text-sm">
-                <thead class="bg-gray-50">
-                  <tr id="resultsHeader">
-                    <!-- Headers will be populated dynamically -->
-                  </tr>
-                </thead>
-                <tbody id="resultsBody" class="bg-white divide-y divide-gray-200">
-                  <!-- Results will be populated dynamically -->
-                </tbody>
-              </table>
-              <div id="emptyResults" class="text-center py-8 text-gray-500" style="display: none;">
-                <i class="fas fa-inbox text-3xl mb-2"></i>
-                <p>No results to display</p>
-                <p class="text-sm text-gray-400">Query executed successfully but returned no rows</p>
-              </div>
-            </div>
-          </div>
-        </div>
+  function classifyCsvValue(value) {
+    const text = (value || '').trim();
+    if (text === '') return 'null';
+    if (/^[-+]?0\\d/.test(text)) return 'text'; // leading zeros (zip codes, phone numbers) are not numbers
+    if (/^[-+]?\\d+$/.test(text)) return 'integer';
+    if (/^[-+]?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?$/.test(text)) return 'real';
+    return 'text';
+  }
 
-        <!-- Status/Info Panel -->
-        <div class="bg-white rounded-lg shadow-sm border border-gray-200">
-          <div class="p-4 border-b border-gray-200 bg-gradient-to-r from-purple-50 to-pink-50">
-            <h3 class="font-semibold text-gray-900 flex items-center">
-              <i class="fas fa-info-circle text-purple-600 mr-2"></i>
-              Status
-            </h3>
-          </div>
-          <div class="p-4">
-            <div id="statusContent" class="text-sm text-gray-600">
-              Initializing SQL.js database... Please wait.
-            </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  <!-- Footer with Attribution -->
-    <footer class="bg-white border-t border-gray-200 mt-12">
-      <div class="max-w-7xl mx-auto px-4 py-6">
-        <div class="text-center text-sm text-gray-500">
-          <p>Built by <a href="https://himanshiiportfolio.netlify.app/" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-800 hover:underline transition-colors">Himanshi Sheth</a> for Break Into Tech</p>
-          <p class="mt-1">AI SQL Playground - Generate custom databases and practice SQL queries</p>
-        </div>
-      </div>
-    </footer>
-    
-    <!-- Loading Popup -->
-    <div id="loadingPopup" class="loading-popup">
-      <div class="loading-content">
-        <div class="loading-spinner"></div>
-        <h3 class="text-lg font-semibold text-gray-900 mb-2">Generating Database</h3>
-        <p class="text-gray-600" id="loadingMessage">One moment while I generate your custom SQL database...</p>
-        <div id="progressContainer" class="mt-4" style="display: none;">
-          <div class="w-full bg-gray-200 rounded-full h-3">
-            <div id="progressBar" class="bg-gradient-to-r from-blue-500 to-blue-600 h-3 rounded-full transition-all duration-500 ease-out" style="width: 0%"></div>
-          </div>
-          <p class="text-sm text-gray-600 mt-2 text-center font-medium" id="progressText">0%</p>
-        </div>
-      </div>
-    </div>
+  function inferColumnType(values) {
+    const kinds = new Set(values.map(classifyCsvValue));
+    if (kinds.has('text')) return 'TEXT';
+    if (kinds.has('real')) return 'REAL';
+    if (kinds.has('integer')) return 'INTEGER';
+    return 'TEXT';
+  }
 
-  <script>
-  // Global variables
-  let sqlEditor;
-  let db = null; // SQLite database instance
-  let debugInfo = [];
-  let currentDatabase = null; // Store the current database
+  // The first row is a header when it is all distinct text and either some column below it
+  // is numeric, or none of its values show up again in the same column
+  function detectHeader(rows) {
+    if (rows.length === 0) return false;
+    const first = rows[0].map(value => value.trim());
+    if (first.some(value => value === '' || classifyCsvValue(value) !== 'text')) return false;
+    if (new Set(first.map(value => value.toLowerCase())).size !== first.length) return false;
+    const sample = rows.slice(1, CSV_SAMPLE_ROWS);
+    if (sample.length === 0) return true;
+    if (first.some((_, index) => inferColumnType(sample.map(row => row[index] || '')) !== 'TEXT')) return true;
+    return first.every((value, index) => !sample.some(row => (row[index] || '').trim() === value));
+  }
 
-  // Add missing functions
-  function addDebugInfo(message) {
-    const timestamp = new Date().toLocaleTimeString();
-    debugInfo.push('[' + timestamp + '] ' + message);
-    
-    const debugContent = document.getElementById('debugContent');
-    if (debugContent) {
-      debugContent.innerHTML = debugInfo.slice(-20).join('\\n'); // Show last 20 messages
-      debugContent.scrollTop = debugContent.scrollHeight;
+  // snake_case identifier that can be queried without quoting
+  function toSqlIdentifier(name, fallback) {
+    let identifier = String(name || '').trim()
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .toLowerCase()
+      .replace(/[^a-z0-9_]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    if (!identifier) identifier = fallback;
+    if (/^[0-9]/.test(identifier)) identifier = '_' + identifier;
+    return identifier;
+  }
+
+  function buildCsvColumns(rows, hasHeader) {
+    const sample = rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + CSV_SAMPLE_ROWS);
+    const width = rows.slice(0, CSV_SAMPLE_ROWS).reduce((max, row) => Math.max(max, row.length), 0);
+    const used = {};
+    const columns = [];
+    for (let index = 0; index < width; index++) {
+      let name = toSqlIdentifier(hasHeader ? rows[0][index] : '', 'column_' + (index + 1));
+      used[name] = (used[name] || 0) + 1;
+      if (used[name] > 1) name += '_' + used[name];
+      const values = sample.map(row => row[index] || '');
+      columns.push({
+        index,
+        name,
+        type: inferColumnType(values),
+        samples: values.filter(value => value.trim() !== '').slice(0, IMPORT_PREVIEW_VALUES)
+      });
     }
+    return columns;
   }
 
-  function updateStatus(message) {
-    const statusContent = document.getElementById('statusContent');
-    if (statusContent) {
-      statusContent.textContent = message;
+  function prepareCsvImport(delimiter, hasHeader) {
+    const state = pendingCsvImport;
+    state.delimiter = delimiter;
+    state.rows = parseCSV(state.text, delimiter);
+    state.hasHeader = hasHeader === undefined ? detectHeader(state.rows) : hasHeader;
+    state.columns = buildCsvColumns(state.rows, state.hasHeader);
+  }
+
+  async function importDataFile(file) {
+    if (!db) {
+      showError('Database not initialized. Please refresh the page.');
+      return;
+    }
+    try {
+      if (/\\.(sqlite3?|db)$/i.test(file.name)) {
+        await importSqliteFile(file);
+      } else {
+        const text = (await readFileAs(file, 'text')).replace(/^\\uFEFF/, '');
+        if (!text.trim()) {
+          showError(file.name + ' is empty.');
+          return;
+        }
+        pendingCsvImport = { fileName: file.name, text };
+        prepareCsvImport(sniffDelimiter(text));
+        renderCsvImportDialog();
+      }
+    } catch (error) {
+      addDebugInfo('Import failed: ' + error.message);
+      showError('Import failed: ' + error.message);
+    }
+  }
+
+  async function importSqliteFile(file) {
+    const bytes = new Uint8Array(await readFileAs(file, 'arrayBuffer'));
+    if (String.fromCharCode.apply(null, bytes.subarray(0, 15)) !== 'SQLite format 3') {
+      throw new Error(file.name + ' is not a SQLite database');
+    }
+
+    const imported = new SQL.Database(bytes);
+    try {
+      const check = imported.exec('PRAGMA quick_check;');
+      if (check.length === 0 || check[0].values[0][0] !== 'ok') {
+        throw new Error('integrity check failed');
+      }
+    } catch (error) {
+      imported.close();
+      throw new Error('Could not open ' + file.name + ': ' + error.message);
+    }
+
+    await flushPendingSnapshot();
+    replaceLiveDatabase(imported, {});
+    await saveCurrentDatabase({ asNew: true, name: file.name, prompt: '', source: 'import' });
+    const tables = summarizeTables();
+    updateDatabaseStatus('connected');
+    updateStatus('Opened ' + file.name + ' with ' + tables.length + (tables.length === 1 ? ' table' : ' tables') + '. Try a query or ask for practice exercises!');
+    addDebugInfo('Imported SQLite database ' + file.name + ': ' + tables.map(table => table.name + ' (' + table.rowCount + ' rows)').join(', '));
+  }
+
+  function renderCsvImportDialog() {
+    const state = pendingCsvImport;
+    const dataRowCount = state.rows.length - (state.hasHeader ? 1 : 0);
+    const tableName = toSqlIdentifier(state.fileName.replace(/\\.[^.]+$/, ''), 'imported_data');
+
+    let html = '<h3 class="text-lg font-semibold text-gray-900 mb-1"><i class="fas fa-file-csv text-blue-600 mr-2"></i>Import ' + escapeHtml(state.fileName) + '</h3>';
+    html += '<p class="text-sm text-gray-600 mb-4">' + dataRowCount + ' data rows. Check the column names and types, then import them as a new table.</p>';
+    html += '<div class="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4 text-sm">';
+    html += '<label class="block"><span class="text-gray-700">Table name</span><input id="csvTableName" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1" value="' + escapeAttribute(tableName) + '" /></label>';
+    html += '<label class="block"><span class="text-gray-700">Delimiter</span><select id="csvDelimiter" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1">';
+    CSV_DELIMITERS.forEach(delimiter => {
+      html += '<option value="' + escapeAttribute(delimiter) + '"' + (delimiter === state.delimiter ? ' selected' : '') + '>' + CSV_DELIMITER_LABELS[delimiter] + '</option>';
+    });
+    html += '</select></label>';
+    html += '<label class="flex items-center space-x-2 mt-6"><input id="csvHasHeader" type="checkbox" class="rounded"' + (state.hasHeader ? ' checked' : '') + ' /><span class="text-gray-700">First row is a header</span></label>';
+    html += '</div>';
+
+    html += '<div class="overflow-x-auto border border-gray-200 rounded-md"><table class="min-w-full text-sm">';
+    html += '<thead class="bg-gray-50"><tr>';
+    html += '<th class="px-3 py-2 text-left text-xs font-medium text-gray-500">Import</th>';
+    html += '<th class="px-3 py-2 text-left text-xs font-medium text-gray-500">Column</th>';
+    html += '<th class="px-3 py-2 text-left text-xs font-medium text-gray-500">Type</th>';
+    html += '<th class="px-3 py-2 text-left text-xs font-medium text-gray-500">Sample values</th>';
+    html += '</tr></thead><tbody class="divide-y divide-gray-100">';
+    state.columns.forEach(column => {
+      html += '<tr class="csv-column-row" data-column-index="' + column.index + '">';
+      html += '<td class="px-3 py-2"><input type="checkbox" class="csv-column-include rounded" checked /></td>';
+      html += '<td class="px-3 py-2"><input class="csv-column-name border border-gray-300 rounded-md px-2 py-1 w-40" value="' + escapeAttribute(column.name) + '" /></td>';
+      html += '<td class="px-3 py-2"><select class="csv-column-type border border-gray-300 rounded-md px-2 py-1">';
+      ['INTEGER', 'REAL', 'TEXT'].forEach(type => {
+        html += '<option' + (type === column.type ? ' selected' : '') + '>' + type + '</option>';
+      });
+      html += '</select></td>';
+      html += '<td class="px-3 py-2 text-gray-600 font-mono text-xs">' + (column.samples.length > 0 ? column.samples.map(escapeHtml).join(', ') : '<em>empty</em>') + '</td>';
+      html += '</tr>';
+    });
+    html += '</tbody></table></div>';
+
+    html += '<div class="flex justify-end space-x-3 mt-4">';
+    html += '<button id="csvCancelBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors">Cancel</button>';
+    html += '<button id="csvImportBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-medium px-4 py-2 rounded-md transition-colors">Import ' + dataRowCount + ' rows</button>';
+    html += '</div>';
+
+    document.getElementById('importDialogBody').innerHTML = html;
+    document.getElementById('importDialog').classList.add('show');
+
+    document.getElementById('csvDelimiter').addEventListener('change', function() {
+      prepareCsvImport(this.value);
+      renderCsvImportDialog();
+    });
+    document.getElementById('csvHasHeader').addEventListener('change', function() {
+      prepareCsvImport(state.delimiter, this.checked);
+      renderCsvImportDialog();
+    });
+    document.getElementById('csvCancelBtn').addEventListener('click', closeImportDialog);
+    document.getElementById('csvImportBtn').addEventListener('click', importCsvTable);
+  }
+
+  function closeImportDialog() {
+    pendingCsvImport = null;
+    document.getElementById('importDialog').classList.remove('show');
+    document.getElementById('importFileInput').value = '';
+  }
+
+  // Empty cells become NULL; numbers are bound as text so the column affinity converts them exactly
+  function csvCellValue(value) {
+    if (value === undefined || value.trim() === '') return null;
+    return value;
+  }
+
+  function importCsvTable() {
+    const state = pendingCsvImport;
+    const tableName = toSqlIdentifier(document.getElementById('csvTableName').value, 'imported_data');
+    const used = {};
+    const columns = Array.from(document.querySelectorAll('.csv-column-row'))
+      .filter(row => row.querySelector('.csv-column-include').checked)
+      .map(row => {
+        let name = toSqlIdentifier(row.querySelector('.csv-column-name').value, 'column_' + (Number(row.getAttribute('data-column-index')) + 1));
+        used[name] = (used[name] || 0) + 1;
+        if (used[name] > 1) name += '_' + used[name];
+        return {
+          index: Number(row.getAttribute('data-column-index')),
+          name,
+          type: row.querySelector('.csv-column-type').value
+        };
+      });
+    if (columns.length === 0) {
+      showError('Select at least one column to import.');
+      return;
+    }
+
+    const existing = db.exec("SELECT type FROM sqlite_master WHERE name = ? AND type IN ('table', 'view');", [tableName]);
+    if (existing.length > 0) {
+      if (!window.confirm('A ' + existing[0].values[0][0] + ' named "' + tableName + '" already exists. Replace it?')) return;
     }
-  }
 
-  // Function to get coaching response for SQL errors
-  async function getCoachingResponse(errorDetails) {
+    const dataRows = state.hasHeader ? state.rows.slice(1) : state.rows;
+    const quotedTable = sqlIdentifier(tableName);
     try {
-      addDebugInfo('Requesting coaching response for error: ' + errorDetails.errorMessage);
-      
-      // Show that we're getting help
-      updateStatus('Getting help for your SQL error...');
-      
-      const response = await fetch('/api/coaching-response', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(errorDetails)
-      });
-
-      if (!response.ok) {
-        throw new Error('Coaching service unavailable (HTTP ' + response.status + ')');
+      db.run('BEGIN');
+      if (existing.length > 0) {
+        db.run('DROP ' + (existing[0].values[0][0] === 'view' ? 'VIEW ' : 'TABLE ') + quotedTable);
       }
-
-      const coachingData = await response.json();
-      addDebugInfo('Coaching response received: ' + coachingData.explanation?.substring(0, 100) + '...');
-      
-      if (coachingData.explanation) {
-        showCoachingResponse(coachingData, errorDetails);
-        updateStatus('Error analysis complete - check the coaching panel for help!');
-      } else {
-        addDebugInfo('No explanation provided in coaching response');
-        updateStatus('Query execution failed - coaching unavailable');
+      db.run('CREATE TABLE ' + quotedTable + ' (' + columns.map(column => sqlIdentifier(column.name) + ' ' + column.type).join(', ') + ')');
+      const insert = db.prepare('INSERT INTO ' + quotedTable + ' VALUES (' + columns.map(() => '?').join(', ') + ')');
+      try {
+        dataRows.forEach(row => insert.run(columns.map(column => csvCellValue(row[column.index]))));
+      } finally {
+        insert.free();
       }
-      
-    } catch (coachingError) {
-      addDebugInfo('Error getting coaching response: ' + coachingError.message);
-      console.error('Coaching error:', coachingError);
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      addDebugInfo('CSV import failed: ' + error.message);
+      showError('CSV import failed: ' + error.message);
+      return;
     }
+
+    closeImportDialog();
+    refreshDatabaseOverview();
+    scheduleSnapshot(true);
+    sqlEditor.setValue('-- Imported from ' + state.fileName + '\\nSELECT * FROM ' + quotedTable + ' LIMIT 20;');
+    updateStatus('Imported ' + dataRows.length + ' rows into ' + tableName + '. A sample query is in the editor.');
+    addDebugInfo('Imported CSV ' + state.fileName + ' into ' + tableName + ' (' + columns.map(column => column.name + ' ' + column.type).join(', ') + ')');
   }
 
-  // Function to display coaching response in UI
-  function showCoachingResponse(coachingData, errorDetails) {
-    const coachingPanel = document.getElementById('coachingPanel');
-    const coachingContent = document.getElementById('coachingContent');
-    
-    if (!coachingPanel || !coachingContent) {
-      addDebugInfo('Coaching panel elements not found in DOM');
-      return;
+  // ---- Bulk data generator (seeded, in the browser) ----
+  // Fills a table with 10k-1M synthetic rows for performance practice. Every column draws from its
+  // own PRNG stream keyed by seed, table and column, so the same seed on the same database always
+  // inserts the same rows, and changing one column's generator leaves the others alone.
+  const BULK_ROW_PRESETS = [10000, 100000, 1000000];
+  const BULK_MAX_ROWS = 1000000;
+  const BULK_BATCH_SIZE = 5000; // rows inserted between progress updates
+  const BULK_DEFAULT_DATE_RANGE = ['2020-01-01', '2024-12-31'];
+  const BULK_FIRST_NAMES = ['James', 'Maria', 'Wei', 'Aisha', 'Lukas', 'Sofia', 'Hiro', 'Amara', 'Mateo', 'Olivia', 'Arjun', 'Chloe', 'Omar', 'Ingrid', 'Diego', 'Yuki', 'Noah', 'Fatima', 'Liam', 'Elena', 'Kwame', 'Hannah', 'Ravi', 'Lucia'];
+  const BULK_LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Khan', 'Müller', 'Rossi', 'Tanaka', 'Okafor', 'Silva', 'Brown', 'Patel', 'Martin', 'Haddad', 'Larsen', 'Lopez', 'Sato', 'Wilson', 'Ali', 'Murphy', 'Novak', 'Mensah', 'Schmidt', 'Iyer', 'Moreno'];
+  const BULK_CITIES = ['London', 'Lagos', 'Tokyo', 'Berlin', 'Toronto', 'Mumbai', 'São Paulo', 'Sydney', 'Madrid', 'Chicago', 'Seoul', 'Nairobi', 'Paris', 'Mexico City', 'Oslo', 'Cairo'];
+  const BULK_WORDS = ['fast', 'order', 'great', 'delivery', 'quality', 'late', 'return', 'price', 'service', 'support', 'product', 'happy', 'broken', 'refund', 'recommend', 'again', 'size', 'colour', 'gift', 'value'];
+  const BULK_GENERATORS = {
+    sequence: 'Sequence (next id)',
+    foreign_key: 'Foreign key (sample parent ids)',
+    first_name: 'First name',
+    last_name: 'Last name',
+    name: 'Full name',
+    email: 'Email',
+    phone: 'Phone number',
+    city: 'City',
+    date: 'Date',
+    datetime: 'Date and time',
+    integer: 'Integer',
+    amount: 'Amount (2 decimals)',
+    boolean: 'Boolean (0/1)',
+    category: 'Existing values',
+    text: 'Short text',
+    null: 'Always NULL'
+  };
+  // Generators whose draws can be skewed towards a few hot values
+  const BULK_SKEWABLE = new Set(['foreign_key', 'integer', 'amount', 'boolean', 'category', 'first_name', 'last_name', 'name', 'city']);
+
+  // mulberry32 seeded from a string; the same text always yields the same sequence
+  function createSeededRandom(seedText) {
+    let seed = 0;
+    for (const char of String(seedText)) seed = (Math.imul(seed, 31) + char.codePointAt(0)) | 0;
+    return () => {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Columns of a table as { name, type, notNull, primaryKey, unique, references }. The structured
+  // schema from /generate-schema is used while it still matches the live table; anything else
+  // (imports, user DDL) is read back with PRAGMA table_info, foreign_key_list and index_list.
+  function bulkTableSchema(tableName) {
+    const quoted = sqlIdentifier(tableName);
+    const info = db.exec('PRAGMA table_info(' + quoted + ');');
+    const pragmaColumns = info.length > 0 ? info[0].values : [];
+    const specTable = currentSchemaSpec && currentSchemaSpec.tables.find(table => table.name === tableName);
+    if (specTable && specTable.columns.map(col => col.name).join() === pragmaColumns.map(row => row[1]).join()) {
+      return specTable.columns.map(col => ({
+        name: col.name,
+        type: col.type,
+        notNull: col.notNull || col.primaryKey,
+        primaryKey: col.primaryKey,
+        unique: col.unique || (col.primaryKey && specTable.columns.filter(c => c.primaryKey).length === 1),
+        references: col.references || null
+      }));
     }
-    
-    // Build coaching content
-    let content = '<div class="space-y-4">';
-    
-    // Error summary
-    content += '<div class="bg-red-50 border border-red-200 rounded-lg p-3">';
-    content += '<h4 class="font-medium text-red-800 mb-2"><i class="fas fa-exclamation-triangle mr-2"></i>Error Details</h4>';
-    content += '<p class="text-sm text-red-700"><strong>Query:</strong> <code class="bg-red-100 px-1 rounded">' + escapeHtml(errorDetails.query) + '</code></p>';
-    content += '<p class="text-sm text-red-700 mt-1"><strong>Error:</strong> ' + escapeHtml(errorDetails.errorMessage) + '</p>';
-    
-    // Add location information if available
-    if (errorDetails.location && (errorDetails.location.line || errorDetails.location.column)) {
-      content += '<div class="mt-2 p-2 bg-red-100 rounded">';
-      content += '<p class="text-xs font-medium text-red-800"><i class="fas fa-map-marker-alt mr-1"></i>Error Location:</p>';
-      if (errorDetails.location.line) {
-        content += '<p class="text-xs text-red-700">Line: ' + errorDetails.location.line + '</p>';
+
+    const foreignKeys = db.exec('PRAGMA foreign_key_list(' + quoted + ');');
+    const references = {};
+    (foreignKeys.length > 0 ? foreignKeys[0].values : []).forEach(row => {
+      references[row[3]] = { table: row[2], column: row[4] };
+    });
+    const uniqueColumns = new Set();
+    const indexes = db.exec('PRAGMA index_list(' + quoted + ');');
+    (indexes.length > 0 ? indexes[0].values : []).filter(row => row[2] === 1).forEach(row => {
+      const indexInfo = db.exec('PRAGMA index_info(' + sqlIdentifier(row[1]) + ');');
+      if (indexInfo.length > 0 && indexInfo[0].values.length === 1) uniqueColumns.add(indexInfo[0].values[0][2]);
+    });
+    const primaryKeyCount = pragmaColumns.filter(row => row[5] > 0).length;
+    return pragmaColumns.map(row => ({
+      name: row[1],
+      type: String(row[2] || '').toUpperCase(),
+      notNull: row[3] === 1 || row[5] > 0,
+      primaryKey: row[5] > 0,
+      unique: uniqueColumns.has(row[1]) || (row[5] > 0 && primaryKeyCount === 1),
+      references: references[row[1]] ? { table: references[row[1]].table, column: references[row[1]].column || 'rowid' } : null
+    }));
+  }
+
+  // Default generator for a column from its type, name and existing values
+  function inferBulkGenerator(tableName, column) {
+    const name = column.name.toLowerCase();
+    const type = column.type;
+    if (column.references) return 'foreign_key';
+    if (column.primaryKey && /INT/.test(type)) return 'sequence';
+    if (/mail/.test(name)) return 'email';
+    if (/first_?name|given_?name/.test(name)) return 'first_name';
+    if (/last_?name|surname|family_?name/.test(name)) return 'last_name';
+    if (/(^|_)name$|full_?name/.test(name)) return 'name';
+    if (/phone|mobile/.test(name)) return 'phone';
+    if (/city|town/.test(name)) return 'city';
+    if (/BOOL/.test(type) || /^(is|has)_/.test(name)) return 'boolean';
+    if (/DATETIME|TIMESTAMP/.test(type) || /_at$|time/.test(name)) return 'datetime';
+    if (/DATE/.test(type) || /_(date|on)$|^date$|birth/.test(name)) return 'date';
+    if (/price|amount|total|cost|salary|balance|revenue|fee/.test(name) || /REAL|NUM|DEC|FLOA|DOUB/.test(type)) return 'amount';
+    if (/INT/.test(type)) return 'integer';
+    // Short lists of repeated text (statuses, categories) are sampled from what is already there
+    const stats = db.exec('SELECT COUNT(DISTINCT ' + sqlIdentifier(column.name) + '), COUNT(' + sqlIdentifier(column.name) + ') FROM ' + sqlIdentifier(tableName) + ';');
+    const [distinct, filled] = stats[0].values[0];
+    if (!column.unique && distinct > 0 && distinct <= 50 && distinct * 2 <= filled) return 'category';
+    return 'text';
+  }
+
+  // Build the value function (rowNumber, row) for one column of the plan, where row holds the values
+  // already generated for earlier columns; throws when it cannot produce valid data
+  function createBulkColumnGenerator(tableName, column, setting, seed) {
+    const random = createSeededRandom(seed + '|' + tableName + '|' + column.name);
+    const skewed = setting.distribution === 'skewed';
+    // Skewed draws pile up near 0, so low indexes (the first ids, the first list entries) become hot
+    const draw = () => (skewed ? Math.pow(random(), 2) : random());
+    const pick = (list) => list[Math.floor(draw() * list.length)];
+    const quotedColumn = sqlIdentifier(column.name);
+    const quotedTable = sqlIdentifier(tableName);
+    const existingRange = () => {
+      const result = db.exec('SELECT MIN(' + quotedColumn + '), MAX(' + quotedColumn + ') FROM ' + quotedTable + ' WHERE typeof(' + quotedColumn + ") IN ('integer', 'real');");
+      return result.length > 0 ? result[0].values[0] : [null, null];
+    };
+    // Unique text gets the row number appended so a million draws never collide
+    const uniqueSuffix = (value, rowNumber) => (column.unique ? value + ' ' + (rowNumber + 1) : value);
+
+    switch (setting.generator) {
+      case 'sequence': {
+        const start = Number(existingRange()[1] || 0) + 1;
+        return (rowNumber) => start + rowNumber;
       }
-      if (errorDetails.location.column) {
-        content += '<p class="text-xs text-red-700">Column: ' + errorDetails.location.column + '</p>';
+      case 'foreign_key': {
+        const parent = column.references;
+        const parentKeys = db.exec('SELECT ' + sqlIdentifier(parent.column) + ' FROM ' + sqlIdentifier(parent.table) + ' WHERE ' + sqlIdentifier(parent.column) + ' IS NOT NULL ORDER BY 1;');
+        const keys = parentKeys.length > 0 ? parentKeys[0].values.map(row => row[0]) : [];
+        if (keys.length === 0) {
+          if (column.notNull) throw new Error(column.name + ' references ' + parent.table + ', which has no rows yet. Fill ' + parent.table + ' first.');
+          return () => null;
+        }
+        return () => pick(keys);
       }
-      if (errorDetails.location.context) {
-        content += '<p class="text-xs text-red-700">Context: <code class="bg-red-200 px-1 rounded">' + escapeHtml(errorDetails.location.context) + '</code></p>';
+      case 'first_name':
+        return (rowNumber) => uniqueSuffix(pick(BULK_FIRST_NAMES), rowNumber);
+      case 'last_name':
+        return (rowNumber) => uniqueSuffix(pick(BULK_LAST_NAMES), rowNumber);
+      case 'name':
+        return (rowNumber) => uniqueSuffix(pick(BULK_FIRST_NAMES) + ' ' + pick(BULK_LAST_NAMES), rowNumber);
+      case 'email': {
+        // The row number keeps addresses unique; the offset keeps them clear of existing rows
+        const offset = db.exec('SELECT COUNT(*) FROM ' + quotedTable + ';')[0].values[0][0];
+        return (rowNumber, row) => {
+          // Match the row's own name columns when it has them
+          const named = [row.first_name, row.last_name].filter(value => typeof value === 'string');
+          const person = named.length === 2 ? named.join(' ') : typeof row.name === 'string' ? row.name : typeof row.full_name === 'string' ? row.full_name : pick(BULK_FIRST_NAMES) + ' ' + pick(BULK_LAST_NAMES);
+          const local = person.toLowerCase().normalize('NFD').replace(/[^a-z ]/g, '').trim().split(/ +/).slice(0, 2).join('.');
+          return (local || 'user') + (offset + rowNumber + 1) + '@example.com';
+        };
       }
-      content += '</div>';
-    }
-    
-    // Add query analysis if available
-    if (errorDetails.queryAnalysis) {
-      content += '<div class="mt-2 text-xs text-red-600">';
-      content += '<p>Query has ' + errorDetails.queryAnalysis.totalLines + ' lines, ' + errorDetails.queryAnalysis.totalCharacters + ' characters</p>';
-      if (errorDetails.queryAnalysis.keywords.length > 0) {
-        content += '<p>Keywords found: ' + errorDetails.queryAnalysis.keywords.join(', ') + '</p>';
+      case 'phone':
+        return () => '555-' + String(Math.floor(random() * 1000)).padStart(3, '0') + '-' + String(Math.floor(random() * 10000)).padStart(4, '0');
+      case 'city':
+        return (rowNumber) => uniqueSuffix(pick(BULK_CITIES), rowNumber);
+      case 'date':
+      case 'datetime': {
+        const existing = db.exec('SELECT MIN(' + quotedColumn + '), MAX(' + quotedColumn + ') FROM ' + quotedTable + ' WHERE ' + quotedColumn + " GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]*';");
+        const [min, max] = existing.length > 0 && existing[0].values[0][0] ? existing[0].values[0] : BULK_DEFAULT_DATE_RANGE;
+        const start = Date.parse(String(min).slice(0, 10) + 'T00:00:00Z');
+        const span = Math.max(86400000, Date.parse(String(max).slice(0, 10) + 'T23:59:59Z') - start);
+        return () => {
+          const iso = new Date(start + Math.floor(random() * span)).toISOString();
+          return setting.generator === 'date' ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+        };
       }
-      if (errorDetails.queryAnalysis.tables.length > 0) {
-        content += '<p>Tables referenced: ' + errorDetails.queryAnalysis.tables.join(', ') + '</p>';
+      case 'integer': {
+        if (column.unique) {
+          const start = Number(existingRange()[1] || 0) + 1;
+          return (rowNumber) => start + rowNumber;
+        }
+        const [min, max] = existingRange();
+        const low = min === null ? 1 : Math.floor(min);
+        const high = max === null || max <= low ? low + 999 : Math.floor(max);
+        return () => low + Math.floor(draw() * (high - low + 1));
       }
-      content += '</div>';
+      case 'amount': {
+        const [min, max] = existingRange();
+        const low = min === null ? 1 : Number(min);
+        const high = max === null || max <= low ? low + 500 : Number(max);
+        return () => Math.round((low + draw() * (high - low)) * 100) / 100;
+      }
+      case 'boolean':
+        return () => (draw() < 0.5 ? 1 : 0);
+      case 'category': {
+        const values = db.exec('SELECT DISTINCT ' + quotedColumn + ' FROM ' + quotedTable + ' WHERE ' + quotedColumn + ' IS NOT NULL ORDER BY 1 LIMIT 50;');
+        const list = values.length > 0 ? values[0].values.map(row => row[0]) : [];
+        if (list.length === 0) throw new Error(column.name + ' has no existing values to sample; pick another generator.');
+        return (rowNumber) => uniqueSuffix(pick(list), rowNumber);
+      }
+      case 'text':
+        return (rowNumber) => {
+          const words = [];
+          const length = 3 + Math.floor(random() * 6);
+          for (let i = 0; i < length; i++) words.push(pick(BULK_WORDS));
+          const sentence = words.join(' ');
+          return uniqueSuffix(sentence.charAt(0).toUpperCase() + sentence.slice(1), rowNumber);
+        };
+      case 'null':
+        if (column.notNull) throw new Error(column.name + ' is NOT NULL, so it cannot always be NULL.');
+        return () => null;
+      default:
+        throw new Error('Unknown generator "' + setting.generator + '" for ' + column.name);
     }
-    
-    content += '</div>';
-    
-    // Coaching explanation
-    content += '<div class="bg-blue-50 border border-blue-200 rounded-lg p-3">';
-    content += '<h4 class="font-medium text-blue-800 mb-2"><i class="fas fa-graduation-cap mr-2"></i>Explanation & Help</h4>';
-    content += '<div class="text-sm text-blue-700 whitespace-pre-wrap">' + escapeHtml(coachingData.explanation) + '</div>';
-    content += '</div>';
-    
-    // Suggested fix if provided
-    if (coachingData.suggestedFix) {
-      content += '<div class="bg-green-50 border border-green-200 rounded-lg p-3">';
-      content += '<h4 class="font-medium text-green-800 mb-2"><i class="fas fa-lightbulb mr-2"></i>Suggested Fix</h4>';
-      content += '<pre class="text-sm text-green-700 bg-green-100 p-2 rounded overflow-x-auto"><code>' + escapeHtml(coachingData.suggestedFix) + '</code></pre>';
-      
-      // Add button to apply suggested fix
-      content += '<button id="applySuggestedFix" class="mt-2 bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm">';
-      content += '<i class="fas fa-magic mr-1"></i>Apply This Fix';
-      content += '</button>';
-      content += '</div>';
+  }
+
+  // Insert rowCount generated rows with one prepared statement inside a transaction. Rows that
+  // break a constraint the generators could not anticipate (CHECK, composite keys) are skipped
+  // with INSERT OR IGNORE. Yields between batches so progress shows and isCancelled() is honoured.
+  async function bulkInsertRows(tableName, plan, rowCount, seed, { onProgress, isCancelled } = {}) {
+    const columns = plan.filter(entry => entry.setting.generator !== 'skip');
+    const generators = columns.map(entry => {
+      const value = createBulkColumnGenerator(tableName, entry.column, entry.setting, seed);
+      const nullRate = entry.column.notNull ? 0 : entry.setting.nullRate / 100;
+      if (nullRate === 0) return value;
+      const nullRandom = createSeededRandom(seed + '|' + tableName + '|' + entry.column.name + '|null');
+      return (rowNumber, row) => (nullRandom() < nullRate ? null : value(rowNumber, row));
+    });
+
+    let inserted = 0;
+    db.run('BEGIN');
+    try {
+      const insert = db.prepare('INSERT OR IGNORE INTO ' + sqlIdentifier(tableName) + ' (' + columns.map(entry => sqlIdentifier(entry.column.name)).join(', ') + ') VALUES (' + columns.map(() => '?').join(', ') + ')');
+      try {
+        for (let start = 0; start < rowCount; start += BULK_BATCH_SIZE) {
+          if (isCancelled && isCancelled()) {
+            throw new DOMException('Bulk insert cancelled', 'AbortError');
+          }
+          const end = Math.min(rowCount, start + BULK_BATCH_SIZE);
+          for (let rowNumber = start; rowNumber < end; rowNumber++) {
+            const row = {};
+            const values = columns.map((entry, index) => {
+              row[entry.column.name] = generators[index](rowNumber, row);
+              return row[entry.column.name];
+            });
+            insert.run(values);
+            inserted += db.getRowsModified();
+          }
+          if (onProgress) onProgress(end);
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      } finally {
+        insert.free();
+      }
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw error;
     }
-    
-    // Additional tips if provided
-    if (coachingData.tips && coachingData.tips.length > 0) {
-      content += '<div class="bg-yellow-50 border border-yellow-200 rounded-lg p-3">';
-      content += '<h4 class="font-medium text-yellow-800 mb-2"><i class="fas fa-star mr-2"></i>Tips for Next Time</h4>';
-      content += '<ul class="text-sm text-yellow-700 list-disc list-inside space-y-1">';
-      coachingData.tips.forEach(tip => {
-        content += '<li>' + escapeHtml(tip) + '</li>';
+    return inserted;
+  }
+
+  function renderBulkDataDialog(tableName) {
+    const tables = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name;");
+    const tableNames = tables.length > 0 ? tables[0].values.map(row => row[0]) : [];
+    if (tableNames.length === 0) {
+      showError('Create or load a table before generating bulk data.');
+      return;
+    }
+    const selected = tableNames.includes(tableName) ? tableName : tableNames[0];
+    const columns = bulkTableSchema(selected);
+
+    let html = '<h3 class="text-lg font-semibold text-gray-900 mb-1"><i class="fas fa-layer-group text-blue-600 mr-2"></i>Generate bulk data</h3>';
+    html += '<p class="text-sm text-gray-600 mb-4">Add thousands of synthetic rows for performance practice. The same seed always produces the same rows.</p>';
+    html += '<div class="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4 text-sm">';
+    html += '<label class="block"><span class="text-gray-700">Table</span><select id="bulkTable" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1">';
+    tableNames.forEach(name => {
+      html += '<option value="' + escapeAttribute(name) + '"' + (name === selected ? ' selected' : '') + '>' + escapeHtml(name) + '</option>';
+    });
+    html += '</select></label>';
+    html += '<label class="block"><span class="text-gray-700">Rows to add</span><input id="bulkRowCount" type="number" min="1" max="' + BULK_MAX_ROWS + '" value="' + BULK_ROW_PRESETS[0] + '" list="bulkRowPresets" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1" />';
+    html += '<datalist id="bulkRowPresets">' + BULK_ROW_PRESETS.map(count => '<option value="' + count + '"></option>').join('') + '</datalist></label>';
+    html += '<label class="block"><span class="text-gray-700">Seed</span><input id="bulkSeed" class="mt-1 w-full border border-gray-300 rounded-md px-2 py-1" value="42" /></label>';
+    html += '</div>';
+
+    html += '<div class="overflow-x-auto border border-gray-200 rounded-md"><table class="min-w-full text-sm">';
+    html += '<thead class="bg-gray-50"><tr>';
+    ['Column', 'Generator', 'Distribution', 'NULL %'].forEach(heading => {
+      html += '<th class="px-3 py-2 text-left text-xs font-medium text-gray-500">' + heading + '</th>';
+    });
+    html += '</tr></thead><tbody class="divide-y divide-gray-100">';
+    columns.forEach((column, index) => {
+      const inferred = inferBulkGenerator(selected, column);
+      html += '<tr class="bulk-column-row" data-column-index="' + index + '">';
+      html += '<td class="px-3 py-2"><span class="font-mono">' + escapeHtml(column.name) + '</span> <span class="text-xs text-gray-500">' + escapeHtml(column.type || 'ANY') +
+        (column.primaryKey ? ' PK' : '') + (column.references ? ' → ' + escapeHtml(column.references.table) : '') + '</span></td>';
+      html += '<td class="px-3 py-2"><select class="bulk-generator border border-gray-300 rounded-md px-2 py-1">';
+      // Letting SQLite fill a column (defaults, rowid aliases) is always an option
+      html += '<option value="skip">Leave to SQLite (default)</option>';
+      Object.keys(BULK_GENERATORS).forEach(key => {
+        if (key === 'foreign_key' && !column.references) return;
+        html += '<option value="' + key + '"' + (key === inferred ? ' selected' : '') + '>' + BULK_GENERATORS[key] + '</option>';
       });
-      content += '</ul>';
-      content += '</div>';
+      html += '</select></td>';
+      html += '<td class="px-3 py-2"><select class="bulk-distribution border border-gray-300 rounded-md px-2 py-1"><option value="uniform">Uniform</option><option value="skewed">Skewed</option></select></td>';
+      html += '<td class="px-3 py-2">' + (column.notNull ? '<span class="text-xs text-gray-400">NOT NULL</span>' : '<input type="number" min="0" max="100" value="0" class="bulk-null-rate border border-gray-300 rounded-md px-2 py-1 w-20" />') + '</td>';
+      html += '</tr>';
+    });
+    html += '</tbody></table></div>';
+
+    html += '<div class="flex justify-end space-x-3 mt-4">';
+    html += '<button id="bulkCancelBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors">Cancel</button>';
+    html += '<button id="bulkGenerateBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-medium px-4 py-2 rounded-md transition-colors">Generate rows</button>';
+    html += '</div>';
+
+    document.getElementById('bulkDataDialogBody').innerHTML = html;
+    document.getElementById('bulkDataDialog').classList.add('show');
+
+    const updateDistributionState = (row) => {
+      const distribution = row.querySelector('.bulk-distribution');
+      distribution.disabled = !BULK_SKEWABLE.has(row.querySelector('.bulk-generator').value);
+    };
+    document.querySelectorAll('.bulk-column-row').forEach(row => {
+      updateDistributionState(row);
+      row.querySelector('.bulk-generator').addEventListener('change', () => updateDistributionState(row));
+    });
+    document.getElementById('bulkTable').addEventListener('change', function() {
+      renderBulkDataDialog(this.value);
+    });
+    document.getElementById('bulkCancelBtn').addEventListener('click', closeBulkDataDialog);
+    document.getElementById('bulkGenerateBtn').addEventListener('click', () => generateBulkData(selected, columns));
+  }
+
+  function closeBulkDataDialog() {
+    document.getElementById('bulkDataDialog').classList.remove('show');
+  }
+
+  async function generateBulkData(tableName, columns) {
+    const rowCount = Number(document.getElementById('bulkRowCount').value);
+    if (!Number.isInteger(rowCount) || rowCount < 1 || rowCount > BULK_MAX_ROWS) {
+      showError('Choose between 1 and ' + BULK_MAX_ROWS.toLocaleString() + ' rows.');
+      return;
     }
-    
-    content += '</div>';
-    
-    coachingContent.innerHTML = content;
-    
-    // Add event listener for suggested fix button
-    if (coachingData.suggestedFix) {
-      const applyButton = document.getElementById('applySuggestedFix');
-      if (applyButton) {
-        applyButton.addEventListener('click', function() {
-          sqlEditor.setValue(coachingData.suggestedFix);
-          updateStatus('Suggested fix applied to editor - you can now run the corrected query!');
-          addDebugInfo('Applied suggested fix from coaching response');
-          
-          // Change button to show it was applied
-          this.innerHTML = '<i class="fas fa-check mr-1"></i>Fix Applied!';
-          this.className = 'mt-2 bg-green-500 text-white px-3 py-1 rounded text-sm cursor-default';
-          this.disabled = true;
-        });
+    const seed = document.getElementById('bulkSeed').value.trim() || '42';
+    const plan = Array.from(document.querySelectorAll('.bulk-column-row')).map(row => {
+      const nullRate = row.querySelector('.bulk-null-rate');
+      return {
+        column: columns[Number(row.getAttribute('data-column-index'))],
+        setting: {
+          generator: row.querySelector('.bulk-generator').value,
+          distribution: row.querySelector('.bulk-distribution').value,
+          nullRate: nullRate ? Math.min(100, Math.max(0, Number(nullRate.value) || 0)) : 0
+        }
+      };
+    });
+    if (plan.every(entry => entry.setting.generator === 'skip')) {
+      showError('Pick a generator for at least one column.');
+      return;
+    }
+
+    closeBulkDataDialog();
+    let cancelled = false;
+    showLoadingPopup('Generating ' + rowCount.toLocaleString() + ' rows for ' + tableName + '...', true, () => {
+      cancelled = true;
+    });
+    updateLoadingProgress(0, '0 of ' + rowCount.toLocaleString() + ' rows');
+    const startedAt = performance.now();
+    try {
+      const inserted = await bulkInsertRows(tableName, plan, rowCount, seed, {
+        onProgress: (done) => updateLoadingProgress(Math.round(done / rowCount * 100), done.toLocaleString() + ' of ' + rowCount.toLocaleString() + ' rows'),
+        isCancelled: () => cancelled
+      });
+      const seconds = ((performance.now() - startedAt) / 1000).toFixed(1);
+      refreshDatabaseOverview();
+      scheduleSnapshot(true);
+      const skipped = rowCount - inserted;
+      updateStatus('Added ' + inserted.toLocaleString() + ' rows to ' + tableName + ' in ' + seconds + 's (seed "' + seed + '")' +
+        (skipped > 0 ? '; ' + skipped.toLocaleString() + ' generated rows broke a constraint and were skipped' : ''));
+      addDebugInfo('Bulk insert into ' + tableName + ': ' + plan.map(entry => entry.column.name + '=' + entry.setting.generator).join(', '));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateStatus('Bulk data generation cancelled - ' + tableName + ' is unchanged');
+      } else {
+        showError('Bulk data generation failed: ' + error.message);
+        updateStatus('Bulk data generation failed');
       }
+    } finally {
+      hideLoadingPopup();
     }
-    
-    // Show the coaching panel
-    coachingPanel.classList.add('show');
-    addDebugInfo('Coaching response displayed in UI');
   }
 
-  // Helper function to escape HTML
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  // ---- SQL dialects (write in PostgreSQL, MySQL or SQL Server, run on SQLite) ----
+  // Translation between SQLite and other dialects (src/sql-dialects.js)
+  const { SQL_DIALECTS, translateSQL } = (${createSQLDialects})(SQLGrammar);
+  let queryDialect = 'sqlite';
+
+  function setQueryDialect(dialect) {
+    queryDialect = SQL_DIALECTS[dialect] ? dialect : 'sqlite';
+    const select = document.getElementById('queryDialect');
+    if (select) select.value = queryDialect;
+    if (queryDialect === 'sqlite') hideDialectNotice();
   }
 
-  function showError(message) {
-    const errorPanel = document.getElementById('errorPanel');
-    const errorMessage = document.getElementById('errorMessage');
-    
-    if (errorMessage) {
-      errorMessage.textContent = message;
-    }
-    if (errorPanel) {
-      errorPanel.classList.add('show');
+  async function restoreQueryDialect() {
+    try {
+      setQueryDialect(await getLibrarySetting('queryDialect'));
+    } catch (error) {
+      addDebugInfo('Could not restore query dialect: ' + error.message);
     }
   }
 
-  function hideError() {
-    const errorPanel = document.getElementById('errorPanel');
-    if (errorPanel) {
-      errorPanel.classList.remove('show');
+  function changeQueryDialect(dialect) {
+    setQueryDialect(dialect);
+    setLibrarySetting('queryDialect', queryDialect).catch(error => {
+      addDebugInfo('Could not save query dialect: ' + error.message);
+    });
+    updateStatus(queryDialect === 'sqlite'
+      ? 'Writing plain SQLite again.'
+      : 'Write ' + SQL_DIALECTS[queryDialect] + ' in the editor; queries are translated and run on SQLite.');
+  }
+
+  // Shows what actually ran on SQLite after a dialect query, plus anything the translation could not carry over
+  function showDialectNotice(translation) {
+    const notice = document.getElementById('dialectNotice');
+    if (!notice) return;
+    let html = '<div class="' + (translation.warnings.length > 0 ? 'bg-amber-50 border border-amber-200 text-amber-900' : 'bg-gray-50 border border-gray-200 text-gray-700') + ' rounded-md p-3">';
+    html += '<div class="font-medium mb-1"><i class="fas fa-language mr-1"></i>' + SQL_DIALECTS[queryDialect] + ' query ran on SQLite as:</div>';
+    html += '<pre class="font-mono text-xs whitespace-pre-wrap">' + escapeHtml(translation.sql) + '</pre>';
+    if (translation.warnings.length > 0) {
+      html += '<ul class="list-disc ml-5 mt-2">' + translation.warnings.map(warning => '<li>' + escapeHtml(warning) + '</li>').join('') + '</ul>';
     }
+    html += '</div>';
+    notice.innerHTML = html;
+    notice.style.display = 'block';
   }
 
-  function showLoadingPopup(message = 'One moment while I generate your custom SQL database...', showProgress = false) {
-    const loadingPopup = document.getElementById('loadingPopup');
-    const loadingMessage = document.getElementById('loadingMessage');
-    const progressContainer = document.getElementById('progressContainer');
-    
-    if (loadingMessage) {
-      loadingMessage.textContent = message;
+  function hideDialectNotice() {
+    const notice = document.getElementById('dialectNotice');
+    if (notice) notice.style.display = 'none';
+  }
+
+  // CREATE statements for the loaded database, tables first so views and indexes follow what they use
+  function getSchemaCreateSQL() {
+    if (!db) return '';
+    const result = db.exec("SELECT sql FROM sqlite_master WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_%' ORDER BY type <> 'table', rowid;");
+    if (result.length === 0) return '';
+    return result[0].values.map(row => row[0] + ';').join('\\n\\n');
+  }
+
+  function openDialectDialog() {
+    renderDialectDialog('query', queryDialect === 'postgresql' ? 'mysql' : 'postgresql');
+  }
+
+  // "Show this query in dialect X": the editor query (in the selected dialect) or the whole schema, side by side with its translation
+  function renderDialectDialog(source, target) {
+    const input = source === 'schema' ? getSchemaCreateSQL() : sqlEditor.getValue().trim();
+    const from = source === 'schema' ? 'sqlite' : queryDialect;
+    const translation = translateSQL(input, from, target);
+
+    let html = '<h3 class="text-lg font-semibold text-gray-900 mb-1">Show in another dialect</h3>';
+    html += '<p class="text-sm text-gray-600 mb-4">Translations cover common syntax differences; review them before using them on a real server.</p>';
+    html += '<div class="flex flex-wrap gap-4 mb-4 text-sm">';
+    html += '<label>Translate <select id="dialectSource" class="border border-gray-300 rounded-md px-2 py-1 ml-1">';
+    html += '<option value="query"' + (source === 'query' ? ' selected' : '') + '>the editor query (' + SQL_DIALECTS[queryDialect] + ')</option>';
+    html += '<option value="schema"' + (source === 'schema' ? ' selected' : '') + '>the database schema (SQLite)</option>';
+    html += '</select></label>';
+    html += '<label>to <select id="dialectTarget" class="border border-gray-300 rounded-md px-2 py-1 ml-1">';
+    Object.keys(SQL_DIALECTS).forEach(key => {
+      html += '<option value="' + key + '"' + (key === target ? ' selected' : '') + '>' + SQL_DIALECTS[key] + '</option>';
+    });
+    html += '</select></label>';
+    html += '</div>';
+
+    if (!input) {
+      html += '<p class="text-sm text-gray-500">' + (source === 'schema' ? 'Load a database first.' : 'Write a query in the editor first.') + '</p>';
+    } else {
+      html += '<pre id="dialectOutput" class="bg-gray-50 border border-gray-200 rounded-md p-3 font-mono text-xs whitespace-pre-wrap overflow-auto" style="max-height: 320px;">' + escapeHtml(translation.sql) + '</pre>';
+      if (translation.warnings.length > 0) {
+        html += '<ul class="list-disc ml-5 mt-3 text-sm text-amber-800">' + translation.warnings.map(warning => '<li>' + escapeHtml(warning) + '</li>').join('') + '</ul>';
+      }
     }
-    
-    if (progressContainer) {
-      progressContainer.style.display = showProgress ? 'block' : 'none';
+
+    html += '<div class="flex justify-end space-x-3 mt-4">';
+    html += '<button id="dialectCloseBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors">Close</button>';
+    if (input) {
+      html += '<button id="dialectCopyBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-medium px-4 py-2 rounded-md transition-colors">Copy</button>';
     }
-    
-    if (loadingPopup) {
-      loadingPopup.classList.add('show');
+    html += '</div>';
+
+    document.getElementById('dialectDialogBody').innerHTML = html;
+    document.getElementById('dialectDialog').classList.add('show');
+
+    const rerender = () => renderDialectDialog(document.getElementById('dialectSource').value, document.getElementById('dialectTarget').value);
+    document.getElementById('dialectSource').addEventListener('change', rerender);
+    document.getElementById('dialectTarget').addEventListener('change', rerender);
+    document.getElementById('dialectCloseBtn').addEventListener('click', closeDialectDialog);
+    const copyBtn = document.getElementById('dialectCopyBtn');
+    if (copyBtn) {
+      copyBtn.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(translation.sql);
+          updateStatus(SQL_DIALECTS[target] + ' version copied to clipboard.');
+        } catch (error) {
+          showError('Could not copy to clipboard: ' + error.message);
+        }
+      });
     }
   }
 
-  function updateLoadingProgress(percentage, text = '') {
-    const progressBar = document.getElementById('progressBar');
-    const progressText = document.getElementById('progressText');
-    
-    if (progressBar) {
-      progressBar.style.width = percentage + '%';
+  function closeDialectDialog() {
+    document.getElementById('dialectDialog').classList.remove('show');
+  }
+
+  // ---- Query plan (EXPLAIN QUERY PLAN) ----
+  // Tables with at least this many rows get full scans flagged as a problem
+  const EXPLAIN_LARGE_TABLE_ROWS = 1000;
+  const EXPLAIN_TIMING_RUNS = 5;
+  const EXPLAIN_TIMING_BUDGET_MS = 500;
+  const EXPLAIN_EQUALITY_OPERATORS = ['=', '==', 'IN', 'IS'];
+  const EXPLAIN_RANGE_OPERATORS = ['<', '>', '<=', '>=', 'BETWEEN', 'LIKE', 'GLOB'];
+  const EXPLAIN_CLAUSE_WORDS = ['SELECT', 'FROM', 'JOIN', 'ON', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'SET', 'VALUES', 'UNION', 'EXCEPT', 'INTERSECT', 'USING', 'WINDOW'];
+  let explainState = null;
+
+  function explainQuery() {
+    const sourceQuery = sqlEditor.getValue().trim();
+    if (!sourceQuery) {
+      showError('Please enter a SQL query first.');
+      return;
+    }
+    if (!db) {
+      showError('Database not initialized. Please refresh the page.');
+      return;
     }
-    
-    if (progressText) {
-      progressText.textContent = text || percentage + '%';
+    hideError();
+    const query = queryDialect === 'sqlite' ? sourceQuery : translateSQL(sourceQuery, queryDialect, 'sqlite').sql;
+    try {
+      explainState = { query, statements: analyzeQueryPlans(query), baseline: null, createdIndexes: [] };
+    } catch (error) {
+      showError('Could not explain query: ' + error.message);
+      return;
     }
+    renderExplainDialog();
   }
 
-  function hideLoadingPopup() {
-    const loadingPopup = document.getElementById('loadingPopup');
-    if (loadingPopup) {
-      loadingPopup.classList.remove('show');
+  // Statements as SQLite splits them; preparing each one surfaces syntax errors before anything runs
+  function queryStatements(query) {
+    const statements = [];
+    for (const statement of db.iterateStatements(query)) {
+      statements.push(statement.getSQL().trim());
     }
+    return statements;
   }
 
-  function hideLoading() {
-    hideLoadingPopup();
+  function isReadOnlyStatement(sql) {
+    const statements = SQLGrammar.splitSQLStatements(sql);
+    return statements.length > 0 && statements.every(statement => ['SELECT', 'VALUES'].includes(statement.kind));
   }
 
-  // Function to parse SQL error for line/column information
-  function parseErrorLocation(errorMessage, query) {
-    const errorInfo = {
-      line: null,
-      column: null,
-      context: null,
-      parsedMessage: errorMessage
-    };
-    
-    // Common SQL.js error patterns
-    const patterns = [
-      // "near "something": syntax error" pattern
-      /near "([^"]+)": (.+)/i,
-      // "no such table: tablename" pattern
-      /no such table: (\w+)/i,
-      // "no such column: columnname" pattern  
-      /no such column: (\w+)/i,
-      // Generic "syntax error" pattern
-      /syntax error/i
-    ];
-    
-    let matchedPattern = null;
-    let matchedText = null;
-    
-    for (const pattern of patterns) {
-      const match = errorMessage.match(pattern);
-      if (match) {
-        matchedPattern = pattern;
-        matchedText = match[1] || match[0];
-        break;
-      }
+  // Plan, timing and index suggestions for each statement; only read-only statements are timed
+  function analyzeQueryPlans(query) {
+    const statements = queryStatements(query);
+    const rowCounts = {};
+    summarizeTables().forEach(table => {
+      rowCounts[table.name.toLowerCase()] = { name: table.name, rowCount: table.rowCount };
+    });
+    return statements.map(sql => {
+      const readOnly = isReadOnlyStatement(sql);
+      const result = db.exec('EXPLAIN QUERY PLAN ' + sql);
+      const aliases = queryTableAliases(sql, rowCounts);
+      const plan = buildPlanTree(result.length > 0 ? result[0].values : [], aliases, rowCounts);
+      return {
+        sql,
+        plan,
+        timing: readOnly ? timeStatement(sql) : null,
+        suggestions: suggestIndexes(sql, plan, aliases)
+      };
+    });
+  }
+
+  // Fastest of a few runs, so one slow first run (cold page cache) does not skew a before/after comparison
+  function timeStatement(sql) {
+    let fastest = Infinity;
+    let runs = 0;
+    const startedAt = performance.now();
+    while (runs < EXPLAIN_TIMING_RUNS && (runs === 0 || performance.now() - startedAt < EXPLAIN_TIMING_BUDGET_MS)) {
+      const runStart = performance.now();
+      db.exec(sql);
+      fastest = Math.min(fastest, performance.now() - runStart);
+      runs++;
     }
-    
-    if (matchedText && query) {
-      // Try to find the problematic text in the query
-      const lines = query.split('\\n');
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const index = line.toLowerCase().indexOf(matchedText.toLowerCase());
-        if (index !== -1) {
-          errorInfo.line = i + 1;
-          errorInfo.column = index + 1;
-          errorInfo.context = line.trim();
-          break;
+    return { ms: Math.round(fastest * 100) / 100, runs };
+  }
+
+  // Map plan names (aliases such as "o" in "FROM orders o") back to real tables
+  function queryTableAliases(sql, rowCounts) {
+    const aliases = {};
+    const words = SQLGrammar.tokenizeSQL(sql).filter(token => token.type !== 'space' && token.type !== 'comment');
+    const nameOf = token => SQLGrammar.identifierName(token).toLowerCase();
+    words.forEach((token, index) => {
+      if (token.type !== 'word' && token.type !== 'quoted') return;
+      const table = rowCounts[nameOf(token)];
+      if (!table) return;
+      aliases[nameOf(token)] = table.name;
+      const previous = words[index - 1];
+      if (!previous || !(previous.upper === 'FROM' || previous.upper === 'JOIN' || previous.text === ',')) return;
+      let next = words[index + 1];
+      if (next && next.upper === 'AS') next = words[index + 2];
+      if (next && (next.type === 'word' || next.type === 'quoted') && !EXPLAIN_CLAUSE_WORDS.includes(next.upper) &&
+          !['LEFT', 'RIGHT', 'INNER', 'OUTER', 'CROSS', 'NATURAL', 'FULL', 'INDEXED', 'NOT'].includes(next.upper)) {
+        aliases[nameOf(next)] = table.name;
+      }
+    });
+    return aliases;
+  }
+
+  // EXPLAIN QUERY PLAN rows are (id, parent, notused, detail); parent 0 is the top level
+  function buildPlanTree(rows, aliases, rowCounts) {
+    const root = [];
+    const byId = {};
+    rows.forEach(([id, parent, , detail]) => {
+      const node = Object.assign({ id, detail, children: [] }, describePlanStep(detail, aliases, rowCounts));
+      byId[id] = node;
+      (byId[parent] ? byId[parent].children : root).push(node);
+    });
+    return root;
+  }
+
+  function describePlanStep(detail, aliases, rowCounts) {
+    const access = /^(SCAN|SEARCH) (?:TABLE )?(\\S+)(?: AS (\\S+))?(?: USING (.*))?$/.exec(detail);
+    if (access) {
+      const table = aliases[(access[3] || access[2]).toLowerCase()] || aliases[access[2].toLowerCase()] || null;
+      const rowCount = table ? rowCounts[table.toLowerCase()].rowCount : null;
+      const using = access[4] || '';
+      if (access[1] === 'SEARCH') {
+        const automatic = /^AUTOMATIC (?:PARTIAL )?COVERING INDEX \\((.*)\\)$/.exec(using);
+        if (automatic) {
+          return { kind: 'automatic', table, rowCount, alias: access[2], constraints: automatic[1], note: 'SQLite builds a temporary index on every run; a permanent one would save that work' };
         }
+        return { kind: 'search', table, rowCount, alias: access[2], note: 'Looks up matching rows through ' + (using || 'an index') };
       }
+      if (/COVERING INDEX/.test(using)) {
+        return { kind: 'covering', table, rowCount, alias: access[2], note: 'Reads the whole index instead of the table' };
+      }
+      const large = rowCount !== null && rowCount >= EXPLAIN_LARGE_TABLE_ROWS;
+      return {
+        kind: large ? 'fullscan' : 'scan',
+        table,
+        rowCount,
+        alias: access[2],
+        note: table ? 'Reads every row of ' + table + ' (' + rowCount.toLocaleString() + ' rows)' : 'Reads every row'
+      };
     }
-    
-    return errorInfo;
+    if (/^USE TEMP B-TREE/.test(detail) || /USING TEMP B-TREE/.test(detail)) {
+      return { kind: 'temp', note: 'Builds a temporary B-tree to sort or de-duplicate rows' };
+    }
+    return { kind: 'other', note: '' };
   }
 
-  // Enhanced error capture for coaching
-  function captureEnhancedErrorDetails(error, query) {
-    const errorLocation = parseErrorLocation(error.message, query);
-    
-    const errorDetails = {
-      query: query,
-      errorMessage: error.message,
-      errorType: error.name || 'SQLError',
-      timestamp: new Date().toISOString(),
-      location: {
-        line: errorLocation.line,
-        column: errorLocation.column,
-        context: errorLocation.context
+  function flattenPlan(nodes) {
+    return nodes.reduce((all, node) => all.concat([node], flattenPlan(node.children)), []);
+  }
+
+  // Columns of a table that the statement filters on, split by how they are compared, plus ORDER BY columns
+  function filteredColumns(sql, table, aliases) {
+    const columns = (db.exec('PRAGMA table_info(' + sqlIdentifier(table) + ');')[0] || { values: [] }).values.map(row => row[1]);
+    const lookup = {};
+    columns.forEach(column => { lookup[column.toLowerCase()] = column; });
+    const tablesInQuery = Array.from(new Set(Object.values(aliases)));
+    const otherColumns = new Set();
+    tablesInQuery.filter(other => other !== table).forEach(other => {
+      (db.exec('PRAGMA table_info(' + sqlIdentifier(other) + ');')[0] || { values: [] }).values.forEach(row => otherColumns.add(row[1].toLowerCase()));
+    });
+
+    const tokens = SQLGrammar.tokenizeSQL(sql).filter(token => token.type !== 'space' && token.type !== 'comment');
+    const equality = [];
+    const range = [];
+    const order = [];
+    let clause = null;
+    tokens.forEach((token, index) => {
+      if (token.type === 'word' && EXPLAIN_CLAUSE_WORDS.includes(token.upper)) {
+        clause = token.upper;
+        return;
       }
-    };
-    
-    // Add query analysis
-    const queryLines = query.split('\\n');
-    errorDetails.queryAnalysis = {
-      totalLines: queryLines.length,
-      totalCharacters: query.length,
-      keywords: extractSQLKeywords(query),
-      tables: extractTableNames(query)
-    };
-    
-    return errorDetails;
+      if (token.type !== 'word' && token.type !== 'quoted') return;
+      const name = SQLGrammar.identifierName(token).toLowerCase();
+      const column = lookup[name];
+      if (!column) return;
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      if (next && (next.text === '.' || next.text === '(')) return;
+      if (previous && previous.text === '.') {
+        const qualifier = tokens[index - 2];
+        if (!qualifier || aliases[SQLGrammar.identifierName(qualifier).toLowerCase()] !== table) return;
+      } else if (otherColumns.has(name)) {
+        return;
+      }
+      if (clause === 'ORDER') {
+        if (!order.includes(column)) order.push(column);
+        return;
+      }
+      if (clause !== 'WHERE' && clause !== 'ON') return;
+      const operator = [next, previous].map(candidate => (candidate ? (candidate.upper || candidate.text) : ''))
+        .find(candidate => EXPLAIN_EQUALITY_OPERATORS.includes(candidate) || EXPLAIN_RANGE_OPERATORS.includes(candidate));
+      if (!operator) return;
+      const target = EXPLAIN_EQUALITY_OPERATORS.includes(operator) ? equality : range;
+      if (!equality.includes(column) && !range.includes(column)) target.push(column);
+    });
+    return { equality, range, order };
   }
-  
-  // Helper function to extract SQL keywords
-  function extractSQLKeywords(query) {
-    const keywords = ['SELECT', 'FROM', 'WHERE', 'JOIN', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'ALTER', 'ORDER BY', 'GROUP BY', 'HAVING'];
-    const foundKeywords = [];
-    const upperQuery = query.toUpperCase();
-    
-    keywords.forEach(keyword => {
-      if (upperQuery.includes(keyword)) {
-        foundKeywords.push(keyword);
+
+  function indexedColumnLists(table) {
+    const lists = [];
+    const indexes = db.exec('PRAGMA index_list(' + sqlIdentifier(table) + ');');
+    if (indexes.length === 0) return lists;
+    indexes[0].values.forEach(row => {
+      const info = db.exec('PRAGMA index_info(' + sqlIdentifier(row[1]) + ');');
+      lists.push(info.length > 0 ? info[0].values.map(column => String(column[2]).toLowerCase()) : []);
+    });
+    return lists;
+  }
+
+  // Equality columns first, then one range column: the order in which a B-tree index can use them
+  function suggestIndexes(sql, plan, aliases) {
+    const suggestions = [];
+    const steps = flattenPlan(plan);
+    const sortsWithTempTree = steps.some(step => step.kind === 'temp' && /ORDER BY/.test(step.detail));
+    steps.forEach(step => {
+      if (!step.table || !['fullscan', 'scan', 'automatic'].includes(step.kind)) return;
+      let columns;
+      if (step.kind === 'automatic') {
+        columns = step.constraints.split(' AND ').map(constraint => constraint.replace(/[<>=!]+\\?$/, '').trim());
+      } else {
+        const filtered = filteredColumns(sql, step.table, aliases);
+        columns = filtered.equality.concat(filtered.range.slice(0, 1));
+        if (columns.length === 0 && sortsWithTempTree) columns = filtered.order;
       }
+      if (columns.length === 0) return;
+      const existing = indexedColumnLists(step.table);
+      const wanted = columns.map(column => column.toLowerCase());
+      if (existing.some(list => wanted.every((column, index) => list[index] === column))) return;
+      const name = ('idx_' + step.table + '_' + columns.join('_')).replace(/\\W+/g, '_');
+      const createSQL = 'CREATE INDEX ' + sqlIdentifier(name) + ' ON ' + sqlIdentifier(step.table) + ' (' + columns.map(sqlIdentifier).join(', ') + ');';
+      if (suggestions.some(suggestion => suggestion.sql === createSQL)) return;
+      suggestions.push({
+        table: step.table,
+        sql: createSQL,
+        reason: step.kind === 'automatic'
+          ? 'Replaces the automatic index SQLite builds for ' + step.table + ' on every run'
+          : 'Lets SQLite search ' + step.table + ' by ' + columns.join(', ') + ' instead of scanning ' + step.rowCount.toLocaleString() + ' rows'
+      });
     });
-    
-    return foundKeywords;
+    return suggestions;
   }
-  
-  // Helper function to extract table names from query
-  function extractTableNames(query) {
-    const tablePattern = /(?:FROM|JOIN|UPDATE|INTO)\\s+([\\w]+)/gi;
-    const tables = [];
-    let match;
-    
-    while ((match = tablePattern.exec(query)) !== null) {
-      if (!tables.includes(match[1])) {
-        tables.push(match[1]);
+
+  const PLAN_STEP_STYLES = {
+    fullscan: ['fa-exclamation-triangle', 'text-red-700'],
+    scan: ['fa-list', 'text-gray-700'],
+    covering: ['fa-list-alt', 'text-gray-700'],
+    search: ['fa-check-circle', 'text-green-700'],
+    automatic: ['fa-exclamation-circle', 'text-amber-700'],
+    temp: ['fa-sort', 'text-amber-700'],
+    other: ['fa-angle-right', 'text-gray-600']
+  };
+
+  function renderPlanTree(nodes) {
+    if (nodes.length === 0) return '';
+    let html = '<ul class="ml-4 border-l border-gray-200 pl-3 space-y-1">';
+    nodes.forEach(node => {
+      const [icon, color] = PLAN_STEP_STYLES[node.kind];
+      html += '<li><div class="' + color + '"><i class="fas ' + icon + ' mr-1"></i><span class="font-mono">' + escapeHtml(node.detail) + '</span>';
+      if (node.note) html += ' <span class="text-xs text-gray-500">- ' + escapeHtml(node.note) + '</span>';
+      html += '</div>' + renderPlanTree(node.children) + '</li>';
+    });
+    return html + '</ul>';
+  }
+
+  function formatTiming(timing) {
+    return timing.ms.toLocaleString() + ' ms';
+  }
+
+  function renderExplainDialog() {
+    const { statements, baseline, createdIndexes } = explainState;
+    let html = '<h3 class="text-lg font-semibold text-gray-900 mb-1">Query plan</h3>';
+    html += '<p class="text-sm text-gray-600 mb-4">SEARCH uses an index to find rows; SCAN reads every row. Full scans of tables with ' +
+      EXPLAIN_LARGE_TABLE_ROWS.toLocaleString() + ' or more rows are flagged.</p>';
+    if (createdIndexes.length > 0) {
+      html += '<div class="bg-green-50 border border-green-200 rounded-md p-3 text-sm text-green-900 mb-4">Created ' +
+        createdIndexes.map(sql => '<code class="font-mono">' + escapeHtml(sql) + '</code>').join(', ') + '</div>';
+    }
+
+    statements.forEach((statement, index) => {
+      html += '<div class="border border-gray-200 rounded-md p-3 mb-3">';
+      html += '<pre class="font-mono text-xs text-gray-700 whitespace-pre-wrap mb-2" style="max-height: 96px; overflow: auto;">' + escapeHtml(statement.sql) + '</pre>';
+      if (statement.timing) {
+        const before = baseline && baseline[index];
+        html += '<div class="text-sm text-gray-700 mb-2"><i class="fas fa-stopwatch mr-1"></i>';
+        if (before) {
+          const speedup = statement.timing.ms > 0 ? before.ms / statement.timing.ms : null;
+          html += 'Before: ' + formatTiming(before) + ' &rarr; after: <strong>' + formatTiming(statement.timing) + '</strong>' +
+            (speedup && speedup >= 1.1 ? ' (' + speedup.toFixed(1) + '&times; faster)' : '');
+        } else {
+          html += 'Runs in ' + formatTiming(statement.timing);
+        }
+        html += ' <span class="text-xs text-gray-500">(fastest of ' + statement.timing.runs + ' runs)</span></div>';
       }
+      html += statement.plan.length > 0
+        ? '<div class="text-sm -ml-4">' + renderPlanTree(statement.plan) + '</div>'
+        : '<p class="text-sm text-gray-500">No query plan for this statement.</p>';
+      statement.suggestions.forEach(suggestion => {
+        html += '<div class="flex items-center justify-between gap-3 bg-blue-50 border border-blue-200 rounded-md p-2 mt-2 text-sm">';
+        html += '<div><div class="text-blue-900">' + escapeHtml(suggestion.reason) + '</div><code class="font-mono text-xs">' + escapeHtml(suggestion.sql) + '</code></div>';
+        html += '<button class="explain-create-index bg-blue-600 hover:bg-blue-700 text-white font-medium px-3 py-1 rounded-md transition-colors whitespace-nowrap" data-sql="' + escapeAttribute(suggestion.sql) + '">Create index</button>';
+        html += '</div>';
+      });
+      html += '</div>';
+    });
+
+    html += '<div class="flex justify-end space-x-3 mt-4">';
+    html += '<button id="explainCloseBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors">Close</button>';
+    html += '</div>';
+
+    document.getElementById('explainDialogBody').innerHTML = html;
+    document.getElementById('explainDialog').classList.add('show');
+
+    document.querySelectorAll('.explain-create-index').forEach(button => {
+      button.addEventListener('click', () => createSuggestedIndex(button.getAttribute('data-sql')));
+    });
+    document.getElementById('explainCloseBtn').addEventListener('click', closeExplainDialog);
+  }
+
+  function closeExplainDialog() {
+    document.getElementById('explainDialog').classList.remove('show');
+  }
+
+  // Create the index, then re-plan and re-time against the timings from before any index was added
+  function createSuggestedIndex(createSQL) {
+    try {
+      db.run(createSQL);
+    } catch (error) {
+      showError('Could not create index: ' + error.message);
+      return;
     }
-    
-    return tables;
+    refreshDatabaseOverview();
+    scheduleSnapshot(true);
+    const baseline = explainState.baseline || explainState.statements.map(statement => statement.timing);
+    try {
+      explainState = {
+        query: explainState.query,
+        statements: analyzeQueryPlans(explainState.query),
+        baseline,
+        createdIndexes: explainState.createdIndexes.concat([createSQL])
+      };
+    } catch (error) {
+      showError('Could not explain query: ' + error.message);
+      return;
+    }
+    renderExplainDialog();
+    updateStatus('Index created. Compare the plan and timings in the query plan view.');
+  }
+
+  // ---- Query review (feedback on queries that run) ----
+  const REVIEW_SAMPLE_ROWS = 10;
+
+  // EXPLAIN QUERY PLAN of every statement as indented lines, numbered when there is more than one
+  function queryPlanOutline(statements) {
+    const lines = [];
+    const addNodes = (nodes, depth) => nodes.forEach(node => {
+      lines.push('  '.repeat(depth) + node.detail);
+      addNodes(node.children, depth + 1);
+    });
+    statements.forEach((sql, index) => {
+      const result = db.exec('EXPLAIN QUERY PLAN ' + sql);
+      if (result.length === 0) return;
+      if (statements.length > 1) lines.push('-- statement ' + (index + 1));
+      addNodes(buildPlanTree(result[0].values, {}, {}), statements.length > 1 ? 1 : 0);
+    });
+    return lines;
   }
 
-  function executeQuery() {
-    const query = sqlEditor.getValue().trim();
-    if (!query) {
+  async function reviewQuery() {
+    const sourceQuery = sqlEditor.getValue().trim();
+    if (!sourceQuery) {
       showError('Please enter a SQL query first.');
       return;
     }
-
     if (!db) {
       showError('Database not initialized. Please refresh the page.');
       return;
     }
+    hideError();
+    const query = queryDialect === 'sqlite' ? sourceQuery : translateSQL(sourceQuery, queryDialect, 'sqlite').sql;
 
-    const btn = document.getElementById('runQueryBtn');
+    // Read-only queries are run again for a result sample; anything that changes data is only planned
+    let plan;
+    let resultSample = null;
+    try {
+      const statements = queryStatements(query);
+      plan = queryPlanOutline(statements);
+      if (statements.every(isReadOnlyStatement)) {
+        const results = db.exec(query);
+        const last = results[results.length - 1];
+        resultSample = last
+          ? { columns: last.columns, rows: last.values.slice(0, REVIEW_SAMPLE_ROWS), rowCount: last.values.length }
+          : { columns: [], rows: [], rowCount: 0 };
+      }
+    } catch (error) {
+      showError('The query needs to run before it can be reviewed: ' + error.message);
+      return;
+    }
+
+    const btn = document.getElementById('reviewQueryBtn');
     const originalHTML = btn.innerHTML;
-    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Running...</span>';
+    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Reviewing...</span>';
     btn.disabled = true;
-
-    hideError();
-    const startTime = performance.now();
-
+    updateStatus('Reviewing your query...');
     try {
-      addDebugInfo('Executing query: ' + query);
-      
-      const results = db.exec(query);
-      const endTime = performance.now();
-      const executionTime = Math.round(endTime - startTime);
+      const response = await fetch('/api/query-review', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          query: sourceQuery,
+          schema: getDatabaseSchemaMap(),
+          resultSample,
+          plan,
+          dialect: SQL_DIALECTS[queryDialect]
+        })
+      });
 
-      addDebugInfo('Query executed in ' + executionTime + 'ms');
-      
-      if (results.length === 0) {
-        displayEmptyResults(executionTime);
-        updateStatus('Query executed successfully in ' + executionTime + 'ms (no results returned)');
-        addDebugInfo('Query executed successfully but returned no rows');
-      } else {
-        // Handle multiple query results
-        if (results.length === 1) {
-          addDebugInfo('Query returned ' + results[0].values.length + ' rows with columns: ' + results[0].columns.join(', '));
-          displayQueryResults(results[0], executionTime);
-        } else {
-          // Multiple queries executed - show ALL results with data
-          addDebugInfo('Multiple queries executed (' + results.length + ' statements)');
-          let resultsWithData = [];
-          let totalRows = 0;
-          
-          for (let i = 0; i < results.length; i++) {
-            if (results[i].values && results[i].values.length > 0) {
-              resultsWithData.push({
-                result: results[i],
-                queryIndex: i + 1
-              });
-              totalRows += results[i].values.length;
-              addDebugInfo('Query ' + (i + 1) + ' returned ' + results[i].values.length + ' rows with columns: ' + results[i].columns.join(', '));
-            } else {
-              addDebugInfo('Query ' + (i + 1) + ' executed successfully but returned no rows');
-            }
-          }
-          
-          if (resultsWithData.length > 0) {
-            displayMultipleQueryResults(resultsWithData, executionTime);
-            updateStatus('Executed ' + results.length + ' queries in ' + executionTime + 'ms. Showing results from ' + resultsWithData.length + ' queries with data (total: ' + totalRows + ' rows)');
-          } else {
-            displayEmptyResults(executionTime);
-            updateStatus('Executed ' + results.length + ' queries in ' + executionTime + 'ms (no results returned)');
-          }
-        }
+      const limitMessage = await rateLimitMessage(response, 'asking for reviews');
+      if (limitMessage) {
+        updateStatus(limitMessage);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error('Review service unavailable (HTTP ' + response.status + ')');
       }
 
+      const review = await response.json();
+      showQueryReview(review, sourceQuery);
+      updateStatus('Review ready - check the coaching panel.');
     } catch (error) {
-      console.error("SQL Query Error:", error);
-      addDebugInfo('Query error: ' + error.message);
-      
-      // Enhanced error capture for coaching
-      const errorDetails = captureEnhancedErrorDetails(error, query);
-      
-      // Get current database schema for context
-      let schemaInfo = null;
-      try {
-        const tablesResult = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name;");
-        if (tablesResult.length > 0) {
-          schemaInfo = {};
-          for (const tableRow of tablesResult[0].values) {
-            const tableName = tableRow[0];
-            try {
-              const schemaResult = db.exec("PRAGMA table_info(" + tableName + ");");
-              if (schemaResult.length > 0) {
-                schemaInfo[tableName] = schemaResult[0].values.map(col => ({
-                  name: col[1],
-                  type: col[2],
-                  notNull: col[3],
-                  defaultValue: col[4],
-                  primaryKey: col[5]
-                }));
-              }
-            } catch (schemaError) {
-              addDebugInfo('Error getting schema for table ' + tableName + ': ' + schemaError.message);
-            }
-          }
-        }
-      } catch (schemaError) {
-        addDebugInfo('Error getting database schema: ' + schemaError.message);
-      }
-      
-      errorDetails.schema = schemaInfo;
-      
-      // Create enhanced error message with location info
-      let enhancedErrorMessage = error.message;
-      if (errorDetails.location.line && errorDetails.location.column) {
-        enhancedErrorMessage += ' (Line ' + errorDetails.location.line + ', Column ' + errorDetails.location.column + ')';
-      }
-      if (errorDetails.location.context) {
-        enhancedErrorMessage += '\\nProblem near: ' + errorDetails.location.context;
-      }
-      
-      // Show enhanced error first
-      showError('SQL Error: ' + enhancedErrorMessage);
-      
-      // Try to get coaching response
-      getCoachingResponse(errorDetails);
-      
-      updateStatus('Query execution failed');
+      showError('Could not review query: ' + error.message);
+      updateStatus('Query review failed');
     } finally {
       btn.innerHTML = originalHTML;
       btn.disabled = false;
     }
-  }
-
-  function displayQueryResults(result, executionTime) {
-    const resultsPanel = document.getElementById('resultsPanel');
-    const resultsHeader = document.getElementById('resultsHeader');
-    const resultsBody = document.getElementById('resultsBody');
-    const rowCount = document.getElementById('rowCount');
-    const queryTime = document.getElementById('queryTime');
-    const emptyResults = document.getElementById('emptyResults');
-    const resultsTable = document.getElementById('resultsTable');
-
-    addDebugInfo('displayQueryResults called with ' + result.values.length + ' rows and columns: ' + result.columns.join(', '));
-
-    // Clear previous results
-    resultsHeader.innerHTML = '';
-    resultsBody.innerHTML = '';
-    emptyResults.style.display = 'none';
-    
-    // Make sure the table is visible (fix the main issue)
-    resultsTable.style.display = 'table';
-
-    // Show panel
-    resultsPanel.classList.add('show');
-
-    // Update stats
-    rowCount.textContent = result.values.length + ' rows';
-    queryTime.textContent = executionTime + 'ms';
-
-    addDebugInfo('Creating headers for columns: ' + result.columns.join(', '));
-
-    // Create headers
-    result.columns.forEach((column, index) => {
-      const th = document.createElement('th');
-      th.className = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
-      th.textContent = column;
-      resultsHeader.appendChild(th);
-      addDebugInfo('Added header ' + (index + 1) + ': ' + column);
-    });
-
-    addDebugInfo('Headers created, now creating ' + result.values.length + ' data rows');
-
-    // Create rows
-    result.values.forEach((row, rowIndex) => {
-      const tr = document.createElement('tr');
-      row.forEach((cell, cellIndex) => {
-        const td = document.createElement('td');
-        td.className = 'px-6 py-4 whitespace-nowrap text-sm text-gray-900';
-        td.textContent = cell !== null ? cell : 'NULL';
-        tr.appendChild(td);
-      });
-      resultsBody.appendChild(tr);
-    });
-    
-    addDebugInfo('Results table displayed with ' + result.values.length + ' rows and ' + result.columns.length + ' columns');
-  }
-
-  function displayMultipleQueryResults(resultsWithData, executionTime) {
-    const resultsPanel = document.getElementById('resultsPanel');
-    const resultsHeader = document.getElementById('resultsHeader');
-    const resultsBody = document.getElementById('resultsBody');
-    const rowCount = document.getElementById('rowCount');
-    const queryTime = document.getElementById('queryTime');
-    const emptyResults = document.getElementById('emptyResults');
-    const resultsTable = document.getElementById('resultsTable');
+  }
 
-    addDebugInfo('displayMultipleQueryResults called with ' + resultsWithData.length + ' query results');
+  const REVIEW_SECTIONS = [
+    ['correctness', 'Correctness', 'fa-check-double', 'red'],
+    ['performance', 'Performance', 'fa-tachometer-alt', 'purple'],
+    ['style', 'Style', 'fa-pen-fancy', 'gray']
+  ];
 
-    // Clear previous results
-    resultsHeader.innerHTML = '';
-    resultsBody.innerHTML = '';
-    emptyResults.style.display = 'none';
-    
-    // Make sure the table is visible
-    resultsTable.style.display = 'table';
+  function showQueryReview(review, query) {
+    const coachingPanel = document.getElementById('coachingPanel');
+    const coachingContent = document.getElementById('coachingContent');
 
-    // Show panel
-    resultsPanel.classList.add('show');
+    let content = '<div class="space-y-4">';
+    content += '<div class="bg-blue-50 border border-blue-200 rounded-lg p-3">';
+    content += '<h4 class="font-medium text-blue-800 mb-2"><i class="fas fa-clipboard-check mr-2"></i>Query Review</h4>';
+    content += '<pre class="text-xs text-blue-900 bg-blue-100 p-2 rounded overflow-x-auto mb-2"><code>' + escapeHtml(query) + '</code></pre>';
+    content += '<div class="text-sm text-blue-700 whitespace-pre-wrap">' + escapeHtml(review.summary || '') + '</div>';
+    if (review.source === 'fallback') {
+      content += '<p class="text-xs text-blue-600 mt-2">Basic rule-based checks only - the AI reviewer is unavailable right now.</p>';
+    }
+    content += '</div>';
 
-    // Calculate total rows
-    const totalRows = resultsWithData.reduce((sum, item) => sum + item.result.values.length, 0);
-    
-    // Update stats
-    rowCount.textContent = totalRows + ' rows (' + resultsWithData.length + ' queries)';
-    queryTime.textContent = executionTime + 'ms';
+    REVIEW_SECTIONS.forEach(([key, title, icon, color]) => {
+      const items = Array.isArray(review[key]) ? review[key] : [];
+      if (items.length === 0) return;
+      content += '<div class="bg-' + color + '-50 border border-' + color + '-200 rounded-lg p-3">';
+      content += '<h4 class="font-medium text-' + color + '-800 mb-2"><i class="fas ' + icon + ' mr-2"></i>' + title + '</h4>';
+      content += '<ul class="text-sm text-' + color + '-700 list-disc list-inside space-y-1">';
+      items.forEach(item => {
+        content += '<li>' + escapeHtml(item) + '</li>';
+      });
+      content += '</ul></div>';
+    });
 
-    addDebugInfo('Creating separate headers and data for each query...');
+    if (review.suggestedQuery) {
+      content += '<div class="bg-green-50 border border-green-200 rounded-lg p-3">';
+      content += '<h4 class="font-medium text-green-800 mb-2"><i class="fas fa-lightbulb mr-2"></i>Suggested Query</h4>';
+      content += '<pre class="text-sm text-green-700 bg-green-100 p-2 rounded overflow-x-auto"><code>' + escapeHtml(review.suggestedQuery) + '</code></pre>';
+      content += '<button id="applyReviewedQuery" class="mt-2 bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm">';
+      content += '<i class="fas fa-magic mr-1"></i>Use This Query';
+      content += '</button>';
+      content += '</div>';
+    }
+    content += '</div>';
 
-    // Create results for each query separately
-    resultsWithData.forEach((item, resultIndex) => {
-      const result = item.result;
-      const queryIndex = item.queryIndex;
-      
-      addDebugInfo('Processing query ' + queryIndex + ' with ' + result.values.length + ' rows and columns: ' + result.columns.join(', '));
-      
-      // Add a query separator header row
-      const separatorTr = document.createElement('tr');
-      separatorTr.className = 'bg-gradient-to-r from-blue-100 to-blue-50';
-      
-      const separatorTd = document.createElement('td');
-      separatorTd.className = 'px-6 py-3 text-center text-sm font-bold text-blue-800 border-b-2 border-blue-200';
-      separatorTd.colSpan = result.columns.length;
-      separatorTd.innerHTML = '<i class="fas fa-database mr-2"></i>Query ' + queryIndex + ' Results (' + result.values.length + ' rows)';
-      separatorTr.appendChild(separatorTd);
-      resultsBody.appendChild(separatorTr);
-      
-      // Create header row for this specific query
-      const headerTr = document.createElement('tr');
-      headerTr.className = 'bg-gray-50';
-      
-      result.columns.forEach((column) => {
-        const th = document.createElement('th');
-        th.className = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b border-gray-200';
-        th.textContent = column;
-        headerTr.appendChild(th);
-        addDebugInfo('Added header for query ' + queryIndex + ': ' + column);
+    coachingContent.innerHTML = content;
+    const applyButton = document.getElementById('applyReviewedQuery');
+    if (applyButton) {
+      applyButton.addEventListener('click', function() {
+        sqlEditor.setValue(review.suggestedQuery);
+        updateStatus('Suggested query placed in the editor - run it to compare the results.');
+        this.innerHTML = '<i class="fas fa-check mr-1"></i>In the Editor';
+        this.disabled = true;
       });
-      
-      resultsBody.appendChild(headerTr);
+    }
+    startCoachingThread({
+      query,
+      schema: getDatabaseSchemaMap(),
+      previousAnswer: coachingAnswerText([
+        ['Summary', review.summary],
+        ['Correctness', review.correctness],
+        ['Performance', review.performance],
+        ['Style', review.style],
+        ['Suggested query', review.suggestedQuery]
+      ])
+    });
+    coachingPanel.classList.add('show');
+  }
 
-      // Create data rows for this query
-      result.values.forEach((row, rowIndex) => {
-        const tr = document.createElement('tr');
-        tr.className = rowIndex % 2 === 0 ? 'bg-white' : 'bg-gray-50';
-        
-        row.forEach((cell, cellIndex) => {
-          const td = document.createElement('td');
-          td.className = 'px-6 py-4 whitespace-nowrap text-sm text-gray-900 border-b border-gray-100';
-          td.textContent = cell !== null ? cell : 'NULL';
-          tr.appendChild(td);
+  // ---- ER diagram ----
+  // Built from sqlite_master and PRAGMA table_info / foreign_key_list / index_list, drawn as SVG.
+  // Everything is styled with attributes rather than CSS so the exported SVG and PNG look the same.
+  const ER_TABLE_WIDTH = 230;
+  const ER_HEADER_HEIGHT = 30;
+  const ER_ROW_HEIGHT = 20;
+  const ER_GAP_X = 90;
+  const ER_GAP_Y = 50;
+  const ER_MARGIN = 30;
+  const ER_FONT = 'ui-sans-serif, system-ui, -apple-system, Segoe UI, sans-serif';
+  let erDiagram = null;
+
+  function readDiagramModel() {
+    const tables = summarizeTables().map(summary => {
+      const info = db.exec('PRAGMA table_info(' + sqlIdentifier(summary.name) + ');');
+      const columns = (info.length > 0 ? info[0].values : []).map(row => ({
+        name: row[1], type: row[2] || '', notNull: Boolean(row[3]), primaryKey: row[5] > 0, foreignKey: false, unique: false, indexed: false
+      }));
+      const byName = {};
+      columns.forEach(column => { byName[column.name.toLowerCase()] = column; });
+
+      const uniqueSets = [];
+      const indexes = db.exec('PRAGMA index_list(' + sqlIdentifier(summary.name) + ');');
+      (indexes.length > 0 ? indexes[0].values : []).forEach(row => {
+        const indexInfo = db.exec('PRAGMA index_info(' + sqlIdentifier(row[1]) + ');');
+        const indexColumns = (indexInfo.length > 0 ? indexInfo[0].values : []).map(column => String(column[2]).toLowerCase());
+        indexColumns.forEach(name => { if (byName[name]) byName[name].indexed = true; });
+        if (row[2]) {
+          uniqueSets.push(indexColumns);
+          if (indexColumns.length === 1 && byName[indexColumns[0]]) byName[indexColumns[0]].unique = true;
+        }
+      });
+      const primaryKey = columns.filter(column => column.primaryKey).map(column => column.name.toLowerCase());
+      if (primaryKey.length > 0) uniqueSets.push(primaryKey);
+
+      // foreign_key_list has one row per column; rows with the same id belong to one constraint
+      const foreignKeys = {};
+      const fkRows = db.exec('PRAGMA foreign_key_list(' + sqlIdentifier(summary.name) + ');');
+      (fkRows.length > 0 ? fkRows[0].values : []).forEach(([id, , target, from, to]) => {
+        foreignKeys[id] = foreignKeys[id] || { table: summary.name, target, from: [], to: [] };
+        foreignKeys[id].from.push(from);
+        foreignKeys[id].to.push(to);
+        if (byName[from.toLowerCase()]) byName[from.toLowerCase()].foreignKey = true;
+      });
+      return { name: summary.name, rowCount: summary.rowCount, columns, uniqueSets, foreignKeys: Object.values(foreignKeys) };
+    });
+
+    const tableNames = {};
+    tables.forEach(table => { tableNames[table.name.toLowerCase()] = table; });
+    const relations = [];
+    tables.forEach(table => {
+      table.foreignKeys.forEach(foreignKey => {
+        const parent = tableNames[foreignKey.target.toLowerCase()];
+        if (!parent) return;
+        // A missing "to" column means the parent's primary key
+        const parentPrimaryKey = parent.columns.filter(column => column.primaryKey).map(column => column.name);
+        const to = foreignKey.to.map((column, index) => column || parentPrimaryKey[index] || 'rowid');
+        const from = foreignKey.from.map(column => column.toLowerCase());
+        const columns = from.map(name => table.columns.find(column => column.name.toLowerCase() === name)).filter(Boolean);
+        relations.push({
+          child: table.name,
+          parent: parent.name,
+          from: foreignKey.from,
+          to,
+          // Unique foreign key columns make the relationship one-to-one instead of one-to-many
+          oneToOne: table.uniqueSets.some(set => set.length === from.length && set.every(name => from.includes(name))),
+          optional: columns.some(column => !column.notNull)
         });
-        resultsBody.appendChild(tr);
       });
-      
-      // Add spacing between query results (except for the last one)
-      if (resultIndex < resultsWithData.length - 1) {
-        const spacerTr = document.createElement('tr');
-        const spacerTd = document.createElement('td');
-        spacerTd.className = 'py-2';
-        spacerTd.colSpan = result.columns.length;
-        spacerTd.innerHTML = '&nbsp;';
-        spacerTr.appendChild(spacerTd);
-        resultsBody.appendChild(spacerTr);
-      }
     });
-    
-    addDebugInfo('Multiple query results displayed: ' + resultsWithData.length + ' queries with individual headers and total ' + totalRows + ' rows');
+    return { tables, relations };
   }
 
-  function displayEmptyResults(executionTime) {
-    const resultsPanel = document.getElementById('resultsPanel');
-    const emptyResults = document.getElementById('emptyResults');
-    const rowCount = document.getElementById('rowCount');
-    const queryTime = document.getElementById('queryTime');
-    const resultsTable = document.getElementById('resultsTable');
+  function erTableHeight(table) {
+    return ER_HEADER_HEIGHT + Math.max(1, table.columns.length) * ER_ROW_HEIGHT + 6;
+  }
 
-    // Show panel
-    resultsPanel.classList.add('show');
-    emptyResults.style.display = 'block';
+  // Place tables that have not been placed (or dragged) yet in columns, parents left of the tables
+  // that reference them: a table's column is the length of its longest foreign key chain
+  function layoutDiagram(model, positions) {
+    const depth = {};
+    model.tables.forEach(table => { depth[table.name] = 0; });
+    // Bounded by the table count so reference cycles cannot loop forever
+    for (let pass = 0; pass < model.tables.length; pass++) {
+      let changed = false;
+      model.relations.forEach(relation => {
+        if (relation.child !== relation.parent && depth[relation.child] < depth[relation.parent] + 1) {
+          depth[relation.child] = depth[relation.parent] + 1;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+    }
+    const columnTops = [];
+    model.tables.forEach(table => {
+      const column = depth[table.name];
+      const top = columnTops[column] || ER_MARGIN;
+      if (!positions[table.name]) {
+        positions[table.name] = { x: ER_MARGIN + column * (ER_TABLE_WIDTH + ER_GAP_X), y: top };
+      }
+      columnTops[column] = top + erTableHeight(table) + ER_GAP_Y;
+    });
+  }
 
-    // Update stats
-    rowCount.textContent = '0 rows';
-    queryTime.textContent = executionTime + 'ms';
+  function erColumnY(model, positions, tableName, columnName) {
+    const table = model.tables.find(candidate => candidate.name === tableName);
+    const index = Math.max(0, table.columns.findIndex(column => column.name.toLowerCase() === String(columnName).toLowerCase()));
+    return positions[tableName].y + ER_HEADER_HEIGHT + index * ER_ROW_HEIGHT + ER_ROW_HEIGHT / 2 + 3;
+  }
 
-    // Hide table when no results
-    resultsTable.style.display = 'none';
-    
-    addDebugInfo('Empty results displayed');
+  // Crow's-foot end markers. x, y is where the line meets the table; direction points away from it.
+  function erEndMarker(x, y, direction, kind) {
+    const at = offset => x + direction * offset;
+    let svg = '';
+    if (kind === 'many' || kind === 'zeroOrMany') {
+      svg += '<path d="M ' + at(14) + ' ' + y + ' L ' + x + ' ' + (y - 7) + ' M ' + at(14) + ' ' + y + ' L ' + x + ' ' + (y + 7) + '" stroke="#4b5563" fill="none" stroke-width="1.5"/>';
+    } else {
+      svg += '<line x1="' + at(8) + '" y1="' + (y - 7) + '" x2="' + at(8) + '" y2="' + (y + 7) + '" stroke="#4b5563" stroke-width="1.5"/>';
+    }
+    if (kind === 'one') {
+      svg += '<line x1="' + at(13) + '" y1="' + (y - 7) + '" x2="' + at(13) + '" y2="' + (y + 7) + '" stroke="#4b5563" stroke-width="1.5"/>';
+    }
+    if (kind === 'zeroOrOne' || kind === 'zeroOrMany') {
+      svg += '<circle cx="' + at(21) + '" cy="' + y + '" r="4" fill="#ffffff" stroke="#4b5563" stroke-width="1.5"/>';
+    }
+    return svg;
   }
 
-  function formatSQL() {
-    // Simple SQL formatting
-    const value = sqlEditor.getValue();
-    const formatted = value
-      .replace(/\\b(SELECT|FROM|WHERE|JOIN|LEFT JOIN|RIGHT JOIN|INNER JOIN|ORDER BY|GROUP BY|HAVING|INSERT|UPDATE|DELETE|CREATE|DROP|ALTER)\\b/gi, '\\n$1')
-      .replace(/,/g, ',\\n  ')
-      .replace(/\\s+/g, ' ')
-      .trim();
-    sqlEditor.setValue(formatted);
+  function renderDiagramRelations(model, positions) {
+    return model.relations.map(relation => {
+      const child = positions[relation.child];
+      const parent = positions[relation.parent];
+      const childY = erColumnY(model, positions, relation.child, relation.from[0]);
+      const parentY = erColumnY(model, positions, relation.parent, relation.to[0]);
+      let childX;
+      let parentX;
+      let childDirection;
+      let parentDirection;
+      let path;
+      if (relation.child === relation.parent) {
+        // Self-reference: loop out of the right-hand side
+        childX = parentX = child.x + ER_TABLE_WIDTH;
+        childDirection = parentDirection = 1;
+        const loopX = childX + 50;
+        path = 'M ' + childX + ' ' + childY + ' H ' + loopX + ' V ' + parentY + ' H ' + parentX;
+      } else {
+        const childLeft = child.x + ER_TABLE_WIDTH / 2 < parent.x + ER_TABLE_WIDTH / 2;
+        childX = childLeft ? child.x + ER_TABLE_WIDTH : child.x;
+        parentX = childLeft ? parent.x : parent.x + ER_TABLE_WIDTH;
+        childDirection = childLeft ? 1 : -1;
+        parentDirection = -childDirection;
+        const bend = Math.max(40, Math.abs(parentX - childX) / 2);
+        path = 'M ' + childX + ' ' + childY + ' H ' + (childX + childDirection * 24) +
+          ' C ' + (childX + childDirection * bend) + ' ' + childY + ', ' + (parentX + parentDirection * bend) + ' ' + parentY + ', ' + (parentX + parentDirection * 24) + ' ' + parentY +
+          ' H ' + parentX;
+      }
+      const childEnd = relation.oneToOne ? 'zeroOrOne' : 'zeroOrMany';
+      const parentEnd = relation.optional ? 'zeroOrOne' : 'one';
+      const title = relation.child + '(' + relation.from.join(', ') + ') → ' + relation.parent + '(' + relation.to.join(', ') + ')' +
+        (relation.oneToOne ? ', one-to-one' : ', many-to-one');
+      return '<g><title>' + escapeHtml(title) + '</title><path d="' + path + '" stroke="#6b7280" stroke-width="1.5" fill="none"/>' +
+        erEndMarker(childX, childY, childDirection, childEnd) + erEndMarker(parentX, parentY, parentDirection, parentEnd) + '</g>';
+    }).join('');
   }
 
-  function clearEditor() {
-    sqlEditor.setValue('');
+  function renderDiagramTable(table, position) {
+    const height = erTableHeight(table);
+    let svg = '<g class="er-table" data-table="' + escapeAttribute(table.name) + '" transform="translate(' + position.x + ' ' + position.y + ')" style="cursor: move;">';
+    svg += '<title>' + escapeHtml(table.name + ' - ' + table.rowCount.toLocaleString() + ' rows. Drag to move, click to query.') + '</title>';
+    svg += '<rect width="' + ER_TABLE_WIDTH + '" height="' + height + '" rx="6" fill="#ffffff" stroke="#9ca3af" stroke-width="1"/>';
+    svg += '<path d="M 0 6 Q 0 0 6 0 H ' + (ER_TABLE_WIDTH - 6) + ' Q ' + ER_TABLE_WIDTH + ' 0 ' + ER_TABLE_WIDTH + ' 6 V ' + ER_HEADER_HEIGHT + ' H 0 Z" fill="#1d4ed8"/>';
+    svg += '<text x="10" y="20" font-family="' + ER_FONT + '" font-size="13" font-weight="600" fill="#ffffff">' + escapeHtml(table.name) + '</text>';
+    svg += '<text x="' + (ER_TABLE_WIDTH - 10) + '" y="20" text-anchor="end" font-family="' + ER_FONT + '" font-size="11" fill="#bfdbfe">' + table.rowCount.toLocaleString() + ' rows</text>';
+    table.columns.forEach((column, index) => {
+      const y = ER_HEADER_HEIGHT + index * ER_ROW_HEIGHT + ER_ROW_HEIGHT / 2 + 7;
+      const keys = [column.primaryKey ? 'PK' : '', column.foreignKey ? 'FK' : ''].filter(Boolean).join(' ');
+      svg += '<text x="10" y="' + y + '" font-family="' + ER_FONT + '" font-size="10" font-weight="700" fill="' + (column.primaryKey ? '#b45309' : '#7c3aed') + '">' + keys + '</text>';
+      svg += '<text x="44" y="' + y + '" font-family="' + ER_FONT + '" font-size="12" fill="#111827"' + (column.primaryKey ? ' font-weight="600"' : '') + '>' +
+        escapeHtml(column.name) + (column.notNull || column.primaryKey ? '' : '?') + '</text>';
+      svg += '<text x="' + (ER_TABLE_WIDTH - 10) + '" y="' + y + '" text-anchor="end" font-family="' + ER_FONT + '" font-size="10" fill="#6b7280">' +
+        escapeHtml(column.type.toLowerCase()) + (column.unique && !column.primaryKey ? ' unique' : column.indexed && !column.primaryKey ? ' idx' : '') + '</text>';
+    });
+    return svg + '</g>';
   }
 
-  // Function to extract table information from schema
-  function extractTableInfo(database) {
-    const tables = [];
-    const lines = database.split('\\n');
-    let currentTable = null;
-    let inTableDefinition = false;
-    
-    for (let line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Check for CREATE TABLE statement
-      const createTableMatch = trimmedLine.match(/CREATE TABLE\\s+(\\w+)/i);
-      if (createTableMatch) {
-        if (currentTable) {
-          tables.push(currentTable);
-        }
-        currentTable = {
-          name: createTableMatch[1],
-          columns: []
-        };
-        inTableDefinition = true;
-        continue;
-      }
-      
-      // Check for end of table definition
-      if (inTableDefinition && trimmedLine.includes(');')) {
-        inTableDefinition = false;
-        if (currentTable) {
-          tables.push(currentTable);
-          currentTable = null;
-        }
-        continue;
-      }
-      
-      // Parse column definitions
-      if (inTableDefinition && currentTable && trimmedLine && !trimmedLine.startsWith('--')) {
-        // Skip FOREIGN KEY constraints and other non-column lines
-        if (trimmedLine.toUpperCase().startsWith('FOREIGN KEY') || 
-            trimmedLine.toUpperCase().startsWith('CONSTRAINT') ||
-            trimmedLine.toUpperCase().startsWith('PRIMARY KEY') ||
-            trimmedLine.toUpperCase().startsWith('UNIQUE') ||
-            trimmedLine.toUpperCase().startsWith('CHECK')) {
-          continue;
-        }
-        
-        // Parse column definition
-        const columnMatch = trimmedLine.match(/(\\w+)\\s+([\\w\\s\\(\\),]+?)(?:,|$)/i);
-        if (columnMatch) {
-          let columnName = columnMatch[1];
-          let columnType = columnMatch[2].replace(/,$/, '').trim();
-          
-          // Clean up the type (remove constraints like NOT NULL, PRIMARY KEY, etc.)
-          columnType = columnType.split(/\\s+/)[0];
-          
-          currentTable.columns.push(columnName + ' (' + columnType + ')');
-        }
-      }
-    }
-    
-    // Don't forget the last table
-    if (currentTable) {
-      tables.push(currentTable);
-    }
-    
-    return tables;
+  function renderDiagramSVG() {
+    const { model, positions } = erDiagram;
+    let width = 0;
+    let height = 0;
+    model.tables.forEach(table => {
+      width = Math.max(width, positions[table.name].x + ER_TABLE_WIDTH + ER_MARGIN + (model.relations.some(relation => relation.child === table.name && relation.parent === table.name) ? 60 : 0));
+      height = Math.max(height, positions[table.name].y + erTableHeight(table) + ER_MARGIN);
+    });
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">' +
+      '<rect width="100%" height="100%" fill="#f9fafb"/>' +
+      '<g id="erRelations">' + renderDiagramRelations(model, positions) + '</g>' +
+      model.tables.map(table => renderDiagramTable(table, positions[table.name])).join('') +
+      '</svg>';
   }
 
-  // Function to refresh database overview from actual database state
-  function refreshDatabaseOverview() {
-    const databaseContent = document.getElementById('databaseContent');
-    const copyBtn = document.getElementById('copyDatabaseBtn');
-    const loadBtn = document.getElementById('loadToEditorBtn');
-    
-    if (!db) {
-      databaseContent.innerHTML = '<div class="text-sm text-gray-500 text-center py-4">Database not initialized</div>';
+  function openERDiagram() {
+    if (!db || summarizeTables().length === 0) {
+      showError('There is no database to draw yet.');
       return;
     }
-    
-    try {
-      // Get tables directly from the database
-      const result = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name;");
-      
-      if (result.length === 0 || result[0].values.length === 0) {
-        databaseContent.innerHTML = '<div class="text-sm text-gray-500 text-center py-4">No tables found in database</div>';
-        copyBtn.style.display = 'none';
-        loadBtn.style.display = 'none';
-        return;
-      }
-      
-      // Show action buttons
-      copyBtn.style.display = 'inline-block';
-      loadBtn.style.display = 'inline-block';
-      
-      // Get detailed information for each table
-      const tables = [];
-      for (const tableRow of result[0].values) {
-        const tableName = tableRow[0];
-        
-        try {
-          // Get column information
-          const schemaResult = db.exec("PRAGMA table_info(" + tableName + ");");
-          const columns = [];
-          
-          if (schemaResult.length > 0) {
-            schemaResult[0].values.forEach(col => {
-              const columnName = col[1]; // column name
-              const columnType = col[2]; // column type
-              columns.push(columnName + ' (' + columnType + ')');
-            });
-          }
-          
-          // Get row count
-          let rowCount = 0;
-          try {
-            const countResult = db.exec("SELECT COUNT(*) as count FROM " + tableName);
-            if (countResult.length > 0) {
-              rowCount = countResult[0].values[0][0];
-            }
-          } catch (e) {
-            addDebugInfo('Could not get row count for table ' + tableName + ': ' + e.message);
-          }
-          
-          tables.push({
-            name: tableName,
-            columns: columns,
-            rowCount: rowCount
-          });
-          
-        } catch (e) {
-          addDebugInfo('Error getting info for table ' + tableName + ': ' + e.message);
-          tables.push({
-            name: tableName,
-            columns: ['Error loading columns'],
-            rowCount: 0
-          });
-        }
-      }
-      
-      // Display table information
-      let html = '';
-      tables.forEach(table => {
-        html += \`
-          <div class="table-info" onclick="selectTableForQuery('\${table.name}')">
-            <h4>
-              <i class="fas fa-table mr-2"></i>
-              \${table.name}
-              <button class="query-btn ml-auto" onclick="event.stopPropagation(); selectTableForQuery('\${table.name}')">
-                <i class="fas fa-arrow-right mr-1"></i>Query
-              </button>
-            </h4>
-            <div class="column-list">
-              \${table.columns.map(col => \`<span class="column-tag">\${col}</span>\`).join('')}
-            </div>
-            <div class="row-count">
-              <i class="fas fa-database mr-1"></i>
-              \${table.rowCount} rows
-            </div>
-          </div>
-        \`;
+    const model = readDiagramModel();
+    // Keep dragged positions for tables that still exist
+    const positions = {};
+    if (erDiagram) {
+      model.tables.forEach(table => {
+        if (erDiagram.positions[table.name]) positions[table.name] = erDiagram.positions[table.name];
       });
-      
-      // Add refresh button and schema button
-      html += \`
-        <div class="mt-4 pt-4 border-t border-gray-200 space-y-2">
-          <button id="refreshOverviewBtn" class="w-full bg-blue-100 hover:bg-blue-200 text-blue-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2">
-            <i class="fas fa-sync-alt"></i>
-            <span>Refresh Database Overview</span>
-          </button>
-          <button id="showSchemaBtn" class="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2">
-            <i class="fas fa-code"></i>
-            <span>Show Schema Creation SQL</span>
-          </button>
-          <button id="diagnoseSchemaBtn" class="w-full bg-yellow-100 hover:bg-yellow-200 text-yellow-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2">
-            <i class="fas fa-search"></i>
-            <span>Diagnose Schema Issues</span>
-          </button>
-        </div>
-      \`;
-      
-      databaseContent.innerHTML = html;
-      
-      // Add event listeners
-      document.getElementById('refreshOverviewBtn').addEventListener('click', function() {
-        addDebugInfo('Manually refreshing database overview...');
-        refreshDatabaseOverview();
-        updateStatus('Database overview refreshed!');
-        
-        // Temporarily change button to show action was performed
-        const originalHTML = this.innerHTML;
-        this.innerHTML = '<i class="fas fa-check"></i><span>Overview Refreshed!</span>';
-        this.classList.remove('bg-blue-100', 'hover:bg-blue-200', 'text-blue-700');
-        this.classList.add('bg-green-100', 'text-green-700');
-        
-        // Reset button back to original state after 2 seconds
-        setTimeout(() => {
-          this.innerHTML = originalHTML;
-          this.classList.remove('bg-green-100', 'text-green-700');
-          this.classList.add('bg-blue-100', 'hover:bg-blue-200', 'text-blue-700');
-        }, 2000);
+    }
+    layoutDiagram(model, positions);
+    erDiagram = { model, positions };
+
+    let html = '<div class="flex items-center justify-between mb-3">';
+    html += '<h3 class="text-lg font-semibold text-gray-900">ER diagram</h3>';
+    html += '<div class="flex items-center space-x-2">';
+    html += '<button id="erExportSvgBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium px-3 py-1 rounded-md transition-colors"><i class="fas fa-download mr-1"></i>SVG</button>';
+    html += '<button id="erExportPngBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium px-3 py-1 rounded-md transition-colors"><i class="fas fa-download mr-1"></i>PNG</button>';
+    html += '<button id="erCloseBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium px-3 py-1 rounded-md transition-colors">Close</button>';
+    html += '</div></div>';
+    html += '<p class="text-xs text-gray-500 mb-2">Drag tables to rearrange them; click a table to query it. PK = primary key, FK = foreign key, ? = nullable. ' +
+      'Lines use crow\\'s-foot notation: the fork sits on the "many" side, a bar means exactly one and a circle means the link is optional.</p>';
+    if (model.relations.length === 0) {
+      html += '<p class="text-xs text-amber-700 mb-2">No foreign keys are declared, so no relationships are drawn.</p>';
+    }
+    html += '<div id="erCanvas" class="border border-gray-200 rounded-md overflow-auto" style="max-height: 70vh;">' + renderDiagramSVG() + '</div>';
+
+    document.getElementById('erDiagramDialogBody').innerHTML = html;
+    document.getElementById('erDiagramDialog').classList.add('show');
+    attachDiagramDragging();
+    document.getElementById('erCloseBtn').addEventListener('click', closeERDiagram);
+    document.getElementById('erExportSvgBtn').addEventListener('click', exportDiagramSVG);
+    document.getElementById('erExportPngBtn').addEventListener('click', exportDiagramPNG);
+  }
+
+  function closeERDiagram() {
+    document.getElementById('erDiagramDialog').classList.remove('show');
+  }
+
+  // Drag a table by pointer; a press that barely moves counts as a click and opens the table in the editor
+  function attachDiagramDragging() {
+    const canvas = document.getElementById('erCanvas');
+    canvas.querySelectorAll('.er-table').forEach(group => {
+      group.addEventListener('pointerdown', event => {
+        const tableName = group.getAttribute('data-table');
+        const start = { x: event.clientX, y: event.clientY };
+        const origin = Object.assign({}, erDiagram.positions[tableName]);
+        let moved = false;
+        if (group.setPointerCapture) group.setPointerCapture(event.pointerId);
+        const onMove = moveEvent => {
+          const dx = moveEvent.clientX - start.x;
+          const dy = moveEvent.clientY - start.y;
+          if (!moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+          moved = true;
+          erDiagram.positions[tableName] = { x: Math.max(0, origin.x + dx), y: Math.max(0, origin.y + dy) };
+          const position = erDiagram.positions[tableName];
+          group.setAttribute('transform', 'translate(' + position.x + ' ' + position.y + ')');
+          canvas.querySelector('#erRelations').innerHTML = renderDiagramRelations(erDiagram.model, erDiagram.positions);
+        };
+        const onUp = () => {
+          group.removeEventListener('pointermove', onMove);
+          group.removeEventListener('pointerup', onUp);
+          if (moved) {
+            // Re-render so the canvas grows to fit tables dragged past its edge
+            const scroll = { left: canvas.scrollLeft, top: canvas.scrollTop };
+            canvas.innerHTML = renderDiagramSVG();
+            canvas.scrollLeft = scroll.left;
+            canvas.scrollTop = scroll.top;
+            attachDiagramDragging();
+          } else {
+            closeERDiagram();
+            selectTableForQuery(tableName);
+          }
+        };
+        group.addEventListener('pointermove', onMove);
+        group.addEventListener('pointerup', onUp);
       });
-      
-      document.getElementById('showSchemaBtn').addEventListener('click', function() {
-        if (currentDatabase) {
-          sqlEditor.setValue(currentDatabase);
-          updateStatus('Schema creation SQL loaded to editor. You can see how the database was built!');
-          
-          // Temporarily change button text to show action was performed
-          const originalHTML = this.innerHTML;
-          this.innerHTML = '<i class="fas fa-check"></i><span>Schema SQL loaded to editor</span>';
-          this.classList.remove('bg-gray-100', 'hover:bg-gray-200');
-          this.classList.add('bg-green-100', 'text-green-700');
-          
-          // Reset button back to original state after 2 seconds
-          setTimeout(() => {
-            this.innerHTML = originalHTML;
-            this.classList.remove('bg-green-100', 'text-green-700');
-            this.classList.add('bg-gray-100', 'hover:bg-gray-200');
-          }, 2000);
+    });
+  }
+
+  async function exportDiagramSVG() {
+    const filename = await currentDatabaseFileName('svg');
+    downloadFile(filename, '<?xml version="1.0" encoding="UTF-8"?>\\n' + renderDiagramSVG(), 'image/svg+xml');
+    updateStatus('Downloaded ER diagram ' + filename);
+  }
+
+  // Rasterize the same SVG at 2x so the PNG stays sharp on high-density screens
+  async function exportDiagramPNG() {
+    const svg = renderDiagramSVG();
+    const svgElement = document.querySelector('#erCanvas svg');
+    const width = Number(svgElement.getAttribute('width'));
+    const height = Number(svgElement.getAttribute('height'));
+    const filename = await currentDatabaseFileName('png');
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+      const context = canvas.getContext('2d');
+      context.scale(2, 2);
+      context.drawImage(image, 0, 0);
+      canvas.toBlob(blob => {
+        if (!blob) {
+          showError('Could not create the PNG image.');
+          return;
+        }
+        downloadFile(filename, blob, 'image/png');
+        updateStatus('Downloaded ER diagram ' + filename);
+      }, 'image/png');
+    };
+    image.onerror = () => showError('Could not create the PNG image.');
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  }
+
+  // ---- Schema-aware editor (completions and lint) ----
+  // Words that are never column names. Anything else used unqualified in an expression is
+  // checked against the tables in scope, the way SQLite resolves it.
+  const { SQLITE_KEYWORDS, identifierName } = SQLGrammar;
+  const SQLITE_FUNCTIONS = ['abs', 'avg', 'char', 'coalesce', 'count', 'cume_dist', 'date', 'datetime', 'dense_rank',
+    'first_value', 'group_concat', 'hex', 'ifnull', 'iif', 'instr', 'json_array', 'json_extract', 'json_object', 'julianday',
+    'lag', 'last_value', 'lead', 'length', 'lower', 'ltrim', 'max', 'min', 'nth_value', 'ntile', 'nullif', 'percent_rank',
+    'printf', 'quote', 'random', 'rank', 'replace', 'round', 'row_number', 'rtrim', 'strftime', 'substr', 'sum', 'time',
+    'total', 'trim', 'typeof', 'unicode', 'upper'];
+  // Statements whose names are definitions rather than references; they are not linted
+  const LINT_SKIPPED_STATEMENTS = ['CREATE', 'ALTER', 'DROP', 'PRAGMA', 'ATTACH', 'DETACH', 'VACUUM', 'BEGIN', 'COMMIT', 'END',
+    'ROLLBACK', 'SAVEPOINT', 'RELEASE', 'ANALYZE', 'REINDEX', 'EXPLAIN'];
+  const SQL_CLAUSE_STARTS = ['SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'SET', 'ON', 'USING', 'WINDOW', 'RETURNING', 'VALUES'];
+  const ROWID_NAMES = ['rowid', 'oid', '_rowid_'];
+  let editorSchema = {};
+
+  // Tables and views of the live database with their column names, keyed by lower-case name
+  function refreshEditorSchema() {
+    editorSchema = {};
+    if (db) {
+      try {
+        const result = db.exec("SELECT name, type FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name;");
+        (result.length > 0 ? result[0].values : []).forEach(([name, type]) => {
+          const info = db.exec('PRAGMA table_info(' + sqlIdentifier(name) + ');');
+          editorSchema[name.toLowerCase()] = {
+            name,
+            view: type === 'view',
+            columns: (info.length > 0 ? info[0].values : []).map(row => row[1])
+          };
+        });
+      } catch (error) {
+        addDebugInfo('Could not read schema for the editor: ' + error.message);
+      }
+    }
+    if (sqlEditor && sqlEditor.performLint) sqlEditor.performLint();
+  }
+
+  function isIdentifierToken(token) {
+    return Boolean(token) && (token.type === 'quoted' || (token.type === 'word' && !SQLITE_KEYWORDS.has(token.upper)));
+  }
+
+  function columnsOf(source) {
+    return source.table ? source.table.columns.map(column => column.toLowerCase()) : null;
+  }
+
+  // Resolve every table, alias and column reference in a script. Returns
+  // { statements: [{ start, end, sources }], problems: [{ start, end, message, severity }], tables }.
+  // Sources with unknown columns (CTEs, subqueries, table-valued functions) are "opaque":
+  // names that could come from them are not flagged.
+  function analyzeSQLReferences(sql, { checkUnqualified = true } = {}) {
+    const allTokens = SQLGrammar.tokenizeSQL(sql);
+    const tokens = allTokens.filter(token => token.type !== 'space' && token.type !== 'comment');
+    const problems = [];
+    const statements = [];
+    const referencedTables = [];
+    const flag = (token, message, severity) => problems.push({ start: token.start, end: token.end, message, severity: severity || 'error' });
+
+    // Tables created or altered earlier in the same script are known, with columns we cannot see yet
+    const scriptTables = new Set();
+    tokens.forEach((token, index) => {
+      if (token.upper !== 'TABLE' && token.upper !== 'VIEW' && token.upper !== 'TO') return;
+      const previous = tokens[index - 1];
+      if (token.upper === 'TO' && !(previous && previous.upper === 'RENAME')) return;
+      let nameIndex = index + 1;
+      if (tokens[nameIndex] && tokens[nameIndex].upper === 'IF') nameIndex += 3;
+      if (tokens[nameIndex + 1] && tokens[nameIndex + 1].text === '.') nameIndex += 2;
+      if (tokens[nameIndex] && (tokens[nameIndex].type === 'word' || tokens[nameIndex].type === 'quoted')) {
+        scriptTables.add(identifierName(tokens[nameIndex]).toLowerCase());
+      }
+    });
+
+    // The shared splitter keeps a trigger's BEGIN ... END body in its CREATE TRIGGER statement, so
+    // the NEW and OLD rows inside it are never linted as tables. A statement runs up to its semicolon,
+    // or to the end of the script, so the completions still see it while the cursor is past its last word.
+    SQLGrammar.splitSQLStatements(sql, allTokens).forEach(split => {
+      const statementTokens = split.tokens.filter(token => token.type !== 'space' && token.type !== 'comment');
+      const semicolon = statementTokens[statementTokens.length - 1].text === ';' ? statementTokens.pop() : null;
+      const statement = { start: split.start, end: semicolon ? semicolon.start : sql.length, sources: [] };
+      statements.push(statement);
+      if (statementTokens.length > 0 && !LINT_SKIPPED_STATEMENTS.includes(statementTokens[0].upper)) {
+        analyzeStatement(statementTokens, statement, { scriptTables, referencedTables, flag, checkUnqualified });
+      }
+    });
+    return { statements, problems, tables: referencedTables };
+  }
+
+  function analyzeStatement(tokens, statement, { scriptTables, referencedTables, flag, checkUnqualified }) {
+    const cteNames = new Set();
+    const consumed = new Set();
+    const scopeOf = [];
+    const newScope = parent => ({ parent, sources: [], aliases: new Set(), usingColumns: new Set(), natural: false, clause: null });
+    let scope = newScope(null);
+    // Each parenthesis frame remembers the scope outside it and whether it opened a subquery
+    const frames = [];
+    let functionSource = null;
+
+    const addSource = (nameToken, alias, opaque) => {
+      const name = nameToken ? identifierName(nameToken) : null;
+      const key = name ? name.toLowerCase() : null;
+      let table = null;
+      if (!opaque && key) {
+        if (cteNames.has(key) || scriptTables.has(key)) {
+          opaque = true;
+        } else if (editorSchema[key]) {
+          table = editorSchema[key];
         } else {
-          // Fallback: Generate schema from current database state
-          try {
-            addDebugInfo('No stored schema SQL found, generating from current database state...');
-            const generatedSQL = generateSchemaFromDatabase();
-            if (generatedSQL) {
-              sqlEditor.setValue(generatedSQL);
-              updateStatus('Current database schema generated and loaded to editor!');
-              
-              // Temporarily change button text to show action was performed
-              const originalHTML = this.innerHTML;
-              this.innerHTML = '<i class="fas fa-check"></i><span>Current Schema Generated</span>';
-              this.classList.remove('bg-gray-100', 'hover:bg-gray-200');
-              this.classList.add('bg-green-100', 'text-green-700');
-              
-              // Reset button back to original state after 2 seconds
-              setTimeout(() => {
-                this.innerHTML = originalHTML;
-                this.classList.remove('bg-green-100', 'text-green-700');
-                this.classList.add('bg-gray-100', 'hover:bg-gray-200');
-              }, 2000);
-            } else {
-              showError('No database tables found to generate schema from.');
+          flag(nameToken, 'Unknown table: ' + name);
+          opaque = true;
+        }
+        if (!referencedTables.includes(table ? table.name : name)) referencedTables.push(table ? table.name : name);
+      }
+      const source = { name, alias, table, opaque: Boolean(opaque) };
+      scope.sources.push(source);
+      statement.sources.push(source);
+      return source;
+    };
+
+    // After a source: [AS] alias, unless the next word starts a clause
+    const readAlias = index => {
+      let aliasIndex = index;
+      if (tokens[aliasIndex] && tokens[aliasIndex].upper === 'AS') aliasIndex++;
+      const token = tokens[aliasIndex];
+      if (isIdentifierToken(token) && !(tokens[aliasIndex + 1] && tokens[aliasIndex + 1].text === '(')) {
+        consumed.add(aliasIndex);
+        return identifierName(token);
+      }
+      return null;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const previous = tokens[i - 1];
+      scopeOf[i] = scope;
+
+      if (token.type === 'punct' && token.text === '(') {
+        const next = tokens[i + 1];
+        const subquery = Boolean(next) && ['SELECT', 'WITH', 'VALUES'].includes(next.upper);
+        const inFrom = scope.clause === 'FROM' && previous && (previous.upper === 'FROM' || previous.upper === 'JOIN' || previous.text === ',');
+        frames.push({ scope, subquery, inFrom, functionSource: functionSource && functionSource.index === i - 1 ? functionSource.source : null });
+        if (subquery) scope = newScope(scope);
+        continue;
+      }
+      if (token.type === 'punct' && token.text === ')') {
+        const frame = frames.pop();
+        if (!frame) continue;
+        scope = frame.scope;
+        scopeOf[i] = scope;
+        if (frame.inFrom) {
+          addSource(null, readAlias(i + 1), true);
+        } else if (frame.functionSource) {
+          frame.functionSource.alias = readAlias(i + 1);
+        }
+        continue;
+      }
+      if (token.type !== 'word' && token.type !== 'quoted') continue;
+
+      if (['UNION', 'EXCEPT', 'INTERSECT'].includes(token.upper)) {
+        scope = newScope(scope.parent);
+        const frame = frames[frames.length - 1];
+        // Keep the enclosing frame pointing at the scope outside the subquery
+        if (frame && !frame.subquery) frame.scope = scope;
+        continue;
+      }
+      if (SQL_CLAUSE_STARTS.includes(token.upper) && !(token.upper === 'ON' && previous && previous.upper === 'DO')) {
+        scope.clause = token.upper;
+      }
+      if (token.upper === 'NATURAL') scope.natural = true;
+
+      // WITH name [(columns)] AS (...)
+      if (isIdentifierToken(token) && previous && (previous.upper === 'WITH' || previous.upper === 'RECURSIVE' || (previous.text === ',' && cteNames.size > 0 && scope.clause === null))) {
+        let asIndex = i + 1;
+        if (tokens[asIndex] && tokens[asIndex].text === '(') {
+          let depth = 0;
+          for (; asIndex < tokens.length; asIndex++) {
+            if (tokens[asIndex].text === '(') depth++;
+            if (tokens[asIndex].text === ')' && --depth === 0) break;
+          }
+          for (let column = i + 1; column <= asIndex; column++) consumed.add(column);
+          asIndex++;
+        }
+        if (tokens[asIndex] && tokens[asIndex].upper === 'AS') {
+          cteNames.add(identifierName(token).toLowerCase());
+          consumed.add(i);
+          continue;
+        }
+      }
+
+      // Sources: FROM / JOIN / comma in FROM, UPDATE target, INSERT/REPLACE INTO target
+      const sourcePosition = previous && (
+        previous.upper === 'FROM' || previous.upper === 'JOIN' ||
+        (previous.text === ',' && scope.clause === 'FROM') ||
+        (previous.upper === 'UPDATE' && i === 1) || previous.upper === 'INTO'
+      );
+      if (sourcePosition && (token.type === 'quoted' || !SQLITE_KEYWORDS.has(token.upper))) {
+        let nameIndex = i;
+        // schema.table
+        if (tokens[i + 1] && tokens[i + 1].text === '.' && tokens[i + 2]) {
+          consumed.add(i);
+          nameIndex = i + 2;
+          i += 2;
+        }
+        consumed.add(nameIndex);
+        scopeOf[i] = scope;
+        if (tokens[nameIndex + 1] && tokens[nameIndex + 1].text === '(' && previous.upper !== 'INTO') {
+          // Table-valued function such as json_each(...): its columns are not in the schema
+          functionSource = { index: nameIndex, source: addSource(null, null, true) };
+          functionSource.source.name = identifierName(tokens[nameIndex]);
+          continue;
+        }
+        const source = addSource(tokens[nameIndex], null, false);
+        if (previous.upper === 'INTO') {
+          // INSERT INTO t (a, b): the column list belongs to t; ON CONFLICT can refer to excluded.*
+          scope.sources.push({ name: 'excluded', alias: 'excluded', table: source.table, opaque: source.opaque });
+          if (tokens[nameIndex + 1] && tokens[nameIndex + 1].upper === 'AS') source.alias = readAlias(nameIndex + 1);
+          if (tokens[nameIndex + 1] && tokens[nameIndex + 1].text === '(' && !['SELECT', 'WITH', 'VALUES'].includes((tokens[nameIndex + 2] || {}).upper)) {
+            let j = nameIndex + 2;
+            for (; j < tokens.length && tokens[j].text !== ')'; j++) {
+              if (tokens[j].type !== 'word' && tokens[j].type !== 'quoted') continue;
+              consumed.add(j);
+              const columns = columnsOf(source);
+              if (columns && !columns.includes(identifierName(tokens[j]).toLowerCase())) {
+                flag(tokens[j], 'Unknown column ' + identifierName(tokens[j]) + ' in ' + source.table.name);
+              }
             }
-          } catch (error) {
-            addDebugInfo('Error generating schema from database: ' + error.message);
-            showError('Could not generate schema: ' + error.message);
+            for (let k = nameIndex + 1; k <= j; k++) scopeOf[k] = scope;
+            i = j;
+          }
+        } else {
+          source.alias = readAlias(nameIndex + 1);
+        }
+        continue;
+      }
+
+      // JOIN ... USING (a, b): those columns are merged, so unqualified use is not ambiguous
+      if (token.upper === 'USING' && tokens[i + 1] && tokens[i + 1].text === '(') {
+        let j = i + 2;
+        for (; j < tokens.length && tokens[j].text !== ')'; j++) {
+          scopeOf[j] = scope;
+          if (tokens[j].type === 'word' || tokens[j].type === 'quoted') {
+            scope.usingColumns.add(identifierName(tokens[j]).toLowerCase());
+            consumed.add(j);
+          }
+        }
+        scopeOf[j] = scope;
+        i = j;
+        continue;
+      }
+
+      // Result column aliases: AS name, or a bare name right before "," or FROM in the select list
+      if (scope.clause === 'SELECT' && isIdentifierToken(token)) {
+        const next = tokens[i + 1];
+        const explicit = previous && previous.upper === 'AS';
+        const implicit = previous && !(previous.text === ',' || previous.text === '.' || previous.type === 'op' || ['SELECT', 'DISTINCT', 'ALL'].includes(previous.upper)) &&
+          (!next || next.text === ',' || next.upper === 'FROM');
+        if (explicit || implicit) {
+          scope.aliases.add(identifierName(token).toLowerCase());
+          consumed.add(i);
+        }
+      }
+    }
+
+    // Second pass: columns, now that every scope knows its sources and aliases
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (consumed.has(i) || !isIdentifierToken(token)) continue;
+      const previous = tokens[i - 1];
+      const next = tokens[i + 1];
+      if (next && (next.text === '(' || next.text === '.')) continue;
+      if (previous && ['AS', 'COLLATE', 'OVER', 'WINDOW'].includes(previous.upper)) continue;
+      if (previous && previous.upper === 'BY' && tokens[i - 2] && tokens[i - 2].upper === 'INDEXED') continue;
+      const name = identifierName(token);
+      const key = name.toLowerCase();
+      const tokenScope = scopeOf[i] || scope;
+
+      if (previous && previous.text === '.') {
+        const qualifierToken = tokens[i - 2];
+        if (!qualifierToken || (qualifierToken.type !== 'word' && qualifierToken.type !== 'quoted')) continue;
+        const qualifier = identifierName(qualifierToken).toLowerCase();
+        let source = null;
+        for (let current = tokenScope; current && !source; current = current.parent) {
+          source = current.sources.find(candidate => (candidate.alias || candidate.name || '').toLowerCase() === qualifier) ||
+            current.sources.find(candidate => (candidate.name || '').toLowerCase() === qualifier);
+        }
+        if (!source) {
+          // An opaque source (subquery without alias) may hide the qualifier; only flag when every scope is known
+          let opaque = false;
+          for (let current = tokenScope; current; current = current.parent) {
+            if (current.sources.some(candidate => candidate.opaque && !candidate.alias)) opaque = true;
           }
+          if (!opaque && !cteNames.has(qualifier)) {
+            flag(qualifierToken, editorSchema[qualifier]
+              ? editorSchema[qualifier].name + ' is not in the FROM clause of this query'
+              : 'Unknown table or alias: ' + identifierName(qualifierToken));
+          }
+          continue;
+        }
+        const columns = columnsOf(source);
+        if (columns && !columns.includes(key) && !(ROWID_NAMES.includes(key) && !source.table.view)) {
+          flag(token, 'Unknown column ' + name + ' in ' + source.table.name);
+        }
+        continue;
+      }
+
+      if (!checkUnqualified) continue;
+      let resolved = false;
+      let unknown = false;
+      for (let current = tokenScope; current && !resolved && !unknown; current = current.parent) {
+        if (current.aliases.has(key)) {
+          resolved = true;
+          break;
         }
+        const matches = current.sources.filter(source => {
+          const columns = columnsOf(source);
+          return columns && columns.includes(key);
+        });
+        if (matches.length > 1 && !current.usingColumns.has(key) && !current.natural) {
+          flag(token, 'Ambiguous column ' + name + ': it is in ' + matches.map(source => source.alias || source.name).join(' and ') + '; qualify it, e.g. ' +
+            (matches[0].alias || matches[0].name) + '.' + name);
+        }
+        if (matches.length > 0) resolved = true;
+        if (current.sources.some(source => source.opaque)) unknown = true;
+      }
+      if (resolved || unknown || ROWID_NAMES.includes(key)) continue;
+      if (token.type === 'quoted' && token.text.charAt(0) === '"') {
+        flag(token, name + ' is not a column, so SQLite treats "' + name + '" as a string - use single quotes for text', 'warning');
+      } else {
+        flag(token, 'Unknown column: ' + name);
+      }
+    }
+  }
+
+  // Tables a query refers to, for coaching context
+  function queryTableReferences(query) {
+    return analyzeSQLReferences(query).tables;
+  }
+
+  // CodeMirror lint helper. Other dialects use words SQLite would read as columns, so only
+  // tables and qualified columns are checked for them.
+  function lintSQL(text, options, editor) {
+    if (!db || Object.keys(editorSchema).length === 0) return [];
+    const { problems } = analyzeSQLReferences(text, { checkUnqualified: queryDialect === 'sqlite' });
+    return problems.map(problem => ({
+      from: editor.posFromIndex(problem.start),
+      to: editor.posFromIndex(problem.end),
+      message: problem.message,
+      severity: problem.severity
+    }));
+  }
+
+  // CodeMirror hint helper: columns of the tables in the statement under the cursor (qualified by
+  // alias when the name is in more than one of them), tables, functions and keywords
+  function sqlCompletions(editor) {
+    const cursor = editor.getCursor();
+    const line = editor.getLine(cursor.line);
+    let start = cursor.ch;
+    while (start > 0 && /[\\w$]/.test(line.charAt(start - 1))) start--;
+    const prefix = line.slice(start, cursor.ch).toLowerCase();
+    const offset = editor.indexFromPos(cursor);
+    const text = editor.getValue();
+    const analysis = analyzeSQLReferences(text);
+    const statement = analysis.statements.find(candidate => offset >= candidate.start && offset <= candidate.end) || { sources: [] };
+    const sources = statement.sources.filter(source => source.table && source.name !== 'excluded');
+    const list = [];
+    const add = (itemText, hint, className) => {
+      if (prefix && !itemText.toLowerCase().startsWith(prefix) && !itemText.toLowerCase().split('.').pop().startsWith(prefix)) return;
+      if (list.some(item => item.text === itemText)) return;
+      list.push({ text: itemText, displayText: itemText + (hint ? '  ' + hint : ''), className });
+    };
+
+    if (line.charAt(start - 1) === '.') {
+      let qualifierStart = start - 1;
+      while (qualifierStart > 0 && /[\\w$]/.test(line.charAt(qualifierStart - 1))) qualifierStart--;
+      const qualifier = line.slice(qualifierStart, start - 1).toLowerCase();
+      const source = sources.find(candidate => (candidate.alias || '').toLowerCase() === qualifier) ||
+        sources.find(candidate => candidate.name.toLowerCase() === qualifier);
+      const table = source ? source.table : editorSchema[qualifier];
+      if (table) table.columns.forEach(column => add(column, table.name, 'sql-hint-column'));
+    } else {
+      const before = SQLGrammar.tokenizeSQL(text.slice(0, offset - prefix.length)).filter(token => token.type !== 'space' && token.type !== 'comment');
+      const lastWord = before.length > 0 ? before[before.length - 1].upper : null;
+      const wantsTable = ['FROM', 'JOIN', 'INTO', 'UPDATE', 'TABLE'].includes(lastWord);
+      if (!wantsTable) {
+        const counts = {};
+        sources.forEach(source => source.table.columns.forEach(column => {
+          counts[column.toLowerCase()] = (counts[column.toLowerCase()] || 0) + 1;
+        }));
+        sources.forEach(source => source.table.columns.forEach(column => {
+          if (counts[column.toLowerCase()] > 1) {
+            add(sqlIdentifier(source.alias || source.name) + '.' + column, source.table.name, 'sql-hint-column');
+          } else {
+            add(column, source.table.name, 'sql-hint-column');
+          }
+        }));
+      }
+      Object.values(editorSchema).forEach(table => add(table.name, table.view ? 'view' : 'table', 'sql-hint-table'));
+      if (!wantsTable) {
+        SQLITE_FUNCTIONS.forEach(name => add(name.toUpperCase() + '(', 'function', 'sql-hint-function'));
+        SQLITE_KEYWORDS.forEach(keyword => add(keyword, '', 'sql-hint-keyword'));
+      }
+    }
+    return { list: list.slice(0, 80), from: CodeMirror.Pos(cursor.line, start), to: CodeMirror.Pos(cursor.line, cursor.ch) };
+  }
+
+  // Open completions while typing names (not inside strings or comments), after "." and on Ctrl-Space
+  function setupEditorAssist(editor) {
+    editor.on('inputRead', (cm, change) => {
+      const typed = change.text.join('');
+      if (!/^[\\w.]$/.test(typed) || cm.state.completionActive) return;
+      const token = cm.getTokenAt(cm.getCursor());
+      if (token.type === 'string' || token.type === 'comment') return;
+      cm.showHint({ hint: sqlCompletions, completeSingle: false });
+    });
+  }
+
+  // ---- Formatter styles ----
+  // The Format button uses formatStyle; custom presets and the chosen style are kept in the library settings
+  const FORMAT_SAMPLE_QUERY = "WITH totals AS (SELECT customer_id, SUM(total) AS spent FROM orders WHERE status = 'shipped' GROUP BY customer_id) " +
+    "SELECT c.first_name, c.last_name, t.spent, (SELECT COUNT(*) FROM orders o WHERE o.customer_id = c.id) AS order_count " +
+    "FROM customers c JOIN totals t ON t.customer_id = c.id AND t.spent > 100 WHERE c.city IN ('Paris', 'Rome') OR c.id < 10 ORDER BY t.spent DESC LIMIT 10;";
+  const FORMAT_STYLE_FIELDS = [
+    ['keywordCase', 'Keywords', [['upper', 'UPPER CASE'], ['lower', 'lower case'], ['preserve', 'As written']]],
+    ['layout', 'Layout', [['indented', 'Indented'], ['river', 'River (right-aligned keywords)']]],
+    ['commaPosition', 'Commas', [['trailing', 'Trailing'], ['leading', 'Leading (comma-first)']]],
+    ['indentWidth', 'Indent', [['2', '2 spaces'], ['4', '4 spaces']]],
+    ['cteIndent', 'CTE body indent', [['0', 'None'], ['2', '2 spaces'], ['4', '4 spaces']]],
+    ['subqueryIndent', 'Subquery indent', [['0', 'None'], ['2', '2 spaces'], ['4', '4 spaces']]]
+  ];
+  let formatStyle = SQLGrammar.normalizeFormatStyle({});
+  let customFormatPresets = {};
+  let formatDraft = null;
+
+  async function restoreFormatPreferences() {
+    try {
+      customFormatPresets = (await getLibrarySetting('formatPresets')) || {};
+      formatStyle = SQLGrammar.normalizeFormatStyle(await getLibrarySetting('formatStyle'));
+    } catch (error) {
+      addDebugInfo('Could not restore formatting style: ' + error.message);
+    }
+  }
+
+  function saveFormatPreferences() {
+    Promise.all([setLibrarySetting('formatStyle', formatStyle), setLibrarySetting('formatPresets', customFormatPresets)]).catch(error => {
+      addDebugInfo('Could not save formatting style: ' + error.message);
+    });
+  }
+
+  // Built-in presets first, then the user's, as { key: { label, style, custom } }
+  function formatPresetList() {
+    const presets = {};
+    Object.entries(SQLGrammar.FORMAT_PRESETS).forEach(([key, preset]) => {
+      presets[key] = { label: preset.label, style: SQLGrammar.normalizeFormatStyle(preset.style), custom: false };
+    });
+    Object.entries(customFormatPresets).forEach(([name, style]) => {
+      presets['custom:' + name] = { label: name, style: SQLGrammar.normalizeFormatStyle(style), custom: true };
+    });
+    return presets;
+  }
+
+  function matchingFormatPreset(style) {
+    const presets = formatPresetList();
+    return Object.keys(presets).find(key => JSON.stringify(presets[key].style) === JSON.stringify(style)) || '';
+  }
+
+  function openFormatDialog() {
+    formatDraft = Object.assign({}, formatStyle);
+    renderFormatDialog();
+    document.getElementById('formatDialog').classList.add('show');
+  }
+
+  function closeFormatDialog() {
+    document.getElementById('formatDialog').classList.remove('show');
+  }
+
+  function renderFormatDialog() {
+    const presets = formatPresetList();
+    const selectedPreset = matchingFormatPreset(formatDraft);
+    const source = (sqlEditor.somethingSelected() ? sqlEditor.getSelection() : sqlEditor.getValue()).trim() || FORMAT_SAMPLE_QUERY;
+
+    let html = '<h3 class="text-lg font-semibold text-gray-900 mb-1">Formatting style</h3>';
+    html += '<p class="text-sm text-gray-600 mb-4">Used by Format SQL (Shift-Alt-F). With text selected, only the selection is formatted.</p>';
+    html += '<div class="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm mb-4">';
+    html += '<label class="flex items-center justify-between">Preset <select id="formatPreset" class="border border-gray-300 rounded-md px-2 py-1 ml-2 w-48">';
+    html += '<option value=""' + (selectedPreset ? '' : ' selected') + '>Custom</option>';
+    Object.entries(presets).forEach(([key, preset]) => {
+      html += '<option value="' + escapeAttribute(key) + '"' + (key === selectedPreset ? ' selected' : '') + '>' + escapeHtml(preset.label) + (preset.custom ? ' (saved)' : '') + '</option>';
+    });
+    html += '</select></label>';
+    FORMAT_STYLE_FIELDS.forEach(([field, label, options]) => {
+      html += '<label class="flex items-center justify-between">' + label + ' <select data-format-field="' + field + '" class="border border-gray-300 rounded-md px-2 py-1 ml-2 w-48">';
+      options.forEach(([value, text]) => {
+        html += '<option value="' + value + '"' + (String(formatDraft[field]) === value ? ' selected' : '') + '>' + text + '</option>';
       });
-      
-      document.getElementById('diagnoseSchemaBtn').addEventListener('click', function() {
-        addDebugInfo('Manual schema diagnosis requested...');
-        diagnoseSchemaIssues();
-        updateStatus('Schema diagnosis completed! Check the debug panel for details.');
-        
-        // Show the debug panel automatically
-        document.getElementById('debugPanel').classList.add('show');
-        
-        // Temporarily change button text to show action was performed
-        const originalHTML = this.innerHTML;
-        this.innerHTML = '<i class="fas fa-check"></i><span>Diagnosis Complete - Check Debug Panel</span>';
-        this.classList.remove('bg-yellow-100', 'hover:bg-yellow-200', 'text-yellow-700');
-        this.classList.add('bg-green-100', 'text-green-700');
-        
-        // Reset button back to original state after 3 seconds
-        setTimeout(() => {
-          this.innerHTML = originalHTML;
-          this.classList.remove('bg-green-100', 'text-green-700');
-          this.classList.add('bg-yellow-100', 'hover:bg-yellow-200', 'text-yellow-700');
-        }, 3000);
+      html += '</select></label>';
+    });
+    html += '<label class="flex items-center justify-between">Line width <input type="number" min="0" max="400" data-format-field="lineWidth" value="' + formatDraft.lineWidth + '" class="border border-gray-300 rounded-md px-2 py-1 ml-2 w-48" title="Lists and conditions that fit stay on one line; 0 puts every item on its own line"></label>';
+    html += '<label class="flex items-center"><input type="checkbox" data-format-field="alignJoinOn"' + (formatDraft.alignJoinOn ? ' checked' : '') + ' class="mr-2">Put JOIN ... ON conditions on their own lines</label>';
+    html += '</div>';
+    html += '<pre id="formatPreview" class="bg-gray-50 border border-gray-200 rounded-md p-3 font-mono text-xs overflow-auto" style="max-height: 280px;">' + escapeHtml(SQLGrammar.formatSQL(source, formatDraft)) + '</pre>';
+
+    html += '<div class="flex flex-wrap items-center gap-2 mt-4 text-sm">';
+    html += '<input id="formatPresetName" type="text" placeholder="Preset name" class="border border-gray-300 rounded-md px-2 py-1">';
+    html += '<button id="formatSavePresetBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-3 py-1 rounded-md transition-colors">Save as preset</button>';
+    if (presets[selectedPreset] && presets[selectedPreset].custom) {
+      html += '<button id="formatDeletePresetBtn" class="text-red-600 hover:text-red-800 px-2 py-1">Delete "' + escapeHtml(presets[selectedPreset].label) + '"</button>';
+    }
+    html += '</div>';
+    html += '<div class="flex justify-end space-x-3 mt-4">';
+    html += '<button id="formatCloseBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors">Cancel</button>';
+    html += '<button id="formatApplyBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-medium px-4 py-2 rounded-md transition-colors">Use this style</button>';
+    html += '</div>';
+
+    const body = document.getElementById('formatDialogBody');
+    body.innerHTML = html;
+
+    document.getElementById('formatPreset').addEventListener('change', function() {
+      if (!this.value) return;
+      formatDraft = Object.assign({}, presets[this.value].style);
+      renderFormatDialog();
+    });
+    body.querySelectorAll('[data-format-field]').forEach(input => {
+      input.addEventListener('change', function() {
+        const field = this.getAttribute('data-format-field');
+        formatDraft[field] = this.type === 'checkbox' ? this.checked : this.value;
+        formatDraft = SQLGrammar.normalizeFormatStyle(formatDraft);
+        renderFormatDialog();
+      });
+    });
+    document.getElementById('formatSavePresetBtn').addEventListener('click', () => {
+      const name = document.getElementById('formatPresetName').value.trim();
+      if (!name) {
+        updateStatus('Give the preset a name first.');
+        return;
+      }
+      customFormatPresets[name] = Object.assign({}, formatDraft);
+      saveFormatPreferences();
+      updateStatus('Saved formatting preset "' + name + '".');
+      renderFormatDialog();
+    });
+    const deleteBtn = document.getElementById('formatDeletePresetBtn');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', () => {
+        delete customFormatPresets[selectedPreset.slice('custom:'.length)];
+        saveFormatPreferences();
+        renderFormatDialog();
       });
-      
-      addDebugInfo('Database overview refreshed with ' + tables.length + ' tables');
-      
-    } catch (error) {
-      addDebugInfo('Error refreshing database overview: ' + error.message);
-      databaseContent.innerHTML = '<div class="text-sm text-red-500 text-center py-4">Error loading database overview: ' + error.message + '</div>';
     }
+    document.getElementById('formatCloseBtn').addEventListener('click', closeFormatDialog);
+    document.getElementById('formatApplyBtn').addEventListener('click', () => {
+      formatStyle = SQLGrammar.normalizeFormatStyle(formatDraft);
+      saveFormatPreferences();
+      closeFormatDialog();
+      updateStatus('Formatting style saved - Format SQL uses it from now on.');
+    });
   }
 
-  // Function to display database in the left panel
-  function displayDatabaseInPanel(database) {
-    const databaseContent = document.getElementById('databaseContent');
-    const copyBtn = document.getElementById('copyDatabaseBtn');
-    const loadBtn = document.getElementById('loadToEditorBtn');
-    
-    // Store the database globally
-    currentDatabase = database;
-    
-    // Show action buttons
-    copyBtn.style.display = 'inline-block';
-    loadBtn.style.display = 'inline-block';
-    
-    // Extract table information from database
-    const tables = extractTableInfo(database);
-    
-    if (tables.length === 0) {
-      databaseContent.innerHTML = '<div class="text-sm text-gray-500 text-center py-4">No tables found in database</div>';
+  // ---- Shareable database links ----
+  async function shareCurrentDatabase() {
+    const sql = generateSQLDump();
+    if (!sql) {
+      showError('There is no database to share yet.');
       return;
     }
-    
-    // Display table information with row counts
-    let html = '';
-    tables.forEach(table => {
-      // Get row count from database if available
-      let rowCount = 'Unknown';
-      if (db) {
-        try {
-          const result = db.exec('SELECT COUNT(*) as count FROM ' + table.name);
-          if (result.length > 0) {
-            rowCount = result[0].values[0][0];
-          }
-        } catch (e) {
-          rowCount = '0';
-        }
+    const btn = document.getElementById('shareDatabaseBtn');
+    btn.disabled = true;
+    try {
+      const editorQuery = sqlEditor.getValue().trim();
+      // Only pass the editor along when it holds more than the placeholder comments
+      const starterQuery = editorQuery.split('\\n').some(line => line.trim() && !line.trim().startsWith('--')) ? editorQuery : '';
+      const name = (await currentDatabaseFileName('sql')).replace(/\\.sql$/, '').replace(/-/g, ' ');
+
+      const response = await fetch('/share', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ name, sql, starterQuery })
+      });
+      const limitMessage = await rateLimitMessage(response, 'creating share links');
+      if (limitMessage) {
+        showError(limitMessage);
+        updateStatus(limitMessage);
+        return;
       }
-      
-      html += \`
-        <div class="table-info" onclick="selectTableForQuery('\${table.name}')">
-          <h4>
-            <i class="fas fa-table mr-2"></i>
-            \${table.name}
-            <button class="query-btn ml-auto" onclick="event.stopPropagation(); selectTableForQuery('\${table.name}')">
-              <i class="fas fa-arrow-right mr-1"></i>Query
-            </button>
-          </h4>
-          <div class="column-list">
-            \${table.columns.map(col => \`<span class="column-tag">\${col}</span>\`).join('')}
-          </div>
-          <div class="row-count">
-            <i class="fas fa-database mr-1"></i>
-            \${rowCount} rows
-          </div>
-        </div>
-      \`;
-    });
-    
-    // Add a button to show the schema creation SQL (stretch goal implementation)
-    html += \`
-      <div class="mt-4 pt-4 border-t border-gray-200">
-        <button id="showSchemaBtn" class="w-full bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium px-4 py-2 rounded-md transition-colors flex items-center justify-center space-x-2">
-          <i class="fas fa-code"></i>
-          <span>Show me how this schema was created using SQL</span>
-        </button>
-      </div>
-    \`;
-    
-    databaseContent.innerHTML = html;
-    
-    // Add event listener for the new button
-    document.getElementById('showSchemaBtn').addEventListener('click', function() {
-      if (currentDatabase) {
-        sqlEditor.setValue(currentDatabase);
-        updateStatus('Schema creation SQL loaded to editor. You can see how the database was built!');
-        
-        // Temporarily change button text to show action was performed
-        const originalHTML = this.innerHTML;
-        this.innerHTML = '<i class="fas fa-check"></i><span>Schema SQL loaded to editor</span>';
-        this.classList.remove('bg-gray-100', 'hover:bg-gray-200');
-        this.classList.add('bg-green-100', 'text-green-700');
-        
-        // Reset button back to original state after 2 seconds
-        setTimeout(() => {
-          this.innerHTML = originalHTML;
-          this.classList.remove('bg-green-100', 'text-green-700');
-          this.classList.add('bg-gray-100', 'hover:bg-gray-200');
-        }, 2000);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'HTTP error! status: ' + response.status);
+      }
+
+      const expires = new Date(data.expiresAt).toLocaleDateString();
+      try {
+        await navigator.clipboard.writeText(data.url);
+        updateStatus('Share link copied to clipboard: ' + data.url + ' (read-only snapshot, expires ' + expires + ')');
+      } catch (clipboardError) {
+        updateStatus('Share link: ' + data.url + ' (read-only snapshot, expires ' + expires + ')');
+      }
+      addDebugInfo('Shared database as ' + data.id);
+    } catch (error) {
+      showError('Failed to share database: ' + error.message);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  // Open /?db=<id>. A link opened before reuses its library copy, so local changes are kept.
+  async function loadSharedDatabase(shareId) {
+    try {
+      const saved = (await listSavedDatabases().catch(() => [])).find(record => record.shareId === shareId);
+      if (saved) {
+        applySavedDatabase(saved);
+        await setLibrarySetting('lastDatabaseId', saved.id);
+        renderLibrary();
+        updateStatus('Opened "' + saved.name + '" (shared database, your saved copy)');
+        return;
       }
-    });
+
+      updateDatabaseStatus('loading');
+      const response = await fetch('/share/' + encodeURIComponent(shareId));
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'HTTP error! status: ' + response.status);
+      }
+
+      const sharedDb = new SQL.Database();
+      try {
+        sharedDb.exec(data.sql);
+      } catch (error) {
+        sharedDb.close();
+        throw new Error('The shared SQL could not be loaded: ' + error.message);
+      }
+      replaceLiveDatabase(sharedDb, { sql: data.sql });
+      if (data.starterQuery && sqlEditor) {
+        sqlEditor.setValue(data.starterQuery);
+      }
+      updateDatabaseStatus('connected');
+      try {
+        await saveCurrentDatabase({ asNew: true, name: data.name, prompt: '', source: 'share', shareId });
+      } catch (saveError) {
+        addDebugInfo('Could not save shared database to the browser library: ' + saveError.message);
+        renderLibrary();
+      }
+      updateStatus('Opened shared database "' + data.name + '"' + (data.starterQuery ? ' with a starter query in the editor' : '') + '.');
+    } catch (error) {
+      addDebugInfo('Could not open shared database ' + shareId + ': ' + error.message);
+      showError('Could not open shared database: ' + error.message);
+      updateDatabaseStatus('connected');
+      await restoreLastDatabase();
+    }
   }
 
-  // Initialize SQL.js first
-  async function initializeSQLJS() {
+  // Initialize SQL.js first; sharedDatabaseId comes from a /?db=<id> link
+  async function initializeSQLJS(sharedDatabaseId) {
     try {
       addDebugInfo('Initializing SQL.js...');
       updateDatabaseStatus('initializing');
       
       // Load SQL.js WASM
-      const SQL = await initSqlJs({
+      SQL = await initSqlJs({
         locateFile: file => 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/' + file
       });
       
@@ -1741,6 +7523,13 @@ SELECT * FROM customers LIMIT 5;</textarea>
       addDebugInfo('SQL.js initialized successfully');
       updateDatabaseStatus('connected');
       updateStatus('SQLite database ready. Generate a database to get started.');
+
+      if (sharedDatabaseId) {
+        await loadSharedDatabase(sharedDatabaseId);
+      } else {
+        // Bring back the database that was open before the last reload
+        await restoreLastDatabase();
+      }
       
     } catch (error) {
       addDebugInfo('Failed to initialize SQL.js: ' + error.message);
@@ -1799,6 +7588,16 @@ SELECT * FROM customers LIMIT 5;</textarea>
       });
     }
     
+    const cancelLoadingBtn = document.getElementById('cancelLoadingBtn');
+    if (cancelLoadingBtn) {
+      cancelLoadingBtn.addEventListener('click', function() {
+        if (loadingCancelHandler) {
+          document.getElementById('loadingMessage').textContent = 'Cancelling...';
+          loadingCancelHandler();
+        }
+      });
+    }
+
     // Generate Database Button Handler
     const generateDatabaseBtn = document.getElementById('generateDatabaseBtn');
     if (generateDatabaseBtn) {
@@ -1810,17 +7609,137 @@ SELECT * FROM customers LIMIT 5;</textarea>
     if (runQueryBtn) {
       runQueryBtn.addEventListener('click', executeQuery);
     }
+
+    const runSelectionBtn = document.getElementById('runSelectionBtn');
+    if (runSelectionBtn) {
+      runSelectionBtn.addEventListener('click', () => executeQuery('selection'));
+    }
+
+    const runStatementBtn = document.getElementById('runStatementBtn');
+    if (runStatementBtn) {
+      runStatementBtn.addEventListener('click', () => executeQuery('statement'));
+    }
+
+    const explainBtn = document.getElementById('explainBtn');
+    if (explainBtn) {
+      explainBtn.addEventListener('click', explainQuery);
+    }
+
+    const coachingChatSendBtn = document.getElementById('coachingChatSendBtn');
+    if (coachingChatSendBtn) {
+      coachingChatSendBtn.addEventListener('click', sendCoachingMessage);
+    }
+
+    const coachingChatInput = document.getElementById('coachingChatInput');
+    if (coachingChatInput) {
+      coachingChatInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+          sendCoachingMessage();
+        }
+      });
+    }
+
+    const reviewQueryBtn = document.getElementById('reviewQueryBtn');
+    if (reviewQueryBtn) {
+      reviewQueryBtn.addEventListener('click', reviewQuery);
+    }
     
     const formatBtn = document.getElementById('formatBtn');
     if (formatBtn) {
       formatBtn.addEventListener('click', formatSQL);
     }
+
+    const formatOptionsBtn = document.getElementById('formatOptionsBtn');
+    if (formatOptionsBtn) {
+      formatOptionsBtn.addEventListener('click', openFormatDialog);
+    }
+    
+    const nlToSqlBtn = document.getElementById('nlToSqlBtn');
+    if (nlToSqlBtn) {
+      nlToSqlBtn.addEventListener('click', askInEnglish);
+    }
+    
+    const nlQuestion = document.getElementById('nlQuestion');
+    if (nlQuestion) {
+      nlQuestion.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+          askInEnglish();
+        }
+      });
+    }
+    
+    const generateExercisesBtn = document.getElementById('generateExercisesBtn');
+    if (generateExercisesBtn) {
+      generateExercisesBtn.addEventListener('click', generateExercises);
+    }
     
     const clearBtn = document.getElementById('clearBtn');
     if (clearBtn) {
       clearBtn.addEventListener('click', clearEditor);
     }
 
+    const exportResultsBtn = document.getElementById('exportResultsBtn');
+    if (exportResultsBtn) {
+      exportResultsBtn.addEventListener('click', function(event) {
+        event.stopPropagation();
+        const menu = document.getElementById('exportMenu');
+        menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+      });
+      document.addEventListener('click', function(event) {
+        const menu = document.getElementById('exportMenu');
+        if (!menu.contains(event.target)) {
+          menu.style.display = 'none';
+        }
+      });
+    }
+
+    // Data import: file picker and drag and drop
+    const importFileInput = document.getElementById('importFileInput');
+    const importDropZone = document.getElementById('importDropZone');
+    if (importFileInput && importDropZone) {
+      importFileInput.addEventListener('change', function() {
+        if (this.files.length > 0) {
+          importDataFile(this.files[0]);
+        }
+      });
+      importDropZone.addEventListener('dragover', function(event) {
+        event.preventDefault();
+        this.classList.add('dragover');
+      });
+      importDropZone.addEventListener('dragleave', function() {
+        this.classList.remove('dragover');
+      });
+      importDropZone.addEventListener('drop', function(event) {
+        event.preventDefault();
+        this.classList.remove('dragover');
+        if (event.dataTransfer.files.length > 0) {
+          importDataFile(event.dataTransfer.files[0]);
+        }
+      });
+    }
+
+    const queryDialectSelect = document.getElementById('queryDialect');
+    if (queryDialectSelect) {
+      queryDialectSelect.addEventListener('change', function() {
+        changeQueryDialect(this.value);
+      });
+    }
+
+    const showDialectBtn = document.getElementById('showDialectBtn');
+    if (showDialectBtn) {
+      showDialectBtn.addEventListener('click', openDialectDialog);
+    }
+
+    const queryHistorySelect = document.getElementById('queryHistory');
+    if (queryHistorySelect) {
+      queryHistorySelect.addEventListener('change', function() {
+        if (this.value !== '') {
+          loadHistoryEntry(this.value);
+        }
+        this.value = '';
+      });
+    }
+
     // Database panel buttons
     const copyDatabaseBtn = document.getElementById('copyDatabaseBtn');
     if (copyDatabaseBtn) {
@@ -1832,6 +7751,31 @@ SELECT * FROM customers LIMIT 5;</textarea>
       loadToEditorBtn.addEventListener('click', loadDatabaseToEditor);
     }
 
+    const downloadSqliteBtn = document.getElementById('downloadSqliteBtn');
+    if (downloadSqliteBtn) {
+      downloadSqliteBtn.addEventListener('click', downloadDatabaseFile);
+    }
+
+    const downloadDumpBtn = document.getElementById('downloadDumpBtn');
+    if (downloadDumpBtn) {
+      downloadDumpBtn.addEventListener('click', downloadSQLDump);
+    }
+
+    const shareDatabaseBtn = document.getElementById('shareDatabaseBtn');
+    if (shareDatabaseBtn) {
+      shareDatabaseBtn.addEventListener('click', shareCurrentDatabase);
+    }
+
+    const bulkDataBtn = document.getElementById('bulkDataBtn');
+    if (bulkDataBtn) {
+      bulkDataBtn.addEventListener('click', () => renderBulkDataDialog(null));
+    }
+
+    const erDiagramBtn = document.getElementById('erDiagramBtn');
+    if (erDiagramBtn) {
+      erDiagramBtn.addEventListener('click', openERDiagram);
+    }
+
     // Error handling
     const dismissError = document.getElementById('dismissError');
     if (dismissError) {
@@ -1869,6 +7813,14 @@ SELECT * FROM customers LIMIT 5;</textarea>
       });
     }
 
+    // Save pending library changes before the tab goes away
+    window.addEventListener('pagehide', saveBeforePageHides);
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'hidden') {
+        saveBeforePageHides();
+      }
+    });
+
     // Mobile toggle
     const toggleSchema = document.getElementById('toggleSchema');
     if (toggleSchema) {
@@ -1881,15 +7833,133 @@ SELECT * FROM customers LIMIT 5;</textarea>
     }
   }
 
+  // Log the Worker's dry-run report and return a one-line summary for the status panel
+  function reportSchemaValidation(validation) {
+    if (!validation) {
+      return '';
+    }
+
+    const tableCount = Object.keys(validation.rowCounts).length;
+    const totalRows = Object.values(validation.rowCounts).reduce((sum, count) => sum + count, 0);
+    addDebugInfo('=== SERVER DRY RUN (' + validation.engine + ') ===');
+    addDebugInfo('Statements: ' + validation.statementCount + ', tables: ' + tableCount + ', rows: ' + totalRows);
+    Object.entries(validation.rowCounts).forEach(([table, count]) => {
+      addDebugInfo('  ' + table + ': ' + count + ' rows');
+    });
+    validation.repairs.initialFailures.forEach(failure => {
+      addDebugInfo('✗ Statement ' + failure.statement + ' (' + failure.table + ' row ' + failure.row + '): ' + failure.error);
+    });
+    if (validation.repairs.fixedRows > 0) {
+      addDebugInfo('AI corrected ' + validation.repairs.fixedRows + ' rows');
+    }
+    // Responses cached before CHECK support have no droppedChecks
+    (validation.repairs.droppedChecks || []).forEach(dropped => {
+      addDebugInfo('Dropped CHECK on ' + dropped.table + '.' + dropped.column + ' (' + dropped.check + '): ' + dropped.error);
+    });
+    validation.repairs.droppedRows.forEach(dropped => {
+      addDebugInfo('Dropped ' + dropped.table + ' row ' + dropped.row + ': ' + dropped.error);
+    });
+    validation.foreignKeyViolations.forEach(violation => {
+      addDebugInfo('FK violation: ' + violation.table + ' row ' + violation.row + ' ' + violation.column + ' = ' + violation.value + ' (no matching ' + violation.references + ')');
+    });
+    validation.warnings.forEach(warning => addDebugInfo('Warning: ' + warning));
+
+    let summary = 'Validated ' + tableCount + ' tables / ' + totalRows + ' rows';
+    if (validation.repairs.fixedRows > 0) {
+      summary += ', ' + validation.repairs.fixedRows + ' rows auto-fixed';
+    }
+    if (validation.repairs.droppedRows.length > 0) {
+      summary += ', ' + validation.repairs.droppedRows.length + ' invalid rows dropped';
+    }
+    if (validation.foreignKeyViolations.length > 0) {
+      summary += ', ' + validation.foreignKeyViolations.length + ' foreign key violations';
+    }
+    return summary;
+  }
+
+  // Read a streaming /generate-schema response (Server-Sent Events), passing every event but the
+  // last to onEvent(name, data). Resolves with the 'done' payload, which has the JSON response's shape.
+  async function readGenerationStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    const handleEvent = (rawEvent) => {
+      let name = 'message';
+      const dataLines = [];
+      rawEvent.split('\\n').forEach(line => {
+        if (line.startsWith('event:')) name = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+      if (dataLines.length === 0) return;
+      const data = JSON.parse(dataLines.join('\\n'));
+      if (name === 'done') {
+        result = data;
+      } else {
+        onEvent(name, data);
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true }).replace(/\\r\\n/g, '\\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\\n\\n')) !== -1) {
+        handleEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+    if (buffer.trim()) handleEvent(buffer);
+
+    if (!result) {
+      throw new Error('The connection closed before the database was finished');
+    }
+    return result;
+  }
+
+  // Options from the "Advanced options" section; blank fields are left to the server's defaults,
+  // which also validates everything
+  function readGenerationOptions() {
+    const options = {};
+    const tableCount = document.getElementById('optTableCount').value;
+    if (tableCount) options.tableCount = Number(tableCount);
+    const rowsPerTable = document.getElementById('optRowsPerTable').value.trim();
+    if (rowsPerTable) options.rowsPerTable = Number(rowsPerTable);
+    options.normalization = document.getElementById('optNormalization').value;
+    options.quirks = Array.from(document.querySelectorAll('.generation-quirk:checked'), box => box.value);
+    const start = document.getElementById('optDateStart').value;
+    const end = document.getElementById('optDateEnd').value;
+    if (start || end) {
+      if (!start || !end) {
+        throw new Error('Pick both a start and an end date, or leave both empty.');
+      }
+      options.dateRange = { start, end };
+    }
+    options.locale = document.getElementById('optLocale').value;
+    return options;
+  }
+
   // Generate database and load it into the database
   async function generateAndLoadDatabase() {
     try {
       const prompt = document.getElementById('databasePrompt').value.trim();
+      const regenerateCheckbox = document.getElementById('regenerateDatabase');
+      const regenerate = Boolean(regenerateCheckbox && regenerateCheckbox.checked);
       if (!prompt) {
         showError('Please enter a database description first.');
         return;
       }
 
+      let options;
+      try {
+        options = readGenerationOptions();
+      } catch (error) {
+        showError(error.message);
+        return;
+      }
+
       if (!db) {
         showError('Database not initialized. Please refresh the page.');
         return;
@@ -1903,79 +7973,133 @@ SELECT * FROM customers LIMIT 5;</textarea>
       btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Generating...</span>';
       btn.disabled = true;
 
-      showLoadingPopup('One moment while I generate your custom SQL database...', true);
-      updateLoadingProgress(5, 'Initializing database generation...');
+      // Cancelling aborts the fetch, which closes the stream and makes the Worker abort its Claude request
+      const controller = new AbortController();
+      showLoadingPopup('One moment while I generate your custom SQL database...', true, () => {
+        controller.abort();
+      });
+      updateLoadingProgress(5, 'Sending your request...');
       updateStatus('Generating your custom SQL database...');
       updateDatabaseStatus('loading');
 
-      // Add small delay to show first stage
-      await new Promise(resolve => setTimeout(resolve, 300));
-      updateLoadingProgress(10, 'Connecting to AI service...');
+      // Tables are loaded into a staging database as they stream in; the live database is only
+      // replaced once the finished result arrives
+      let staging = null;
+      let streamedTables = 0;
+      let streamFailed = false;
+      let receivedCharacters = 0;
+      // Output size is unknown up front, so the bar approaches 75% as characters arrive
+      const streamPercent = () => 15 + Math.round(60 * (1 - Math.exp(-receivedCharacters / 20000)));
 
       try {
-        await new Promise(resolve => setTimeout(resolve, 200));
-        updateLoadingProgress(15, 'Preparing your request...');
-        
         const response = await fetch('/generate-schema', {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ prompt })
+          headers: apiHeaders(),
+          body: JSON.stringify({ prompt, options, regenerate, stream: true }),
+          signal: controller.signal
         });
 
-        updateLoadingProgress(25, 'Request sent - waiting for AI response...');
-        await new Promise(resolve => setTimeout(resolve, 300));
-        updateLoadingProgress(35, 'AI is analyzing your requirements...');
+        const limitMessage = await rateLimitMessage(response, 'generating databases');
+        if (limitMessage) {
+          showError(limitMessage);
+          updateStatus(limitMessage);
+          updateDatabaseStatus('connected');
+          return;
+        }
 
         if (!response.ok) {
-          throw new Error("HTTP error! status: " + response.status);
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || "HTTP error! status: " + response.status);
         }
 
-        updateLoadingProgress(45, 'Receiving database schema...');
-        const data = await response.json();
-        addDebugInfo("API response received. Source: " + data.source);
-
-        await new Promise(resolve => setTimeout(resolve, 200));
-        updateLoadingProgress(55, 'Database schema received successfully!');
+        // Cached and fallback databases come back as plain JSON; fresh generations stream
+        let data;
+        if ((response.headers.get('Content-Type') || '').indexOf('text/event-stream') !== -1) {
+          updateLoadingProgress(10, 'Connected - waiting for the AI...');
+          staging = new SQL.Database();
+          data = await readGenerationStream(response, (event, payload) => {
+            if (event === 'attempt' && payload.attempt > 1) {
+              // The first draft failed validation and the Worker is asking again; start over
+              addDebugInfo('Retrying generation: ' + payload.errors.join('; '));
+              staging.close();
+              staging = new SQL.Database();
+              streamedTables = 0;
+              streamFailed = false;
+              receivedCharacters = 0;
+              updateLoadingProgress(15, 'Fixing problems in the first draft...');
+            } else if (event === 'progress') {
+              receivedCharacters = payload.characters;
+              updateLoadingProgress(streamPercent(), 'Receiving database design (' + Math.round(receivedCharacters / 1024) + ' KB)...');
+            } else if (event === 'table' || event === 'rows') {
+              receivedCharacters = payload.characters;
+              try {
+                staging.exec(payload.sql);
+              } catch (error) {
+                streamFailed = true;
+                addDebugInfo('Streamed SQL for ' + payload.name + ' failed: ' + error.message);
+              }
+              if (event === 'table') {
+                updateLoadingProgress(streamPercent(), 'Created table ' + payload.name + ' (' + payload.columns + ' columns)');
+              } else {
+                streamedTables++;
+                updateLoadingProgress(streamPercent(), 'Loaded ' + payload.rows + ' rows into ' + payload.name + ' - ' + streamedTables + (streamedTables === 1 ? ' table' : ' tables') + ' ready');
+              }
+            } else if (event === 'stage') {
+              updateLoadingProgress(payload.stage === 'validating' ? 80 : 12, payload.message);
+            }
+          });
+        } else {
+          data = await response.json();
+        }
+        setLoadingCancelHandler(null);
+        addDebugInfo("API response received. Source: " + data.source + (data.cached ? ' (cached)' : ''));
 
         if (data.error) {
           addDebugInfo("API Error: " + data.error);
         }
 
         if (data.database) {
-          // Store the original database for comparison
           addDebugInfo("Raw database received from API:");
           addDebugInfo("Source: " + data.source);
           addDebugInfo("Database preview: " + data.database.substring(0, 500) + "...");
-          
-          await new Promise(resolve => setTimeout(resolve, 200));
-          updateLoadingProgress(65, 'Validating database structure...');
-          
+
+          updateLoadingProgress(85, 'Validating database structure...');
+
           // Clean the database before processing
           const cleanedDatabase = cleanGeneratedDatabase(data.database);
           addDebugInfo('Database cleaned and ready for loading');
           addDebugInfo('Cleaned database preview: ' + cleanedDatabase.substring(0, 500) + "...");
-          
-          await new Promise(resolve => setTimeout(resolve, 200));
-          updateLoadingProgress(75, 'Creating database tables...');
-          
+
           // Store the original database globally BEFORE cleaning
           currentDatabase = data.database;
-          
-          await new Promise(resolve => setTimeout(resolve, 300));
-          updateLoadingProgress(85, 'Loading data into tables...');
-          await loadDatabaseIntoDatabase(cleanedDatabase);
-          
-          await new Promise(resolve => setTimeout(resolve, 200));
-          updateLoadingProgress(92, 'Building database overview...');
-          
+          currentSchemaSpec = data.schema || null;
+          if (currentSchemaSpec) {
+            addDebugInfo('Structured schema received: ' + currentSchemaSpec.tables.map(t => t.name + ' (' + t.rows.length + ' rows)').join(', '));
+            currentSchemaSpec.designNotes.forEach(note => addDebugInfo('Design note: ' + note));
+          }
+          const validationSummary = reportSchemaValidation(data.validation);
+
+          // The streamed tables are only usable when the server kept every row exactly as streamed
+          const repairs = data.validation && data.validation.repairs;
+          const streamComplete = staging && !streamFailed && currentSchemaSpec && data.validation.ok &&
+            streamedTables === currentSchemaSpec.tables.length &&
+            repairs && repairs.fixedRows === 0 && repairs.droppedRows.length === 0;
+          if (streamComplete) {
+            updateLoadingProgress(90, 'Switching to the new database...');
+            db.close();
+            db = staging;
+            staging = null;
+            diagnoseSchemaIssues();
+          } else {
+            updateLoadingProgress(90, 'Loading data into tables...');
+            await loadDatabaseIntoDatabase(cleanedDatabase);
+          }
+
+          updateLoadingProgress(95, 'Building database overview...');
+
           // Refresh database overview with current state
           refreshDatabaseOverview();
-          
-          await new Promise(resolve => setTimeout(resolve, 200));
-          updateLoadingProgress(96, 'Setting up SQL editor...');
-          
+
           // Set a clean query editor with helpful comments instead of showing the schema SQL
           sqlEditor.setValue(\`-- Write your SQL queries here
 -- Example: SELECT * FROM customers LIMIT 5;
@@ -1986,11 +8110,13 @@ SELECT * FROM customers LIMIT 5;</textarea>
 
 \`);
 
-          await new Promise(resolve => setTimeout(resolve, 300));
           updateLoadingProgress(100, 'Database ready! You can now run SQL queries.');
 
-          if (data.source === 'claude-api') {
-            updateStatus('Custom SQL database generated and loaded successfully using Claude AI');
+          if (data.cached) {
+            updateStatus('Loaded a database generated earlier for this prompt (tick "Generate fresh" for a new one)');
+            addDebugInfo('Served from the schema cache, generated at ' + data.generatedAt);
+          } else if (data.source === 'claude-api') {
+            updateStatus('Custom SQL database generated and loaded successfully using Claude AI' + (validationSummary ? ' (' + validationSummary + ')' : ''));
             addDebugInfo('Successfully used Claude API and loaded database into database');
           } else {
             updateStatus('Custom database created and loaded (Claude AI unavailable - using fallback)');
@@ -1998,19 +8124,44 @@ SELECT * FROM customers LIMIT 5;</textarea>
           }
 
           updateDatabaseStatus('connected');
+
+          // Keep it in the browser library so it survives a reload
+          queryHistory = [];
+          renderQueryHistory();
+          try {
+            await saveCurrentDatabase({
+              asNew: true,
+              name: currentSchemaSpec && currentSchemaSpec.name ? currentSchemaSpec.name : prompt.substring(0, 60),
+              prompt,
+              source: data.source
+            });
+          } catch (saveError) {
+            addDebugInfo('Could not save database to the browser library: ' + saveError.message);
+          }
+          if (regenerateCheckbox) regenerateCheckbox.checked = false;
         } else {
           throw new Error(data.error || 'Failed to generate database');
         }
       } catch (error) {
+        if (controller.signal.aborted) {
+          addDebugInfo('Database generation cancelled by the user');
+          updateStatus('Database generation cancelled - your current database is unchanged');
+          updateDatabaseStatus('connected');
+          return;
+        }
         console.error('Error:', error);
         addDebugInfo("Error occurred: " + error.message);
         showError('Failed to generate database: ' + error.message);
         updateStatus('Database generation failed');
         updateDatabaseStatus('error');
       } finally {
+        if (staging) staging.close();
+
         // Add a small delay to let users see the completion
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
+        if (!controller.signal.aborted) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
         // Reset button
         btn.innerHTML = originalHTML;
         btn.disabled = false;
@@ -2022,134 +8173,141 @@ SELECT * FROM customers LIMIT 5;</textarea>
       showError('An unexpected error occurred: ' + error.message);
     }
   }
-async function generateDatabase() {
-    const prompt = document.getElementById('databasePrompt').value.trim();
-    
-    if (!prompt) {
-        showError('Please enter a database description');
-        return;
+
+  // ---- Database download and SQL dump ----
+  // SQL literal for a value read with useBigInt, so INTEGERs are BigInts and every plain number is a REAL
+  function sqlValueLiteral(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'number') {
+      if (Number.isNaN(value)) return 'NULL';
+      if (!Number.isFinite(value)) return value > 0 ? '9e999' : '-9e999';
+      const text = String(value);
+      return /[.eE]/.test(text) ? text : text + '.0'; // keep REALs real when reloaded into untyped columns
+    }
+    if (ArrayBuffer.isView(value)) {
+      return "X'" + Array.from(value, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase() + "'";
     }
+    return "'" + String(value).replace(/'/g, "''") + "'";
+  }
 
-    showLoading('One moment while I generate your custom SQL database...');
-    addDebugInfo('Starting database generation for prompt: ' + prompt);
+  function dumpTableRows(tableName, lines) {
+    // Generated columns cannot be inserted into, so name the stored columns when a table has any
+    const columns = db.exec('PRAGMA table_xinfo(' + sqlIdentifier(tableName) + ');');
+    const all = columns.length > 0 ? columns[0].values : [];
+    const stored = all.filter(column => column[6] === 0).map(column => sqlIdentifier(column[1]));
+    if (stored.length === 0) return 0;
+    const target = sqlIdentifier(tableName) + (stored.length === all.length ? '' : '(' + stored.join(',') + ')');
 
+    const statement = db.prepare('SELECT ' + stored.join(', ') + ' FROM ' + sqlIdentifier(tableName) + ';');
+    let count = 0;
     try {
-        const response = await fetch('/generate-schema', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ prompt: prompt })
-        });
+      while (statement.step()) {
+        lines.push('INSERT INTO ' + target + ' VALUES(' + statement.get(null, { useBigInt: true }).map(sqlValueLiteral).join(',') + ');');
+        count++;
+      }
+    } finally {
+      statement.free();
+    }
+    return count;
+  }
 
-        if (!response.ok) {
-            throw new Error('HTTP error! status: ' + response.status);
-        }
+  // Faithful CREATE/INSERT script for the live database: tables with their rows, then indexes,
+  // views and triggers, in the order SQLite recorded them. Returns null when there is nothing to dump.
+  function generateSQLDump() {
+    if (!db) return null;
+    const objects = db.exec("SELECT type, name, sql FROM sqlite_master WHERE sql IS NOT NULL ORDER BY CASE type WHEN 'table' THEN 0 WHEN 'index' THEN 1 WHEN 'view' THEN 2 ELSE 3 END, rowid;");
+    if (objects.length === 0) return null;
+
+    const lines = [
+      '-- SQLite dump generated by AI SQL Playground on ' + new Date().toISOString(),
+      'PRAGMA foreign_keys=OFF;',
+      'BEGIN TRANSACTION;'
+    ];
+    let tableCount = 0;
+    let hasSequence = false;
+    objects[0].values.forEach(([type, name, sql]) => {
+      if (type === 'table' && name === 'sqlite_sequence') {
+        hasSequence = true;
+        return;
+      }
+      if (name.startsWith('sqlite_')) return; // internal tables such as sqlite_stat1
+      lines.push(sql + ';');
+      if (type === 'table' && !/^CREATE\\s+VIRTUAL\\s+TABLE/i.test(sql)) {
+        tableCount++;
+        dumpTableRows(name, lines);
+      }
+    });
+    if (tableCount === 0) return null;
 
-        const data = await response.json();
-        
-        if (data.error && !data.database) {
-            throw new Error(data.error);
-        }
+    if (hasSequence) {
+      // AUTOINCREMENT counters, so new rows keep getting fresh ids
+      lines.push('DELETE FROM sqlite_sequence;');
+      dumpTableRows('sqlite_sequence', lines);
+    }
+    lines.push('COMMIT;');
+    return lines.join('\\n') + '\\n';
+  }
 
-        // Store the current database for loading to editor
-        currentDatabase = data.database;
-        
-        addDebugInfo('Database generated successfully from: ' + data.source);
-        
-        if (data.source === 'fallback') {
-            updateStatus('Using fallback database (AI service unavailable)');
-        } else {
-            updateStatus('Database generated successfully with AI');
-        }
+  // Schema creation SQL rebuilt from the live database, for databases with no stored generation SQL
+  function generateSchemaFromDatabase() {
+    return generateSQLDump();
+  }
 
-        // Clean and load the database - FIXED: use the correct function name
-        const cleanedDatabase = cleanGeneratedDatabase(data.database);
-        await loadDatabaseIntoDatabase(cleanedDatabase);
-        
-        // Refresh database overview with current state
-        refreshDatabaseOverview();
-        
-        // Show the copy and load to editor buttons
-        document.getElementById('copyDatabaseBtn').style.display = 'inline-block';
-        document.getElementById('loadToEditorBtn').style.display = 'inline-block';
-        
-        hideLoading();
-        
-    } catch (error) {
-        hideLoading();
-        addDebugInfo('Database generation failed: ' + error.message);
-        showError('Failed to generate database: ' + error.message);
+  async function currentDatabaseFileName(extension) {
+    let name = currentSchemaSpec && currentSchemaSpec.name ? currentSchemaSpec.name : '';
+    if (currentLibraryId) {
+      try {
+        const record = await getSavedDatabase(currentLibraryId);
+        if (record) name = record.name;
+      } catch (error) {
+        addDebugInfo('Could not read library entry name: ' + error.message);
+      }
     }
-}
+    const base = name.replace(/\\.(sqlite3?|db|csv)$/i, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+    return (base || 'database') + '.' + extension;
+  }
 
-// Update the copy database function to use consistent quotes
-document.getElementById('copyDatabaseBtn').addEventListener('click', async function() {
-    if (currentDatabase) {
-        try {
-            await navigator.clipboard.writeText(currentDatabase);
-            updateStatus('Database copied to clipboard');
-            addDebugInfo('Database copied to clipboard successfully');
-        } catch (err) {
-            // Fallback for browsers that don't support clipboard API
-            const textArea = document.createElement('textarea');
-            textArea.value = currentDatabase;
-            document.body.appendChild(textArea);
-            textArea.select();
-            try {
-                document.execCommand('copy');
-                updateStatus('Database copied to clipboard');
-                addDebugInfo('Database copied to clipboard (fallback method)');
-            } catch (fallbackErr) {
-                showError('Failed to copy to clipboard');
-            }
-            document.body.removeChild(textArea);
-        }
-    } else {
-        showError('No database available to copy');
+  async function downloadDatabaseFile() {
+    if (!db || summarizeTables().length === 0) {
+      showError('There is no database to download yet.');
+      return;
     }
-});
+    const filename = await currentDatabaseFileName('sqlite');
+    downloadFile(filename, db.export(), 'application/vnd.sqlite3');
+    updateStatus('Downloaded ' + filename + ' (current state, including your changes)');
+  }
 
-// Add this helper function to show loading state
-function showLoading(message) {
-    const loadingPopup = document.getElementById('loadingPopup');
-    const loadingMessage = document.getElementById('loadingMessage');
-    const progressContainer = document.getElementById('progressContainer');
-    
-    if (loadingMessage) {
-        loadingMessage.textContent = message || 'One moment while I generate your custom SQL database...';
-    }
-    
-    // Hide progress bar for simple loading
-    if (progressContainer) {
-        progressContainer.style.display = 'none';
-    }
-    
-    if (loadingPopup) {
-        loadingPopup.classList.add('show');
+  async function downloadSQLDump() {
+    const dump = generateSQLDump();
+    if (!dump) {
+      showError('There is no database to dump yet.');
+      return;
     }
-}
-
-
-
-// Make sure to initialize the generateDatabase event listener
-document.getElementById('generateDatabaseBtn').addEventListener('click', generateDatabase);
+    const filename = await currentDatabaseFileName('sql');
+    downloadFile(filename, dump, 'application/sql;charset=utf-8');
+    updateStatus('Downloaded SQL dump ' + filename);
+  }
 
-  // Add missing helper functions
   function copyDatabaseToClipboard() {
-    if (currentDatabase) {
-      navigator.clipboard.writeText(currentDatabase).then(() => {
-        updateStatus('Database SQL copied to clipboard!');
-      }).catch(err => {
-        showError('Failed to copy to clipboard: ' + err.message);
-      });
+    const dump = generateSQLDump();
+    if (!dump) {
+      showError('No database available to copy');
+      return;
     }
+    navigator.clipboard.writeText(dump).then(() => {
+      updateStatus('SQL dump of the current database copied to clipboard!');
+    }).catch(err => {
+      showError('Failed to copy to clipboard: ' + err.message);
+    });
   }
 
+  // Add missing helper functions
   function loadDatabaseToEditor() {
-    if (currentDatabase && sqlEditor) {
+    const creationSQL = currentDatabase || generateSchemaFromDatabase();
+    if (creationSQL && sqlEditor) {
       // Load the database creation code into the editor
-      sqlEditor.setValue(currentDatabase);
+      sqlEditor.setValue(creationSQL);
       
       // Show success message
       updateStatus('Database creation code loaded into editor');
@@ -2167,7 +8325,7 @@ document.getElementById('generateDatabaseBtn').addEventListener('click', generat
 
   function selectTableForQuery(tableName) {
     const sampleQuery = \`-- Querying the \${tableName} table
-SELECT * FROM \${tableName} LIMIT 20;\`;
+SELECT * FROM \${sqlIdentifier(tableName)} LIMIT 20;\`;
     sqlEditor.setValue(sampleQuery);
     updateStatus(\`Sample query for \${tableName} loaded. You can modify and run it!\`);
   }
@@ -2206,6 +8364,7 @@ SELECT * FROM \${tableName} LIMIT 20;\`;
         
         updateStatus('Generated database reloaded successfully!');
         updateDatabaseStatus('connected');
+        scheduleSnapshot(true);
         hideLoadingPopup();
         addDebugInfo('Generated database successfully reloaded');
       }).catch(error => {
@@ -2298,8 +8457,7 @@ SELECT * FROM \${tableName} LIMIT 20;\`;
         addDebugInfo("Error clearing existing tables: " + e.message);
       }
       
-      // Improved SQL statement parsing
-      const statements = parseSQL(databaseSQL);
+      const statements = SQLGrammar.splitSQLStatements(databaseSQL).map(statement => statement.text);
       addDebugInfo("Parsed " + statements.length + " SQL statements from database");
       
       let successCount = 0;
@@ -2367,76 +8525,6 @@ SELECT * FROM \${tableName} LIMIT 20;\`;
     }
   }
 
-  // Add improved SQL parsing function
-  function parseSQL(sql) {
-    addDebugInfo("Parsing SQL statements from: " + sql.substring(0, 200) + "...");
-    
-    // Remove comments and normalize
-    let cleanSQL = sql
-      .replace(/--.*$/gm, '') // Remove line comments
-      .replace(/\\/\\*[\\s\\S]*?\\*\\//g, '') // Remove block comments
-      .trim();
-
-    const statements = [];
-    let currentStatement = '';
-    let parenthesesCount = 0;
-    let inSingleQuote = false;
-    let inDoubleQuote = false;
-    
-    for (let i = 0; i < cleanSQL.length; i++) {
-      const char = cleanSQL[i];
-      const prevChar = i > 0 ? cleanSQL[i - 1] : '';
-      
-      // Handle quotes
-      if (char === "'" && prevChar !== '\\\\' && !inDoubleQuote) {
-        inSingleQuote = !inSingleQuote;
-      } else if (char === '"' && prevChar !== '\\\\' && !inSingleQuote) {
-        inDoubleQuote = !inDoubleQuote;
-      }
-      
-      // Handle parentheses (only if not in quotes)
-      if (!inSingleQuote && !inDoubleQuote) {
-        if (char === '(') {
-          parenthesesCount++;
-        } else if (char === ')') {
-          parenthesesCount--;
-        }
-      }
-      
-      currentStatement += char;
-      
-      // Check for statement end (semicolon outside quotes and balanced parentheses)
-      if (char === ';' && !inSingleQuote && !inDoubleQuote && parenthesesCount === 0) {
-        const trimmed = currentStatement.trim();
-        if (trimmed && !trimmed.match(/^\\s*$/)) {
-          statements.push(trimmed);
-        }
-        currentStatement = '';
-      }
-    }
-    
-    // Add remaining statement if it doesn't end with semicolon
-    const trimmed = currentStatement.trim();
-    if (trimmed && !trimmed.match(/^\\s*$/)) {
-      statements.push(trimmed + (trimmed.endsWith(';') ? '' : ';'));
-    }
-    
-    const filteredStatements = statements.filter(stmt => {
-      const cleaned = stmt.trim();
-      return cleaned.length > 0 && 
-             !cleaned.match(/^\\s*$/) && 
-             !cleaned.match(/^-+\\s*$/) &&
-             cleaned.match(/^(CREATE|INSERT|UPDATE|DELETE|DROP|ALTER)/i);
-    });
-    
-    addDebugInfo("Parsed " + filteredStatements.length + " SQL statements:");
-    filteredStatements.forEach((stmt, index) => {
-      addDebugInfo("Statement " + (index + 1) + ": " + stmt.substring(0, 100) + "...");
-    });
-    
-    return filteredStatements;
-  }
-
   // Add function to diagnose schema differences
   function diagnoseSchemaIssues() {
     if (!db || !currentDatabase) {
@@ -2463,7 +8551,7 @@ SELECT * FROM \${tableName} LIMIT 20;\`;
         addDebugInfo("--- Analyzing table: " + tableName + " ---");
         
         try {
-          const schemaResult = db.exec("PRAGMA table_info(" + tableName + ");");
+          const schemaResult = db.exec("PRAGMA table_info(" + sqlIdentifier(tableName) + ");");
           if (schemaResult.length > 0) {
             addDebugInfo("Actual columns in " + tableName + ":");
             schemaResult[0].values.forEach(col => {
@@ -2495,8 +8583,10 @@ SELECT * FROM \${tableName} LIMIT 20;\`;
 
   // Initialize everything when the page loads
   document.addEventListener('DOMContentLoaded', function() {
-    // Initialize SQL.js first
-    initializeSQLJS();
+    // Initialize SQL.js first, opening a shared database when the page was reached through /?db=<id>
+    initializeSQLJS(new URLSearchParams(window.location.search).get('db'));
+    restoreQueryDialect();
+    restoreFormatPreferences();
     
     // Initialize CodeMirror
     sqlEditor = CodeMirror.fromTextArea(document.getElementById('sqlEditor'), {
@@ -2506,8 +8596,18 @@ SELECT * FROM \${tableName} LIMIT 20;\`;
       lineWrapping: true,
       tabSize: 2,
       indentUnit: 2,
-      smartIndent: true
+      smartIndent: true,
+      gutters: ['CodeMirror-lint-markers'],
+      lint: { getAnnotations: lintSQL, delay: 400 },
+      hintOptions: { hint: sqlCompletions, completeSingle: false },
+      extraKeys: {
+        'Ctrl-Space': 'autocomplete',
+        'Shift-Alt-F': formatSQL,
+        'Ctrl-Enter': () => executeQuery('selection'),
+        'Ctrl-Shift-Enter': () => executeQuery('statement')
+      }
     });
+    setupEditorAssist(sqlEditor);
     
     // Set initial helpful content
     sqlEditor.setValue(\`-- Write your SQL queries here
@@ -0,0 +1,158 @@
+// Rate limiting and the daily AI budget for the Worker (src/index.js). Every limited route has a
+// token bucket per client IP and, when the page sends X-Session-Id, per browser session. Routes
+// that call Claude also draw estimated tokens from a daily budget, charged for every call they
+// actually make (a generated database can take a retry and a row-fix call). Defaults can be overridden with the RATE_LIMITS (JSON, same shape as below),
+// DAILY_TOKEN_BUDGET, MAX_PROMPT_LENGTH, MAX_QUERY_LENGTH and MAX_SCHEMA_LENGTH environment variables.
+
+export const DEFAULT_RATE_LIMITS = {
+  '/generate-schema': { perIp: { capacity: 6, refillPerMinute: 2 }, perSession: { capacity: 3, refillPerMinute: 1 }, estimatedTokens: 10000 },
+  '/generate-exercises': { perIp: { capacity: 10, refillPerMinute: 4 }, perSession: { capacity: 5, refillPerMinute: 2 }, estimatedTokens: 4000 },
+  '/nl-to-sql': { perIp: { capacity: 30, refillPerMinute: 15 }, perSession: { capacity: 15, refillPerMinute: 6 }, estimatedTokens: 1500 },
+  '/api/coaching-response': { perIp: { capacity: 30, refillPerMinute: 15 }, perSession: { capacity: 15, refillPerMinute: 6 }, estimatedTokens: 1500 },
+  '/api/coaching-chat': { perIp: { capacity: 30, refillPerMinute: 15 }, perSession: { capacity: 15, refillPerMinute: 6 }, estimatedTokens: 2000 },
+  '/api/query-review': { perIp: { capacity: 20, refillPerMinute: 10 }, perSession: { capacity: 10, refillPerMinute: 4 }, estimatedTokens: 2500 },
+  '/explain-sql-error': { perIp: { capacity: 30, refillPerMinute: 15 }, perSession: { capacity: 15, refillPerMinute: 6 }, estimatedTokens: 1500 },
+  '/share': { perIp: { capacity: 10, refillPerMinute: 2 }, perSession: { capacity: 5, refillPerMinute: 1 }, estimatedTokens: 0 }
+};
+const DEFAULT_DAILY_TOKEN_BUDGET = 2000000;
+const DEFAULT_MAX_PROMPT_LENGTH = 2000;
+const DEFAULT_MAX_QUERY_LENGTH = 20000;
+const DEFAULT_MAX_SCHEMA_LENGTH = 50000;
+
+export function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+// A bucket that never refills (refillPerMinute 0) or never holds a whole token would block its
+// route for good, so overrides like that fall back to the defaults
+function bucketLimit(defaults, override, label) {
+  const limit = { ...defaults, ...override };
+  const capacity = Number(limit.capacity);
+  const refillPerMinute = Number(limit.refillPerMinute);
+  if (!(Number.isFinite(capacity) && capacity >= 1) || !(Number.isFinite(refillPerMinute) && refillPerMinute > 0)) {
+    console.error(`Ignoring invalid RATE_LIMITS entry for ${label}: capacity must be at least 1 and refillPerMinute above 0`);
+    return { ...defaults };
+  }
+  return { capacity, refillPerMinute };
+}
+
+export function getRateLimitConfig(env) {
+  let overrides = {};
+  if (env.RATE_LIMITS) {
+    try {
+      overrides = typeof env.RATE_LIMITS === 'string' ? JSON.parse(env.RATE_LIMITS) : env.RATE_LIMITS;
+    } catch (e) {
+      console.error('Ignoring invalid RATE_LIMITS:', e.message);
+    }
+  }
+
+  const routes = {};
+  for (const [route, defaults] of Object.entries(DEFAULT_RATE_LIMITS)) {
+    const override = overrides[route] || {};
+    const estimatedTokens = Number(override.estimatedTokens);
+    routes[route] = {
+      perIp: bucketLimit(defaults.perIp, override.perIp, `${route} perIp`),
+      perSession: bucketLimit(defaults.perSession, override.perSession, `${route} perSession`),
+      estimatedTokens: Number.isFinite(estimatedTokens) && estimatedTokens >= 0 ? estimatedTokens : defaults.estimatedTokens
+    };
+  }
+
+  return {
+    routes,
+    dailyTokenBudget: positiveNumber(env.DAILY_TOKEN_BUDGET, DEFAULT_DAILY_TOKEN_BUDGET),
+    maxPromptLength: positiveNumber(env.MAX_PROMPT_LENGTH, DEFAULT_MAX_PROMPT_LENGTH),
+    maxQueryLength: positiveNumber(env.MAX_QUERY_LENGTH, DEFAULT_MAX_QUERY_LENGTH),
+    maxSchemaLength: positiveNumber(env.MAX_SCHEMA_LENGTH, DEFAULT_MAX_SCHEMA_LENGTH)
+  };
+}
+
+// Key/value store with per-entry TTL in this isolate's memory. Buckets live here, so request rates
+// are limited per Worker instance; anything with the same async get/put shape can replace it.
+export function createMemoryRateLimitStore(now = () => Date.now()) {
+  const entries = new Map();
+  let writes = 0;
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async put(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+      if (++writes % 500 === 0) {
+        for (const [entryKey, entry] of entries) {
+          if (entry.expiresAt <= now()) entries.delete(entryKey);
+        }
+      }
+    }
+  };
+}
+
+// The same store over a KV namespace, shared by every Worker instance. KV has no atomic increment
+// and takes up to a minute to show a write everywhere, so concurrent requests can overshoot the
+// budget slightly; it still holds across isolates and restarts, which memory cannot.
+export function createKVRateLimitStore(kv) {
+  return {
+    get: (key) => kv.get('ratelimit:' + key, 'json'),
+    // KV rejects expirations shorter than 60 seconds
+    put: (key, value, ttlSeconds) => kv.put('ratelimit:' + key, JSON.stringify(value), { expirationTtl: Math.max(60, Math.ceil(ttlSeconds)) })
+  };
+}
+
+export function createRateLimiter(store, now = () => Date.now()) {
+  // Refill a bucket up to the current time without taking from it
+  async function readBucket(key, limit, time) {
+    const state = await store.get(key);
+    const rate = limit.refillPerMinute / 60000;
+    const tokens = state ? Math.min(limit.capacity, state.tokens + (time - state.updatedAt) * rate) : limit.capacity;
+    return { key, limit, tokens, retryAfter: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / rate / 1000) };
+  }
+
+  return {
+    // Take one token from the route's buckets for this client.
+    // Returns { allowed: true } or { allowed: false, reason, retryAfter, message }
+    async check({ route, ip, sessionId, config }) {
+      const routeConfig = config.routes[route];
+      const time = now();
+      const buckets = [await readBucket(`ip:${route}:${ip}`, routeConfig.perIp, time)];
+      if (sessionId) {
+        buckets.push(await readBucket(`session:${route}:${sessionId}`, routeConfig.perSession, time));
+      }
+
+      const blocked = buckets.filter(bucket => bucket.tokens < 1);
+      if (blocked.length > 0) {
+        const retryAfter = Math.max(...blocked.map(bucket => bucket.retryAfter));
+        return { allowed: false, reason: 'rate_limit', retryAfter, message: `Too many requests to ${route}. Try again in ${retryAfter} seconds.` };
+      }
+
+      // Only take tokens once every bucket has one, so a rejected request costs nothing
+      for (const bucket of buckets) {
+        const ttlSeconds = Math.ceil(bucket.limit.capacity / bucket.limit.refillPerMinute * 60) + 60;
+        await store.put(bucket.key, { tokens: bucket.tokens - 1, updatedAt: time }, ttlSeconds);
+      }
+      return { allowed: true };
+    }
+  };
+}
+
+// Charge the route's estimated tokens to today's budget (UTC days) in `store`. Call it right before
+// each call to Claude, after the request has been validated and missed any cache.
+// Returns { allowed: true } or { allowed: false, reason, retryAfter, message }
+export async function spendDailyBudget(store, { route, config, now = Date.now() }) {
+  const cost = config.routes[route].estimatedTokens;
+  if (cost <= 0) return { allowed: true };
+
+  const day = new Date(now).toISOString().slice(0, 10);
+  const secondsUntilTomorrow = Math.ceil((Date.parse(day) + 86400000 - now) / 1000);
+  const spent = (await store.get(`budget:${day}`)) || 0;
+  if (spent + cost > config.dailyTokenBudget) {
+    return { allowed: false, reason: 'daily_budget', retryAfter: secondsUntilTomorrow, message: 'The daily AI budget has been used up. Try again after midnight UTC.' };
+  }
+  await store.put(`budget:${day}`, spent + cost, secondsUntilTomorrow + 3600);
+  return { allowed: true };
+}
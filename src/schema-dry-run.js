@@ -0,0 +1,238 @@
+// Dry run of generated databases in real SQLite (sql.js) before the Worker returns them, and the
+// repair loop around it. Callers pass the initialized sql.js module, so this file stays free of
+// runtime-specific loading and the tests can run it under Node.
+
+import { INSERT_BATCH_SIZE, quoteIdentifier, renderCreateTableSQL, renderSchemaSQL, sqlLiteral } from './schema-sql.js';
+
+const NUMERIC_COLUMN_TYPES = ['INTEGER', 'REAL', 'NUMERIC'];
+const MAX_WARNINGS = 25;
+
+// Foreign keys are enforced but only checked at COMMIT, so parents may load after their children
+// just as they may in the rendered script
+const BEGIN_CHECKED_LOAD = 'PRAGMA foreign_keys = ON; BEGIN; PRAGMA defer_foreign_keys = ON;';
+
+function findTable(spec, name) {
+  return spec.tables.find(table => table.name.toLowerCase() === String(name).toLowerCase());
+}
+
+function firstValue(db, sql, params) {
+  const result = db.exec(sql, params);
+  return result.length > 0 ? result[0].values[0][0] : null;
+}
+
+// Row counts of the loaded tables, and text that ended up in numeric columns (SQLite keeps it as text)
+function describeLoadedTables(db, tables) {
+  const rowCounts = {};
+  const warnings = [];
+  tables.forEach(table => {
+    const name = quoteIdentifier(table.name);
+    rowCounts[table.name] = firstValue(db, `SELECT COUNT(*) FROM ${name}`);
+    table.columns.filter(col => NUMERIC_COLUMN_TYPES.includes(col.type)).forEach(col => {
+      if (warnings.length >= MAX_WARNINGS) return;
+      const column = quoteIdentifier(col.name);
+      const result = db.exec(`SELECT ${column} FROM ${name} WHERE typeof(${column}) = 'text' LIMIT ${MAX_WARNINGS - warnings.length}`);
+      (result[0] ? result[0].values : []).forEach(([value]) => {
+        warnings.push(`${table.name}: text value ${sqlLiteral(value)} stored in ${col.type} column "${col.name}"`);
+      });
+    });
+  });
+  return { rowCounts, warnings };
+}
+
+// Replays the script statement by statement to pin each error on a row. Every batch runs row by row
+// inside a savepoint, which SQLite treats like the multi-row INSERT renderSchemaSQL() emits (in order,
+// all or nothing) while telling which rows fail and which rowid each loaded row got.
+function locateLoadFailures(db, spec, scriptError) {
+  const failures = [];
+  const foreignKeyViolations = [];
+  const rowNumbers = new Map(); // table name (lower case) -> Map(rowid -> 1-based row number)
+  let statement = 0;
+
+  db.exec(BEGIN_CHECKED_LOAD);
+  const created = spec.tables.filter(table => {
+    statement++;
+    try {
+      db.exec(renderCreateTableSQL(table));
+      return true;
+    } catch (error) {
+      failures.push({ statement, table: table.name, row: null, error: error.message, values: null });
+      return false;
+    }
+  });
+
+  created.forEach(table => {
+    const rowids = new Map();
+    rowNumbers.set(table.name.toLowerCase(), rowids);
+    const insertInto = `INSERT INTO ${quoteIdentifier(table.name)} (${table.columns.map(col => quoteIdentifier(col.name)).join(', ')}) VALUES `;
+    for (let start = 0; start < table.rows.length; start += INSERT_BATCH_SIZE) {
+      statement++;
+      const batchFailures = [];
+      const batchRowids = [];
+      db.exec('SAVEPOINT batch');
+      table.rows.slice(start, start + INSERT_BATCH_SIZE).forEach((row, offset) => {
+        const rowNumber = start + offset + 1;
+        try {
+          db.exec(insertInto + '(' + row.map(sqlLiteral).join(', ') + ')');
+          batchRowids.push([firstValue(db, 'SELECT last_insert_rowid()'), rowNumber]);
+        } catch (error) {
+          batchFailures.push({ statement, table: table.name, row: rowNumber, error: error.message, values: row });
+        }
+      });
+      if (batchFailures.length > 0) {
+        failures.push(...batchFailures);
+        db.exec('ROLLBACK TO batch');
+      } else {
+        batchRowids.forEach(([rowid, rowNumber]) => rowids.set(rowid, rowNumber));
+      }
+      db.exec('RELEASE batch');
+    }
+  });
+
+  // foreign_key_check fails outright on a table whose parent was never created
+  const createdNames = new Set(created.map(table => table.name.toLowerCase()));
+  const checkable = created.filter(table => table.columns.every(col => !col.references || createdNames.has(col.references.table.toLowerCase())));
+  const checks = checkable.flatMap(table => {
+    const result = db.exec(`PRAGMA foreign_key_check(${quoteIdentifier(table.name)})`);
+    return result[0] ? result[0].values : [];
+  });
+  checks.forEach(([tableName, rowid, parentName, foreignKeyId]) => {
+    const table = findTable(spec, tableName);
+    const parent = findTable(spec, parentName);
+    const foreignKey = db.exec(`PRAGMA foreign_key_list(${quoteIdentifier(table.name)})`)[0].values.find(entry => entry[0] === foreignKeyId);
+    const [, , , column, parentColumn] = foreignKey;
+    foreignKeyViolations.push({
+      table: table.name,
+      row: rowNumbers.get(table.name.toLowerCase()).get(rowid),
+      column,
+      value: firstValue(db, `SELECT ${quoteIdentifier(column)} FROM ${quoteIdentifier(table.name)} WHERE rowid = ?`, [rowid]),
+      references: `${parent ? parent.name : parentName}.${parentColumn}`
+    });
+  });
+
+  const { rowCounts, warnings } = describeLoadedTables(db, created);
+  db.exec('ROLLBACK');
+
+  // Nothing row-level explains the failure; report SQLite's own error for the script
+  if (failures.length === 0 && foreignKeyViolations.length === 0) {
+    failures.push({ statement: null, table: null, row: null, error: scriptError.message, values: null });
+  }
+  return { statementCount: statement, failures, foreignKeyViolations, rowCounts, warnings };
+}
+
+function countStatements(spec) {
+  return spec.tables.reduce((count, table) => count + 1 + Math.ceil(table.rows.length / INSERT_BATCH_SIZE), 0);
+}
+
+// Load the script renderSchemaSQL() produces for `spec` into an empty database with foreign keys on.
+// Failures name the statement, table and 1-based row; foreign key violations name the child row.
+export function dryRunSchemaSpec(SQL, spec) {
+  const db = new SQL.Database();
+  try {
+    try {
+      db.exec(BEGIN_CHECKED_LOAD);
+      db.exec(renderSchemaSQL(spec));
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      return { engine: 'sqlite', ok: false, ...locateLoadFailures(db, spec, error) };
+    }
+    return {
+      engine: 'sqlite',
+      ok: true,
+      statementCount: countStatements(spec),
+      failures: [],
+      foreignKeyViolations: [],
+      ...describeLoadedTables(db, spec.tables)
+    };
+  } finally {
+    db.close();
+  }
+}
+
+// Dry-run a validated spec, let requestFixes(report) (null without an API key) correct failing rows
+// once, then drop whatever still fails so the rendered SQL is guaranteed to load. Returns { spec, validation }.
+export async function dryRunAndRepair(SQL, spec, requestFixes) {
+  // Rows keep the number they had in the generated data, however many rows are fixed or dropped before them
+  const origins = new Map();
+  spec.tables.forEach(table => table.rows.forEach((row, index) => origins.set(row, index + 1)));
+  const originalRow = (tableName, row) => origins.get(findTable(spec, tableName).rows[row - 1]);
+
+  const initial = dryRunSchemaSpec(SQL, spec);
+  const repairs = {
+    initialFailures: initial.failures.map(({ values, ...failure }) => failure),
+    initialForeignKeyViolations: initial.foreignKeyViolations.length,
+    fixedRows: 0,
+    droppedChecks: [],
+    droppedRows: []
+  };
+  if (initial.ok) {
+    return { spec, validation: { ...initial, repairs } };
+  }
+
+  let report = initial;
+  if (requestFixes) {
+    try {
+      const fixes = await requestFixes(initial);
+      fixes.forEach(fix => {
+        const table = fix && typeof fix.table === 'string' && findTable(spec, fix.table);
+        const rowIndex = Number(fix && fix.row) - 1;
+        if (!table || !Number.isInteger(rowIndex) || rowIndex < 0 || rowIndex >= table.rows.length) return;
+        if (!Array.isArray(fix.values) || fix.values.length !== table.columns.length) return;
+        if (fix.values.some(value => value !== null && typeof value === 'object')) return;
+        origins.set(fix.values, origins.get(table.rows[rowIndex]));
+        table.rows[rowIndex] = fix.values;
+        repairs.fixedRows++;
+      });
+      report = dryRunSchemaSpec(SQL, spec);
+    } catch (e) {
+      repairs.fixError = e.message;
+    }
+  }
+
+  // A CREATE TABLE SQLite rejects can only come from a CHECK expression (everything else is validated),
+  // and it makes every row of the table and its children fail, so its CHECKs go before any row does.
+  // Rows SQLite rejects go next: they also keep the rest of their batch out, which can make rows that
+  // reference that batch look orphaned. Once every row loads, rows whose parent is missing go. Dropping a
+  // parent can orphan its children, so this repeats; every pass drops at least one CHECK or row.
+  while (!report.ok) {
+    const tableFailures = report.failures.filter(failure => failure.table && !failure.row);
+    if (tableFailures.length > 0) {
+      let dropped = false;
+      tableFailures.forEach(failure => {
+        findTable(spec, failure.table).columns.filter(col => col.check).forEach(col => {
+          repairs.droppedChecks.push({ table: failure.table, column: col.name, check: col.check, error: failure.error });
+          delete col.check;
+          dropped = true;
+        });
+      });
+      if (!dropped) break;
+      report = dryRunSchemaSpec(SQL, spec);
+      continue;
+    }
+
+    const rowFailures = report.failures.filter(failure => failure.row);
+    const problems = rowFailures.length > 0 ? rowFailures : report.foreignKeyViolations.map(violation => ({
+      table: violation.table,
+      row: violation.row,
+      error: `${violation.column} = ${sqlLiteral(violation.value)} has no matching ${violation.references}`
+    }));
+    if (problems.length === 0) break;
+
+    const failing = new Set();
+    problems.forEach(problem => {
+      const key = `${problem.table}#${problem.row}`;
+      if (failing.has(key)) return;
+      failing.add(key);
+      repairs.droppedRows.push({ table: problem.table, row: originalRow(problem.table, problem.row), error: problem.error });
+    });
+    spec.tables.forEach(table => {
+      table.rows = table.rows.filter((row, index) => !failing.has(`${table.name}#${index + 1}`));
+    });
+    report = dryRunSchemaSpec(SQL, spec);
+  }
+
+  return {
+    spec,
+    validation: { ...report, failures: report.failures.map(({ values, ...failure }) => failure), repairs }
+  };
+}
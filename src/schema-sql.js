@@ -0,0 +1,110 @@
+// Rendering of validated schema specs as SQLite SQL. Shared by the Worker (src/index.js) and the
+// offline fallback catalogue, which the static page also loads as a module.
+
+export const SQL_RESERVED_WORDS = new Set([
+  'ABORT', 'ADD', 'ALL', 'ALTER', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CHECK', 'COLLATE', 'COLUMN',
+  'CONSTRAINT', 'CREATE', 'CROSS', 'DEFAULT', 'DELETE', 'DESC', 'DISTINCT', 'DROP', 'ELSE', 'END', 'EXCEPT',
+  'EXISTS', 'FOREIGN', 'FROM', 'FULL', 'GROUP', 'HAVING', 'IN', 'INDEX', 'INNER', 'INSERT', 'INTERSECT', 'INTO',
+  'IS', 'JOIN', 'KEY', 'LEFT', 'LIKE', 'LIMIT', 'NATURAL', 'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER',
+  'PRIMARY', 'REFERENCES', 'RIGHT', 'SELECT', 'SET', 'TABLE', 'THEN', 'TO', 'TRANSACTION', 'UNION', 'UNIQUE',
+  'UPDATE', 'USING', 'VALUES', 'WHEN', 'WHERE', 'WITH'
+]);
+
+export function quoteIdentifier(name) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !SQL_RESERVED_WORDS.has(name.toUpperCase())) {
+    return name;
+  }
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+export function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  if (typeof value === 'object') value = JSON.stringify(value);
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+// Rows per INSERT statement in rendered SQL (shared with the dry run so statement numbers line up)
+export const INSERT_BATCH_SIZE = 50;
+
+export function oneLineComment(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+// CREATE TABLE statement (with its description comment) for one validated table
+export function renderCreateTableSQL(table) {
+  const primaryKeys = table.columns.filter(col => col.primaryKey);
+  const definitions = table.columns.map(col => {
+    let definition = `  ${quoteIdentifier(col.name)} ${col.type}`;
+    if (col.primaryKey && primaryKeys.length === 1) {
+      definition += ' PRIMARY KEY';
+      if (col.autoIncrement) definition += ' AUTOINCREMENT';
+    }
+    if (col.notNull && !(col.primaryKey && primaryKeys.length === 1)) definition += ' NOT NULL';
+    if (col.unique && !col.primaryKey) definition += ' UNIQUE';
+    if (col.default !== undefined) {
+      definition += ' DEFAULT ' + (/^CURRENT_(TIMESTAMP|DATE|TIME)$/.test(col.default) ? col.default : sqlLiteral(col.default));
+    }
+    if (col.check) definition += ` CHECK (${col.check})`;
+    return definition;
+  });
+  if (primaryKeys.length > 1) {
+    definitions.push(`  PRIMARY KEY (${primaryKeys.map(col => quoteIdentifier(col.name)).join(', ')})`);
+  }
+  table.columns.filter(col => col.references).forEach(col => {
+    definitions.push(`  FOREIGN KEY (${quoteIdentifier(col.name)}) REFERENCES ${quoteIdentifier(col.references.table)}(${quoteIdentifier(col.references.column)})`);
+  });
+
+  const lines = [];
+  if (table.description) {
+    lines.push(`-- ${oneLineComment(table.description)}`);
+  }
+  lines.push(`CREATE TABLE ${quoteIdentifier(table.name)} (`);
+  lines.push(definitions.join(',\n'));
+  lines.push(');');
+  return lines.join('\n');
+}
+
+// Batched INSERT statements for one validated table's rows ('' when it has none)
+export function renderInsertSQL(table) {
+  if (table.rows.length === 0) return '';
+  const columnList = table.columns.map(col => quoteIdentifier(col.name)).join(', ');
+  const lines = [`-- Sample data for ${table.name} (${table.rows.length} rows)`];
+  // Batch rows so a single statement never gets unwieldy
+  for (let i = 0; i < table.rows.length; i += INSERT_BATCH_SIZE) {
+    const batch = table.rows.slice(i, i + INSERT_BATCH_SIZE).map(row => `  (${row.map(sqlLiteral).join(', ')})`);
+    lines.push(`INSERT INTO ${quoteIdentifier(table.name)} (${columnList}) VALUES`);
+    lines.push(batch.join(',\n') + ';');
+  }
+  return lines.join('\n');
+}
+
+// Render a validated schema spec as canonical, directly executable SQLite DDL + DML
+export function renderSchemaSQL(spec, title) {
+  const lines = [];
+
+  lines.push(`-- ${oneLineComment(title || spec.name || 'Generated database')}`);
+  if (spec.description) {
+    lines.push(`-- ${oneLineComment(spec.description)}`);
+  }
+  if (spec.designNotes.length > 0) {
+    lines.push('--');
+    lines.push('-- Design notes:');
+    spec.designNotes.forEach(note => lines.push(`--   * ${oneLineComment(note)}`));
+  }
+
+  spec.tables.forEach(table => {
+    lines.push('');
+    lines.push(renderCreateTableSQL(table));
+  });
+
+  spec.tables.forEach(table => {
+    const inserts = renderInsertSQL(table);
+    if (!inserts) return;
+    lines.push('');
+    lines.push(inserts);
+  });
+
+  return lines.join('\n') + '\n';
+}
@@ -101,18 +101,12 @@ document.addEventListener('DOMContentLoaded', function() {
   });
 
   document.getElementById('formatBtn').addEventListener('click', function() {
-    // Simple SQL formatting (basic implementation)
-    const query = sqlEditor.getValue();
-    const formatted = query
-      .replace(/\bSELECT\b/gi, 'SELECT')
-      .replace(/\bFROM\b/gi, '\nFROM')
-      .replace(/\bJOIN\b/gi, '\nJOIN')
-      .replace(/\bWHERE\b/gi, '\nWHERE')
-      .replace(/\bORDER BY\b/gi, '\nORDER BY')
-      .replace(/\bGROUP BY\b/gi, '\nGROUP BY')
-      .replace(/\bLIMIT\b/gi, '\nLIMIT');
-    
-    sqlEditor.setValue(formatted);
+    // Shared formatter (sql-grammar.js) in its default style; only the selection when there is one
+    if (sqlEditor.somethingSelected()) {
+      sqlEditor.replaceSelection(window.SQLGrammar.formatSQL(sqlEditor.getSelection()), 'around');
+    } else {
+      sqlEditor.setValue(window.SQLGrammar.formatSQL(sqlEditor.getValue()));
+    }
   });
 
   document.getElementById('clearBtn').addEventListener('click', function() {
@@ -216,135 +210,20 @@ function showCoachingPanel(explanation, fix, hints) {
      <h4>Hints</h4><ul>${hints.map(hint => `<li>${hint}</li>`).join('')}</ul>`;
 }
 
-// Generate mock SQL schema based on prompt context
+// Offline stand-in schema from the built-in catalogue shared with the Worker
+// (fallback-catalogue.js, exposed as window.generateFallbackSchema by index.html)
 function generateMockSQLSchema(prompt) {
-  const lowerPrompt = prompt.toLowerCase();
-  
-  if (lowerPrompt.includes('retail') || lowerPrompt.includes('store') || lowerPrompt.includes('shop')) {
-    return `-- Retail Store Database Schema
-CREATE TABLE customers (
-    id INT PRIMARY KEY AUTO_INCREMENT,
-    first_name VARCHAR(50) NOT NULL,
-    last_name VARCHAR(50) NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    phone VARCHAR(20),
-    address VARCHAR(255),
-    city VARCHAR(100),
-    state VARCHAR(50),
-    zip_code VARCHAR(10),
-    registration_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-    customer_status ENUM('active', 'inactive', 'suspended') DEFAULT 'active'
-);
-
-CREATE TABLE products (
-    id INT PRIMARY KEY AUTO_INCREMENT,
-    product_name VARCHAR(200) NOT NULL,
-    description TEXT,
-    category VARCHAR(100),
-    price DECIMAL(8,2) NOT NULL,
-    cost DECIMAL(8,2),
-    stock_quantity INT DEFAULT 0,
-    sku VARCHAR(50) UNIQUE,
-    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-    is_active BOOLEAN DEFAULT TRUE
-);
-
-CREATE TABLE orders (
-    id INT PRIMARY KEY AUTO_INCREMENT,
-    customer_id INT NOT NULL,
-    order_number VARCHAR(20) UNIQUE NOT NULL,
-    order_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-    total_amount DECIMAL(10,2) NOT NULL,
-    tax_amount DECIMAL(8,2) DEFAULT 0.00,
-    shipping_cost DECIMAL(8,2) DEFAULT 0.00,
-    order_status ENUM('pending', 'processing', 'shipped', 'delivered', 'cancelled') DEFAULT 'pending',
-    payment_method VARCHAR(50),
-    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
-);
-
--- Sample Data
-INSERT INTO customers (first_name, last_name, email, phone, address, city, state, zip_code) VALUES
-('John', 'Smith', 'john.smith@email.com', '555-0101', '123 Main St', 'Springfield', 'IL', '62701'),
-('Emma', 'Johnson', 'emma.j@email.com', '555-0102', '456 Oak Ave', 'Portland', 'OR', '97201'),
-('Michael', 'Brown', 'mbrown@email.com', '555-0103', '789 Pine St', 'Denver', 'CO', '80202'),
-('Sarah', 'Davis', 'sarah.davis@email.com', '555-0104', '321 Elm Dr', 'Austin', 'TX', '73301'),
-('David', 'Wilson', 'dwilson@email.com', '555-0105', '654 Maple Ln', 'Seattle', 'WA', '98101');
-
-INSERT INTO products (product_name, description, category, price, cost, stock_quantity, sku) VALUES
-('Wireless Headphones', 'High-quality Bluetooth headphones', 'Electronics', 129.99, 65.00, 50, 'WH-001'),
-('Coffee Maker', 'Programmable 12-cup coffee maker', 'Appliances', 89.99, 45.00, 25, 'CM-002'),
-('Desk Lamp', 'LED desk lamp with USB charging', 'Office', 49.99, 25.00, 75, 'DL-003'),
-('Yoga Mat', 'Premium non-slip yoga mat', 'Sports', 34.99, 18.00, 100, 'YM-004'),
-('Phone Case', 'Protective phone case', 'Accessories', 24.99, 12.00, 200, 'PC-005');
-
-INSERT INTO orders (customer_id, order_number, order_date, total_amount, tax_amount, order_status, payment_method) VALUES
-(1, 'ORD-2024-001', '2024-02-20 10:15:00', 129.99, 10.40, 'delivered', 'Credit Card'),
-(2, 'ORD-2024-002', '2024-02-21 14:30:00', 89.99, 7.20, 'delivered', 'PayPal'),
-(1, 'ORD-2024-003', '2024-02-22 16:45:00', 49.99, 4.00, 'shipped', 'Credit Card'),
-(3, 'ORD-2024-004', '2024-02-23 09:20:00', 34.99, 2.80, 'processing', 'Debit Card'),
-(4, 'ORD-2024-005', '2024-02-24 11:10:00', 24.99, 2.00, 'pending', 'Credit Card');`;
-  }
-  
-  // Default schema for other prompts
-  return `-- Generated Database Schema
-CREATE TABLE customers (
-    id INT PRIMARY KEY AUTO_INCREMENT,
-    name VARCHAR(100) NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    phone VARCHAR(20),
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    status VARCHAR(20) DEFAULT 'active'
-);
-
-CREATE TABLE orders (
-    id INT PRIMARY KEY AUTO_INCREMENT,
-    customer_id INT NOT NULL,
-    order_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-    total_amount DECIMAL(10,2) NOT NULL,
-    status VARCHAR(20) DEFAULT 'pending',
-    FOREIGN KEY (customer_id) REFERENCES customers(id)
-);
-
--- Sample Data
-INSERT INTO customers (name, email, phone) VALUES
-('John Smith', 'john@example.com', '555-0101'),
-('Emma Johnson', 'emma@example.com', '555-0102'),
-('Michael Brown', 'michael@example.com', '555-0103');
-
-INSERT INTO orders (customer_id, total_amount, status) VALUES
-(1, 129.99, 'completed'),
-(2, 249.95, 'shipped'),
-(1, 67.50, 'pending');`;
+  return window.generateFallbackSchema(prompt);
 }
 
 // Update schema display from generated SQL
+// (CREATE TABLE statements parsed by sql-grammar.js, exposed as window.SQLGrammar by index.html)
 function updateSchemaDisplayFromSQL(sqlText) {
   const schemaContent = document.getElementById('schemaContent');
-  
-  // Parse table names and structures from SQL (simplified)
-  const tables = [];
-  const createTableRegex = /CREATE TABLE (\w+) \(([\s\S]*?)\);/gi;
-  let match;
-  
-  while ((match = createTableRegex.exec(sqlText)) !== null) {
-    const tableName = match[1];
-    const columnsText = match[2];
-    
-    // Extract column definitions (simplified parsing)
-    const columns = columnsText
-      .split(',')
-      .map(col => col.trim())
-      .filter(col => col && !col.includes('FOREIGN KEY'))
-      .map(col => {
-        const parts = col.split(' ');
-        return {
-          name: parts[0],
-          type: parts[1] || 'VARCHAR'
-        };
-      });
-    
-    tables.push({ name: tableName, columns });
-  }
+  const tables = window.SQLGrammar.extractSchemaTables(sqlText).map(table => ({
+    name: table.name,
+    columns: table.columns.map(column => ({ name: column.name, type: column.type || 'VARCHAR' }))
+  }));
   
   // Update the display
   schemaContent.innerHTML = tables.map(table => `
@@ -0,0 +1,920 @@
+// Translation between SQLite and the PostgreSQL, MySQL and SQL Server dialects, on top of the shared
+// tokenizer (src/sql-grammar.js). The page the Worker serves inlines createSQLDialects() and passes
+// it the inlined grammar, so the function must not use anything outside its own body.
+
+import { createSQLGrammar } from './sql-grammar.js';
+
+export function createSQLDialects(SQLGrammar) {
+  const SQL_DIALECTS = {
+    sqlite: 'SQLite',
+    postgresql: 'PostgreSQL',
+    mysql: 'MySQL',
+    sqlserver: 'SQL Server'
+  };
+  // strftime() codes and their spelling in each dialect's date-format function
+  const DIALECT_DATE_FORMATS = {
+    postgresql: { '%Y': 'YYYY', '%m': 'MM', '%d': 'DD', '%H': 'HH24', '%M': 'MI', '%S': 'SS', '%j': 'DDD', '%W': 'WW' },
+    mysql: { '%Y': '%Y', '%m': '%m', '%d': '%d', '%H': '%H', '%M': '%i', '%S': '%s', '%j': '%j', '%W': '%u' },
+    sqlserver: { '%Y': 'yyyy', '%m': 'MM', '%d': 'dd', '%H': 'HH', '%M': 'mm', '%S': 'ss' }
+  };
+  // Date parts accepted by EXTRACT / DATE_PART / DATEPART and the strftime() code for each
+  const DIALECT_DATE_PARTS = {
+    year: '%Y', yy: '%Y', yyyy: '%Y',
+    month: '%m', mm: '%m', m: '%m',
+    day: '%d', dd: '%d', d: '%d',
+    hour: '%H', hh: '%H',
+    minute: '%M', mi: '%M', n: '%M',
+    second: '%S', ss: '%S', s: '%S',
+    dow: '%w', weekday: '%w', dw: '%w',
+    doy: '%j', dayofyear: '%j', dy: '%j',
+    week: '%W', wk: '%W', ww: '%W'
+  };
+  const DIALECT_INTERVAL_UNITS = { year: 'years', month: 'months', week: 'days', day: 'days', hour: 'hours', minute: 'minutes', second: 'seconds' };
+  // Constructs that SQLite cannot run, looked for in queries written in another dialect
+  const DIALECT_UNSUPPORTED = {
+    postgresql: [['DISTINCT ON', /\bDISTINCT\s+ON\s*\(/i], ['LATERAL joins', /\bLATERAL\b/i], ['SIMILAR TO', /\bSIMILAR\s+TO\b/i], ['regular expression operators (~)', /~\*?/], ['arrays', /\bARRAY\s*\[|\bANY\s*\(/i], ['GENERATE_SERIES', /\bGENERATE_SERIES\s*\(/i]],
+    mysql: [['ON DUPLICATE KEY UPDATE', /\bON\s+DUPLICATE\s+KEY\b/i], ['REGEXP / RLIKE', /\b(REGEXP|RLIKE)\b/i], ['STRAIGHT_JOIN', /\bSTRAIGHT_JOIN\b/i], ['SQL_CALC_FOUND_ROWS', /\bSQL_CALC_FOUND_ROWS\b/i], ['user variables (@name)', /@\w/]],
+    sqlserver: [['PIVOT / UNPIVOT', /\b(UN)?PIVOT\b/i], ['CROSS / OUTER APPLY', /\b(CROSS|OUTER)\s+APPLY\b/i], ['MERGE', /(^|;)\s*MERGE\b/i], ['variables (@name)', /@\w/], ['table hints such as WITH (NOLOCK)', /\bWITH\s*\(\s*NOLOCK\b/i], ['temporary #tables', /#\w/], ['TOP ... PERCENT / WITH TIES', /\bTOP\b[^;]*?\b(PERCENT|WITH\s+TIES)\b/i]]
+  };
+  // SQLite-only constructs with no direct equivalent in the target dialect
+  const SQLITE_ONLY_CONSTRUCTS = [
+    ['PRAGMA', /(^|;)\s*PRAGMA\b/i],
+    ['GLOB', /\bGLOB\b/i],
+    ['rowid', /\b_?rowid_?\b/i],
+    ['typeof()', /\btypeof\s*\(/i],
+    ['WITHOUT ROWID', /\bWITHOUT\s+ROWID\b/i]
+  ];
+
+  function dialectText(nodes) {
+    return nodes.map(node => (node.type === 'group' ? node.open.text + dialectText(node.children) + (node.close ? node.close.text : '') : node.text)).join('');
+  }
+
+  function rawDialectNode(text) {
+    return { type: 'raw', text };
+  }
+
+  function isDialectFiller(node) {
+    return node && (node.type === 'space' || node.type === 'comment');
+  }
+
+  // Index of the next (step 1) or previous (step -1) node that is not whitespace or a comment
+  function nextDialectNode(nodes, index, step) {
+    let i = index + step;
+    while (i >= 0 && i < nodes.length && isDialectFiller(nodes[i])) i += step;
+    return i >= 0 && i < nodes.length ? i : -1;
+  }
+
+  function isDialectWord(node, ...words) {
+    return node && node.type === 'word' && (words.length === 0 || words.includes(node.upper));
+  }
+
+  // Split a group's children on top-level commas into trimmed argument strings
+  function dialectArguments(group) {
+    const args = [[]];
+    group.children.forEach(node => {
+      if (node.type === 'punct' && node.text === ',') args.push([]);
+      else args[args.length - 1].push(node);
+    });
+    const texts = args.map(arg => dialectText(arg).trim());
+    return texts.length === 1 && texts[0] === '' ? [] : texts;
+  }
+
+  // Start index of the operand (column, literal, function call or parenthesised expression) ending at `end`
+  function dialectOperandStart(nodes, end) {
+    let start = end;
+    if (nodes[end].type === 'group' && isDialectWord(nodes[end - 1])) start = end - 1;
+    while (start >= 2 && nodes[start - 1].type === 'punct' && nodes[start - 1].text === '.' && ['word', 'quoted'].includes(nodes[start - 2].type)) {
+      start -= 2;
+    }
+    return start;
+  }
+
+  // End index of the operand starting at `start`
+  function dialectOperandEnd(nodes, start) {
+    let end = start;
+    while (end + 2 < nodes.length && nodes[end + 1].type === 'punct' && nodes[end + 1].text === '.' && ['word', 'quoted'].includes(nodes[end + 2].type)) {
+      end += 2;
+    }
+    if (['word', 'quoted'].includes(nodes[end].type) && nodes[end + 1] && nodes[end + 1].type === 'group') end += 1;
+    return end;
+  }
+
+  function isDialectOperand(node) {
+    return node && ['word', 'quoted', 'string', 'blob', 'number', 'group', 'param', 'raw'].includes(node.type);
+  }
+
+  function isStringLiteral(text) {
+    return /^'(?:[^']|'')*'$/.test(text);
+  }
+
+  // Apply `rules` to every parenthesis level, innermost first
+  function rewriteDialectNodes(nodes, rules) {
+    let rewritten = nodes.map(node => (node.type === 'group' ? { ...node, children: rewriteDialectNodes(node.children, rules) } : node));
+    rules.forEach(rule => {
+      rewritten = rule(rewritten);
+    });
+    return rewritten;
+  }
+
+  // Replace calls to functions named in `handlers` with handler(args) (null leaves the call alone)
+  function dialectFunctionRule(handlers) {
+    return (nodes) => {
+      const output = [];
+      for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        const handler = node.type === 'word' && handlers[node.upper];
+        if (handler && nodes[i + 1] && nodes[i + 1].type === 'group') {
+          const replacement = handler(dialectArguments(nodes[i + 1]), node.text);
+          if (replacement !== null && replacement !== undefined) {
+            output.push(rawDialectNode(replacement));
+            i++;
+            continue;
+          }
+        }
+        output.push(node);
+      }
+      return output;
+    };
+  }
+
+  // Replace single words (not followed by an argument list) using `replacements`
+  function dialectWordRule(replacements) {
+    return (nodes) => nodes.map((node, index) => {
+      if (node.type !== 'word' || !(node.upper in replacements)) return node;
+      if (nodes[index + 1] && nodes[index + 1].type === 'group') return node;
+      const replacement = replacements[node.upper];
+      return rawDialectNode(typeof replacement === 'function' ? replacement(node) : replacement);
+    });
+  }
+
+  function strftimeCall(format, value) {
+    return 'strftime(' + format + ', ' + value + ')';
+  }
+
+  function datePartToSQLite(part, value, warn) {
+    const code = DIALECT_DATE_PARTS[String(part).replace(/'/g, '').trim().toLowerCase()];
+    if (!code) {
+      warn('Date part "' + part + '" has no SQLite equivalent');
+      return null;
+    }
+    return 'CAST(' + strftimeCall("'" + code + "'", value) + ' AS INTEGER)';
+  }
+
+  // SQLite date() / datetime() modifier for adding `amount` `unit`s ('+3 days', or an expression)
+  function dateModifier(amount, unit, warn) {
+    const key = String(unit).replace(/'/g, '').trim().toLowerCase().replace(/s$/, '');
+    const sqliteUnit = DIALECT_INTERVAL_UNITS[key];
+    if (!sqliteUnit) {
+      warn('Interval unit "' + unit + '" has no SQLite equivalent');
+      return null;
+    }
+    const multiplier = key === 'week' ? 7 : 1;
+    if (/^[-+]?\d+$/.test(String(amount).trim())) {
+      const value = Number(amount) * multiplier;
+      return "'" + (value < 0 ? '' : '+') + value + ' ' + sqliteUnit + "'";
+    }
+    return '(' + amount + (multiplier === 1 ? '' : ' * 7') + ") || ' " + sqliteUnit + "'";
+  }
+
+  // Whether an operand is known to hold a date without a time: CURRENT_DATE, a date() call (which
+  // CURDATE() and ::date casts become) or a 'YYYY-MM-DD' literal
+  function isDateOperand(operand) {
+    return /^(CURRENT_DATE|date\s*\([\s\S]*\)|'\d{4}-\d{2}-\d{2}')$/i.test(String(operand).trim());
+  }
+
+  // date() only suits operands that are dates already; anything else may carry a time of day, which date() would drop
+  function dateFunctionFor(unit, operand) {
+    if (/^(hour|minute|second)/i.test(String(unit).replace(/'/g, '').trim())) return 'datetime';
+    return isDateOperand(operand) ? 'date' : 'datetime';
+  }
+
+  function convertDateFormat(format, codes, warn) {
+    if (!isStringLiteral(format)) {
+      warn('Only literal date formats can be translated');
+      return null;
+    }
+    let converted = format.slice(1, -1);
+    Object.entries(codes).sort((a, b) => b[0].length - a[0].length).forEach(([from, to]) => {
+      converted = converted.split(from).join('\u0000' + to + '\u0001');
+    });
+    if (/%[A-Za-z]/.test(converted.replace(/\u0000[^\u0001]*\u0001/g, ''))) {
+      warn('Some date format codes in ' + format + ' have no equivalent and were left as they are');
+    }
+    return "'" + converted.replace(/[\u0000\u0001]/g, '') + "'";
+  }
+
+  // ---- Another dialect -> SQLite (what actually runs) ----
+
+  function dialectToSQLiteFunctions(dialect, warn) {
+    const now = () => "datetime('now')";
+    const datePart = (code) => (args) => (args.length === 1 ? 'CAST(' + strftimeCall("'" + code + "'", args[0]) + ' AS INTEGER)' : null);
+    const concat = (args) => {
+      if (args.length === 0) return null;
+      // MySQL's CONCAT is NULL if any argument is; PostgreSQL and SQL Server treat NULL as ''
+      const parts = dialect === 'mysql' ? args : args.map(arg => (isStringLiteral(arg) ? arg : "IFNULL(" + arg + ", '')"));
+      return '(' + parts.join(' || ') + ')';
+    };
+    const caseWhen = (args) => (args.length === 3 ? 'CASE WHEN ' + args[0] + ' THEN ' + args[1] + ' ELSE ' + args[2] + ' END' : null);
+    const instr = (args) => {
+      if (args.length > 2) warn('The start position argument of ' + (dialect === 'mysql' ? 'LOCATE' : 'CHARINDEX') + ' was dropped');
+      return args.length >= 2 ? 'INSTR(' + args[1] + ', ' + args[0] + ')' : null;
+    };
+    const stringAgg = (args) => (args.length === 2 ? 'GROUP_CONCAT(' + args[0] + ', ' + args[1] + ')' : null);
+
+    const handlers = {
+      CONCAT: concat,
+      CHAR_LENGTH: (args) => 'LENGTH(' + args.join(', ') + ')',
+      CHARACTER_LENGTH: (args) => 'LENGTH(' + args.join(', ') + ')',
+      GREATEST: (args) => 'MAX(' + args.join(', ') + ')',
+      LEAST: (args) => 'MIN(' + args.join(', ') + ')',
+      SUBSTRING: (args) => {
+        const match = args.length === 1 && args[0].match(/^([\s\S]+?)\s+FROM\s+([\s\S]+?)(?:\s+FOR\s+([\s\S]+))?$/i);
+        if (match) return 'SUBSTR(' + match[1] + ', ' + match[2] + (match[3] ? ', ' + match[3] : '') + ')';
+        return 'SUBSTR(' + args.join(', ') + ')';
+      },
+      POSITION: (args) => {
+        const match = args.length === 1 && args[0].match(/^([\s\S]+?)\s+IN\s+([\s\S]+)$/i);
+        return match ? 'INSTR(' + match[2] + ', ' + match[1] + ')' : null;
+      },
+      EXTRACT: (args) => {
+        const match = args.length === 1 && args[0].match(/^(\w+)\s+FROM\s+([\s\S]+)$/i);
+        return match ? datePartToSQLite(match[1], match[2], warn) : null;
+      }
+    };
+
+    if (dialect === 'postgresql') {
+      Object.assign(handlers, {
+        NOW: now,
+        DATE_PART: (args) => (args.length === 2 ? datePartToSQLite(args[0], args[1], warn) : null),
+        DATE_TRUNC: (args) => {
+          const unit = args.length === 2 && args[0].replace(/'/g, '').toLowerCase();
+          if (unit === 'day') return 'date(' + args[1] + ')';
+          if (unit === 'month' || unit === 'year') return 'date(' + args[1] + ", 'start of " + unit + "')";
+          warn('DATE_TRUNC only translates to SQLite for day, month and year');
+          return null;
+        },
+        TO_CHAR: (args) => {
+          const format = args.length === 2 && convertDateFormat(args[1], Object.fromEntries(Object.entries(DIALECT_DATE_FORMATS.postgresql).map(([code, pg]) => [pg, code])), warn);
+          return format ? strftimeCall(format, args[0]) : null;
+        },
+        STRING_AGG: stringAgg
+      });
+    }
+    if (dialect === 'mysql') {
+      Object.assign(handlers, {
+        NOW: now,
+        CURDATE: () => "date('now')",
+        CURRENT_DATE: () => "date('now')",
+        YEAR: datePart('%Y'),
+        MONTH: datePart('%m'),
+        DAY: datePart('%d'),
+        DAYOFMONTH: datePart('%d'),
+        HOUR: datePart('%H'),
+        MINUTE: datePart('%M'),
+        DATEDIFF: (args) => (args.length === 2 ? 'CAST(julianday(' + args[0] + ') - julianday(' + args[1] + ') AS INTEGER)' : null),
+        DATE_FORMAT: (args) => {
+          const format = args.length === 2 && convertDateFormat(args[1], Object.fromEntries(Object.entries(DIALECT_DATE_FORMATS.mysql).map(([code, my]) => [my, code])), warn);
+          return format ? strftimeCall(format, args[0]) : null;
+        },
+        DATE_ADD: (args) => mysqlDateAdd(args, 1, warn),
+        ADDDATE: (args) => mysqlDateAdd(args, 1, warn),
+        DATE_SUB: (args) => mysqlDateAdd(args, -1, warn),
+        SUBDATE: (args) => mysqlDateAdd(args, -1, warn),
+        LOCATE: instr,
+        IF: caseWhen,
+        RAND: () => 'RANDOM()',
+        GROUP_CONCAT: (args) => {
+          const match = args.length === 1 && args[0].match(/^([\s\S]+?)\s+SEPARATOR\s+('(?:[^']|'')*')$/i);
+          if (/\bORDER\s+BY\b/i.test(args.join(','))) warn('ORDER BY inside GROUP_CONCAT is not supported by SQLite');
+          return match ? 'GROUP_CONCAT(' + match[1] + ', ' + match[2] + ')' : null;
+        }
+      });
+    }
+    if (dialect === 'sqlserver') {
+      Object.assign(handlers, {
+        GETDATE: now,
+        SYSDATETIME: now,
+        GETUTCDATE: now,
+        YEAR: datePart('%Y'),
+        MONTH: datePart('%m'),
+        DAY: datePart('%d'),
+        DATEPART: (args) => (args.length === 2 ? datePartToSQLite(args[0], args[1], warn) : null),
+        DATEADD: (args) => {
+          if (args.length !== 3) return null;
+          const modifier = dateModifier(args[1], args[0], warn);
+          return modifier ? dateFunctionFor(args[0], args[2]) + '(' + args[2] + ', ' + modifier + ')' : null;
+        },
+        DATEDIFF: (args) => {
+          if (args.length !== 3) return null;
+          const unit = args[0].toLowerCase();
+          const days = 'julianday(' + args[2] + ') - julianday(' + args[1] + ')';
+          const year = (value) => 'CAST(' + strftimeCall("'%Y'", value) + ' AS INTEGER)';
+          const month = (value) => 'CAST(' + strftimeCall("'%m'", value) + ' AS INTEGER)';
+          if (['day', 'dd', 'd'].includes(unit)) return 'CAST(' + days + ' AS INTEGER)';
+          if (['hour', 'hh'].includes(unit)) return 'CAST((' + days + ') * 24 AS INTEGER)';
+          if (['minute', 'mi', 'n'].includes(unit)) return 'CAST((' + days + ') * 1440 AS INTEGER)';
+          if (['year', 'yy', 'yyyy'].includes(unit)) return '(' + year(args[2]) + ' - ' + year(args[1]) + ')';
+          if (['month', 'mm', 'm'].includes(unit)) return '((' + year(args[2]) + ' - ' + year(args[1]) + ') * 12 + ' + month(args[2]) + ' - ' + month(args[1]) + ')';
+          warn('DATEDIFF only translates to SQLite for year, month, day, hour and minute');
+          return null;
+        },
+        FORMAT: (args) => {
+          const format = args.length === 2 && convertDateFormat(args[1], Object.fromEntries(Object.entries(DIALECT_DATE_FORMATS.sqlserver).map(([code, ms]) => [ms, code])), warn);
+          return format ? strftimeCall(format, args[0]) : null;
+        },
+        ISNULL: (args) => 'IFNULL(' + args.join(', ') + ')',
+        LEN: (args) => 'LENGTH(' + args.join(', ') + ')',
+        CHARINDEX: instr,
+        IIF: caseWhen,
+        NEWID: () => 'RANDOM()',
+        RAND: () => 'RANDOM()',
+        STRING_AGG: stringAgg
+      });
+    }
+    return handlers;
+  }
+
+  function mysqlDateAdd(args, sign, warn) {
+    const match = args.length === 2 && args[1].match(/^INTERVAL\s+([\s\S]+?)\s+(\w+)$/i);
+    if (!match) return null;
+    const amount = sign < 0 ? (/^\d+$/.test(match[1]) ? '-' + match[1] : '-(' + match[1] + ')') : match[1];
+    const modifier = dateModifier(amount, match[2], warn);
+    return modifier ? dateFunctionFor(match[2], args[0]) + '(' + args[0] + ', ' + modifier + ')' : null;
+  }
+
+  // PostgreSQL value::type casts
+  function postgresCastRule(nodes) {
+    const output = nodes.slice();
+    for (let i = output.length - 1; i >= 0; i--) {
+      if (!(output[i].type === 'op' && output[i].text === '::')) continue;
+      const typeIndex = nextDialectNode(output, i, 1);
+      const operandEnd = nextDialectNode(output, i, -1);
+      if (typeIndex === -1 || operandEnd === -1 || !isDialectWord(output[typeIndex])) continue;
+      const operandStart = dialectOperandStart(output, operandEnd);
+      let typeEnd = typeIndex;
+      if (output[typeIndex + 1] && output[typeIndex + 1].type === 'group') typeEnd = typeIndex + 1;
+      if (output[typeIndex].upper === 'DOUBLE' && isDialectWord(output[nextDialectNode(output, typeIndex, 1)], 'PRECISION')) typeEnd = nextDialectNode(output, typeIndex, 1);
+      const operand = dialectText(output.slice(operandStart, operandEnd + 1));
+      const type = output[typeIndex].upper;
+      let replacement;
+      if (type === 'DATE') replacement = 'date(' + operand + ')';
+      else if (type === 'TIMESTAMP' || type === 'TIMESTAMPTZ') replacement = 'datetime(' + operand + ')';
+      else if (['INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'BOOLEAN', 'BOOL'].includes(type)) replacement = 'CAST(' + operand + ' AS INTEGER)';
+      else if (['NUMERIC', 'DECIMAL', 'FLOAT', 'REAL', 'DOUBLE', 'FLOAT8', 'FLOAT4'].includes(type)) replacement = 'CAST(' + operand + ' AS REAL)';
+      else replacement = 'CAST(' + operand + ' AS TEXT)';
+      output.splice(operandStart, typeEnd - operandStart + 1, rawDialectNode(replacement));
+      i = operandStart;
+    }
+    return output;
+  }
+
+  // `expr + INTERVAL '3 days'` (PostgreSQL) and `expr - INTERVAL 3 DAY` (MySQL)
+  function intervalRule(warn) {
+    return (nodes) => {
+      const output = nodes.slice();
+      for (let i = 0; i < output.length; i++) {
+        if (!isDialectWord(output[i], 'INTERVAL')) continue;
+        const opIndex = nextDialectNode(output, i, -1);
+        const valueIndex = nextDialectNode(output, i, 1);
+        if (opIndex === -1 || valueIndex === -1 || !(output[opIndex].type === 'op' && ['+', '-'].includes(output[opIndex].text))) continue;
+        const operandEnd = nextDialectNode(output, opIndex, -1);
+        if (operandEnd === -1 || !isDialectOperand(output[operandEnd])) continue;
+        let amount;
+        let unit;
+        let end = valueIndex;
+        const quoted = output[valueIndex].type === 'string' && output[valueIndex].text.match(/^'\s*(-?\d+)\s+(\w+)\s*'$/);
+        if (quoted) {
+          amount = quoted[1];
+          unit = quoted[2];
+        } else {
+          const unitIndex = nextDialectNode(output, valueIndex, 1);
+          if (unitIndex === -1 || !isDialectWord(output[unitIndex])) continue;
+          amount = dialectText([output[valueIndex]]).replace(/^'|'$/g, '');
+          unit = output[unitIndex].text;
+          end = unitIndex;
+        }
+        if (output[opIndex].text === '-') amount = /^\d+$/.test(amount) ? '-' + amount : '-(' + amount + ')';
+        const modifier = dateModifier(amount, unit, warn);
+        if (!modifier) continue;
+        const operandStart = dialectOperandStart(output, operandEnd);
+        const operand = dialectText(output.slice(operandStart, operandEnd + 1));
+        const dateFunction = dateFunctionFor(unit, operand);
+        output.splice(operandStart, end - operandStart + 1, rawDialectNode(dateFunction + '(' + (/^CURRENT_DATE$/i.test(operand) ? "'now'" : operand) + ', ' + modifier + ')'));
+        i = operandStart;
+      }
+      return output;
+    };
+  }
+
+  // SQL Server's `'text' + column` string concatenation
+  function plusConcatRule(nodes) {
+    return nodes.map((node, index) => {
+      if (!(node.type === 'op' && node.text === '+')) return node;
+      const before = nodes[nextDialectNode(nodes, index, -1)];
+      const after = nodes[nextDialectNode(nodes, index, 1)];
+      return (before && before.type === 'string') || (after && after.type === 'string') ? rawDialectNode('||') : node;
+    });
+  }
+
+  // SELECT TOP n -> LIMIT n at the end of the same query level. TOP n PERCENT and TOP n WITH TIES
+  // have no LIMIT form; they stay as written (and are warned about) rather than half translated.
+  function topToLimitRule(nodes) {
+    const output = nodes.slice();
+    for (let i = 0; i < output.length; i++) {
+      if (!isDialectWord(output[i], 'SELECT')) continue;
+      let topIndex = nextDialectNode(output, i, 1);
+      if (isDialectWord(output[topIndex], 'DISTINCT', 'ALL')) topIndex = nextDialectNode(output, topIndex, 1);
+      if (!isDialectWord(output[topIndex], 'TOP')) continue;
+      const countIndex = nextDialectNode(output, topIndex, 1);
+      if (countIndex === -1 || !['number', 'group'].includes(output[countIndex].type)) continue;
+      const modifierIndex = nextDialectNode(output, countIndex, 1);
+      if (isDialectWord(output[modifierIndex], 'PERCENT') ||
+        (isDialectWord(output[modifierIndex], 'WITH') && isDialectWord(output[nextDialectNode(output, modifierIndex, 1)], 'TIES'))) continue;
+      const count = output[countIndex].type === 'group' ? dialectText(output[countIndex].children).trim() : output[countIndex].text;
+      output.splice(topIndex, countIndex - topIndex + 1);
+      if (isDialectFiller(output[topIndex])) output.splice(topIndex, 1);
+      let end = output.findIndex((node, index) => index > i && node.type === 'punct' && node.text === ';');
+      if (end === -1) end = output.length;
+      while (end > 0 && isDialectFiller(output[end - 1]) && output[end - 1].type === 'space') end--;
+      output.splice(end, 0, rawDialectNode(' LIMIT ' + count));
+    }
+    return output;
+  }
+
+  // [OFFSET n ROWS] FETCH {FIRST|NEXT} m ROWS ONLY -> LIMIT m [OFFSET n]
+  function fetchToLimitRule(nodes) {
+    const output = nodes.slice();
+    for (let i = 0; i < output.length; i++) {
+      if (!isDialectWord(output[i], 'FETCH')) continue;
+      const words = [];
+      let index = i;
+      for (let step = 0; step < 5 && index !== -1; step++) {
+        words.push(index);
+        index = nextDialectNode(output, index, 1);
+      }
+      const [, firstIndex, countIndex, rowsIndex, onlyIndex] = words;
+      if (!isDialectWord(output[firstIndex], 'FIRST', 'NEXT') || !output[countIndex] || !isDialectWord(output[rowsIndex], 'ROW', 'ROWS') || !isDialectWord(output[onlyIndex], 'ONLY')) continue;
+      let start = i;
+      let offset = '';
+      const rowsBefore = nextDialectNode(output, i, -1);
+      if (isDialectWord(output[rowsBefore], 'ROW', 'ROWS')) {
+        const offsetValue = nextDialectNode(output, rowsBefore, -1);
+        const offsetWord = nextDialectNode(output, offsetValue, -1);
+        if (isDialectWord(output[offsetWord], 'OFFSET')) {
+          start = offsetWord;
+          offset = ' OFFSET ' + dialectText([output[offsetValue]]);
+        }
+      }
+      output.splice(start, onlyIndex - start + 1, rawDialectNode('LIMIT ' + dialectText([output[countIndex]]) + offset));
+      i = start;
+    }
+    return output;
+  }
+
+  // Column types and options in CREATE TABLE that SQLite spells differently or rejects
+  function createTableToSQLiteRule(dialect, warn) {
+    return (nodes) => {
+      const output = [];
+      for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        const next = nodes[i + 1];
+        if (isDialectWord(node, 'AUTO_INCREMENT') && !(nodes[nextDialectNode(nodes, i, 1)] && nodes[nextDialectNode(nodes, i, 1)].text === '=')) {
+          warn('AUTO_INCREMENT was dropped: an INTEGER PRIMARY KEY column gets automatic ids in SQLite');
+          if (isDialectFiller(output[output.length - 1])) output.pop();
+          continue;
+        }
+        if (isDialectWord(node, 'SERIAL', 'BIGSERIAL', 'SMALLSERIAL')) {
+          warn(node.text + ' became INTEGER: declare it PRIMARY KEY to get automatic ids in SQLite');
+          output.push(rawDialectNode('INTEGER'));
+          continue;
+        }
+        if (isDialectWord(node, 'INT') && !(next && next.type === 'group')) {
+          output.push(rawDialectNode('INTEGER'));
+          continue;
+        }
+        if (isDialectWord(node, 'UNSIGNED')) {
+          if (isDialectFiller(output[output.length - 1])) output.pop();
+          continue;
+        }
+        if (isDialectWord(node, 'IDENTITY') && next && next.type === 'group') {
+          warn('IDENTITY was dropped: an INTEGER PRIMARY KEY column gets automatic ids in SQLite');
+          if (isDialectFiller(output[output.length - 1])) output.pop();
+          i++;
+          continue;
+        }
+        if (isDialectWord(node, 'GENERATED')) {
+          const words = [];
+          let index = i;
+          while (index !== -1 && words.length < 5) {
+            words.push(nodes[index]);
+            index = nextDialectNode(nodes, index, 1);
+          }
+          const identity = words.findIndex(word => isDialectWord(word, 'IDENTITY'));
+          if (identity >= 3) {
+            warn('GENERATED ... AS IDENTITY was dropped: an INTEGER PRIMARY KEY column gets automatic ids in SQLite');
+            if (isDialectFiller(output[output.length - 1])) output.pop();
+            i = nodes.indexOf(words[identity], i);
+            continue;
+          }
+        }
+        if (isDialectWord(node, 'ENUM') && next && next.type === 'group') {
+          const column = output.slice().reverse().find(item => !isDialectFiller(item) && item.type !== 'raw');
+          output.push(rawDialectNode(column ? 'TEXT CHECK (' + column.text + ' IN (' + dialectText(next.children) + '))' : 'TEXT'));
+          i++;
+          continue;
+        }
+        if (isDialectWord(node, 'NVARCHAR', 'VARCHAR') && next && next.type === 'group' && /^\s*MAX\s*$/i.test(dialectText(next.children))) {
+          output.push(rawDialectNode('TEXT'));
+          i++;
+          continue;
+        }
+        output.push(node);
+      }
+      return output;
+    };
+  }
+
+  // MySQL table options after the column list (ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 ...)
+  function dropTableOptions(nodes, warn) {
+    const output = nodes.slice();
+    for (let i = 0; i < output.length; i++) {
+      if (!(isDialectWord(output[i], 'CREATE') && isDialectWord(output[nextDialectNode(output, i, 1)], 'TABLE'))) continue;
+      const group = output.findIndex((node, index) => index > i && node.type === 'group');
+      if (group === -1) continue;
+      let end = output.findIndex((node, index) => index > group && node.type === 'punct' && node.text === ';');
+      if (end === -1) end = output.length;
+      const options = output.slice(group + 1, end);
+      if (options.some(node => !isDialectFiller(node))) {
+        warn('Table options after the column list (' + dialectText(options).trim() + ') were dropped');
+        output.splice(group + 1, end - group - 1);
+      }
+    }
+    return output;
+  }
+
+  function translateToSQLite(sql, dialect, warn) {
+    const code = dialectCodeOnly(sql);
+    (DIALECT_UNSUPPORTED[dialect] || []).forEach(([construct, pattern]) => {
+      if (pattern.test(code)) warn(SQL_DIALECTS[dialect] + ' ' + construct + ' cannot run on SQLite');
+    });
+    const words = { TRUE: '1', FALSE: '0' };
+    if (dialect === 'postgresql') {
+      words.ILIKE = () => {
+        warn('ILIKE ran as LIKE, which already ignores case for ASCII text in SQLite');
+        return 'LIKE';
+      };
+    }
+    const rules = [
+      // N'text' and E'text' prefixes (the shared tokenizer reads them as a word touching the string)
+      (nodes) => nodes.filter((node, index) => !(isDialectWord(node, 'N', 'E') && nodes[index + 1] && nodes[index + 1].type === 'string' && nodes[index + 1].start === node.end)),
+      (nodes) => nodes.map(node => {
+        if (node.type === 'quoted' && node.text[0] !== '"') return rawDialectNode('"' + SQLGrammar.identifierName(node).replace(/"/g, '""') + '"');
+        return node;
+      }),
+      dialectWordRule(words),
+      dialectFunctionRule(dialectToSQLiteFunctions(dialect, warn))
+    ];
+    if (dialect === 'postgresql') rules.push(postgresCastRule);
+    if (dialect !== 'sqlserver') rules.push(intervalRule(warn));
+    if (dialect === 'sqlserver') rules.push(plusConcatRule, topToLimitRule);
+    rules.push(fetchToLimitRule, createTableToSQLiteRule(dialect, warn));
+    let nodes = rewriteDialectNodes(SQLGrammar.buildTokenTree(SQLGrammar.tokenizeSQL(sql)), rules);
+    if (dialect === 'mysql') nodes = dropTableOptions(nodes, warn);
+    return dialectText(nodes);
+  }
+
+  // ---- SQLite -> another dialect (the "show in dialect" view) ----
+
+  function sqliteToDialectFunctions(dialect, warn) {
+    const pick = (choices) => choices[dialect];
+    const now = pick({ postgresql: 'NOW()', mysql: 'NOW()', sqlserver: 'GETDATE()' });
+    const today = pick({ postgresql: 'CURRENT_DATE', mysql: 'CURDATE()', sqlserver: 'CAST(GETDATE() AS DATE)' });
+    const isNow = (value) => /^'now'$/i.test(value);
+    const castTo = (value, type) => 'CAST(' + value + ' AS ' + type + ')';
+    const addInterval = (value, modifier, asDate) => {
+      const match = String(modifier).match(/^'\s*([-+]?\d+)\s+(year|month|day|hour|minute|second)s?\s*'$/i);
+      if (!match) return null;
+      const amount = Number(match[1]);
+      const unit = match[2].toLowerCase();
+      if (dialect === 'postgresql') return '(' + (asDate ? castTo(value, 'DATE') : castTo(value, 'TIMESTAMP')) + ' ' + (amount < 0 ? '-' : '+') + " INTERVAL '" + Math.abs(amount) + ' ' + unit + "s')";
+      if (dialect === 'mysql') return 'DATE_ADD(' + value + ', INTERVAL ' + amount + ' ' + unit.toUpperCase() + ')';
+      return 'DATEADD(' + unit + ', ' + amount + ', ' + value + ')';
+    };
+    const startOf = (value, unit) => pick({
+      postgresql: "CAST(DATE_TRUNC('" + unit + "', " + value + ') AS DATE)',
+      mysql: unit === 'month' ? "DATE_FORMAT(" + value + ", '%Y-%m-01')" : "DATE_FORMAT(" + value + ", '%Y-01-01')",
+      sqlserver: unit === 'month' ? 'DATEFROMPARTS(YEAR(' + value + '), MONTH(' + value + '), 1)' : 'DATEFROMPARTS(YEAR(' + value + '), 1, 1)'
+    });
+    const dateCall = (asDate) => (args) => {
+      if (args.length === 0) return null;
+      const value = isNow(args[0]) ? (asDate ? today : now) : args[0];
+      if (args.length === 1) return isNow(args[0]) ? value : castTo(value, asDate ? 'DATE' : pick({ postgresql: 'TIMESTAMP', mysql: 'DATETIME', sqlserver: 'DATETIME2' }));
+      if (args.length === 2) {
+        const start = args[1].match(/^'start of (month|year)'$/i);
+        if (start) return startOf(value, start[1].toLowerCase());
+        const added = addInterval(value, args[1], asDate);
+        if (added) return added;
+      }
+      warn((asDate ? 'date' : 'datetime') + '() with the modifiers ' + args.slice(1).join(', ') + ' has no direct ' + SQL_DIALECTS[dialect] + ' equivalent');
+      return null;
+    };
+    const extract = (code, value) => {
+      const part = { '%Y': 'YEAR', '%m': 'MONTH', '%d': 'DAY', '%H': 'HOUR', '%M': 'MINUTE', '%S': 'SECOND' }[code];
+      if (code === '%w') return pick({ postgresql: 'EXTRACT(DOW FROM ' + value + ')', mysql: '(DAYOFWEEK(' + value + ') - 1)', sqlserver: '(DATEPART(weekday, ' + value + ') - 1)' });
+      if (!part) return null;
+      if (dialect === 'postgresql') return 'EXTRACT(' + part + ' FROM ' + value + ')';
+      if (dialect === 'mysql' || ['YEAR', 'MONTH', 'DAY'].includes(part)) return part + '(' + value + ')';
+      return 'DATEPART(' + part.toLowerCase() + ', ' + value + ')';
+    };
+
+    return {
+      DATETIME: dateCall(false),
+      DATE: dateCall(true),
+      STRFTIME: (args) => {
+        if (args.length < 2) return null;
+        const value = isNow(args[1]) ? now : args[1];
+        const single = args[0].match(/^'(%[A-Za-z])'$/);
+        if (single && extract(single[1], value)) return extract(single[1], value);
+        const format = convertDateFormat(args[0], DIALECT_DATE_FORMATS[dialect], warn);
+        if (!format) return null;
+        return pick({ postgresql: 'TO_CHAR(' + value + ', ' + format + ')', mysql: 'DATE_FORMAT(' + value + ', ' + format + ')', sqlserver: 'FORMAT(' + value + ', ' + format + ')' });
+      },
+      JULIANDAY: () => {
+        warn('julianday() has no ' + SQL_DIALECTS[dialect] + ' equivalent outside julianday(a) - julianday(b)');
+        return null;
+      },
+      IFNULL: (args) => pick({ postgresql: 'COALESCE', mysql: 'IFNULL', sqlserver: 'ISNULL' }) + '(' + args.join(', ') + ')',
+      IIF: (args) => (args.length === 3 && dialect !== 'sqlserver' ? 'CASE WHEN ' + args[0] + ' THEN ' + args[1] + ' ELSE ' + args[2] + ' END' : null),
+      GROUP_CONCAT: (args) => {
+        const separator = args[1] || "','";
+        if (dialect === 'mysql') return args.length === 2 ? 'GROUP_CONCAT(' + args[0] + ' SEPARATOR ' + separator + ')' : null;
+        return 'STRING_AGG(' + args[0] + ', ' + separator + ')';
+      },
+      LENGTH: (args) => (dialect === 'sqlserver' ? 'LEN(' + args.join(', ') + ')' : dialect === 'mysql' ? 'CHAR_LENGTH(' + args.join(', ') + ')' : null),
+      SUBSTR: (args) => 'SUBSTRING(' + args.join(', ') + ')',
+      INSTR: (args) => (args.length === 2 ? pick({ postgresql: 'POSITION(' + args[1] + ' IN ' + args[0] + ')', mysql: 'INSTR(' + args[0] + ', ' + args[1] + ')', sqlserver: 'CHARINDEX(' + args[1] + ', ' + args[0] + ')' }) : null),
+      RANDOM: () => pick({ postgresql: 'RANDOM()', mysql: 'RAND()', sqlserver: 'NEWID()' }),
+      MAX: (args) => (args.length > 1 ? 'GREATEST(' + args.join(', ') + ')' : null),
+      MIN: (args) => (args.length > 1 ? 'LEAST(' + args.join(', ') + ')' : null),
+      CAST: (args) => {
+        const match = args.length === 1 && args[0].match(/^([\s\S]+)\s+AS\s+(INTEGER|INT|REAL|TEXT)$/i);
+        if (!match) return null;
+        const type = match[2].toUpperCase();
+        const types = {
+          INTEGER: { postgresql: 'INTEGER', mysql: 'SIGNED', sqlserver: 'INT' },
+          INT: { postgresql: 'INTEGER', mysql: 'SIGNED', sqlserver: 'INT' },
+          REAL: { postgresql: 'DOUBLE PRECISION', mysql: 'DOUBLE', sqlserver: 'FLOAT' },
+          TEXT: { postgresql: 'TEXT', mysql: 'CHAR', sqlserver: 'NVARCHAR(MAX)' }
+        };
+        return castTo(match[1], types[type][dialect]);
+      }
+    };
+  }
+
+  // julianday(a) - julianday(b) -> the dialect's difference in days
+  function julianDifferenceRule(dialect) {
+    return (nodes) => {
+      const output = nodes.slice();
+      for (let i = 0; i < output.length; i++) {
+        if (!(isDialectWord(output[i], 'JULIANDAY') && output[i + 1] && output[i + 1].type === 'group')) continue;
+        const op = nextDialectNode(output, i + 1, 1);
+        const other = nextDialectNode(output, op, 1);
+        if (op === -1 || other === -1 || output[op].text !== '-' || !isDialectWord(output[other], 'JULIANDAY') || !(output[other + 1] && output[other + 1].type === 'group')) continue;
+        const later = dialectText(output[i + 1].children).trim();
+        const earlier = dialectText(output[other + 1].children).trim();
+        const difference = {
+          postgresql: '(CAST(' + later + ' AS DATE) - CAST(' + earlier + ' AS DATE))',
+          mysql: 'DATEDIFF(' + later + ', ' + earlier + ')',
+          sqlserver: 'DATEDIFF(day, ' + earlier + ', ' + later + ')'
+        }[dialect];
+        output.splice(i, other + 2 - i, rawDialectNode(difference));
+      }
+      return output;
+    };
+  }
+
+  // a || b || c -> CONCAT(a, b, c) for MySQL (where || means OR) and SQL Server
+  function concatChainRule(nodes) {
+    const output = nodes.slice();
+    for (let i = 0; i < output.length; i++) {
+      if (!(output[i].type === 'op' && output[i].text === '||')) continue;
+      const firstEnd = nextDialectNode(output, i, -1);
+      if (firstEnd === -1 || !isDialectOperand(output[firstEnd])) continue;
+      const start = dialectOperandStart(output, firstEnd);
+      const parts = [dialectText(output.slice(start, firstEnd + 1))];
+      let end = firstEnd;
+      let opIndex = i;
+      while (opIndex !== -1 && output[opIndex].type === 'op' && output[opIndex].text === '||') {
+        const operandStart = nextDialectNode(output, opIndex, 1);
+        if (operandStart === -1 || !isDialectOperand(output[operandStart])) break;
+        end = dialectOperandEnd(output, operandStart);
+        parts.push(dialectText(output.slice(operandStart, end + 1)));
+        opIndex = nextDialectNode(output, end, 1);
+      }
+      if (parts.length < 2) continue;
+      output.splice(start, end - start + 1, rawDialectNode('CONCAT(' + parts.join(', ') + ')'));
+      i = start;
+    }
+    return output;
+  }
+
+  // LIMIT n [OFFSET m] / LIMIT m, n -> TOP n or OFFSET m ROWS FETCH NEXT n ROWS ONLY
+  function limitToSQLServerRule(warn) {
+    return (nodes) => {
+      const output = nodes.slice();
+      for (let i = 0; i < output.length; i++) {
+        if (!isDialectWord(output[i], 'LIMIT')) continue;
+        const countIndex = nextDialectNode(output, i, 1);
+        if (countIndex === -1) continue;
+        let count = dialectText([output[countIndex]]);
+        let offset = null;
+        let end = countIndex;
+        const after = nextDialectNode(output, countIndex, 1);
+        if (after !== -1 && output[after].type === 'punct' && output[after].text === ',') {
+          const second = nextDialectNode(output, after, 1);
+          offset = count;
+          count = dialectText([output[second]]);
+          end = second;
+        } else if (isDialectWord(output[after], 'OFFSET')) {
+          end = nextDialectNode(output, after, 1);
+          offset = dialectText([output[end]]);
+        }
+        let selectIndex = -1;
+        for (let j = i - 1; j >= 0; j--) {
+          if (isDialectWord(output[j], 'SELECT')) {
+            selectIndex = j;
+            break;
+          }
+          if (output[j].type === 'punct' && output[j].text === ';') break;
+        }
+        if (offset === null && selectIndex !== -1) {
+          let insertAt = nextDialectNode(output, selectIndex, 1);
+          if (isDialectWord(output[insertAt], 'DISTINCT', 'ALL')) insertAt = nextDialectNode(output, insertAt, 1);
+          output.splice(i, end - i + 1);
+          if (isDialectFiller(output[i - 1]) && output[i - 1].type === 'space') output.splice(i - 1, 1);
+          output.splice(insertAt, 0, rawDialectNode('TOP ' + count + ' '));
+          i = insertAt;
+          continue;
+        }
+        const ordered = output.slice(selectIndex === -1 ? 0 : selectIndex, i).some(node => isDialectWord(node, 'ORDER'));
+        if (!ordered) warn('SQL Server only allows OFFSET ... FETCH after ORDER BY; add one to this query');
+        output.splice(i, end - i + 1, rawDialectNode('OFFSET ' + (offset === null ? '0' : offset) + ' ROWS FETCH NEXT ' + count + ' ROWS ONLY'));
+      }
+      return output;
+    };
+  }
+
+  // MySQL LIMIT m, n is not valid PostgreSQL
+  function limitCommaRule(nodes) {
+    const output = nodes.slice();
+    for (let i = 0; i < output.length; i++) {
+      if (!isDialectWord(output[i], 'LIMIT')) continue;
+      const first = nextDialectNode(output, i, 1);
+      const comma = nextDialectNode(output, first, 1);
+      const second = nextDialectNode(output, comma, 1);
+      if (first === -1 || comma === -1 || second === -1 || !(output[comma].type === 'punct' && output[comma].text === ',')) continue;
+      output.splice(i, second - i + 1, rawDialectNode('LIMIT ' + dialectText([output[second]]) + ' OFFSET ' + dialectText([output[first]])));
+    }
+    return output;
+  }
+
+  // Whether the group at `index` is the column list of a CREATE TABLE statement
+  function isColumnListGroup(nodes, index) {
+    let j = nextDialectNode(nodes, index, -1);
+    for (let step = 0; step < 6 && j !== -1; step++) {
+      const node = nodes[j];
+      if (node.type === 'group' || (node.type === 'punct' && node.text === ';')) return false;
+      if (isDialectWord(node, 'TABLE')) {
+        let before = nextDialectNode(nodes, j, -1);
+        if (isDialectWord(nodes[before], 'TEMP', 'TEMPORARY')) before = nextDialectNode(nodes, before, -1);
+        return isDialectWord(nodes[before], 'CREATE');
+      }
+      j = nextDialectNode(nodes, j, -1);
+    }
+    return false;
+  }
+
+  // Column types and auto-increment keys in CREATE TABLE column lists
+  function createTableFromSQLiteRule(dialect, warn) {
+    const types = {
+      TEXT: { mysql: 'VARCHAR(255)', sqlserver: 'NVARCHAR(255)' },
+      REAL: { postgresql: 'DOUBLE PRECISION', mysql: 'DOUBLE', sqlserver: 'FLOAT' },
+      BLOB: { postgresql: 'BYTEA', sqlserver: 'VARBINARY(MAX)' },
+      DATETIME: { postgresql: 'TIMESTAMP', sqlserver: 'DATETIME2' },
+      BOOLEAN: { sqlserver: 'BIT' }
+    };
+    const autoKey = { postgresql: 'SERIAL PRIMARY KEY', mysql: 'INT AUTO_INCREMENT PRIMARY KEY', sqlserver: 'INT IDENTITY(1,1) PRIMARY KEY' }[dialect];
+    const constraintWords = ['PRIMARY', 'FOREIGN', 'UNIQUE', 'CHECK', 'CONSTRAINT'];
+
+    const rewriteColumn = (column) => {
+      const name = nextDialectNode(column, -1, 1);
+      if (name === -1 || isDialectWord(column[name], ...constraintWords)) return column;
+      const type = nextDialectNode(column, name, 1);
+      if (type === -1 || column[type].type !== 'word') return column;
+      const output = column.slice();
+      const primary = nextDialectNode(output, type, 1);
+      const key = primary === -1 ? -1 : nextDialectNode(output, primary, 1);
+      if (isDialectWord(output[type], 'INTEGER', 'INT') && isDialectWord(output[primary], 'PRIMARY') && isDialectWord(output[key], 'KEY')) {
+        const auto = nextDialectNode(output, key, 1);
+        const end = isDialectWord(output[auto], 'AUTOINCREMENT') ? auto : key;
+        output.splice(type, end - type + 1, rawDialectNode(autoKey));
+        return output;
+      }
+      const mapped = types[output[type].upper] && types[output[type].upper][dialect];
+      if (mapped && !(output[type + 1] && output[type + 1].type === 'group')) {
+        if (output[type].upper === 'TEXT') warn('TEXT columns became ' + mapped + ' so they can be indexed and UNIQUE');
+        output[type] = rawDialectNode(mapped);
+      }
+      return output;
+    };
+
+    return (nodes) => nodes.map((node, index) => {
+      if (node.type !== 'group' || !isColumnListGroup(nodes, index)) return node;
+      const columns = [[]];
+      node.children.forEach(child => {
+        if (child.type === 'punct' && child.text === ',') columns.push([]);
+        else columns[columns.length - 1].push(child);
+      });
+      const children = [];
+      columns.forEach((column, columnIndex) => {
+        if (columnIndex > 0) children.push({ type: 'punct', text: ',' });
+        children.push(...rewriteColumn(column));
+      });
+      return { ...node, children };
+    });
+  }
+
+  // SQL with string literals and comments blanked out, for spotting constructs by pattern
+  function dialectCodeOnly(sql) {
+    return SQLGrammar.tokenizeSQL(sql).map(token => (token.type === 'string' || token.type === 'comment' ? ' ' : token.text)).join('');
+  }
+
+  function translateFromSQLite(sql, dialect, warn) {
+    const code = dialectCodeOnly(sql);
+    SQLITE_ONLY_CONSTRUCTS.forEach(([construct, pattern]) => {
+      if (pattern.test(code)) warn('SQLite ' + construct + ' has no ' + SQL_DIALECTS[dialect] + ' equivalent');
+    });
+    if (/\bINSERT\s+OR\s+(IGNORE|REPLACE)\b/i.test(code) && dialect !== 'mysql') {
+      warn('INSERT OR IGNORE / REPLACE needs ' + (dialect === 'postgresql' ? 'ON CONFLICT' : 'MERGE') + ' in ' + SQL_DIALECTS[dialect]);
+    }
+    const quote = { mysql: ['`', '`'], sqlserver: ['[', ']'] }[dialect];
+    const words = {};
+    if (dialect === 'sqlserver') Object.assign(words, { TRUE: '1', FALSE: '0' });
+    if (dialect === 'postgresql') {
+      words.LIKE = () => {
+        warn('LIKE became ILIKE to keep SQLite\'s case-insensitive matching');
+        return 'ILIKE';
+      };
+    }
+    const rules = [
+      (nodes) => nodes.map(node => {
+        if (quote && node.type === 'quoted' && node.text[0] === '"') return rawDialectNode(quote[0] + SQLGrammar.identifierName(node).split(quote[1]).join(quote[1] + quote[1]) + quote[1]);
+        return node;
+      }),
+      dialectWordRule(words),
+      julianDifferenceRule(dialect),
+      dialectFunctionRule(sqliteToDialectFunctions(dialect, warn))
+    ];
+    if (dialect === 'mysql') {
+      rules.push((nodes) => {
+        const output = nodes.slice();
+        for (let i = 0; i < output.length; i++) {
+          if (isDialectWord(output[i], 'INSERT') && isDialectWord(output[nextDialectNode(output, i, 1)], 'OR')) {
+            const orIndex = nextDialectNode(output, i, 1);
+            const mode = nextDialectNode(output, orIndex, 1);
+            if (isDialectWord(output[mode], 'IGNORE')) output.splice(orIndex, mode - orIndex + 1, rawDialectNode('IGNORE'));
+            if (isDialectWord(output[mode], 'REPLACE')) output.splice(i, mode - i + 1, rawDialectNode('REPLACE'));
+          }
+        }
+        return output;
+      });
+    }
+    if (dialect === 'mysql' || dialect === 'sqlserver') rules.push(concatChainRule);
+    if (dialect === 'sqlserver') rules.push(limitToSQLServerRule(warn));
+    if (dialect === 'postgresql') rules.push(limitCommaRule);
+    rules.push(createTableFromSQLiteRule(dialect, warn));
+    return dialectText(rewriteDialectNodes(SQLGrammar.buildTokenTree(SQLGrammar.tokenizeSQL(sql)), rules));
+  }
+
+  // Translate between any two dialects through SQLite. Returns { sql, warnings }.
+  function translateSQL(sql, from, to) {
+    const warnings = [];
+    const warn = (message) => {
+      if (!warnings.includes(message)) warnings.push(message);
+    };
+    let translated = sql;
+    if (from !== to && from !== 'sqlite') translated = translateToSQLite(translated, from, warn);
+    if (from !== to && to !== 'sqlite') translated = translateFromSQLite(translated, to, warn);
+    return { sql: translated, warnings };
+  }
+
+  return {
+    SQL_DIALECTS,
+    translateSQL
+  };
+}
+
+export const {
+  SQL_DIALECTS,
+  translateSQL
+} = createSQLDialects(createSQLGrammar());
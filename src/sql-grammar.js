@@ -0,0 +1,871 @@
+// SQLite-grammar tokenizer and statement parser: statement splitting, CREATE TABLE parsing, the
+// formatter and the error locator. The static page loads it as a module; the page the Worker serves
+// inlines createSQLGrammar() itself, so the function must not use anything outside its own body.
+
+export function createSQLGrammar() {
+  const TOKEN_RULES = [
+    ['space', /\s+/y],
+    ['comment', /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['blob', /[Xx]'[0-9A-Fa-f]*'/y],
+    ['string', /'(?:[^']|'')*'?/y],
+    ['quoted', /"(?:[^"]|"")*"?|`(?:[^`]|``)*`?|\[[^\]]*\]?/y],
+    ['number', /0[xX][0-9A-Fa-f]+|(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?/y],
+    ['param', /\?\d*|[:@$][A-Za-z0-9_]+/y],
+    ['word', /[A-Za-z_\u00C0-\uFFFF][\w\u00C0-\uFFFF$]*/y],
+    // :: is not SQLite, but reading it as one operator keeps PostgreSQL casts apart from :name parameters
+    ['op', /->>|->|::|\|\||<<|>>|<=|>=|==|!=|<>|[-+*/%<>=~&|]/y],
+    ['punct', /[(),;.]/y],
+    ['other', /[\s\S]/y]
+  ];
+
+  // SQLite's keyword list, plus TRUE and FALSE
+  const SQLITE_KEYWORDS = new Set(('ABORT ACTION ADD AFTER ALL ALTER ALWAYS ANALYZE AND AS ASC ATTACH AUTOINCREMENT BEFORE BEGIN ' +
+    'BETWEEN BY CASCADE CASE CAST CHECK COLLATE COLUMN COMMIT CONFLICT CONSTRAINT CREATE CROSS CURRENT CURRENT_DATE ' +
+    'CURRENT_TIME CURRENT_TIMESTAMP DATABASE DEFAULT DEFERRABLE DEFERRED DELETE DESC DETACH DISTINCT DO DROP EACH ELSE ' +
+    'END ESCAPE EXCEPT EXCLUDE EXCLUSIVE EXISTS EXPLAIN FAIL FALSE FILTER FIRST FOLLOWING FOR FOREIGN FROM FULL GENERATED ' +
+    'GLOB GROUP GROUPS HAVING IF IGNORE IMMEDIATE IN INDEX INDEXED INITIALLY INNER INSERT INSTEAD INTERSECT INTO IS ' +
+    'ISNULL JOIN KEY LAST LEFT LIKE LIMIT MATCH MATERIALIZED NATURAL NO NOT NOTHING NOTNULL NULL NULLS OF OFFSET ON OR ' +
+    'ORDER OTHERS OUTER OVER PARTITION PLAN PRAGMA PRECEDING PRIMARY QUERY RAISE RANGE RECURSIVE REFERENCES REGEXP ' +
+    'REINDEX RELEASE RENAME REPLACE RESTRICT RETURNING RIGHT ROLLBACK ROW ROWS SAVEPOINT SELECT SET TABLE TEMP TEMPORARY ' +
+    'THEN TIES TO TRANSACTION TRIGGER TRUE UNBOUNDED UNION UNIQUE UPDATE USING VACUUM VALUES VIEW VIRTUAL WHEN WHERE ' +
+    'WINDOW WITH WITHOUT').split(' '));
+
+  // Tokens carry their source offsets; strings, quoted names and block comments missing their
+  // closing quote run to the end of the input and are marked unterminated
+  function tokenizeSQL(sql) {
+    const tokens = [];
+    let position = 0;
+    while (position < sql.length) {
+      for (const [type, pattern] of TOKEN_RULES) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(sql);
+        if (!match || match[0].length === 0) continue;
+        const text = match[0];
+        const token = { type, text, upper: type === 'word' ? text.toUpperCase() : null, start: position, end: position + text.length };
+        if ((type === 'string' && !/.'$/.test(text)) ||
+          (type === 'quoted' && (text.length < 2 || text.charAt(text.length - 1) !== { '"': '"', '`': '`', '[': ']' }[text.charAt(0)])) ||
+          (type === 'comment' && text.startsWith('/*') && !/.\*\/$/.test(text.slice(1)))) {
+          token.unterminated = true;
+        }
+        tokens.push(token);
+        position = token.end;
+        break;
+      }
+    }
+    return tokens;
+  }
+
+  function isCodeToken(token) {
+    return token.type !== 'space' && token.type !== 'comment';
+  }
+
+  // Name of an identifier token without its quotes
+  function identifierName(token) {
+    if (token.type !== 'quoted') return token.text;
+    const quote = token.text.charAt(0);
+    const body = token.text.slice(1, token.unterminated ? token.text.length : -1);
+    if (quote === '[') return body;
+    return body.split(quote + quote).join(quote);
+  }
+
+  // Nest tokens by parentheses: groups are { type: 'group', open, close, children }
+  function buildTokenTree(tokens) {
+    const root = [];
+    const stack = [root];
+    const groups = [];
+    tokens.forEach(token => {
+      const level = stack[stack.length - 1];
+      if (token.type === 'punct' && token.text === '(') {
+        const group = { type: 'group', open: token, close: null, children: [] };
+        level.push(group);
+        stack.push(group.children);
+        groups.push(group);
+      } else if (token.type === 'punct' && token.text === ')' && stack.length > 1) {
+        stack.pop();
+        groups.pop().close = token;
+      } else {
+        level.push(token);
+      }
+    });
+    return root;
+  }
+
+  // Leading words of a statement that say what it does, e.g. "SELECT", "CREATE TABLE", "CREATE TRIGGER"
+  function statementKind(codeTokens) {
+    const words = [];
+    for (const token of codeTokens) {
+      if (token.type !== 'word') break;
+      words.push(token.upper);
+      if (words.length === 4) break;
+    }
+    if (words[0] === 'CREATE') {
+      const object = words.slice(1).find(word => !['TEMP', 'TEMPORARY', 'UNIQUE', 'VIRTUAL'].includes(word));
+      return object ? 'CREATE ' + object : 'CREATE';
+    }
+    if (words[0] === 'WITH') {
+      // The statement the common table expressions feed: the first of these outside parentheses
+      let depth = 0;
+      for (const token of codeTokens) {
+        if (token.text === '(') depth++;
+        else if (token.text === ')') depth--;
+        else if (depth === 0 && ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'VALUES'].includes(token.upper)) return token.upper;
+      }
+      return 'SELECT';
+    }
+    return words[0] || (codeTokens[0] ? codeTokens[0].text : '');
+  }
+
+  // Split a script into statements at semicolons outside parentheses and outside the BEGIN ... END
+  // body of CREATE TRIGGER. Comment-only stretches are dropped. Each statement is
+  // { text, start, end, kind, tokens } with offsets into the script; text ends with its semicolon when it has one.
+  function splitSQLStatements(sql, tokens = tokenizeSQL(sql)) {
+    const statements = [];
+    let current = [];
+    let depth = 0;
+    let blockDepth = 0;
+    let caseDepth = 0;
+    let trigger = false;
+
+    const finish = () => {
+      const code = current.filter(isCodeToken);
+      if (code.length > 0 && !(code.length === 1 && code[0].text === ';')) {
+        const start = code[0].start;
+        const end = code[code.length - 1].end;
+        statements.push({
+          text: sql.slice(start, end),
+          start,
+          end,
+          kind: statementKind(code),
+          tokens: current.filter(token => token.start >= start && token.end <= end)
+        });
+      }
+      current = [];
+      depth = 0;
+      blockDepth = 0;
+      caseDepth = 0;
+      trigger = false;
+    };
+
+    tokens.forEach(token => {
+      current.push(token);
+      if (token.type === 'punct') {
+        if (token.text === '(') depth++;
+        if (token.text === ')' && depth > 0) depth--;
+        if (token.text === ';' && depth === 0 && blockDepth === 0) finish();
+        return;
+      }
+      if (token.type !== 'word') return;
+      if (token.upper === 'TRIGGER' && !trigger) {
+        const words = current.filter(isCodeToken).map(item => item.upper);
+        trigger = words[0] === 'CREATE' && words.indexOf('TRIGGER') <= 2;
+      } else if (trigger && token.upper === 'BEGIN' && blockDepth === 0 && depth === 0) {
+        blockDepth = 1;
+      } else if (token.upper === 'CASE') {
+        caseDepth++;
+      } else if (token.upper === 'END') {
+        if (caseDepth > 0) caseDepth--;
+        else if (blockDepth > 0) blockDepth--;
+      }
+    });
+    finish();
+    return statements;
+  }
+
+  const COLUMN_CONSTRAINT_WORDS = ['CONSTRAINT', 'PRIMARY', 'NOT', 'NULL', 'UNIQUE', 'CHECK', 'DEFAULT', 'COLLATE', 'REFERENCES', 'GENERATED', 'AS'];
+
+  // Source text of tree nodes with normalized spacing, e.g. "VARCHAR(20)" or "CHECK (price > 0)"
+  function nodeText(nodes) {
+    let text = '';
+    let previous = null;
+    let beforePrevious = null;
+    nodes.forEach(node => {
+      const part = node.type === 'group' ? '(' + nodeText(node.children) + ')' : node.text;
+      const spaced = previous !== null && ![',', ')', '.'].includes(part) && previous.text !== '.' && previous.text !== '(' &&
+        !(previous.type === 'op' && isUnaryOperator(previous, beforePrevious)) &&
+        (node.type !== 'group' || (previous.type === 'word' && SQLITE_KEYWORDS.has(previous.upper)));
+      text += (spaced ? ' ' : '') + part;
+      beforePrevious = previous;
+      previous = node;
+    });
+    return text;
+  }
+
+  function groupNames(group) {
+    return group ? group.children.filter(node => node.type === 'word' || node.type === 'quoted').map(identifierName) : [];
+  }
+
+  // REFERENCES table [(columns)] starting at nodes[index]
+  function readReferences(nodes, index) {
+    const table = nodes[index + 1];
+    if (!table || (table.type !== 'word' && table.type !== 'quoted')) return null;
+    const next = nodes[index + 2];
+    return { table: identifierName(table), columns: next && next.type === 'group' ? groupNames(next) : [] };
+  }
+
+  // Columns and constraints of a CREATE TABLE statement (a statement from splitSQLStatements() or its
+  // text), or null for anything else. CREATE TABLE ... AS SELECT has no column list: asSelect is set.
+  function parseCreateTable(statement) {
+    const source = typeof statement === 'string' ? splitSQLStatements(statement)[0] : statement;
+    if (!source || source.kind !== 'CREATE TABLE') return null;
+    const nodes = buildTokenTree(source.tokens.filter(isCodeToken));
+    let index = nodes.findIndex(node => node.upper === 'TABLE') + 1;
+    const table = {
+      name: null,
+      schema: null,
+      temporary: nodes.some((node, i) => i < index && (node.upper === 'TEMP' || node.upper === 'TEMPORARY')),
+      ifNotExists: false,
+      columns: [],
+      constraints: [],
+      withoutRowid: false,
+      strict: false,
+      asSelect: false
+    };
+    if (nodes[index] && nodes[index].upper === 'IF') {
+      table.ifNotExists = true;
+      index += 3;
+    }
+    if (nodes[index + 1] && nodes[index + 1].text === '.') {
+      table.schema = identifierName(nodes[index]);
+      index += 2;
+    }
+    if (!nodes[index] || nodes[index].type === 'group') return null;
+    table.name = identifierName(nodes[index]);
+    const definition = nodes[index + 1];
+    if (!definition || definition.type !== 'group') {
+      table.asSelect = Boolean(definition && definition.upper === 'AS');
+      return table;
+    }
+    const options = nodes.slice(index + 2).filter(node => node.type === 'word').map(node => node.upper);
+    table.withoutRowid = options.includes('WITHOUT');
+    table.strict = options.includes('STRICT');
+
+    const items = [[]];
+    definition.children.forEach(node => {
+      if (node.text === ',') items.push([]);
+      else items[items.length - 1].push(node);
+    });
+    items.filter(item => item.length > 0).forEach(item => {
+      let first = 0;
+      if (item[0].upper === 'CONSTRAINT') first = 2;
+      const head = item[first] ? item[first].upper : null;
+      if (['PRIMARY', 'UNIQUE', 'CHECK', 'FOREIGN'].includes(head)) {
+        const group = item.slice(first).find(node => node.type === 'group');
+        const constraint = {
+          type: head === 'PRIMARY' ? 'PRIMARY KEY' : head === 'FOREIGN' ? 'FOREIGN KEY' : head,
+          columns: head === 'CHECK' ? [] : groupNames(group),
+          references: null,
+          definition: nodeText(item)
+        };
+        const referencesAt = item.findIndex(node => node.upper === 'REFERENCES');
+        if (referencesAt !== -1) constraint.references = readReferences(item, referencesAt);
+        table.constraints.push(constraint);
+        return;
+      }
+
+      const column = { name: identifierName(item[0]), type: '', primaryKey: false, notNull: false, unique: false, defaultValue: null, references: null, definition: nodeText(item) };
+      let position = 1;
+      const typeNodes = [];
+      while (position < item.length && !COLUMN_CONSTRAINT_WORDS.includes(item[position].upper)) {
+        typeNodes.push(item[position]);
+        position++;
+      }
+      column.type = nodeText(typeNodes);
+      for (; position < item.length; position++) {
+        const node = item[position];
+        const next = item[position + 1];
+        if (node.upper === 'PRIMARY') column.primaryKey = true;
+        else if (node.upper === 'NOT' && next && next.upper === 'NULL') column.notNull = true;
+        else if (node.upper === 'UNIQUE') column.unique = true;
+        else if (node.upper === 'REFERENCES') column.references = readReferences(item, position);
+        else if (node.upper === 'DEFAULT' && next) {
+          const signed = (next.text === '-' || next.text === '+') && item[position + 2];
+          column.defaultValue = signed ? next.text + item[position + 2].text : nodeText([next]);
+        }
+      }
+      table.columns.push(column);
+    });
+
+    // Table-level PRIMARY KEY (a, b) and FOREIGN KEY (a) REFERENCES t (b) describe their columns too
+    table.constraints.forEach(constraint => {
+      constraint.columns.forEach(name => {
+        const column = table.columns.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+        if (!column) return;
+        if (constraint.type === 'PRIMARY KEY') column.primaryKey = true;
+        if (constraint.type === 'UNIQUE' && constraint.columns.length === 1) column.unique = true;
+        if (constraint.type === 'FOREIGN KEY' && constraint.references && !column.references) {
+          const position = constraint.columns.indexOf(name);
+          column.references = { table: constraint.references.table, columns: constraint.references.columns.slice(position, position + 1) };
+        }
+      });
+    });
+    return table;
+  }
+
+  // Every table a script creates, in order
+  function extractSchemaTables(sql) {
+    return splitSQLStatements(sql).map(parseCreateTable).filter(Boolean);
+  }
+
+  // ---- Formatter ----
+  // keywordCase: 'upper' | 'lower' | 'preserve'. layout: 'indented' (clauses flush, their contents
+  // indented) or 'river' (clause keywords right-aligned so their contents line up in one column).
+  // commaPosition: 'trailing' | 'leading'. lineWidth: lists, conditions and subqueries that fit stay
+  // on one line (0 breaks them always). cteIndent and subqueryIndent are the indents of the bodies
+  // of WITH name AS (...) and other parenthesised queries in the indented layout; the river layout
+  // hangs them after the parenthesis. alignJoinOn puts ON and its AND/OR on their own lines under JOIN.
+  const DEFAULT_FORMAT_STYLE = {
+    keywordCase: 'upper',
+    layout: 'indented',
+    commaPosition: 'trailing',
+    lineWidth: 80,
+    indentWidth: 2,
+    cteIndent: 2,
+    subqueryIndent: 2,
+    alignJoinOn: false
+  };
+  const FORMAT_PRESETS = {
+    standard: { label: 'Standard', style: {} },
+    river: { label: 'River', style: { layout: 'river' } },
+    commaFirst: { label: 'Comma-first', style: { commaPosition: 'leading', indentWidth: 4, cteIndent: 4, subqueryIndent: 4, alignJoinOn: true } },
+    expanded: { label: 'One item per line', style: { lineWidth: 0, alignJoinOn: true } },
+    compact: { label: 'Compact lower case', style: { keywordCase: 'lower', lineWidth: 120 } }
+  };
+  // Width of the river: clause keywords end at this column, their contents start one space later
+  const RIVER_WIDTH = 6;
+  // Keywords written like function calls, with no space before "("
+  const CALL_KEYWORDS = ['CAST', 'REPLACE', 'LIKE', 'GLOB', 'RAISE', 'MATCH', 'REGEXP'];
+  const CLAUSE_KEYWORDS = ['SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'WINDOW', 'VALUES', 'SET', 'RETURNING', 'UNION', 'EXCEPT', 'INTERSECT'];
+  // Clauses whose comma-separated items go one per line when they do not fit
+  const LIST_CLAUSES = ['SELECT', 'SET', 'RETURNING', 'VALUES', 'GROUP', 'ORDER'];
+  const JOIN_WORDS = ['JOIN', 'LEFT', 'RIGHT', 'FULL', 'INNER', 'CROSS', 'NATURAL', 'OUTER'];
+  // Statements laid out clause by clause; the others only get their spacing and keyword case normalized
+  const QUERY_KINDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'VALUES'];
+
+  // Defaults filled in and numbers kept in a usable range
+  function normalizeFormatStyle(options) {
+    const style = Object.assign({}, DEFAULT_FORMAT_STYLE, options);
+    const whole = (value, min, max, fallback) => {
+      const number = Math.round(Number(value));
+      return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+    };
+    if (!['upper', 'lower', 'preserve'].includes(style.keywordCase)) style.keywordCase = DEFAULT_FORMAT_STYLE.keywordCase;
+    if (!['indented', 'river'].includes(style.layout)) style.layout = DEFAULT_FORMAT_STYLE.layout;
+    if (!['trailing', 'leading'].includes(style.commaPosition)) style.commaPosition = DEFAULT_FORMAT_STYLE.commaPosition;
+    style.lineWidth = whole(style.lineWidth, 0, 400, DEFAULT_FORMAT_STYLE.lineWidth);
+    style.indentWidth = whole(style.indentWidth, 1, 8, DEFAULT_FORMAT_STYLE.indentWidth);
+    style.cteIndent = whole(style.cteIndent, 0, 8, DEFAULT_FORMAT_STYLE.cteIndent);
+    style.subqueryIndent = whole(style.subqueryIndent, 0, 8, DEFAULT_FORMAT_STYLE.subqueryIndent);
+    style.alignJoinOn = Boolean(style.alignJoinOn);
+    return style;
+  }
+
+  function createFormatWriter() {
+    const lines = [];
+    let text = '';
+    let indent = 0;
+    let previous = null;
+    let beforePrevious = null;
+    let breakPending = false;
+
+    const writer = {
+      get indent() {
+        return indent;
+      },
+      // Column the next token would start at (before any separating space)
+      get column() {
+        return text === '' ? indent : text.length;
+      },
+      newline(nextIndent) {
+        if (text.trim()) lines.push(text.replace(/\s+$/, ''));
+        indent = nextIndent === undefined ? indent : Math.max(0, nextIndent);
+        text = '';
+        previous = null;
+        breakPending = false;
+      },
+      blankLine() {
+        writer.newline(0);
+        if (lines.length > 0 && lines[lines.length - 1] !== '') lines.push('');
+      },
+      // A line comment ends the line: whatever comes next starts a new one at the same indent
+      breakAfter() {
+        breakPending = true;
+      },
+      write(token, output) {
+        if (breakPending) writer.newline();
+        if (text === '') {
+          text = ' '.repeat(indent);
+        } else if (needsSpace(previous, beforePrevious, token)) {
+          text += ' ';
+        }
+        text += output === undefined ? token.text : output;
+        beforePrevious = previous;
+        previous = token;
+      },
+      finish() {
+        writer.newline();
+        while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+        return lines.join('\n');
+      }
+    };
+    return writer;
+  }
+
+  function isUnaryOperator(token, before) {
+    if (token.text === '~') return true;
+    if (token.text !== '-' && token.text !== '+') return false;
+    return !before || before.type === 'op' || (before.type === 'punct' && before.text !== ')') || (before.type === 'word' && SQLITE_KEYWORDS.has(before.upper));
+  }
+
+  function needsSpace(previous, beforePrevious, token) {
+    if (!previous) return false;
+    if (token.type === 'punct' && [',', ';', ')', '.'].includes(token.text)) return false;
+    if (previous.type === 'punct' && (previous.text === '(' || previous.text === '.')) return false;
+    if (previous.type === 'op' && isUnaryOperator(previous, beforePrevious)) return false;
+    if (token.text === '(') {
+      if (previous.type === 'word' && SQLITE_KEYWORDS.has(previous.upper)) return !CALL_KEYWORDS.includes(previous.upper);
+      // Function calls keep "name(" and table column lists keep "name (", as written
+      if (previous.type === 'word' || previous.type === 'quoted') return Boolean(token.spaceBefore);
+    }
+    return true;
+  }
+
+  function keywordText(token, style, nodes, index) {
+    if (token.type !== 'word' || !SQLITE_KEYWORDS.has(token.upper)) return token.text;
+    // Keywords used as names (t.key, key.value) keep their spelling
+    const before = nodes[index - 1];
+    const after = nodes[index + 1];
+    if ((before && before.text === '.') || (after && after.text === '.')) return token.text;
+    if (style.keywordCase === 'lower') return token.text.toLowerCase();
+    if (style.keywordCase === 'preserve') return token.text;
+    return token.upper;
+  }
+
+  function firstCode(nodes, from = 0) {
+    for (let i = from; i < nodes.length; i++) {
+      if (nodes[i].type !== 'comment') return i;
+    }
+    return -1;
+  }
+
+  function nextCode(nodes, index) {
+    return firstCode(nodes, index + 1);
+  }
+
+  function previousCode(nodes, index) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (nodes[i].type !== 'comment') return i;
+    }
+    return -1;
+  }
+
+  function isSubqueryGroup(group) {
+    const first = group.children[firstCode(group.children)];
+    return Boolean(first) && ['SELECT', 'WITH', 'VALUES'].includes(first.upper);
+  }
+
+  // Whether the word at index begins a JOIN phrase such as LEFT OUTER JOIN
+  function startsJoin(nodes, index) {
+    const before = nodes[previousCode(nodes, index)];
+    if (before && before.type === 'word' && JOIN_WORDS.includes(before.upper)) return false;
+    for (let i = index; i < nodes.length && i < index + 4; i++) {
+      if (nodes[i].type !== 'word' || !JOIN_WORDS.includes(nodes[i].upper)) return false;
+      if (nodes[i].upper === 'JOIN') return true;
+    }
+    return false;
+  }
+
+  // The clause a word starts in a query ('SELECT', 'JOIN', 'ON CONFLICT', ...), or null
+  function clauseAt(nodes, index, clause) {
+    const node = nodes[index];
+    if (node.type !== 'word') return null;
+    const upper = node.upper;
+    const before = nodes[previousCode(nodes, index)];
+    const after = nodes[nextCode(nodes, index)];
+    if (CLAUSE_KEYWORDS.includes(upper)) {
+      if (upper === 'FROM' && before && ['DELETE', 'DISTINCT'].includes(before.upper)) return null;
+      if ((upper === 'GROUP' || upper === 'ORDER') && !(after && after.upper === 'BY')) return null;
+      if (upper === 'SET' && before && before.upper === 'UPDATE') return null;
+      return upper;
+    }
+    if (JOIN_WORDS.includes(upper) && startsJoin(nodes, index)) return 'JOIN';
+    if (upper === 'ON' && after && after.upper === 'CONFLICT') return 'ON CONFLICT';
+    if (upper === 'DO' && clause === 'ON CONFLICT') return 'DO';
+    return null;
+  }
+
+  // Index of the next clause start after index at this level, or nodes.length
+  function clauseEnd(nodes, index, clause) {
+    for (let i = index + 1; i < nodes.length; i++) {
+      if (nodes[i].text === ';' || clauseAt(nodes, i, clause)) return i;
+    }
+    return nodes.length;
+  }
+
+  // The nodes on one line, or null when they cannot be (a line comment ends the line)
+  function flatText(nodes, style) {
+    const writer = createFormatWriter();
+    formatNodes(nodes, writer, Object.assign({}, style, { flat: true }), 'inline', 0);
+    const text = writer.finish();
+    return text.includes('\n') ? null : text;
+  }
+
+  function fitsOnLine(nodes, style, column) {
+    if (style.lineWidth === 0) return false;
+    const text = flatText(nodes, style);
+    return text !== null && column + text.length <= style.lineWidth;
+  }
+
+  // Indent of a line starting with `word` in a clause at `base`: right-aligned to the river, or flush
+  function alignedIndent(style, base, word) {
+    return style.layout === 'river' ? base + Math.max(0, RIVER_WIDTH - word.length) : base;
+  }
+
+  // Column where a clause's contents continue on later lines
+  function contentIndent(style, base) {
+    return style.layout === 'river' ? base + RIVER_WIDTH + 1 : base + style.indentWidth;
+  }
+
+  // Lay out one level of the token tree. `mode` is 'query' (clauses on their own lines),
+  // 'columns' (a CREATE TABLE definition, one item per line) or 'inline'.
+  function formatNodes(nodes, writer, style, mode, base) {
+    let clause = null;
+    let listBreak = false;
+    let conditionBreak = false;
+    let betweenPending = false;
+    let withClause = false;
+    let queryMode = mode === 'query';
+    const statementStart = firstCode(nodes);
+    const kind = statementStart === -1 ? '' : statementKind(nodes.filter(node => node.type !== 'comment' && node.type !== 'group'));
+    const leading = style.commaPosition === 'leading';
+
+    // Comma-separated items continue at `column`; leading commas hang just before it
+    const breakAtComma = (comma, column) => {
+      if (leading) {
+        writer.newline(Math.max(0, column - 2));
+        writer.write(comma);
+      } else {
+        writer.write(comma);
+        writer.newline(column);
+      }
+    };
+
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+
+      if (node.type === 'comment') {
+        if (node.newlineBefore) writer.newline();
+        writer.write(node);
+        if (node.text.startsWith('--')) writer.breakAfter();
+        continue;
+      }
+
+      if (node.type === 'group') {
+        formatGroup(node, nodes, i, writer, style, { kind, base, cte: withClause });
+        continue;
+      }
+
+      if (node.type === 'word' && queryMode) {
+        const upper = node.upper;
+        const started = clauseAt(nodes, i, clause);
+        if (started) {
+          if (i !== statementStart) writer.newline(alignedIndent(style, base, upper));
+          clause = started;
+          withClause = false;
+          const end = clauseEnd(nodes, i, clause);
+          const fits = fitsOnLine(nodes.slice(i, end), style, alignedIndent(style, base, upper));
+          const items = nodes.slice(i + 1, end).filter(item => item.text === ',').length + 1;
+          listBreak = LIST_CLAUSES.includes(started) && items > 1 && !fits;
+          conditionBreak = (started === 'WHERE' || started === 'HAVING' || (started === 'JOIN' && style.alignJoinOn)) && !fits &&
+            nodes.slice(i + 1, end).some(item => item.upper === 'AND' || item.upper === 'OR');
+          if (started === 'JOIN' && style.alignJoinOn) conditionBreak = nodes.slice(i + 1, end).some(item => item.upper === 'ON');
+          writer.write(node, keywordText(node, style, nodes, i));
+          if (listBreak && style.layout === 'indented') {
+            // The rest of the clause keyword (BY, DISTINCT) stays on its line
+            let next = nextCode(nodes, i);
+            while (next !== -1 && ['BY', 'DISTINCT', 'ALL'].includes(nodes[next].upper)) {
+              writer.write(nodes[next], keywordText(nodes[next], style, nodes, next));
+              i = next;
+              next = nextCode(nodes, i);
+            }
+            writer.newline(contentIndent(style, base));
+          }
+          continue;
+        }
+        if (upper === 'WITH' && i === statementStart) withClause = true;
+        if (upper === 'BETWEEN') betweenPending = true;
+        if (upper === 'ON' && clause === 'JOIN' && style.alignJoinOn) {
+          writer.newline(style.layout === 'river' ? alignedIndent(style, base, upper) : base + style.indentWidth);
+        } else if ((upper === 'AND' || upper === 'OR') && conditionBreak) {
+          if (upper === 'AND' && betweenPending) {
+            betweenPending = false;
+          } else {
+            writer.newline(style.layout === 'river' ? alignedIndent(style, base, upper) : base + style.indentWidth);
+          }
+        }
+      }
+
+      if (node.type === 'word' && !queryMode && !style.flat && node.upper === 'AS' && (kind === 'CREATE VIEW' || kind === 'CREATE TABLE')) {
+        // CREATE VIEW v AS SELECT ...: the query starts on its own line
+        const next = nodes[nextCode(nodes, i)];
+        if (next && ['SELECT', 'WITH', 'VALUES'].includes(next.upper)) {
+          writer.write(node, keywordText(node, style, nodes, i));
+          writer.newline(base);
+          queryMode = true;
+          continue;
+        }
+      }
+
+      if (node.type === 'word' && node.upper === 'BEGIN' && kind === 'CREATE TRIGGER' && !style.flat) {
+        i = formatTriggerBody(nodes, i, writer, style, base);
+        continue;
+      }
+
+      if (node.type === 'punct' && node.text === ',') {
+        if (mode === 'columns') {
+          breakAtComma(node, base);
+        } else if (queryMode && withClause) {
+          breakAtComma(node, style.layout === 'river' ? base + 5 : base);
+        } else if (queryMode && listBreak) {
+          breakAtComma(node, contentIndent(style, base));
+        } else {
+          writer.write(node);
+        }
+        continue;
+      }
+
+      writer.write(node, keywordText(node, style, nodes, i));
+    }
+  }
+
+  function formatGroup(group, nodes, index, writer, style, { kind, base, cte }) {
+    const before = nodes[previousCode(nodes, index)];
+    const close = () => {
+      if (group.close) writer.write(group.close);
+    };
+    if (style.flat) {
+      writer.write(group.open);
+      formatNodes(group.children, writer, style, 'inline', base);
+      close();
+      return;
+    }
+    if (isSubqueryGroup(group)) {
+      if (fitsOnLine([group], style, writer.column + 1)) {
+        writer.write(group.open);
+        formatNodes(group.children, writer, Object.assign({}, style, { flat: true }), 'inline', base);
+        close();
+      } else if (style.layout === 'river') {
+        // Hang the query after the parenthesis
+        writer.write(group.open);
+        formatNodes(group.children, writer, style, 'query', writer.column);
+        close();
+      } else {
+        const outer = writer.indent;
+        writer.write(group.open);
+        const inner = outer + (cte ? style.cteIndent : style.subqueryIndent);
+        writer.newline(inner);
+        formatNodes(group.children, writer, style, 'query', inner);
+        writer.newline(outer);
+        close();
+      }
+      return;
+    }
+    // The column list right after CREATE TABLE name
+    const tableDefinition = kind === 'CREATE TABLE' && before && (before.type === 'word' || before.type === 'quoted') &&
+      !nodes.slice(0, index).some(node => node.type === 'group');
+    if (tableDefinition) {
+      writer.write(group.open);
+      writer.newline(base + style.indentWidth);
+      formatNodes(group.children, writer, style, 'columns', base + style.indentWidth);
+      writer.newline(base);
+      close();
+      return;
+    }
+    writer.write(group.open);
+    formatNodes(group.children, writer, style, 'inline', base);
+    close();
+  }
+
+  // BEGIN ... END of CREATE TRIGGER: each body statement on its own lines, indented
+  function formatTriggerBody(nodes, index, writer, style, base) {
+    const step = style.indentWidth;
+    writer.newline(base);
+    writer.write(nodes[index], keywordText(nodes[index], style, nodes, index));
+    let caseDepth = 0;
+    let statement = [];
+    let i = index + 1;
+    for (; i < nodes.length; i++) {
+      const node = nodes[i];
+      if (node.upper === 'CASE') caseDepth++;
+      if (node.upper === 'END') {
+        if (caseDepth === 0) break;
+        caseDepth--;
+      }
+      statement.push(node);
+      if (node.text === ';') {
+        writer.newline(base + step);
+        formatNodes(statement, writer, style, 'query', base + step);
+        statement = [];
+      }
+    }
+    if (statement.some(node => node.type !== 'comment')) {
+      writer.newline(base + step);
+      formatNodes(statement, writer, style, 'query', base + step);
+    }
+    writer.newline(base);
+    if (nodes[i]) writer.write(nodes[i], keywordText(nodes[i], style, nodes, i));
+    return i;
+  }
+
+  // Reformat a script statement by statement in the given style (see DEFAULT_FORMAT_STYLE).
+  // Strings, quoted names and comments are kept as written; a blank line between two statements is kept.
+  function formatSQL(sql, options = {}) {
+    const style = normalizeFormatStyle(options);
+    const writer = createFormatWriter();
+    const tokens = tokenizeSQL(sql);
+    tokens.forEach((token, index) => {
+      const gap = tokens[index - 1];
+      token.spaceBefore = Boolean(gap) && gap.type === 'space';
+      token.newlineBefore = Boolean(gap) && gap.type === 'space' && gap.text.includes('\n');
+    });
+
+    // End offset of the last statement or comment written
+    let position = null;
+    const separate = end => {
+      if (position === null) return;
+      if (/\n[ \t]*\n/.test(sql.slice(position, end))) writer.blankLine();
+      else writer.newline(0);
+    };
+    // Comments between statements keep their own line, or stay after the statement they follow on its line
+    const writeComments = end => {
+      tokens.filter(token => token.type === 'comment' && token.start >= (position || 0) && token.end <= end).forEach(comment => {
+        if (comment.newlineBefore) separate(comment.start);
+        writer.write(comment);
+        if (comment.text.startsWith('--')) writer.breakAfter();
+        position = comment.end;
+      });
+    };
+
+    splitSQLStatements(sql, tokens).forEach(statement => {
+      writeComments(statement.start);
+      separate(statement.start);
+      const code = statement.tokens.filter(token => token.type !== 'space');
+      formatNodes(buildTokenTree(code), writer, style, QUERY_KINDS.includes(statement.kind) ? 'query' : 'inline', 0);
+      position = statement.end;
+    });
+    writeComments(sql.length);
+    return writer.finish();
+  }
+
+  // ---- Error locator ----
+  // Where in the query an SQLite error message points. Returns { line, column, context, start, end,
+  // parsedMessage }; line and column are 1-based and null when the message names nothing findable.
+  function locateSQLError(errorMessage, query) {
+    const location = { line: null, column: null, context: null, start: null, end: null, parsedMessage: errorMessage };
+    if (!errorMessage || !query) return location;
+    const tokens = tokenizeSQL(query);
+    const code = tokens.filter(isCodeToken);
+    const nameMatches = (token, name) => (token.type === 'word' || token.type === 'quoted') && identifierName(token).toLowerCase() === name.toLowerCase();
+
+    // A possibly qualified name (schema.table, alias.column) as it appears in the query
+    const findName = (fullName, preferAfter) => {
+      const parts = fullName.split('.');
+      const name = parts.pop();
+      const qualifier = parts.pop();
+      const find = withQualifier => {
+        const found = [];
+        code.forEach((token, index) => {
+          if (!nameMatches(token, name)) return;
+          const dot = code[index - 1];
+          const qualified = dot && dot.text === '.';
+          if (withQualifier) {
+            if (qualified && code[index - 2] && nameMatches(code[index - 2], withQualifier)) found.push({ start: code[index - 2].start, end: token.end, index });
+          } else if (!qualified) {
+            found.push({ start: token.start, end: token.end, index });
+          }
+        });
+        return found;
+      };
+      // SQLite may add the schema ("main.orders") to a name written without it
+      let candidates = qualifier ? find(qualifier) : [];
+      if (candidates.length === 0) candidates = find(null);
+      if (preferAfter) {
+        const preferred = candidates.find(candidate => {
+          let before = code[candidate.index - 1];
+          if (before && before.text === '.') before = code[candidate.index - 3];
+          return before && preferAfter.includes(before.upper);
+        });
+        if (preferred) return preferred;
+      }
+      return candidates[0] || null;
+    };
+
+    let span = null;
+    let match;
+    if ((match = errorMessage.match(/near "((?:[^"]|"")*)": (.+)/i))) {
+      const text = match[1].split('""').join('"').toLowerCase();
+      const token = code.find(item => item.text.toLowerCase() === text) || code.find(item => item.text.toLowerCase().startsWith(text));
+      if (token) span = token;
+      location.parsedMessage = match[2];
+    } else if ((match = errorMessage.match(/unrecognized token: "((?:[^"]|"")*)"/i))) {
+      const text = match[1].split('""').join('"');
+      const token = tokens.find(item => item.text.startsWith(text) || (item.type === 'other' && text.startsWith(item.text)));
+      if (token) span = token;
+    } else if ((match = errorMessage.match(/no such table: (.+)$/i))) {
+      span = findName(match[1].trim(), ['FROM', 'JOIN', 'INTO', 'UPDATE', 'TABLE', 'EXISTS', 'ON', 'REFERENCES']);
+    } else if ((match = errorMessage.match(/(?:no such column|ambiguous column name): (.+)$/i))) {
+      span = findName(match[1].trim());
+    } else if ((match = errorMessage.match(/table (.+) has no column named (.+)$/i))) {
+      span = findName(match[2].trim());
+    } else if ((match = errorMessage.match(/no such function: (.+)$/i))) {
+      const name = match[1].trim();
+      const index = code.findIndex((token, i) => nameMatches(token, name) && code[i + 1] && code[i + 1].text === '(');
+      if (index !== -1) span = code[index];
+    } else if ((match = errorMessage.match(/(?:table|index|view|trigger) (.+) already exists/i))) {
+      span = findName(match[1].trim(), ['TABLE', 'INDEX', 'VIEW', 'TRIGGER', 'EXISTS']);
+    } else if (/\d+ values for \d+ columns/i.test(errorMessage)) {
+      span = code.find(token => token.upper === 'VALUES') || null;
+    } else if (/incomplete input/i.test(errorMessage) && code.length > 0) {
+      span = code[code.length - 1];
+    }
+
+    if (span) {
+      const before = query.slice(0, span.start).split('\n');
+      location.line = before.length;
+      location.column = before[before.length - 1].length + 1;
+      location.context = query.split('\n')[location.line - 1].trim();
+      location.start = span.start;
+      location.end = span.end;
+    }
+    return location;
+  }
+
+  return {
+    SQLITE_KEYWORDS,
+    tokenizeSQL,
+    identifierName,
+    buildTokenTree,
+    splitSQLStatements,
+    parseCreateTable,
+    extractSchemaTables,
+    DEFAULT_FORMAT_STYLE,
+    FORMAT_PRESETS,
+    normalizeFormatStyle,
+    formatSQL,
+    locateSQLError
+  };
+}
+
+export const {
+  SQLITE_KEYWORDS,
+  tokenizeSQL,
+  identifierName,
+  buildTokenTree,
+  splitSQLStatements,
+  parseCreateTable,
+  extractSchemaTables,
+  DEFAULT_FORMAT_STYLE,
+  FORMAT_PRESETS,
+  normalizeFormatStyle,
+  formatSQL,
+  locateSQLError
+} = createSQLGrammar();
@@ -0,0 +1,38 @@
+// Cards for the tables of the loaded database in the page's database panel. Shared links, CSV files
+// and .sqlite imports can name tables and columns anything, so every name is escaped here and the page
+// attaches click handlers afterwards instead of using inline ones. The page the Worker serves inlines
+// createTableCards(), so the function must not use anything outside its own body.
+
+export function createTableCards() {
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  function escapeText(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+
+  // One table: its name (also kept in data-table for the click handler), column tags and row count
+  function renderTableCard(tableName, columns, rowCount) {
+    return `
+      <div class="table-info" data-table="${escapeText(tableName)}">
+        <h4>
+          <i class="fas fa-table mr-2"></i>
+          ${escapeText(tableName)}
+          <button class="query-btn ml-auto">
+            <i class="fas fa-arrow-right mr-1"></i>Query
+          </button>
+        </h4>
+        <div class="column-list">
+          ${columns.map(col => `<span class="column-tag">${escapeText(col)}</span>`).join('')}
+        </div>
+        <div class="row-count">
+          <i class="fas fa-database mr-1"></i>
+          ${escapeText(rowCount)} rows
+        </div>
+      </div>
+    `;
+  }
+
+  return { renderTableCard };
+}
+
+export const { renderTableCard } = createTableCards();
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import { generateFallbackSchema, matchFallbackDomain } from '../src/fallback-catalogue.js';
+
+const SQL = await initSqlJs();
+
+// One prompt per domain of the catalogue
+const DOMAIN_PROMPTS = {
+  retail: 'an online store',
+  university: 'university courses',
+  library: 'a library of books',
+  social: 'a social media app',
+  hr: 'human resources',
+  healthcare: 'a hospital',
+  flights: 'airline flights',
+  finance: 'a bank'
+};
+// Closed sets that stay shorter than the usual 20 rows
+const SHORT_LOOKUPS = ['order_statuses', 'account_types'];
+
+function loadWithForeignKeys(sql) {
+  const db = new SQL.Database();
+  db.exec('PRAGMA foreign_keys = ON;');
+  db.exec(sql);
+  return db;
+}
+
+test('each domain is matched by its own prompt', () => {
+  Object.entries(DOMAIN_PROMPTS).forEach(([domain, prompt]) => {
+    assert.equal(matchFallbackDomain(prompt), domain, prompt);
+  });
+});
+
+test('every domain loads with foreign keys enforced, in every design style and with every quirk', () => {
+  Object.values(DOMAIN_PROMPTS).forEach(prompt => {
+    ['denormalized', 'normalized', 'highly_normalized'].forEach(normalization => {
+      [[], ['nulls', 'duplicates', 'dirty']].forEach(quirks => {
+        const db = loadWithForeignKeys(generateFallbackSchema(prompt, { tableCount: 10, normalization, quirks }));
+        try {
+          assert.deepEqual(db.exec('PRAGMA foreign_key_check'), [], `${prompt} (${normalization}, ${quirks.join(', ') || 'no quirks'})`);
+        } finally {
+          db.close();
+        }
+      });
+    });
+  });
+});
+
+test('every table has at least 20 rows except the closed lookup sets', () => {
+  Object.values(DOMAIN_PROMPTS).forEach(prompt => {
+    const db = loadWithForeignKeys(generateFallbackSchema(prompt, { tableCount: 10 }));
+    try {
+      const tables = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")[0].values.map(([name]) => name);
+      tables.filter(name => !SHORT_LOOKUPS.includes(name)).forEach(name => {
+        const [[count]] = db.exec(`SELECT COUNT(*) FROM "${name}"`)[0].values;
+        assert.ok(count >= 20, `${prompt}: ${name} has ${count} rows`);
+      });
+    } finally {
+      db.close();
+    }
+  });
+});
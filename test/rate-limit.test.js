@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createKVRateLimitStore,
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  getRateLimitConfig,
+  spendDailyBudget
+} from '../src/rate-limit.js';
+
+// A KV namespace's get/put, enough for createKVRateLimitStore
+function fakeKV() {
+  const values = new Map();
+  return {
+    values,
+    async get(key, type) {
+      assert.equal(type, 'json');
+      return values.has(key) ? JSON.parse(values.get(key).value) : null;
+    },
+    async put(key, value, options) {
+      values.set(key, { value, options });
+    }
+  };
+}
+
+test('buckets run out, then refill at the configured rate', async () => {
+  let time = Date.parse('2025-06-01T12:00:00Z');
+  const limiter = createRateLimiter(createMemoryRateLimitStore(() => time), () => time);
+  const config = getRateLimitConfig({ RATE_LIMITS: { '/nl-to-sql': { perIp: { capacity: 2, refillPerMinute: 6 } } } });
+  const request = { route: '/nl-to-sql', ip: '203.0.113.9', sessionId: null, config };
+
+  assert.equal((await limiter.check(request)).allowed, true);
+  assert.equal((await limiter.check(request)).allowed, true);
+  const blocked = await limiter.check(request);
+  assert.deepEqual([blocked.allowed, blocked.reason, blocked.retryAfter], [false, 'rate_limit', 10]);
+  // Other clients have their own bucket
+  assert.equal((await limiter.check({ ...request, ip: '198.51.100.1' })).allowed, true);
+
+  time += 10000;
+  assert.equal((await limiter.check(request)).allowed, true);
+  assert.equal((await limiter.check(request)).allowed, false);
+});
+
+test('the session bucket limits a browser on top of its IP', async () => {
+  const time = Date.parse('2025-06-01T12:00:00Z');
+  const limiter = createRateLimiter(createMemoryRateLimitStore(() => time), () => time);
+  const config = getRateLimitConfig({});
+  const request = { route: '/generate-schema', ip: '203.0.113.9', sessionId: 'session-1234', config };
+  for (let i = 0; i < config.routes['/generate-schema'].perSession.capacity; i++) {
+    assert.equal((await limiter.check(request)).allowed, true);
+  }
+  assert.equal((await limiter.check(request)).allowed, false);
+  assert.equal((await limiter.check({ ...request, sessionId: 'session-5678' })).allowed, true);
+});
+
+test('overrides that would never refill fall back to the defaults', async () => {
+  const errors = [];
+  const originalError = console.error;
+  console.error = (message) => errors.push(message);
+  let config;
+  try {
+    config = getRateLimitConfig({
+      RATE_LIMITS: JSON.stringify({
+        '/nl-to-sql': { perIp: { capacity: 1, refillPerMinute: 0 }, perSession: { capacity: 0 }, estimatedTokens: -5 },
+        '/share': { perIp: { refillPerMinute: 'fast' } }
+      })
+    });
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepEqual(config.routes['/nl-to-sql'].perIp, { capacity: 30, refillPerMinute: 15 });
+  assert.deepEqual(config.routes['/nl-to-sql'].perSession, { capacity: 15, refillPerMinute: 6 });
+  assert.equal(config.routes['/nl-to-sql'].estimatedTokens, 1500);
+  assert.deepEqual(config.routes['/share'].perIp, { capacity: 10, refillPerMinute: 2 });
+  assert.equal(errors.length, 3);
+
+  // Whatever the configuration, a blocked client is told a finite wait
+  const time = Date.parse('2025-06-01T12:00:00Z');
+  const limiter = createRateLimiter(createMemoryRateLimitStore(() => time), () => time);
+  const request = { route: '/share', ip: '203.0.113.9', sessionId: null, config };
+  for (let i = 0; i < 10; i++) await limiter.check(request);
+  const blocked = await limiter.check(request);
+  assert.equal(blocked.allowed, false);
+  assert.ok(Number.isFinite(blocked.retryAfter) && blocked.retryAfter > 0);
+});
+
+test('the daily budget is charged per call, refused once spent and reset at midnight UTC', async () => {
+  const store = createMemoryRateLimitStore(() => Date.parse('2025-06-01T23:00:00Z'));
+  const config = getRateLimitConfig({ DAILY_TOKEN_BUDGET: '5000' });
+  const now = Date.parse('2025-06-01T23:00:00Z');
+
+  assert.equal((await spendDailyBudget(store, { route: '/nl-to-sql', config, now })).allowed, true);
+  assert.equal((await spendDailyBudget(store, { route: '/nl-to-sql', config, now })).allowed, true);
+  assert.equal(await store.get('budget:2025-06-01'), 3000);
+  const refused = await spendDailyBudget(store, { route: '/generate-exercises', config, now });
+  assert.deepEqual([refused.allowed, refused.reason, refused.retryAfter], [false, 'daily_budget', 3600]);
+  // A refused call costs nothing, and routes without a cost are never refused
+  assert.equal(await store.get('budget:2025-06-01'), 3000);
+  assert.equal((await spendDailyBudget(store, { route: '/share', config, now })).allowed, true);
+
+  const tomorrow = Date.parse('2025-06-02T00:00:01Z');
+  assert.equal((await spendDailyBudget(store, { route: '/generate-exercises', config, now: tomorrow })).allowed, true);
+});
+
+test('a KV-backed budget is shared by every instance', async () => {
+  const kv = fakeKV();
+  const config = getRateLimitConfig({ DAILY_TOKEN_BUDGET: '15000' });
+  const now = Date.parse('2025-06-01T12:00:00Z');
+
+  // Two isolates, each with its own store object over the same namespace
+  assert.equal((await spendDailyBudget(createKVRateLimitStore(kv), { route: '/generate-schema', config, now })).allowed, true);
+  const second = await spendDailyBudget(createKVRateLimitStore(kv), { route: '/generate-schema', config, now });
+  assert.equal(second.reason, 'daily_budget');
+
+  const entry = kv.values.get('ratelimit:budget:2025-06-01');
+  assert.equal(entry.value, '10000');
+  assert.equal(entry.options.expirationTtl, 12 * 3600 + 3600);
+});
+
+test('KV entries never ask for less than the 60 second minimum TTL', async () => {
+  const kv = fakeKV();
+  await createKVRateLimitStore(kv).put('ip:/share:x', { tokens: 0, updatedAt: 0 }, 5);
+  assert.equal(kv.values.get('ratelimit:ip:/share:x').options.expirationTtl, 60);
+});
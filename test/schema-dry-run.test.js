@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import { dryRunSchemaSpec, dryRunAndRepair } from '../src/schema-dry-run.js';
+
+const SQL = await initSqlJs();
+
+function column(name, type, flags = {}) {
+  return { name, type, primaryKey: false, autoIncrement: false, notNull: false, unique: false, ...flags };
+}
+
+// A validated spec: customers <- orders <- shipments
+function shopSpec({ customers, orders, shipments = [[1, 1, 'sent']] }) {
+  return {
+    name: 'Shop',
+    description: '',
+    designNotes: [],
+    tables: [
+      {
+        name: 'customers',
+        description: '',
+        columns: [column('id', 'INTEGER', { primaryKey: true }), column('code', 'TEXT', { unique: true }), column('name', 'TEXT', { notNull: true })],
+        rows: customers
+      },
+      {
+        name: 'orders',
+        description: '',
+        columns: [
+          column('id', 'INTEGER', { primaryKey: true }),
+          column('customer_id', 'INTEGER', { notNull: true, references: { table: 'customers', column: 'id' } }),
+          column('total', 'REAL')
+        ],
+        rows: orders
+      },
+      {
+        name: 'shipments',
+        description: '',
+        columns: [
+          column('id', 'INTEGER', { primaryKey: true }),
+          column('order_id', 'INTEGER', { references: { table: 'orders', column: 'id' } }),
+          column('status', 'TEXT', { default: 'pending' })
+        ],
+        rows: shipments
+      }
+    ]
+  };
+}
+
+test('a clean spec loads as rendered, with row counts and affinity warnings', () => {
+  const report = dryRunSchemaSpec(SQL, shopSpec({
+    customers: [[1, 'A1', 'Ann'], [2, 'B2', 'Bo']],
+    orders: [[1, 1, 9.5], [2, 2, 'n/a']]
+  }));
+  assert.equal(report.engine, 'sqlite');
+  assert.equal(report.ok, true);
+  assert.equal(report.statementCount, 6);
+  assert.deepEqual(report.rowCounts, { customers: 2, orders: 2, shipments: 1 });
+  assert.deepEqual(report.warnings, [`orders: text value 'n/a' stored in REAL column "total"`]);
+});
+
+test('TEXT UNIQUE values follow SQLite comparison, so "1" and "1.0" are different', () => {
+  const report = dryRunSchemaSpec(SQL, shopSpec({
+    customers: [[1, '1', 'Ann'], [2, '1.0', 'Bo']],
+    orders: [[1, 1, 5]]
+  }));
+  assert.equal(report.ok, true);
+  assert.equal(report.rowCounts.customers, 2);
+});
+
+test('failures carry SQLite\'s own error, statement and row', () => {
+  const report = dryRunSchemaSpec(SQL, shopSpec({
+    customers: [[1, 'A', 'Ann'], [1, 'B', 'Bo'], [3, 'C', null]],
+    orders: [[1, 1, 5]]
+  }));
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.failures.map(({ statement, table, row, error }) => [statement, table, row, error]), [
+    [4, 'customers', 2, 'UNIQUE constraint failed: customers.id'],
+    [4, 'customers', 3, 'NOT NULL constraint failed: customers.name']
+  ]);
+  // The failing batch keeps every customer out, so the order looks orphaned too
+  assert.deepEqual(report.foreignKeyViolations.map(({ table, row, column, value, references }) => [table, row, column, value, references]), [
+    ['orders', 1, 'customer_id', 1, 'customers.id']
+  ]);
+});
+
+test('repairs drop rejected rows, then orphans and their children, numbered as generated', async () => {
+  const spec = shopSpec({
+    customers: [[1, 'A', 'Ann'], [1, 'B', 'Bo'], [3, 'C', 'Cy']],
+    orders: [[1, 1, 5], [2, 99, 7], [3, 3, 1]],
+    shipments: [[1, 2, 'sent'], [2, 3, 'sent']]
+  });
+  const { validation } = await dryRunAndRepair(SQL, spec, null);
+  assert.equal(validation.ok, true);
+  assert.deepEqual(validation.repairs.droppedRows.map(({ table, row }) => [table, row]), [
+    ['customers', 2],
+    ['orders', 2],
+    ['shipments', 1]
+  ]);
+  assert.deepEqual(validation.rowCounts, { customers: 2, orders: 2, shipments: 1 });
+  assert.deepEqual(spec.tables[1].rows.map(row => row[0]), [1, 3]);
+});
+
+test('fixes from the model replace rows before anything is dropped', async () => {
+  const spec = shopSpec({
+    customers: [[1, 'A', 'Ann'], [2, 'B', 'Bo']],
+    orders: [[1, 1, 5], [2, 42, 7]]
+  });
+  let seen = null;
+  const { validation } = await dryRunAndRepair(SQL, spec, async (report) => {
+    seen = report;
+    return [{ table: 'orders', row: 2, values: [2, 2, 7] }, { table: 'nope', row: 1, values: [] }];
+  });
+  assert.equal(seen.foreignKeyViolations[0].row, 2);
+  assert.equal(validation.ok, true);
+  assert.equal(validation.repairs.fixedRows, 1);
+  assert.deepEqual(validation.repairs.droppedRows, []);
+  assert.equal(validation.repairs.initialForeignKeyViolations, 1);
+});
+
+test('CHECK constraints and DEFAULTs are enforced by SQLite itself', async () => {
+  const spec = shopSpec({
+    customers: [[1, 'A', 'Ann'], [2, 'B', 'Bo']],
+    orders: [[1, 1, 5], [2, 2, -3]]
+  });
+  spec.tables[1].columns[2].check = 'total >= 0';
+  spec.tables[2].columns.push(column('created_at', 'TEXT', { default: 'CURRENT_TIMESTAMP' }));
+  spec.tables[2].rows = [[1, 1, 'sent', '2024-01-01 09:00:00']];
+
+  const report = dryRunSchemaSpec(SQL, spec);
+  assert.deepEqual(report.failures.map(({ table, row, error }) => [table, row, error]), [
+    ['orders', 2, 'CHECK constraint failed: total >= 0']
+  ]);
+
+  const { validation } = await dryRunAndRepair(SQL, spec, null);
+  assert.equal(validation.ok, true);
+  assert.deepEqual(validation.repairs.droppedRows.map(({ table, row }) => [table, row]), [['orders', 2]]);
+  assert.deepEqual(validation.repairs.droppedChecks, []);
+});
+
+test('a CHECK expression SQLite cannot compile is dropped before any rows', async () => {
+  const spec = shopSpec({
+    customers: [[1, 'A', 'Ann']],
+    orders: [[1, 1, 5]]
+  });
+  spec.tables[0].columns[2].check = 'length(nme) > 0';
+
+  const report = dryRunSchemaSpec(SQL, spec);
+  assert.deepEqual(report.failures[0], { statement: 1, table: 'customers', row: null, error: 'no such column: nme', values: null });
+
+  const { validation } = await dryRunAndRepair(SQL, spec, null);
+  assert.equal(validation.ok, true);
+  assert.deepEqual(validation.repairs.droppedChecks, [
+    { table: 'customers', column: 'name', check: 'length(nme) > 0', error: 'no such column: nme' }
+  ]);
+  assert.deepEqual(validation.repairs.droppedRows, []);
+  assert.deepEqual(validation.rowCounts, { customers: 1, orders: 1, shipments: 1 });
+});
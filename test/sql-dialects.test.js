@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { translateSQL } from '../src/sql-dialects.js';
+
+const toSQLite = (sql, dialect) => translateSQL(sql, dialect, 'sqlite').sql;
+
+test('intervals on timestamps keep the time of day, whatever the unit', () => {
+  assert.equal(toSQLite("SELECT created_at + INTERVAL '3 days' FROM t", 'postgresql'), "SELECT datetime(created_at, '+3 days') FROM t");
+  assert.equal(toSQLite("SELECT ts - INTERVAL '2 hours' FROM t", 'postgresql'), "SELECT datetime(ts, '-2 hours') FROM t");
+  assert.equal(toSQLite('SELECT DATE_ADD(ts, INTERVAL 1 MONTH) FROM t', 'mysql'), "SELECT datetime(ts, '+1 months') FROM t");
+  assert.equal(toSQLite('SELECT DATE_ADD(ts, INTERVAL 2 HOUR) FROM t', 'mysql'), "SELECT datetime(ts, '+2 hours') FROM t");
+  assert.equal(toSQLite('SELECT DATEADD(day, 1, ordered_at) FROM o', 'sqlserver'), "SELECT datetime(ordered_at, '+1 days') FROM o");
+});
+
+test('intervals on values that are dates already stay dates', () => {
+  assert.equal(toSQLite("SELECT CURRENT_DATE + INTERVAL '1 day'", 'postgresql'), "SELECT date('now', '+1 days')");
+  assert.equal(toSQLite("SELECT order_date::date + INTERVAL '1 month' FROM o", 'postgresql'), "SELECT date(date(order_date), '+1 months') FROM o");
+  assert.equal(toSQLite('SELECT DATE_SUB(CURDATE(), INTERVAL 1 WEEK)', 'mysql'), "SELECT date(date('now'), '-7 days')");
+  assert.equal(toSQLite("SELECT DATEADD(day, 1, '2024-01-31')", 'sqlserver'), "SELECT date('2024-01-31', '+1 days')");
+});
+
+test('SQL Server TOP, bracketed names and N strings become SQLite', () => {
+  assert.equal(toSQLite("SELECT TOP 2 [first name] FROM t WHERE n = N'x'", 'sqlserver'), `SELECT "first name" FROM t WHERE n = 'x' LIMIT 2`);
+  assert.equal(translateSQL('SELECT * FROM t LIMIT 2', 'sqlite', 'sqlserver').sql, 'SELECT TOP 2 * FROM t');
+});
+
+test('ILIKE and LIKE swap between PostgreSQL and SQLite, with a warning each way', () => {
+  assert.deepEqual(translateSQL("SELECT * FROM t WHERE name ILIKE 'a%'", 'postgresql', 'sqlite'), {
+    sql: "SELECT * FROM t WHERE name LIKE 'a%'",
+    warnings: ['ILIKE ran as LIKE, which already ignores case for ASCII text in SQLite']
+  });
+  assert.deepEqual(translateSQL("SELECT * FROM t WHERE name LIKE 'a%'", 'sqlite', 'postgresql'), {
+    sql: "SELECT * FROM t WHERE name ILIKE 'a%'",
+    warnings: ['LIKE became ILIKE to keep SQLite\'s case-insensitive matching']
+  });
+});
+
+test('string concatenation becomes || in SQLite and CONCAT or + elsewhere', () => {
+  assert.equal(toSQLite("SELECT CONCAT(a, ' ', b) FROM t", 'mysql'), "SELECT (a || ' ' || b) FROM t");
+  assert.equal(toSQLite("SELECT 'Mr ' + name FROM t", 'sqlserver'), "SELECT 'Mr ' || name FROM t");
+  // A + between two columns may be arithmetic, so only + next to a string literal is rewritten
+  assert.equal(toSQLite('SELECT price + tax FROM t', 'sqlserver'), 'SELECT price + tax FROM t');
+  assert.equal(translateSQL('SELECT a || b FROM t', 'sqlite', 'mysql').sql, 'SELECT CONCAT(a, b) FROM t');
+});
+
+test('boolean literals become 1 and 0 where the dialect has none', () => {
+  assert.equal(toSQLite('SELECT * FROM t WHERE active = TRUE AND gone = false', 'postgresql'), 'SELECT * FROM t WHERE active = 1 AND gone = 0');
+  assert.equal(translateSQL('SELECT * FROM t WHERE x = TRUE LIMIT 3', 'sqlite', 'sqlserver').sql, 'SELECT TOP 3 * FROM t WHERE x = 1');
+});
+
+test('row limits map between LIMIT/OFFSET, TOP and OFFSET ... FETCH', () => {
+  assert.equal(toSQLite('SELECT TOP 3 name FROM t ORDER BY score; SELECT TOP (1) x FROM u', 'sqlserver'), 'SELECT name FROM t ORDER BY score LIMIT 3; SELECT x FROM u LIMIT 1');
+  assert.equal(toSQLite('SELECT name FROM t ORDER BY id OFFSET 10 ROWS FETCH NEXT 5 ROWS ONLY', 'sqlserver'), 'SELECT name FROM t ORDER BY id LIMIT 5 OFFSET 10');
+  assert.equal(toSQLite('SELECT name FROM t ORDER BY id FETCH FIRST 3 ROWS ONLY', 'postgresql'), 'SELECT name FROM t ORDER BY id LIMIT 3');
+  assert.deepEqual(translateSQL('SELECT name FROM t LIMIT 5 OFFSET 10', 'sqlite', 'sqlserver'), {
+    sql: 'SELECT name FROM t OFFSET 10 ROWS FETCH NEXT 5 ROWS ONLY',
+    warnings: ['SQL Server only allows OFFSET ... FETCH after ORDER BY; add one to this query']
+  });
+});
+
+test('TOP ... PERCENT and WITH TIES are left as written, with a warning', () => {
+  const warning = 'SQL Server TOP ... PERCENT / WITH TIES cannot run on SQLite';
+  assert.deepEqual(translateSQL('SELECT TOP 10 PERCENT * FROM t', 'sqlserver', 'sqlite'), { sql: 'SELECT TOP 10 PERCENT * FROM t', warnings: [warning] });
+  assert.deepEqual(translateSQL('SELECT TOP (5) WITH TIES name FROM t ORDER BY score', 'sqlserver', 'sqlite'), {
+    sql: 'SELECT TOP (5) WITH TIES name FROM t ORDER BY score',
+    warnings: [warning]
+  });
+});
+
+test('constructs with no equivalent are warned about once each', () => {
+  assert.deepEqual(translateSQL('SELECT DISTINCT ON (a) a FROM t; SELECT DISTINCT ON (b) b FROM t', 'postgresql', 'sqlite').warnings, ['PostgreSQL DISTINCT ON cannot run on SQLite']);
+  assert.deepEqual(translateSQL('PRAGMA table_info(t); SELECT typeof(x) FROM t', 'sqlite', 'postgresql').warnings, [
+    'SQLite PRAGMA has no PostgreSQL equivalent',
+    'SQLite typeof() has no PostgreSQL equivalent'
+  ]);
+  assert.deepEqual(translateSQL('INSERT OR IGNORE INTO t VALUES (1)', 'sqlite', 'sqlserver').warnings, ['INSERT OR IGNORE / REPLACE needs MERGE in SQL Server']);
+  assert.deepEqual(translateSQL('SELECT 1', 'mysql', 'mysql'), { sql: 'SELECT 1', warnings: [] });
+});
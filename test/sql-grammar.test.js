@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenizeSQL,
+  identifierName,
+  splitSQLStatements,
+  parseCreateTable,
+  extractSchemaTables,
+  formatSQL,
+  locateSQLError
+} from '../src/sql-grammar.js';
+
+const statementTexts = (sql) => splitSQLStatements(sql).map(statement => statement.text);
+
+test('semicolons inside string literals do not end a statement', () => {
+  assert.deepEqual(statementTexts("SELECT 'a;b' AS x; INSERT INTO t VALUES ('it''s; fine');"), [
+    "SELECT 'a;b' AS x;",
+    "INSERT INTO t VALUES ('it''s; fine');"
+  ]);
+});
+
+test('block comments end at the first */, as in SQLite, and hide semicolons', () => {
+  assert.deepEqual(tokenizeSQL('/* a /* b */ c */').map(token => token.type + ':' + token.text), [
+    'comment:/* a /* b */', 'space: ', 'word:c', 'space: ', 'op:*', 'op:/'
+  ]);
+  assert.deepEqual(statementTexts('SELECT 1 /* ; -- */;\nSELECT 2 -- ; /*\n;'), ['SELECT 1 /* ; -- */;', 'SELECT 2 -- ; /*\n;']);
+});
+
+test('unterminated strings, quoted names and comments run to the end and are flagged', () => {
+  const [comment] = tokenizeSQL('/* open');
+  assert.equal(comment.type, 'comment');
+  assert.equal(comment.unterminated, true);
+  const string = tokenizeSQL("SELECT 'abc").pop();
+  assert.equal(string.text, "'abc");
+  assert.equal(string.unterminated, true);
+  assert.deepEqual(statementTexts("SELECT 'a; b"), ["SELECT 'a; b"]);
+});
+
+test('quoted and bracketed identifiers keep their semicolons and unescape their quotes', () => {
+  assert.deepEqual(statementTexts('SELECT "a;b", [c;d], `e;f` FROM t; SELECT 2'), ['SELECT "a;b", [c;d], `e;f` FROM t;', 'SELECT 2']);
+  const names = tokenizeSQL('"a""b" [x y] `c``d`').filter(token => token.type === 'quoted').map(identifierName);
+  assert.deepEqual(names, ['a"b', 'x y', 'c`d']);
+
+  const table = parseCreateTable('CREATE TABLE "my table" ([first name] TEXT NOT NULL, `a``b` INT, "x""y" REAL REFERENCES other(id))');
+  assert.equal(table.name, 'my table');
+  assert.deepEqual(table.columns.map(column => column.name), ['first name', 'a`b', 'x"y']);
+  assert.equal(table.columns[0].notNull, true);
+  assert.deepEqual(table.columns[2].references, { table: 'other', columns: ['id'] });
+});
+
+test('common table expressions are classified by the statement they feed', () => {
+  const statements = splitSQLStatements("WITH x AS (SELECT ';' AS s) INSERT INTO t SELECT s FROM x;\nWITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 3) SELECT * FROM n");
+  assert.deepEqual(statements.map(statement => statement.kind), ['INSERT', 'SELECT']);
+
+  const cte = 'with totals as (select customer_id, sum(total) as spent from orders group by customer_id) select * from totals where spent > 10';
+  const formatted = formatSQL(cte);
+  assert.match(formatted, /^WITH totals AS \(\n/);
+  assert.equal(formatSQL(formatted), formatted);
+});
+
+test('trigger bodies keep their inner semicolons and CASE ... END', () => {
+  const sql = "CREATE TRIGGER tr AFTER INSERT ON a BEGIN\n  INSERT INTO log VALUES ('x;y');\n  UPDATE a SET n = CASE WHEN n > 1 THEN 0 ELSE n END WHERE id = NEW.id;\nEND;\nSELECT 1;";
+  const statements = splitSQLStatements(sql);
+  assert.deepEqual(statements.map(statement => statement.kind), ['CREATE TRIGGER', 'SELECT']);
+  assert.ok(statements[0].text.endsWith('END;'));
+  assert.equal(sql.slice(statements[1].start, statements[1].end), 'SELECT 1;');
+});
+
+test('schema extraction reads tables and skips views, indexes and triggers', () => {
+  const tables = extractSchemaTables('CREATE TABLE a (id INTEGER PRIMARY KEY, name TEXT);\nCREATE INDEX ia ON a (name);\nCREATE VIEW v AS SELECT * FROM a;\nCREATE TABLE IF NOT EXISTS "b" (a_id INTEGER REFERENCES a(id));');
+  assert.deepEqual(tables.map(table => table.name), ['a', 'b']);
+});
+
+test('errors map back to line, column and source offsets', () => {
+  const column = locateSQLError('no such column: o.totl', 'SELECT o.id,\n  o.totl\nFROM orders o');
+  assert.deepEqual([column.line, column.column, column.start, column.end, column.context], [2, 3, 15, 21, 'o.totl']);
+
+  const syntax = locateSQLError('near "FORM": syntax error', 'SELECT *\nFORM orders');
+  assert.deepEqual([syntax.line, syntax.column, syntax.context], [2, 1, 'FORM orders']);
+
+  // SQLite qualifies names with the schema; the query usually does not
+  const query = 'SELECT 1;\nSELECT * FROM nope';
+  const table = locateSQLError('no such table: main.nope', query);
+  assert.equal(query.slice(table.start, table.end), 'nope');
+  assert.deepEqual([table.line, table.column], [2, 15]);
+
+  // A name that only appears inside a string or comment is not the culprit
+  const hidden = locateSQLError('no such column: totl', "SELECT 'totl' -- totl\nFROM t WHERE totl > 1");
+  assert.deepEqual([hidden.line, hidden.column], [2, 14]);
+
+  assert.equal(locateSQLError('something else went wrong', 'SELECT 1').line, null);
+});
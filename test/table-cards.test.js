@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import { renderTableCard } from '../src/table-cards.js';
+
+const SQL = await initSqlJs();
+
+test('hostile table and column names from a shared database render as inert text', () => {
+  // What a share link can carry: the dump is loaded as-is, so names are whatever its author chose
+  const db = new SQL.Database();
+  db.exec(`CREATE TABLE "x')-alert(1)-('" ("<img src=x onerror=alert(2)>" TEXT, "a""b" INTEGER);
+    INSERT INTO "x')-alert(1)-('" VALUES ('v', 1);`);
+  const [tableName] = db.exec("SELECT name FROM sqlite_master WHERE type = 'table'")[0].values[0];
+  const columns = db.exec(`PRAGMA table_info("${tableName.replace(/"/g, '""')}")`)[0].values.map(col => col[1] + ' (' + col[2] + ')');
+  db.close();
+
+  const html = renderTableCard(tableName, columns, 1);
+  assert.doesNotMatch(html, /onclick|<img/i);
+  assert.match(html, /data-table="x&#39;\)-alert\(1\)-\(&#39;"/);
+  assert.match(html, /<span class="column-tag">&lt;img src=x onerror=alert\(2\)&gt; \(TEXT\)<\/span>/);
+  assert.match(html, /<span class="column-tag">a&quot;b \(INTEGER\)<\/span>/);
+});